@@ -0,0 +1,130 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE, euint64, externalEuint64, ebool } from "@fhevm/solidity/lib/FHE.sol";
+import { SepoliaConfig } from "@fhevm/solidity/config/ZamaConfig.sol";
+import { IConfidentialToken } from "./IConfidentialToken.sol";
+
+/**
+ * @title ConfidentialPayrollToken
+ * @notice ERC-7984-style confidential token that teams deposit into the sports
+ *         contract's payroll escrow and athletes are paid in
+ * @dev Balances are encrypted; holders and the token can decrypt their own.
+ *      Operators (ERC-7984's replacement for allowances) move a holder's tokens
+ *      until a deadline. The owner mints with plaintext amounts, which makes it a
+ *      test and demo token: a production league would point the sports contract
+ *      at an audited ERC-7984 implementation instead.
+ */
+contract ConfidentialPayrollToken is IConfidentialToken, SepoliaConfig {
+
+    string public name;
+    string public symbol;
+    uint8 public constant decimals = 0;   // One token per salary unit, as salaries are whole amounts
+    address public owner;
+
+    euint64 private totalSupply;
+    mapping(address => euint64) private balances;
+    mapping(address => mapping(address => uint48)) private operators; // holder => operator => until
+
+    constructor(string memory _name, string memory _symbol) {
+        name = _name;
+        symbol = _symbol;
+        owner = msg.sender;
+    }
+
+    /**
+     * @notice Create tokens for an account (owner only). Minting is public, balances stay encrypted.
+     */
+    function mint(address _to, uint64 _amount) external {
+        require(msg.sender == owner, "Not authorized: owner only");
+        require(_to != address(0), "Invalid receiver");
+
+        euint64 amount = FHE.asEuint64(_amount);
+        totalSupply = FHE.add(_initialized(totalSupply), amount);
+        FHE.allowThis(totalSupply);
+        _credit(_to, amount);
+
+        emit ConfidentialTransfer(address(0), _to, amount);
+    }
+
+    function confidentialTotalSupply() external view returns (euint64) {
+        return totalSupply;
+    }
+
+    function confidentialBalanceOf(address _account) external view returns (euint64) {
+        return balances[_account];
+    }
+
+    function isOperator(address _holder, address _spender) public view returns (bool) {
+        return _holder == _spender || block.timestamp <= operators[_holder][_spender];
+    }
+
+    /**
+     * @notice Let `_operator` transfer the caller's tokens until `_until` (a timestamp; 0 revokes)
+     */
+    function setOperator(address _operator, uint48 _until) external {
+        operators[msg.sender][_operator] = _until;
+        emit OperatorSet(msg.sender, _operator, _until);
+    }
+
+    function confidentialTransfer(address _to, externalEuint64 _encryptedAmount, bytes calldata _inputProof)
+        external
+        returns (euint64)
+    {
+        return _transferAndAllow(msg.sender, _to, FHE.fromExternal(_encryptedAmount, _inputProof));
+    }
+
+    function confidentialTransfer(address _to, euint64 _amount) external returns (euint64) {
+        require(FHE.isSenderAllowed(_amount), "Amount not allowed");
+        return _transferAndAllow(msg.sender, _to, _amount);
+    }
+
+    function confidentialTransferFrom(
+        address _from,
+        address _to,
+        externalEuint64 _encryptedAmount,
+        bytes calldata _inputProof
+    ) external returns (euint64) {
+        require(isOperator(_from, msg.sender), "Not authorized: operator only");
+        return _transferAndAllow(_from, _to, FHE.fromExternal(_encryptedAmount, _inputProof));
+    }
+
+    function confidentialTransferFrom(address _from, address _to, euint64 _amount) external returns (euint64) {
+        require(isOperator(_from, msg.sender), "Not authorized: operator only");
+        require(FHE.isSenderAllowed(_amount), "Amount not allowed");
+        return _transferAndAllow(_from, _to, _amount);
+    }
+
+    // Move min-or-nothing: the whole amount if the sender can cover it, zero otherwise.
+    // The caller may use the transferred amount in the rest of its transaction.
+    function _transferAndAllow(address _from, address _to, euint64 _amount) internal returns (euint64) {
+        require(_to != address(0), "Invalid receiver");
+
+        euint64 balance = _initialized(balances[_from]);
+        ebool covered = FHE.ge(balance, _amount);
+        euint64 transferred = FHE.select(covered, _amount, FHE.asEuint64(0));
+
+        balances[_from] = FHE.sub(balance, transferred);
+        FHE.allowThis(balances[_from]);
+        FHE.allow(balances[_from], _from);
+        _credit(_to, transferred);
+
+        FHE.allowThis(transferred);
+        FHE.allow(transferred, _from);
+        FHE.allow(transferred, _to);
+        FHE.allowTransient(transferred, msg.sender);
+
+        emit ConfidentialTransfer(_from, _to, transferred);
+        return transferred;
+    }
+
+    function _credit(address _to, euint64 _amount) internal {
+        balances[_to] = FHE.add(_initialized(balances[_to]), _amount);
+        FHE.allowThis(balances[_to]);
+        FHE.allow(balances[_to], _to);
+    }
+
+    function _initialized(euint64 _value) internal returns (euint64) {
+        return FHE.isInitialized(_value) ? _value : FHE.asEuint64(0);
+    }
+}
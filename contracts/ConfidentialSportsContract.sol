@@ -2,169 +2,34 @@
 pragma solidity ^0.8.24;
 
 import { FHE, euint32, euint64, ebool, externalEuint32 } from "@fhevm/solidity/lib/FHE.sol";
-import { SepoliaConfig } from "@fhevm/solidity/config/ZamaConfig.sol";
+import { ConfidentialSportsStorage } from "./ConfidentialSportsStorage.sol";
 
 /**
  * @title ConfidentialSportsContract
  * @notice Privacy-preserving athlete salary management using FHE with Gateway callback pattern
- * @dev Implements refund mechanisms, timeout protection, and gas optimization
+ * @dev Implements refund mechanisms, timeout protection, and gas optimization.
+ *      Athlete trades, league administration, payroll and bonuses live in
+ *      ConfidentialSportsExtension, deployed beforehand and reached through the fallback.
  */
-contract ConfidentialSportsContract is SepoliaConfig {
+contract ConfidentialSportsContract is ConfidentialSportsStorage {
 
-    // =============================================================================
-    // State Variables
-    // =============================================================================
-
-    address public contractOwner;
-    uint256 public currentSeason;
-    uint256 public totalTeams;
-
-    // Timeout and refund configuration
-    uint256 public constant DECRYPTION_TIMEOUT = 1 hours;
-    uint256 public constant MAX_CONTRACT_DURATION = 10 * 365 days; // 10 years max
-    uint256 public constant MIN_SALARY = 0.001 ether;
-    uint256 public constant MAX_SALARY_CAP = 1000000 ether;
-
-    // Privacy multiplier for obfuscation
-    uint256 private constant PRIVACY_MULTIPLIER = 1000;
-
-    struct Athlete {
-        string name;
-        string position;
-        uint256 teamId;
-        euint32 encryptedSalary;
-        euint32 encryptedBonus;
-        bool isActive;
-        uint256 contractStart;
-        uint256 contractEnd;
-        address athleteAddress;
-        uint256 lastUpdateTime;
-        euint32 obfuscatedSalary; // Privacy-protected salary with multiplier
-    }
-
-    struct Team {
-        string teamName;
-        string league;
-        address teamManager;
-        euint32 encryptedTotalPayroll;
-        euint32 encryptedSalaryCap;
-        uint256[] athleteIds;
-        bool isActive;
-        uint256 lastPayrollUpdate;
-        uint256 decryptionRequestId;
-        bool pendingDecryption;
-    }
-
-    struct ContractProposal {
-        uint256 athleteId;
-        uint256 teamId;
-        euint32 proposedSalary;
-        euint32 proposedBonus;
-        uint256 contractDuration;
-        bool isPending;
-        bool isApproved;
-        bool isRejected;
-        address proposer;
-        uint256 timestamp;
-        uint256 expiryTime;
-        uint256 decryptionRequestId;
-        bool callbackReceived;
-    }
-
-    struct DecryptionRequest {
-        uint256 requestId;
-        uint256 timestamp;
-        address requester;
-        bool completed;
-        bool timedOut;
-        string requestType; // "proposal", "salary_check", "payroll"
-        uint256 targetId;
-    }
-
-    // =============================================================================
-    // Mappings
-    // =============================================================================
-
-    mapping(uint256 => Athlete) public athletes;
-    mapping(uint256 => Team) public teams;
-    mapping(uint256 => ContractProposal) public proposals;
-    mapping(address => uint256[]) public athletesByAddress;
-    mapping(address => uint256[]) public teamsByManager;
-    mapping(uint256 => DecryptionRequest) public decryptionRequests;
-    mapping(uint256 => string) internal requestIdToType;
-    mapping(uint256 => bool) public callbackCompleted;
-
-    uint256 public athleteCounter;
-    uint256 public teamCounter;
-    uint256 public proposalCounter;
-    uint256 public decryptionCounter;
-
-    // =============================================================================
-    // Events
-    // =============================================================================
-
-    event AthleteRegistered(uint256 indexed athleteId, string name, uint256 teamId);
-    event TeamRegistered(uint256 indexed teamId, string teamName, address manager);
-    event SalaryUpdated(uint256 indexed athleteId, uint256 timestamp);
-    event ContractProposed(uint256 indexed proposalId, uint256 athleteId, uint256 teamId);
-    event ContractApproved(uint256 indexed proposalId, uint256 athleteId, uint256 teamId);
-    event ContractRejected(uint256 indexed proposalId, uint256 athleteId, uint256 reason);
-    event PayrollUpdated(uint256 indexed teamId, uint256 timestamp);
-    event SeasonStarted(uint256 indexed season, uint256 timestamp);
-    event DecryptionRequested(uint256 indexed requestId, string requestType, uint256 targetId);
-    event DecryptionCompleted(uint256 indexed requestId, bool success);
-    event DecryptionTimedOut(uint256 indexed requestId, uint256 timestamp);
-    event RefundIssued(address indexed recipient, uint256 amount, string reason);
-    event EmergencyWithdrawal(uint256 indexed proposalId, address recipient);
-
-    // =============================================================================
-    // Modifiers
-    // =============================================================================
-
-    modifier onlyOwner() {
-        require(msg.sender == contractOwner, "Not authorized: owner only");
-        _;
-    }
-
-    modifier onlyTeamManager(uint256 teamId) {
-        require(teams[teamId].teamManager == msg.sender, "Not authorized: team manager only");
-        _;
-    }
-
-    modifier onlyAthlete(uint256 athleteId) {
-        require(athletes[athleteId].athleteAddress == msg.sender, "Not authorized: athlete only");
-        _;
-    }
-
-    modifier validTeam(uint256 teamId) {
-        require(teamId > 0 && teamId <= teamCounter, "Invalid team ID");
-        require(teams[teamId].isActive, "Team is inactive");
-        _;
-    }
-
-    modifier validAthlete(uint256 athleteId) {
-        require(athleteId > 0 && athleteId <= athleteCounter, "Invalid athlete ID");
-        require(athletes[athleteId].isActive, "Athlete is inactive");
-        _;
-    }
-
-    modifier validProposal(uint256 proposalId) {
-        require(proposalId > 0 && proposalId <= proposalCounter, "Invalid proposal ID");
-        _;
-    }
-
-    // Input validation modifier
-    modifier validInput(uint256 value, uint256 min, uint256 max) {
-        require(value >= min && value <= max, "Input out of valid range");
-        _;
-    }
+    // Implementation of the functions forwarded by the fallback
+    address public immutable extension;
 
     // =============================================================================
     // Constructor
     // =============================================================================
 
-    constructor() {
+    /**
+     * @dev Deploying the extension separately keeps this contract's initcode under the
+     *      EIP-3860 limit, which embedding its creation code would exceed
+     * @param _extension Deployed ConfidentialSportsExtension, which the fallback delegatecalls
+     */
+    constructor(address _extension) {
+        require(_extension.code.length > 0, "Invalid extension");
+        extension = _extension;
         contractOwner = msg.sender;
+        emit OwnershipTransferred(address(0), msg.sender);
         currentSeason = 1;
         athleteCounter = 0;
         teamCounter = 0;
@@ -177,28 +42,32 @@ contract ConfidentialSportsContract is SepoliaConfig {
     // =============================================================================
 
     /**
-     * @notice Register a new team with encrypted salary cap
-     * @dev Includes input validation and overflow protection
+     * @notice Register a new team in a league with encrypted salary cap
+     * @dev Salary cap arrives as a client-side encrypted handle with its input proof.
+     *      An admin or the league's commissioner can register teams.
      */
     function registerTeam(
         string memory _teamName,
-        string memory _league,
+        uint256 _leagueId,
         address _teamManager,
-        uint32 _salaryCap
-    ) external onlyOwner
-      validInput(_salaryCap, uint256(MIN_SALARY), MAX_SALARY_CAP)
-      returns (uint256) {
+        externalEuint32 _encryptedSalaryCap,
+        bytes calldata _inputProof
+    ) external validLeague(_leagueId) returns (uint256) {
+        require(
+            _isAdmin(msg.sender) || msg.sender == leagues[_leagueId].commissioner,
+            "Not authorized"
+        );
         require(_teamManager != address(0), "Invalid manager address");
         require(bytes(_teamName).length > 0 && bytes(_teamName).length <= 100, "Invalid team name");
 
         teamCounter++;
 
-        euint32 encryptedSalaryCap = FHE.asEuint32(_salaryCap);
-        euint32 encryptedZero = FHE.asEuint32(0);
+        euint32 encryptedSalaryCap = FHE.fromExternal(_encryptedSalaryCap, _inputProof);
+        euint64 encryptedZero = FHE.asEuint64(0);
 
         teams[teamCounter] = Team({
             teamName: _teamName,
-            league: _league,
+            league: leagues[_leagueId].name,
             teamManager: _teamManager,
             encryptedTotalPayroll: encryptedZero,
             encryptedSalaryCap: encryptedSalaryCap,
@@ -206,16 +75,19 @@ contract ConfidentialSportsContract is SepoliaConfig {
             isActive: true,
             lastPayrollUpdate: block.timestamp,
             decryptionRequestId: 0,
-            pendingDecryption: false
+            pendingDecryption: false,
+            leagueId: _leagueId
         });
 
         teamsByManager[_teamManager].push(teamCounter);
+        leagueTeams[_leagueId].push(teamCounter);
         totalTeams++;
 
         // Permission management for FHE
         FHE.allowThis(encryptedSalaryCap);
         FHE.allowThis(encryptedZero);
         FHE.allow(encryptedSalaryCap, _teamManager);
+        FHE.allow(encryptedZero, _teamManager);
 
         emit TeamRegistered(teamCounter, _teamName, _teamManager);
         return teamCounter;
@@ -227,31 +99,39 @@ contract ConfidentialSportsContract is SepoliaConfig {
 
     /**
      * @notice Register athlete with privacy-preserving salary obfuscation
-     * @dev Uses multiplier to protect against division attacks
+     * @dev Uses multiplier to protect against division attacks.
+     *      Salary and bonus share a single input proof. Roster size and contract
+     *      length must meet the league's rules; the encrypted salary and bonus are
+     *      clamped to them (see _clampToLeagueRules).
      */
     function registerAthlete(
         string memory _name,
         string memory _position,
         uint256 _teamId,
         address _athleteAddress,
-        uint32 _salary,
-        uint32 _bonus,
+        externalEuint32 _encryptedSalary,
+        externalEuint32 _encryptedBonus,
+        bytes calldata _inputProof,
         uint256 _contractDurationMonths
     ) external
       validTeam(_teamId)
       onlyTeamManager(_teamId)
-      validInput(_salary, uint256(MIN_SALARY), MAX_SALARY_CAP)
       validInput(_contractDurationMonths, 1, 120) // 1-120 months
       returns (uint256) {
 
         require(_athleteAddress != address(0), "Invalid athlete address");
         require(bytes(_name).length > 0 && bytes(_name).length <= 100, "Invalid name");
         require(_contractDurationMonths * 30 days <= MAX_CONTRACT_DURATION, "Contract too long");
+        _checkRosterRoom(_teamId);
+        _checkContractLength(_teamId, _contractDurationMonths);
 
         athleteCounter++;
 
-        euint32 encryptedSalary = FHE.asEuint32(_salary);
-        euint32 encryptedBonus = FHE.asEuint32(_bonus);
+        (euint32 encryptedSalary, euint32 encryptedBonus) = _clampToLeagueRules(
+            _teamId,
+            FHE.fromExternal(_encryptedSalary, _inputProof),
+            FHE.fromExternal(_encryptedBonus, _inputProof)
+        );
 
         // Privacy obfuscation: multiply by random-like multiplier
         euint32 obfuscatedSalary = FHE.mul(
@@ -273,6 +153,7 @@ contract ConfidentialSportsContract is SepoliaConfig {
             obfuscatedSalary: obfuscatedSalary
         });
 
+        rosterIndex[athleteCounter] = teams[_teamId].athleteIds.length;
         teams[_teamId].athleteIds.push(athleteCounter);
         athletesByAddress[_athleteAddress].push(athleteCounter);
 
@@ -285,66 +166,294 @@ contract ConfidentialSportsContract is SepoliaConfig {
         FHE.allow(encryptedSalary, teams[_teamId].teamManager);
         FHE.allow(encryptedBonus, teams[_teamId].teamManager);
 
-        _updateTeamPayroll(_teamId);
+        _adjustTeamPayroll(_teamId, _compensation64(encryptedSalary, encryptedBonus), euint64.wrap(0));
 
         emit AthleteRegistered(athleteCounter, _name, _teamId);
         return athleteCounter;
     }
 
+    // =============================================================================
+    // League Rules
+    // =============================================================================
+
+    function _checkContractLength(uint256 _teamId, uint256 _contractDurationMonths) internal view {
+        LeagueRules storage rules = _leagueRules(_teamId);
+        require(
+            _contractDurationMonths >= rules.minContractMonths && _contractDurationMonths <= rules.maxContractMonths,
+            "Contract length outside league rules"
+        );
+    }
+
+    /**
+     * @notice Bring a new or updated compensation within the league's rules
+     * @dev Registration and salary updates have no approval step to gate on, so the
+     *      encrypted terms are clamped instead: the salary into [minSalary, maxSalary], then salary and
+     *      bonus under the cap share, the bonus giving way first. The cap share wins
+     *      over minSalary when a team's cap is too small for both.
+     */
+    function _clampToLeagueRules(uint256 _teamId, euint32 _salary, euint32 _bonus)
+      internal
+      returns (euint32 salary, euint32 bonus) {
+
+        LeagueRules storage rules = _leagueRules(_teamId);
+        euint32 shareLimit = _capShareLimit(_teamId);
+
+        salary = FHE.min(FHE.max(_salary, rules.minSalary), rules.maxSalary);
+        salary = FHE.min(salary, shareLimit);
+        bonus = FHE.min(_bonus, FHE.sub(shareLimit, salary));
+    }
+
+    /**
+     * @notice Whether a proposal's terms meet its team's league rules
+     * @dev See _meetsLeagueRules. Both parties can decrypt the result;
+     *      requestProposalDecryption recomputes and publishes it, and approveContract
+     *      requires it.
+     */
+    function _checkLeagueRules(uint256 _proposalId) internal returns (ebool) {
+        ContractProposal storage proposal = proposals[_proposalId];
+        ebool meetsRules = _meetsLeagueRules(proposal.teamId, proposal.proposedSalary, proposal.proposedBonus);
+        leagueRuleChecks[_proposalId] = meetsRules;
+
+        FHE.allowThis(meetsRules);
+        FHE.allow(meetsRules, athletes[proposal.athleteId].athleteAddress);
+        FHE.allow(meetsRules, teams[proposal.teamId].teamManager);
+        return meetsRules;
+    }
+
     // =============================================================================
     // Contract Proposal Functions (Gateway Callback Pattern)
     // =============================================================================
 
     /**
      * @notice Propose contract with timeout protection
-     * @dev Gateway callback pattern: submit → record → decrypt → callback
+     * @dev Gateway callback pattern: submit → record → decrypt → callback.
+     *      Opens a negotiation whose first round is this offer; the athlete
+     *      answers it with approveContract, rejectContract or counterProposal.
      */
     function proposeContract(
         uint256 _athleteId,
         uint256 _teamId,
-        uint32 _proposedSalary,
-        uint32 _proposedBonus,
+        externalEuint32 _encryptedSalary,
+        externalEuint32 _encryptedBonus,
+        bytes calldata _inputProof,
         uint256 _contractDuration
     ) external
       validAthlete(_athleteId)
       validTeam(_teamId)
       onlyTeamManager(_teamId)
-      validInput(_proposedSalary, uint256(MIN_SALARY), MAX_SALARY_CAP)
       validInput(_contractDuration, 1, 120)
       returns (uint256) {
 
-        proposalCounter++;
+        _checkContractLength(_teamId, _contractDuration);
+        // Signing with another team adds the athlete to its roster
+        if (athletes[_athleteId].teamId != _teamId) {
+            _checkRosterRoom(_teamId);
+        }
 
-        euint32 encryptedProposedSalary = FHE.asEuint32(_proposedSalary);
-        euint32 encryptedProposedBonus = FHE.asEuint32(_proposedBonus);
+        negotiationCounter++;
 
-        proposals[proposalCounter] = ContractProposal({
+        negotiations[negotiationCounter] = Negotiation({
             athleteId: _athleteId,
             teamId: _teamId,
-            proposedSalary: encryptedProposedSalary,
-            proposedBonus: encryptedProposedBonus,
+            latestProposalId: 0,
+            roundCount: 0,
+            openedAt: block.timestamp,
+            expiryTime: block.timestamp + NEGOTIATION_WINDOW // Every round expires with the thread
+        });
+
+        negotiationsByTeam[_teamId].push(negotiationCounter);
+        negotiationsByAthlete[_athleteId].push(negotiationCounter);
+
+        emit NegotiationOpened(negotiationCounter, _athleteId, _teamId, block.timestamp + NEGOTIATION_WINDOW);
+
+        return _addNegotiationRound(
+            negotiationCounter,
+            FHE.fromExternal(_encryptedSalary, _inputProof),
+            FHE.fromExternal(_encryptedBonus, _inputProof),
+            _contractDuration
+        );
+    }
+
+    /**
+     * @notice Answer the latest round of a negotiation with new encrypted terms
+     * @dev The athlete counters the team's rounds and the team manager the
+     *      athlete's. The countered round is closed as rejected; the new round
+     *      is the one the other party can approve, reject or counter again.
+     */
+    function counterProposal(
+        uint256 _proposalId,
+        externalEuint32 _encryptedSalary,
+        externalEuint32 _encryptedBonus,
+        bytes calldata _inputProof,
+        uint256 _contractDuration
+    ) external
+      validProposal(_proposalId)
+      validInput(_contractDuration, 1, 120)
+      returns (uint256) {
+
+        ContractProposal storage proposal = proposals[_proposalId];
+        require(proposal.isPending, "Proposal not pending");
+        require(_isCounterparty(proposal, msg.sender), "Not authorized");
+        require(block.timestamp < proposal.expiryTime, "Proposal expired");
+
+        uint256 negotiationId = proposalNegotiation[_proposalId];
+        require(negotiations[negotiationId].roundCount < MAX_NEGOTIATION_ROUNDS, "Round limit reached");
+        _checkContractLength(proposal.teamId, _contractDuration);
+
+        proposal.isPending = false;
+        proposal.isRejected = true;
+
+        _revealReservationMatch(_proposalId);
+        emit ContractRejected(_proposalId, proposal.athleteId, REJECTION_COUNTERED);
+
+        uint256 proposalId = _addNegotiationRound(
+            negotiationId,
+            FHE.fromExternal(_encryptedSalary, _inputProof),
+            FHE.fromExternal(_encryptedBonus, _inputProof),
+            _contractDuration
+        );
+
+        emit CounterProposed(negotiationId, proposalId, _proposalId, msg.sender, negotiations[negotiationId].roundCount);
+        return proposalId;
+    }
+
+    /**
+     * @notice Record the next round of a negotiation, proposed by msg.sender
+     * @dev Both parties can decrypt every round of their negotiation, so the
+     *      signing team's manager can already read the terms it approves
+     */
+    function _addNegotiationRound(
+        uint256 _negotiationId,
+        euint32 _salary,
+        euint32 _bonus,
+        uint256 _contractDuration
+    ) internal returns (uint256) {
+        Negotiation storage negotiation = negotiations[_negotiationId];
+
+        proposalCounter++;
+
+        proposals[proposalCounter] = ContractProposal({
+            athleteId: negotiation.athleteId,
+            teamId: negotiation.teamId,
+            proposedSalary: _salary,
+            proposedBonus: _bonus,
             contractDuration: _contractDuration,
             isPending: true,
             isApproved: false,
             isRejected: false,
             proposer: msg.sender,
             timestamp: block.timestamp,
-            expiryTime: block.timestamp + 30 days, // Proposal expires in 30 days
+            expiryTime: negotiation.expiryTime,
             decryptionRequestId: 0,
             callbackReceived: false
         });
 
-        FHE.allowThis(encryptedProposedSalary);
-        FHE.allowThis(encryptedProposedBonus);
-        FHE.allow(encryptedProposedSalary, athletes[_athleteId].athleteAddress);
-        FHE.allow(encryptedProposedBonus, athletes[_athleteId].athleteAddress);
+        address athleteAddress = athletes[negotiation.athleteId].athleteAddress;
+        address teamManager = teams[negotiation.teamId].teamManager;
+        FHE.allowThis(_salary);
+        FHE.allowThis(_bonus);
+        FHE.allow(_salary, athleteAddress);
+        FHE.allow(_bonus, athleteAddress);
+        FHE.allow(_salary, teamManager);
+        FHE.allow(_bonus, teamManager);
+
+        // Team rounds are matched against the athlete's sealed minimum. Only the
+        // boolean is shared, so neither side learns the other's number. The team
+        // sees it once the athlete answers the round, so it cannot probe the
+        // minimum with offers the athlete never acted on.
+        euint32 reservation = reservationSalaries[negotiation.athleteId];
+        if (msg.sender != athleteAddress && FHE.isInitialized(reservation)) {
+            ebool meetsReservation = FHE.ge(_salary, reservation);
+            reservationMatches[proposalCounter] = meetsReservation;
+            FHE.allowThis(meetsReservation);
+            FHE.allow(meetsReservation, athleteAddress);
+        }
+
+        _checkCapRoom(proposalCounter);
+        _checkLeagueRules(proposalCounter);
 
-        emit ContractProposed(proposalCounter, _athleteId, _teamId);
+        negotiation.latestProposalId = proposalCounter;
+        negotiation.roundCount++;
+        negotiationRounds[_negotiationId].push(proposalCounter);
+        proposalNegotiation[proposalCounter] = _negotiationId;
+        proposalsByAthlete[negotiation.athleteId].push(proposalCounter);
+
+        emit ContractProposed(proposalCounter, negotiation.athleteId, negotiation.teamId);
         return proposalCounter;
     }
 
+    /**
+     * @notice Whether signing a proposal keeps its team's payroll within the salary cap
+     * @dev Projects the payroll the way approveContract changes it: re-signing with
+     *      the same team replaces the athlete's current compensation, and inactive
+     *      athletes add nothing. Only the team manager can decrypt the result.
+     */
+    function _checkCapRoom(uint256 _proposalId) internal returns (ebool) {
+        ContractProposal storage proposal = proposals[_proposalId];
+        Athlete storage athlete = athletes[proposal.athleteId];
+        Team storage team = teams[proposal.teamId];
+
+        euint64 payroll = team.encryptedTotalPayroll;
+        if (athlete.isActive) {
+            payroll = FHE.add(payroll, _compensation64(proposal.proposedSalary, proposal.proposedBonus));
+            if (athlete.teamId == proposal.teamId) {
+                payroll = FHE.sub(payroll, _compensation64(athlete.encryptedSalary, athlete.encryptedBonus));
+            }
+        }
+
+        ebool withinCap = FHE.le(payroll, FHE.asEuint64(team.encryptedSalaryCap));
+        capRoomChecks[_proposalId] = withinCap;
+
+        FHE.allowThis(withinCap);
+        FHE.allow(withinCap, team.teamManager);
+        return withinCap;
+    }
+
+    /**
+     * @notice Let the team manager decrypt a team round's reservation match
+     * @dev Called when the athlete answers the round: approves, counters or rejects it
+     */
+    function _revealReservationMatch(uint256 _proposalId) internal {
+        ebool meetsReservation = reservationMatches[_proposalId];
+        if (FHE.isInitialized(meetsReservation)) {
+            FHE.allow(meetsReservation, teams[proposals[_proposalId].teamId].teamManager);
+        }
+    }
+
+    /**
+     * @notice Store the athlete's sealed minimum acceptable salary
+     * @dev Only the athlete can decrypt it. Team rounds proposed from now on are
+     *      compared against it; rounds already on the table keep their result.
+     */
+    function setReservationSalary(
+        uint256 _athleteId,
+        externalEuint32 _encryptedMinimum,
+        bytes calldata _inputProof
+    ) external validAthlete(_athleteId) onlyAthlete(_athleteId) {
+        euint32 reservation = FHE.fromExternal(_encryptedMinimum, _inputProof);
+        reservationSalaries[_athleteId] = reservation;
+
+        FHE.allowThis(reservation);
+        FHE.allow(reservation, msg.sender);
+
+        emit ReservationSalarySet(_athleteId, block.timestamp);
+    }
+
+    /**
+     * @notice Whether an account answers a round: the athlete for the team's
+     *         rounds, the team manager or a delegate for the athlete's
+     */
+    function _isCounterparty(ContractProposal storage proposal, address _account) internal view returns (bool) {
+        address athleteAddress = athletes[proposal.athleteId].athleteAddress;
+        return proposal.proposer == athleteAddress ? _isTeamManager(proposal.teamId, _account) : _account == athleteAddress;
+    }
+
     /**
      * @notice Request decryption for proposal approval (Gateway pattern)
+     * @dev The cap-room and league rule checks are redone against the current payroll
+     *      and rules and only their results are published; the offer stays encrypted.
+     *      approveContract refuses a proposal that fails either, or whose team's
+     *      payroll changed since: the proposal can then be decrypted again.
      */
     function requestProposalDecryption(uint256 _proposalId)
       external
@@ -353,15 +462,21 @@ contract ConfidentialSportsContract is SepoliaConfig {
 
         ContractProposal storage proposal = proposals[_proposalId];
         require(proposal.isPending, "Proposal not pending");
-        require(!proposal.callbackReceived, "Decryption already requested");
-        require(athletes[proposal.athleteId].athleteAddress == msg.sender, "Not authorized");
+        // Decrypted checks are only redone once they are out of date
+        require(
+            !proposal.callbackReceived || proposalPayrollVersions[_proposalId] != payrollVersions[proposal.teamId],
+            "Decryption already requested"
+        );
+        require(_isCounterparty(proposal, msg.sender), "Not authorized");
         require(block.timestamp < proposal.expiryTime, "Proposal expired");
 
         decryptionCounter++;
+        proposal.callbackReceived = false;
+        proposalPayrollVersions[_proposalId] = payrollVersions[proposal.teamId];
 
         bytes32[] memory cts = new bytes32[](2);
-        cts[0] = FHE.toBytes32(proposal.proposedSalary);
-        cts[1] = FHE.toBytes32(proposal.proposedBonus);
+        cts[0] = FHE.toBytes32(_checkCapRoom(_proposalId));
+        cts[1] = FHE.toBytes32(_checkLeagueRules(_proposalId));
 
         uint256 requestId = FHE.requestDecryption(cts, this.proposalDecryptionCallback.selector);
 
@@ -398,10 +513,17 @@ contract ConfidentialSportsContract is SepoliaConfig {
         require(!request.completed, "Request already processed");
         require(!request.timedOut, "Request timed out");
 
+        (bool withinCap, bool meetsRules) = abi.decode(cleartexts, (bool, bool));
+
         uint256 proposalId = request.targetId;
         ContractProposal storage proposal = proposals[proposalId];
 
-        proposal.callbackReceived = true;
+        // Results of a request superseded by a newer one are out of date
+        if (proposal.decryptionRequestId == requestId) {
+            proposal.callbackReceived = true;
+            proposalWithinCap[proposalId] = withinCap;
+            proposalMeetsRules[proposalId] = meetsRules;
+        }
         request.completed = true;
         callbackCompleted[requestId] = true;
 
@@ -410,42 +532,76 @@ contract ConfidentialSportsContract is SepoliaConfig {
 
     /**
      * @notice Approve contract after successful decryption
+     * @dev Answered by the round's counterparty: the athlete for the team's
+     *      offers, the team manager for the athlete's counter-offers. The cap-room
+     *      check only holds for the payroll it was computed against, so any payroll
+     *      change of the team since, e.g. another approved offer or a raise,
+     *      requires a new decryption.
      */
     function approveContract(uint256 _proposalId) external validProposal(_proposalId) {
         ContractProposal storage proposal = proposals[_proposalId];
         require(proposal.isPending, "Proposal not pending");
         require(proposal.callbackReceived, "Decryption not completed");
-        require(athletes[proposal.athleteId].athleteAddress == msg.sender, "Not authorized");
+        require(_isCounterparty(proposal, msg.sender), "Not authorized");
         require(block.timestamp < proposal.expiryTime, "Proposal expired");
+        require(proposalPayrollVersions[_proposalId] == payrollVersions[proposal.teamId], "Payroll changed since decryption");
+        require(proposalWithinCap[_proposalId], "Over salary cap");
+        require(proposalMeetsRules[_proposalId], "Outside league rules");
 
         Athlete storage athlete = athletes[proposal.athleteId];
+        uint256 previousTeamId = athlete.teamId;
+        euint32 previousSalary = athlete.encryptedSalary;
+        euint32 previousBonus = athlete.encryptedBonus;
+
+        // Signing with another team moves the athlete to its roster
+        if (previousTeamId != proposal.teamId) {
+            _moveAthlete(proposal.athleteId, proposal.teamId, 0);
+        }
+
         athlete.encryptedSalary = proposal.proposedSalary;
         athlete.encryptedBonus = proposal.proposedBonus;
-        athlete.teamId = proposal.teamId;
         athlete.contractStart = block.timestamp;
         athlete.contractEnd = block.timestamp + (proposal.contractDuration * 30 days);
         athlete.lastUpdateTime = block.timestamp;
+        if (previousTeamId != proposal.teamId) {
+            _grantTeamAccess(proposal.athleteId);
+        }
 
         proposal.isPending = false;
         proposal.isApproved = true;
-
-        _updateTeamPayroll(proposal.teamId);
+        _revealReservationMatch(_proposalId);
+
+        // Inactive athletes are not on any payroll
+        if (athlete.isActive) {
+            euint64 previousCompensation = _compensation64(previousSalary, previousBonus);
+            euint64 newCompensation = _compensation64(proposal.proposedSalary, proposal.proposedBonus);
+            if (previousTeamId == proposal.teamId) {
+                _adjustTeamPayroll(proposal.teamId, newCompensation, previousCompensation);
+            } else {
+                // A deactivated team's payroll is frozen
+                if (teams[previousTeamId].isActive) {
+                    _adjustTeamPayroll(previousTeamId, euint64.wrap(0), previousCompensation);
+                }
+                _adjustTeamPayroll(proposal.teamId, newCompensation, euint64.wrap(0));
+            }
+        }
 
         emit ContractApproved(_proposalId, proposal.athleteId, proposal.teamId);
     }
 
     /**
-     * @notice Reject contract proposal
+     * @notice Reject contract proposal, ending its negotiation
      */
     function rejectContract(uint256 _proposalId) external validProposal(_proposalId) {
         ContractProposal storage proposal = proposals[_proposalId];
         require(proposal.isPending, "Proposal not pending");
-        require(athletes[proposal.athleteId].athleteAddress == msg.sender, "Not authorized");
+        require(_isCounterparty(proposal, msg.sender), "Not authorized");
 
         proposal.isPending = false;
         proposal.isRejected = true;
 
-        emit ContractRejected(_proposalId, proposal.athleteId, 0);
+        _revealReservationMatch(_proposalId);
+        emit ContractRejected(_proposalId, proposal.athleteId, REJECTION_DECLINED);
     }
 
     // =============================================================================
@@ -467,6 +623,9 @@ contract ConfidentialSportsContract is SepoliaConfig {
             ContractProposal storage proposal = proposals[request.targetId];
             proposal.isPending = false;
             proposal.isRejected = true;
+        } else if (keccak256(bytes(request.requestType)) == keccak256(bytes("salary_check"))) {
+            // Unblock the team so a fresh check can be attested
+            teams[request.targetId].pendingDecryption = false;
         }
 
         emit DecryptionTimedOut(requestId, block.timestamp);
@@ -474,14 +633,16 @@ contract ConfidentialSportsContract is SepoliaConfig {
 
     /**
      * @notice Emergency withdrawal for expired proposals
+     * @dev Either party: the athlete, or whoever manages the team now. A proposer
+     *      who has since lost the team's manager or delegate role cannot.
      */
     function emergencyWithdrawProposal(uint256 _proposalId) external validProposal(_proposalId) {
         ContractProposal storage proposal = proposals[_proposalId];
         require(proposal.isPending, "Proposal not pending");
         require(block.timestamp >= proposal.expiryTime, "Not expired yet");
         require(
-            msg.sender == proposal.proposer ||
-            msg.sender == athletes[proposal.athleteId].athleteAddress,
+            msg.sender == athletes[proposal.athleteId].athleteAddress ||
+            _isTeamManager(proposal.teamId, msg.sender),
             "Not authorized"
         );
 
@@ -497,25 +658,29 @@ contract ConfidentialSportsContract is SepoliaConfig {
 
     /**
      * @notice Update athlete salary with obfuscation
+     * @dev The new terms are clamped into the league's rules like at registration
      */
     function updateAthleteSalary(
         uint256 _athleteId,
-        uint32 _newSalary,
-        uint32 _newBonus
-    ) external
-      validAthlete(_athleteId)
-      validInput(_newSalary, uint256(MIN_SALARY), MAX_SALARY_CAP) {
+        externalEuint32 _encryptedSalary,
+        externalEuint32 _encryptedBonus,
+        bytes calldata _inputProof
+    ) external validAthlete(_athleteId) {
 
         Athlete storage athlete = athletes[_athleteId];
         require(
-            teams[athlete.teamId].teamManager == msg.sender ||
+            _isTeamManager(athlete.teamId, msg.sender) ||
             athlete.athleteAddress == msg.sender ||
-            msg.sender == contractOwner,
+            _isAdmin(msg.sender),
             "Not authorized"
         );
 
-        euint32 newEncryptedSalary = FHE.asEuint32(_newSalary);
-        euint32 newEncryptedBonus = FHE.asEuint32(_newBonus);
+        (euint32 newEncryptedSalary, euint32 newEncryptedBonus) = _clampToLeagueRules(
+            athlete.teamId,
+            FHE.fromExternal(_encryptedSalary, _inputProof),
+            FHE.fromExternal(_encryptedBonus, _inputProof)
+        );
+        euint64 previousCompensation = _compensation64(athlete.encryptedSalary, athlete.encryptedBonus);
 
         // Update obfuscated salary
         euint32 newObfuscatedSalary = FHE.mul(
@@ -536,58 +701,86 @@ contract ConfidentialSportsContract is SepoliaConfig {
         FHE.allow(newEncryptedSalary, teams[athlete.teamId].teamManager);
         FHE.allow(newEncryptedBonus, teams[athlete.teamId].teamManager);
 
-        _updateTeamPayroll(athlete.teamId);
+        _adjustTeamPayroll(athlete.teamId, _compensation64(newEncryptedSalary, newEncryptedBonus), previousCompensation);
 
         emit SalaryUpdated(_athleteId, block.timestamp);
     }
 
     // =============================================================================
-    // Payroll Management (Gas Optimized)
+    // Payroll Management (Encrypted Deltas)
     // =============================================================================
 
     /**
-     * @notice Update team payroll with gas optimization
-     * @dev Uses HCU-efficient operations
+     * @notice Publish the team manager's latest compliance check (see checkSalaryCap in the extension) as "compliant as of block N"
+     * @dev Gateway callback pattern: the decrypted result is written by salaryCapDecryptionCallback
      */
-    function _updateTeamPayroll(uint256 _teamId) internal validTeam(_teamId) {
+    function requestSalaryCapAttestation(uint256 _teamId)
+      external
+      validTeam(_teamId)
+      onlyTeamManager(_teamId)
+      returns (uint256) {
+
         Team storage team = teams[_teamId];
-        euint32 totalPayroll = FHE.asEuint32(0);
-
-        uint256 athleteCount = team.athleteIds.length;
-
-        // Gas optimization: batch process athletes
-        for (uint256 i = 0; i < athleteCount; i++) {
-            uint256 athleteId = team.athleteIds[i];
-            if (athletes[athleteId].isActive && athletes[athleteId].teamId == _teamId) {
-                // HCU-optimized: single add operation for total compensation
-                euint32 athleteTotal = FHE.add(
-                    athletes[athleteId].encryptedSalary,
-                    athletes[athleteId].encryptedBonus
-                );
-                totalPayroll = FHE.add(totalPayroll, athleteTotal);
-            }
-        }
+        ComplianceCheck storage check = complianceChecks[_teamId];
+        require(check.checkedAt > 0, "No compliance check");
+        require(!check.attested, "Already attested");
+        require(!team.pendingDecryption, "Attestation pending");
+
+        decryptionCounter++;
 
-        team.encryptedTotalPayroll = totalPayroll;
-        team.lastPayrollUpdate = block.timestamp;
+        bytes32[] memory cts = new bytes32[](1);
+        cts[0] = FHE.toBytes32(check.isCompliant);
 
-        FHE.allowThis(totalPayroll);
-        FHE.allow(totalPayroll, team.teamManager);
+        uint256 requestId = FHE.requestDecryption(cts, this.salaryCapDecryptionCallback.selector);
 
-        emit PayrollUpdated(_teamId, block.timestamp);
+        team.decryptionRequestId = requestId;
+        team.pendingDecryption = true;
+        requestIdToType[requestId] = "salary_check";
+
+        decryptionRequests[requestId] = DecryptionRequest({
+            requestId: requestId,
+            timestamp: block.timestamp,
+            requester: msg.sender,
+            completed: false,
+            timedOut: false,
+            requestType: "salary_check",
+            targetId: _teamId
+        });
+
+        emit DecryptionRequested(requestId, "salary_check", _teamId);
+        return requestId;
     }
 
     /**
-     * @notice Check salary cap compliance (privacy-preserving)
+     * @notice Gateway callback for salary cap attestation
+     * @dev Called by Gateway after decryption completes
      */
-    function checkSalaryCap(uint256 _teamId) external validTeam(_teamId) returns (ebool) {
-        Team storage team = teams[_teamId];
-        ebool isCompliant = FHE.le(team.encryptedTotalPayroll, team.encryptedSalaryCap);
+    function salaryCapDecryptionCallback(
+        uint256 requestId,
+        bytes memory cleartexts,
+        bytes memory decryptionProof
+    ) external {
+        // Verify Gateway signatures
+        FHE.checkSignatures(requestId, cleartexts, decryptionProof);
+
+        DecryptionRequest storage request = decryptionRequests[requestId];
+        require(!request.completed, "Request already processed");
+        require(!request.timedOut, "Request timed out");
 
-        FHE.allowThis(isCompliant);
-        FHE.allow(isCompliant, team.teamManager);
+        bool compliant = abi.decode(cleartexts, (bool));
 
-        return isCompliant;
+        uint256 teamId = request.targetId;
+        ComplianceCheck storage check = complianceChecks[teamId];
+        check.attested = true;
+        check.publicResult = compliant;
+        check.attestedAt = block.timestamp;
+
+        teams[teamId].pendingDecryption = false;
+        request.completed = true;
+        callbackCompleted[requestId] = true;
+
+        emit DecryptionCompleted(requestId, true);
+        emit SalaryCapAttested(teamId, compliant, check.checkBlock);
     }
 
     // =============================================================================
@@ -615,12 +808,25 @@ contract ConfidentialSportsContract is SepoliaConfig {
         );
     }
 
+    /**
+     * @notice Encrypted salary and bonus handles for EIP-712 user decryption
+     * @dev Handles are not secret; the ACL only lets the athlete and their team manager decrypt them
+     */
+    function getEncryptedCompensation(uint256 _athleteId) external view validAthlete(_athleteId) returns (
+        euint32 encryptedSalary,
+        euint32 encryptedBonus
+    ) {
+        Athlete storage athlete = athletes[_athleteId];
+        return (athlete.encryptedSalary, athlete.encryptedBonus);
+    }
+
     function getTeamInfo(uint256 _teamId) external view validTeam(_teamId) returns (
         string memory teamName,
         string memory league,
         address teamManager,
         uint256[] memory athleteIds,
-        bool isActive
+        bool isActive,
+        uint256 leagueId
     ) {
         Team storage team = teams[_teamId];
         return (
@@ -628,7 +834,45 @@ contract ConfidentialSportsContract is SepoliaConfig {
             team.league,
             team.teamManager,
             team.athleteIds,
-            team.isActive
+            team.isActive,
+            team.leagueId
+        );
+    }
+
+    /**
+     * @notice Encrypted payroll and salary cap handles for the team manager dashboard
+     * @dev Only the team manager is allowed to decrypt them
+     */
+    function getEncryptedPayroll(uint256 _teamId) external view validTeam(_teamId) returns (
+        euint64 encryptedTotalPayroll,
+        euint32 encryptedSalaryCap,
+        uint256 lastPayrollUpdate
+    ) {
+        Team storage team = teams[_teamId];
+        return (team.encryptedTotalPayroll, team.encryptedSalaryCap, team.lastPayrollUpdate);
+    }
+
+    /**
+     * @notice Latest salary cap compliance check of a team
+     * @dev isCompliant is only decryptable by the team manager; publicResult is
+     *      meaningful once attested is true
+     */
+    function getSalaryCapCompliance(uint256 _teamId) external view validTeam(_teamId) returns (
+        ebool isCompliant,
+        uint256 checkedAt,
+        uint256 checkBlock,
+        bool attested,
+        bool publicResult,
+        bool pendingAttestation
+    ) {
+        ComplianceCheck storage check = complianceChecks[_teamId];
+        return (
+            check.isCompliant,
+            check.checkedAt,
+            check.checkBlock,
+            check.attested,
+            check.publicResult,
+            teams[_teamId].pendingDecryption
         );
     }
 
@@ -657,6 +901,18 @@ contract ConfidentialSportsContract is SepoliaConfig {
         );
     }
 
+    /**
+     * @notice Encrypted offer of a proposal for EIP-712 user decryption
+     * @dev Both the athlete and the team manager are allowed to decrypt it
+     */
+    function getProposalOffer(uint256 _proposalId) external view validProposal(_proposalId) returns (
+        euint32 proposedSalary,
+        euint32 proposedBonus
+    ) {
+        ContractProposal storage proposal = proposals[_proposalId];
+        return (proposal.proposedSalary, proposal.proposedBonus);
+    }
+
     function getDecryptionStatus(uint256 requestId) external view returns (
         bool completed,
         bool timedOut,
@@ -676,23 +932,26 @@ contract ConfidentialSportsContract is SepoliaConfig {
     // Admin Functions
     // =============================================================================
 
-    function startNewSeason() external onlyOwner {
+    function startNewSeason() external onlyAdmin {
         currentSeason++;
         emit SeasonStarted(currentSeason, block.timestamp);
     }
 
     function deactivateAthlete(uint256 _athleteId) external validAthlete(_athleteId) {
         require(
-            teams[athletes[_athleteId].teamId].teamManager == msg.sender ||
-            msg.sender == contractOwner,
+            _isTeamManager(athletes[_athleteId].teamId, msg.sender) || _isAdmin(msg.sender),
             "Not authorized"
         );
 
-        athletes[_athleteId].isActive = false;
-        _updateTeamPayroll(athletes[_athleteId].teamId);
+        Athlete storage athlete = athletes[_athleteId];
+        athlete.isActive = false;
+        // A deactivated team's payroll is frozen
+        if (teams[athlete.teamId].isActive) {
+            _adjustTeamPayroll(athlete.teamId, euint64.wrap(0), _compensation64(athlete.encryptedSalary, athlete.encryptedBonus));
+        }
     }
 
-    function deactivateTeam(uint256 _teamId) external onlyOwner validTeam(_teamId) {
+    function deactivateTeam(uint256 _teamId) external onlyAdmin validTeam(_teamId) {
         teams[_teamId].isActive = false;
         totalTeams--;
     }
@@ -713,4 +972,31 @@ contract ConfidentialSportsContract is SepoliaConfig {
     function getMyTeams(address _manager) external view returns (uint256[] memory) {
         return teamsByManager[_manager];
     }
+
+    function getAthleteProposals(uint256 _athleteId) external view returns (uint256[] memory) {
+        return proposalsByAthlete[_athleteId];
+    }
+
+    // =============================================================================
+    // Extension Routing
+    // =============================================================================
+
+    /**
+     * @notice Forward calls to functions implemented by ConfidentialSportsExtension
+     * @dev delegatecall keeps msg.sender, this contract's storage and its FHE ACL,
+     *      so callers see a single contract with one ABI
+     */
+    fallback() external {
+        address target = extension;
+        assembly ("memory-safe") {
+            let ptr := mload(0x40)
+            calldatacopy(ptr, 0, calldatasize())
+            let success := delegatecall(gas(), target, ptr, calldatasize(), 0, 0)
+            returndatacopy(ptr, 0, returndatasize())
+            if iszero(success) {
+                revert(ptr, returndatasize())
+            }
+            return(ptr, returndatasize())
+        }
+    }
 }
@@ -0,0 +1,883 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE, euint32, euint64, ebool } from "@fhevm/solidity/lib/FHE.sol";
+import { ConfidentialSportsStorage } from "./ConfidentialSportsStorage.sol";
+import { ConfidentialSportsPayrollExtension } from "./ConfidentialSportsPayrollExtension.sol";
+
+/**
+ * @title ConfidentialSportsExtension
+ * @notice Roles, league administration, athlete trades and payroll audits of
+ *         ConfidentialSportsContract
+ * @dev Deployed first and passed to the ConfidentialSportsContract constructor, whose
+ *      fallback delegatecalls here: the code runs on the main contract's storage and FHE ACL.
+ *      Salary disbursement and performance bonuses live one step further, in
+ *      ConfidentialSportsPayrollExtension, reached through this contract's fallback.
+ *      Splitting features out keeps every contract under the EIP-170 code size limit.
+ *      Called directly, every function sees this contract's own empty league.
+ */
+contract ConfidentialSportsExtension is ConfidentialSportsStorage {
+
+    // Implementation of the functions forwarded by the fallback
+    address public immutable payrollExtension;
+
+    // Length of the window in which an audit's auditor can take snapshots and record the result
+    uint256 public constant MIN_AUDIT_WINDOW = 1 hours;
+    uint256 public constant MAX_AUDIT_WINDOW = 90 days;
+
+    constructor() {
+        payrollExtension = address(new ConfidentialSportsPayrollExtension());
+    }
+
+    // =============================================================================
+    // Roles & Ownership
+    // =============================================================================
+
+    /**
+     * @notice Grant a role: LEAGUE_ADMIN_ROLE (by the owner), AUDITOR_ROLE or
+     *         STATS_ORACLE_ROLE (by an admin) or TEAM_DELEGATE_ROLE for team
+     *         _scopeId (by its manager)
+     * @dev Roles only gate plaintext actions. Holding one never adds the account
+     *      to the FHE ACL, since ACL grants cannot be revoked with the role.
+     */
+    function grantRole(bytes32 _role, uint256 _scopeId, address _account) external {
+        _checkRoleAdmin(_role, _scopeId);
+        require(_account != address(0), "Invalid account address");
+        require(!_hasRole(_role, _scopeId, _account), "Role already granted");
+
+        roleMembers[_role][_scopeId].push(_account);
+        roleMemberIndex[_role][_scopeId][_account] = roleMembers[_role][_scopeId].length;
+
+        emit RoleGranted(_role, _scopeId, _account, msg.sender);
+    }
+
+    function revokeRole(bytes32 _role, uint256 _scopeId, address _account) external {
+        _checkRoleAdmin(_role, _scopeId);
+        _removeRole(_role, _scopeId, _account);
+    }
+
+    /**
+     * @notice Give up a role held by the caller
+     */
+    function renounceRole(bytes32 _role, uint256 _scopeId) external {
+        _removeRole(_role, _scopeId, msg.sender);
+    }
+
+    /**
+     * @notice Propose a new owner, who takes over by calling acceptOwnership
+     * @dev Replaces any pending proposal; address(0) cancels it
+     */
+    function transferOwnership(address _newOwner) external onlyOwner {
+        pendingOwner = _newOwner;
+        emit OwnershipTransferStarted(contractOwner, _newOwner);
+    }
+
+    function acceptOwnership() external {
+        require(msg.sender == pendingOwner, "Not authorized: pending owner only");
+
+        emit OwnershipTransferred(contractOwner, msg.sender);
+        contractOwner = msg.sender;
+        pendingOwner = address(0);
+    }
+
+    function _checkRoleAdmin(bytes32 _role, uint256 _scopeId) internal view {
+        if (_role == TEAM_DELEGATE_ROLE) {
+            // Delegates cannot appoint further delegates
+            require(_scopeId > 0 && _scopeId <= teamCounter, "Invalid team ID");
+            require(teams[_scopeId].teamManager == msg.sender, "Not authorized: team manager only");
+            return;
+        }
+
+        require(_scopeId == 0, "Invalid role scope");
+        if (_role == LEAGUE_ADMIN_ROLE) {
+            require(msg.sender == contractOwner, "Not authorized: owner only");
+        } else if (_role == AUDITOR_ROLE || _role == STATS_ORACLE_ROLE) {
+            require(_isAdmin(msg.sender), "Not authorized: admin only");
+        } else {
+            revert("Invalid role");
+        }
+    }
+
+    // Swap-and-pop, like team rosters
+    function _removeRole(bytes32 _role, uint256 _scopeId, address _account) internal {
+        require(_hasRole(_role, _scopeId, _account), "Role not granted");
+
+        address[] storage members = roleMembers[_role][_scopeId];
+        uint256 index = roleMemberIndex[_role][_scopeId][_account] - 1;
+        address lastMember = members[members.length - 1];
+        members[index] = lastMember;
+        roleMemberIndex[_role][_scopeId][lastMember] = index + 1;
+        members.pop();
+        delete roleMemberIndex[_role][_scopeId][_account];
+
+        emit RoleRevoked(_role, _scopeId, _account, msg.sender);
+    }
+
+    function hasRole(bytes32 _role, uint256 _scopeId, address _account) external view returns (bool) {
+        return _hasRole(_role, _scopeId, _account);
+    }
+
+    function getRoleMembers(bytes32 _role, uint256 _scopeId) external view returns (address[] memory) {
+        return roleMembers[_role][_scopeId];
+    }
+
+    // =============================================================================
+    // League Administration
+    // =============================================================================
+
+    /**
+     * @notice Create a league whose commissioner sets the rules for its teams
+     * @dev Rules apply from the next registration or proposal on; signed contracts
+     *      and rosters already over a new limit are left as they are
+     */
+    function createLeague(string memory _name, address _commissioner, LeagueRules calldata _rules)
+      external
+      onlyAdmin
+      returns (uint256) {
+
+        require(bytes(_name).length > 0, "Invalid league name");
+        require(_commissioner != address(0), "Invalid commissioner address");
+        _validateLeagueRules(_rules);
+
+        leagueCounter++;
+
+        leagues[leagueCounter] = League({
+            name: _name,
+            commissioner: _commissioner,
+            rules: _rules,
+            createdAt: block.timestamp
+        });
+
+        emit LeagueCreated(leagueCounter, _name, _commissioner);
+        return leagueCounter;
+    }
+
+    /**
+     * @notice Replace a league's rules (its commissioner)
+     */
+    function updateLeagueRules(uint256 _leagueId, LeagueRules calldata _rules)
+      external
+      validLeague(_leagueId)
+      onlyCommissioner(_leagueId) {
+
+        _validateLeagueRules(_rules);
+        leagues[_leagueId].rules = _rules;
+
+        emit LeagueRulesUpdated(_leagueId, msg.sender);
+    }
+
+    /**
+     * @notice Hand a league to a new commissioner
+     */
+    function setLeagueCommissioner(uint256 _leagueId, address _commissioner)
+      external
+      onlyAdmin
+      validLeague(_leagueId) {
+
+        require(_commissioner != address(0), "Invalid commissioner address");
+        leagues[_leagueId].commissioner = _commissioner;
+
+        emit LeagueCommissionerChanged(_leagueId, _commissioner);
+    }
+
+    function _validateLeagueRules(LeagueRules calldata _rules) internal pure {
+        require(
+            _rules.minSalary <= _rules.maxSalary &&
+            _rules.maxCapSharePercent > 0 && _rules.maxCapSharePercent <= 100 &&
+            _rules.maxRosterSize > 0 &&
+            _rules.minContractMonths > 0 &&
+            _rules.minContractMonths <= _rules.maxContractMonths &&
+            _rules.maxContractMonths <= 120,
+            "Invalid league rules"
+        );
+    }
+
+    function getLeagueInfo(uint256 _leagueId) external view validLeague(_leagueId) returns (
+        string memory name,
+        address commissioner,
+        uint256 teamCount,
+        uint256 createdAt
+    ) {
+        League storage league = leagues[_leagueId];
+        return (league.name, league.commissioner, leagueTeams[_leagueId].length, league.createdAt);
+    }
+
+    function getLeagueRules(uint256 _leagueId) external view validLeague(_leagueId) returns (LeagueRules memory) {
+        return leagues[_leagueId].rules;
+    }
+
+    function getLeagueTeams(uint256 _leagueId) external view returns (uint256[] memory) {
+        return leagueTeams[_leagueId];
+    }
+
+    /**
+     * @notice League rule check of a proposal: the encrypted result for both parties
+     *         and, once the proposal is decrypted, the published result approval requires
+     */
+    function getLeagueRuleCheck(uint256 _proposalId) external view validProposal(_proposalId) returns (
+        ebool meetsRules,
+        bool decrypted,
+        bool publicMeetsRules
+    ) {
+        return (leagueRuleChecks[_proposalId], proposals[_proposalId].callbackReceived, proposalMeetsRules[_proposalId]);
+    }
+
+    /**
+     * @notice Cap-room check of a proposal: the encrypted result for the team manager
+     *         and, once the proposal is decrypted, the published result approval requires
+     */
+    function getCapRoomCheck(uint256 _proposalId) external view validProposal(_proposalId) returns (
+        ebool withinCap,
+        bool decrypted,
+        bool publicWithinCap
+    ) {
+        return (capRoomChecks[_proposalId], proposals[_proposalId].callbackReceived, proposalWithinCap[_proposalId]);
+    }
+
+    // =============================================================================
+    // Negotiation Views
+    // =============================================================================
+
+    /**
+     * @notice Whether a team round meets the athlete's reservation salary
+     * @dev Decryptable by the athlete, and by the team manager once the athlete has
+     *      approved, countered or rejected the round. hasMatch is false for
+     *      the athlete's own rounds and when no reservation was set at proposal time.
+     */
+    function getReservationMatch(uint256 _proposalId) external view validProposal(_proposalId) returns (
+        bool hasMatch,
+        ebool meetsReservation
+    ) {
+        meetsReservation = reservationMatches[_proposalId];
+        return (FHE.isInitialized(meetsReservation), meetsReservation);
+    }
+
+    /**
+     * @notice The athlete's sealed reservation salary; only the athlete can decrypt it
+     */
+    function getReservationSalary(uint256 _athleteId) external view validAthlete(_athleteId) returns (
+        bool isSet,
+        euint32 encryptedMinimum
+    ) {
+        encryptedMinimum = reservationSalaries[_athleteId];
+        return (FHE.isInitialized(encryptedMinimum), encryptedMinimum);
+    }
+
+    /**
+     * @notice Public progress of a negotiation; the terms of each round are
+     *         only readable by the athlete and the team manager
+     * @dev isOpen: the latest round is pending and the thread has not expired.
+     *      isAgreed: the latest round was approved.
+     */
+    function getNegotiationInfo(uint256 _negotiationId) external view validNegotiation(_negotiationId) returns (
+        uint256 athleteId,
+        uint256 teamId,
+        uint256 roundCount,
+        uint256 latestProposalId,
+        bool isOpen,
+        bool isAgreed,
+        uint256 openedAt,
+        uint256 expiryTime
+    ) {
+        Negotiation storage negotiation = negotiations[_negotiationId];
+        ContractProposal storage latest = proposals[negotiation.latestProposalId];
+        return (
+            negotiation.athleteId,
+            negotiation.teamId,
+            negotiation.roundCount,
+            negotiation.latestProposalId,
+            latest.isPending && block.timestamp < negotiation.expiryTime,
+            latest.isApproved,
+            negotiation.openedAt,
+            negotiation.expiryTime
+        );
+    }
+
+    function getNegotiationRounds(uint256 _negotiationId) external view validNegotiation(_negotiationId) returns (uint256[] memory) {
+        return negotiationRounds[_negotiationId];
+    }
+
+    function getTeamNegotiations(uint256 _teamId) external view returns (uint256[] memory) {
+        return negotiationsByTeam[_teamId];
+    }
+
+    function getAthleteNegotiations(uint256 _athleteId) external view returns (uint256[] memory) {
+        return negotiationsByAthlete[_athleteId];
+    }
+
+    // =============================================================================
+    // Athlete Transfers
+    // =============================================================================
+
+    /**
+     * @notice Propose to acquire an athlete, with their current contract, from another team
+     * @dev The trade executes atomically once the releasing team's manager has
+     *      approved it and the athlete has consented, in either order, provided a
+     *      published trade check (requestTradeCheck) passes
+     */
+    function proposeTrade(uint256 _athleteId, uint256 _toTeamId)
+      external
+      validAthlete(_athleteId)
+      validTeam(_toTeamId)
+      onlyTeamManager(_toTeamId)
+      returns (uint256) {
+
+        uint256 fromTeamId = athletes[_athleteId].teamId;
+        require(fromTeamId != _toTeamId, "Athlete already on team");
+        require(teams[fromTeamId].isActive, "Team is inactive");
+
+        tradeCounter++;
+
+        trades[tradeCounter] = TradeProposal({
+            athleteId: _athleteId,
+            fromTeamId: fromTeamId,
+            toTeamId: _toTeamId,
+            proposer: msg.sender,
+            releasingTeamApproved: false,
+            athleteConsented: false,
+            isPending: true,
+            isCompleted: false,
+            timestamp: block.timestamp,
+            expiryTime: block.timestamp + 30 days // Trade expires in 30 days
+        });
+
+        tradesByTeam[fromTeamId].push(tradeCounter);
+        tradesByTeam[_toTeamId].push(tradeCounter);
+        tradesByAthlete[_athleteId].push(tradeCounter);
+
+        emit TradeProposed(tradeCounter, _athleteId, fromTeamId, _toTeamId);
+        return tradeCounter;
+    }
+
+    /**
+     * @notice Check whether the athlete's contract fits the acquiring team and
+     *         publish the result (acquiring or releasing team manager, or the athlete)
+     * @dev Computes, against the current payroll and rules, the acquiring team's cap
+     *      room with the athlete's compensation added and the league rule check of
+     *      _meetsLeagueRules, and publicly decrypts the two results only. The trade
+     *      executes only on a passing check that no payroll change of either team has
+     *      made out of date; the check can then be requested again. The contract
+     *      length is not checked, since the contract is not re-signed.
+     */
+    function requestTradeCheck(uint256 _tradeId) external validTrade(_tradeId) returns (uint256) {
+        TradeProposal storage trade = trades[_tradeId];
+        require(trade.isPending, "Trade not pending");
+        require(block.timestamp < trade.expiryTime, "Trade expired");
+        Athlete storage athlete = athletes[trade.athleteId];
+        require(
+            _isTeamManager(trade.toTeamId, msg.sender) ||
+            _isTeamManager(trade.fromTeamId, msg.sender) ||
+            msg.sender == athlete.athleteAddress,
+            "Not authorized"
+        );
+        // Decrypted checks are only redone once they are out of date
+        TradeCheck storage check = tradeChecks[_tradeId];
+        require(!check.decrypted || !_isTradeCheckCurrent(_tradeId), "Decryption already requested");
+
+        Team storage team = teams[trade.toTeamId];
+        ebool withinCap = FHE.le(
+            FHE.add(team.encryptedTotalPayroll, _compensation64(athlete.encryptedSalary, athlete.encryptedBonus)),
+            FHE.asEuint64(team.encryptedSalaryCap)
+        );
+        ebool meetsRules = _meetsLeagueRules(trade.toTeamId, athlete.encryptedSalary, athlete.encryptedBonus);
+
+        FHE.allowThis(withinCap);
+        FHE.allowThis(meetsRules);
+        FHE.allow(withinCap, team.teamManager);
+        FHE.allow(meetsRules, team.teamManager);
+        FHE.allow(meetsRules, athlete.athleteAddress);
+
+        decryptionCounter++;
+
+        bytes32[] memory cts = new bytes32[](2);
+        cts[0] = FHE.toBytes32(withinCap);
+        cts[1] = FHE.toBytes32(meetsRules);
+
+        uint256 requestId = FHE.requestDecryption(cts, this.tradeCheckCallback.selector);
+
+        tradeChecks[_tradeId] = TradeCheck({
+            withinCap: withinCap,
+            meetsRules: meetsRules,
+            requestId: requestId,
+            decrypted: false,
+            publicWithinCap: false,
+            publicMeetsRules: false,
+            fromPayrollVersion: payrollVersions[trade.fromTeamId],
+            toPayrollVersion: payrollVersions[trade.toTeamId]
+        });
+        requestIdToType[requestId] = "trade_check";
+
+        decryptionRequests[requestId] = DecryptionRequest({
+            requestId: requestId,
+            timestamp: block.timestamp,
+            requester: msg.sender,
+            completed: false,
+            timedOut: false,
+            requestType: "trade_check",
+            targetId: _tradeId
+        });
+
+        emit DecryptionRequested(requestId, "trade_check", _tradeId);
+        return requestId;
+    }
+
+    /**
+     * @notice Gateway callback for a trade check
+     * @dev Called by Gateway after decryption completes
+     */
+    function tradeCheckCallback(
+        uint256 requestId,
+        bytes memory cleartexts,
+        bytes memory decryptionProof
+    ) external {
+        // Verify Gateway signatures
+        FHE.checkSignatures(requestId, cleartexts, decryptionProof);
+
+        DecryptionRequest storage request = decryptionRequests[requestId];
+        require(!request.completed, "Request already processed");
+        require(!request.timedOut, "Request timed out");
+
+        (bool withinCap, bool meetsRules) = abi.decode(cleartexts, (bool, bool));
+
+        // Results of a request superseded by a newer one are out of date
+        TradeCheck storage check = tradeChecks[request.targetId];
+        if (check.requestId == requestId) {
+            check.decrypted = true;
+            check.publicWithinCap = withinCap;
+            check.publicMeetsRules = meetsRules;
+        }
+        request.completed = true;
+        callbackCompleted[requestId] = true;
+
+        emit DecryptionCompleted(requestId, true);
+    }
+
+    /**
+     * @notice Release an athlete to the acquiring team (releasing team manager)
+     */
+    function acceptTrade(uint256 _tradeId)
+      external
+      validTrade(_tradeId)
+      onlyTeamManager(trades[_tradeId].fromTeamId) {
+
+        TradeProposal storage trade = trades[_tradeId];
+        require(trade.isPending, "Trade not pending");
+        require(!trade.releasingTeamApproved, "Trade already approved");
+        require(block.timestamp < trade.expiryTime, "Trade expired");
+
+        trade.releasingTeamApproved = true;
+
+        emit TradeApproved(_tradeId, msg.sender);
+        _executeTradeIfApproved(_tradeId);
+    }
+
+    /**
+     * @notice Agree to move to the acquiring team (athlete)
+     */
+    function consentToTrade(uint256 _tradeId)
+      external
+      validTrade(_tradeId)
+      onlyAthlete(trades[_tradeId].athleteId) {
+
+        TradeProposal storage trade = trades[_tradeId];
+        require(trade.isPending, "Trade not pending");
+        require(!trade.athleteConsented, "Trade already approved");
+        require(block.timestamp < trade.expiryTime, "Trade expired");
+
+        trade.athleteConsented = true;
+
+        emit TradeApproved(_tradeId, msg.sender);
+        _executeTradeIfApproved(_tradeId);
+    }
+
+    /**
+     * @notice Turn down a trade (releasing team manager or athlete)
+     */
+    function rejectTrade(uint256 _tradeId) external validTrade(_tradeId) {
+        TradeProposal storage trade = trades[_tradeId];
+        require(trade.isPending, "Trade not pending");
+        require(
+            _isTeamManager(trade.fromTeamId, msg.sender) ||
+            msg.sender == athletes[trade.athleteId].athleteAddress,
+            "Not authorized"
+        );
+
+        trade.isPending = false;
+
+        emit TradeRejected(_tradeId, msg.sender);
+    }
+
+    /**
+     * @notice Withdraw a trade proposal (acquiring team manager)
+     * @dev Only the proposer, and only while they still manage or act for the team
+     */
+    function cancelTrade(uint256 _tradeId) external validTrade(_tradeId) {
+        TradeProposal storage trade = trades[_tradeId];
+        require(trade.isPending, "Trade not pending");
+        require(msg.sender == trade.proposer && _isTeamManager(trade.toTeamId, msg.sender), "Not authorized");
+
+        trade.isPending = false;
+
+        emit TradeCancelled(_tradeId);
+    }
+
+    /**
+     * @notice Move the athlete once both approvals are in
+     * @dev Reverts, undoing the approval that completed the pair, unless the published
+     *      trade check is current and passes. The athlete keeps their encrypted contract: its compensation leaves the
+     *      releasing team's payroll and joins the acquiring team's, and the new
+     *      manager is allowed to decrypt it (see _grantTeamAccess). FHE ACL grants
+     *      cannot be revoked, so the previous manager can still read the handles
+     *      it was allowed before.
+     */
+    function _executeTradeIfApproved(uint256 _tradeId) internal {
+        TradeProposal storage trade = trades[_tradeId];
+        if (!trade.releasingTeamApproved || !trade.athleteConsented) {
+            return;
+        }
+
+        Athlete storage athlete = athletes[trade.athleteId];
+        require(athlete.isActive, "Athlete is inactive");
+        require(athlete.teamId == trade.fromTeamId, "Athlete changed teams");
+        require(teams[trade.fromTeamId].isActive && teams[trade.toTeamId].isActive, "Team is inactive");
+        TradeCheck storage check = tradeChecks[_tradeId];
+        require(check.decrypted, "Trade check not completed");
+        require(_isTradeCheckCurrent(_tradeId), "Payroll changed since decryption");
+        require(check.publicWithinCap, "Over salary cap");
+        require(check.publicMeetsRules, "Outside league rules");
+
+        trade.isPending = false;
+        trade.isCompleted = true;
+
+        _moveAthlete(trade.athleteId, trade.toTeamId, _tradeId);
+        _grantTeamAccess(trade.athleteId);
+
+        euint64 compensation = _compensation64(athlete.encryptedSalary, athlete.encryptedBonus);
+        _adjustTeamPayroll(trade.fromTeamId, euint64.wrap(0), compensation);
+        _adjustTeamPayroll(trade.toTeamId, compensation, euint64.wrap(0));
+    }
+
+    /**
+     * @notice Whether no payroll change of either team came after the trade check
+     */
+    function _isTradeCheckCurrent(uint256 _tradeId) internal view returns (bool) {
+        TradeProposal storage trade = trades[_tradeId];
+        TradeCheck storage check = tradeChecks[_tradeId];
+        return check.fromPayrollVersion == payrollVersions[trade.fromTeamId] &&
+            check.toPayrollVersion == payrollVersions[trade.toTeamId];
+    }
+
+    function getTradeInfo(uint256 _tradeId) external view validTrade(_tradeId) returns (
+        uint256 athleteId,
+        uint256 fromTeamId,
+        uint256 toTeamId,
+        address proposer,
+        bool releasingTeamApproved,
+        bool athleteConsented,
+        bool isPending,
+        bool isCompleted,
+        uint256 timestamp,
+        uint256 expiryTime
+    ) {
+        TradeProposal storage trade = trades[_tradeId];
+        return (
+            trade.athleteId,
+            trade.fromTeamId,
+            trade.toTeamId,
+            trade.proposer,
+            trade.releasingTeamApproved,
+            trade.athleteConsented,
+            trade.isPending,
+            trade.isCompleted,
+            trade.timestamp,
+            trade.expiryTime
+        );
+    }
+
+    /**
+     * @notice The latest trade check: the encrypted results (the acquiring team's
+     *         manager, and the athlete for meetsRules), whether they were published
+     *         and are still current, and the published results
+     */
+    function getTradeCheck(uint256 _tradeId) external view validTrade(_tradeId) returns (
+        ebool withinCap,
+        ebool meetsRules,
+        bool decrypted,
+        bool current,
+        bool publicWithinCap,
+        bool publicMeetsRules
+    ) {
+        TradeCheck storage check = tradeChecks[_tradeId];
+        return (
+            check.withinCap,
+            check.meetsRules,
+            check.decrypted,
+            check.decrypted && _isTradeCheckCurrent(_tradeId),
+            check.publicWithinCap,
+            check.publicMeetsRules
+        );
+    }
+
+    function getTeamTrades(uint256 _teamId) external view returns (uint256[] memory) {
+        return tradesByTeam[_teamId];
+    }
+
+    function getAthleteTrades(uint256 _athleteId) external view returns (uint256[] memory) {
+        return tradesByAthlete[_athleteId];
+    }
+
+    // =============================================================================
+    // Salary Cap Checks
+    // =============================================================================
+
+    /**
+     * @notice Check salary cap compliance (privacy-preserving): team manager,
+     *         delegate, admin or auditor
+     * @dev The result is allowed to the team manager only, whoever asks: roles
+     *      never add an account to the FHE ACL. Only the manager's own checks are
+     *      persisted in complianceChecks, the check requestSalaryCapAttestation
+     *      publishes; other callers get theirs in roleComplianceChecks, so they can
+     *      neither replace an attested check nor change what is being attested.
+     */
+    function checkSalaryCap(uint256 _teamId) external validTeam(_teamId) returns (ebool) {
+        Team storage team = teams[_teamId];
+        require(
+            _isTeamManager(_teamId, msg.sender) || _isAdmin(msg.sender) || _hasRole(AUDITOR_ROLE, 0, msg.sender),
+            "Not authorized"
+        );
+        bool byManager = msg.sender == team.teamManager;
+        require(!byManager || !team.pendingDecryption, "Attestation pending");
+
+        ebool isCompliant = FHE.le(team.encryptedTotalPayroll, FHE.asEuint64(team.encryptedSalaryCap));
+
+        FHE.allowThis(isCompliant);
+        FHE.allow(isCompliant, team.teamManager);
+
+        ComplianceCheck memory check = ComplianceCheck({
+            isCompliant: isCompliant,
+            checkedAt: block.timestamp,
+            checkBlock: block.number,
+            attested: false,
+            publicResult: false,
+            attestedAt: 0
+        });
+        if (byManager) {
+            complianceChecks[_teamId] = check;
+        } else {
+            roleComplianceChecks[_teamId][msg.sender] = check;
+        }
+
+        emit SalaryCapChecked(_teamId, block.number, block.timestamp);
+        return isCompliant;
+    }
+
+    /**
+     * @notice Latest salary cap check of a team by a delegate, admin or auditor
+     * @dev isCompliant is only decryptable by the team manager; checkedAt is 0
+     *      when _account never checked the team
+     */
+    function getRoleComplianceCheck(uint256 _teamId, address _account) external view validTeam(_teamId) returns (
+        ebool isCompliant,
+        uint256 checkedAt,
+        uint256 checkBlock
+    ) {
+        ComplianceCheck storage check = roleComplianceChecks[_teamId][_account];
+        return (check.isCompliant, check.checkedAt, check.checkBlock);
+    }
+
+    // =============================================================================
+    // Payroll Audits
+    // =============================================================================
+
+    /**
+     * @notice Open an audit of a team's payroll (its league's commissioner) and
+     *         let an auditor decrypt the payroll, cap and roster compensation
+     * @dev FHE ACL grants cannot be revoked, so the window bounds what the auditor
+     *      can read rather than until when: the handles of snapshots taken before
+     *      expiresAt. Payroll and salary changes after the last snapshot produce
+     *      new handles the auditor is never allowed.
+     */
+    function openAudit(uint256 _teamId, address _auditor, uint256 _window)
+      external
+      validTeam(_teamId)
+      onlyCommissioner(teams[_teamId].leagueId)
+      returns (uint256) {
+
+        require(_hasRole(AUDITOR_ROLE, 0, _auditor), "Auditor role required");
+        require(_window >= MIN_AUDIT_WINDOW && _window <= MAX_AUDIT_WINDOW, "Invalid audit window");
+
+        auditCounter++;
+
+        Audit storage audit = audits[auditCounter];
+        audit.teamId = _teamId;
+        audit.auditor = _auditor;
+        audit.openedBy = msg.sender;
+        audit.openedAt = block.timestamp;
+        audit.expiresAt = block.timestamp + _window;
+
+        auditsByTeam[_teamId].push(auditCounter);
+        auditsByAuditor[_auditor].push(auditCounter);
+
+        emit AuditOpened(auditCounter, _teamId, _auditor, audit.expiresAt);
+        _takeAuditSnapshot(auditCounter);
+        return auditCounter;
+    }
+
+    /**
+     * @notice Replace the audit's snapshot with the team's current payroll,
+     *         e.g. after signings during the audit (auditor, while open)
+     */
+    function refreshAudit(uint256 _auditId) external {
+        _checkOpenAudit(_auditId);
+        _takeAuditSnapshot(_auditId);
+    }
+
+    /**
+     * @notice Record the audit's finding and the hash of the signed report
+     *         (auditor, while open). Completes the audit.
+     */
+    function recordAuditResult(uint256 _auditId, bool _compliant, bytes32 _reportHash) external {
+        _checkOpenAudit(_auditId);
+
+        Audit storage audit = audits[_auditId];
+        audit.completed = true;
+        audit.compliant = _compliant;
+        audit.reportHash = _reportHash;
+        audit.completedAt = block.timestamp;
+
+        emit AuditCompleted(_auditId, audit.teamId, _compliant, _reportHash);
+    }
+
+    /**
+     * @notice End an audit before its window does (the team's league commissioner)
+     */
+    function closeAudit(uint256 _auditId) external {
+        _checkValidAudit(_auditId);
+        Audit storage audit = audits[_auditId];
+        require(leagues[teams[audit.teamId].leagueId].commissioner == msg.sender, "Not authorized: commissioner only");
+        require(!audit.completed && !audit.closed && block.timestamp < audit.expiresAt, "Audit not open");
+
+        audit.closed = true;
+
+        emit AuditClosed(_auditId, msg.sender);
+    }
+
+    function _checkValidAudit(uint256 _auditId) internal view {
+        require(_auditId > 0 && _auditId <= auditCounter, "Invalid audit ID");
+    }
+
+    // The auditor must still hold AUDITOR_ROLE: revoking it ends their open audits
+    function _checkOpenAudit(uint256 _auditId) internal view {
+        _checkValidAudit(_auditId);
+        Audit storage audit = audits[_auditId];
+        require(msg.sender == audit.auditor && _hasRole(AUDITOR_ROLE, 0, msg.sender), "Not authorized: auditor only");
+        require(!audit.completed && !audit.closed && block.timestamp < audit.expiresAt, "Audit not open");
+    }
+
+    // Store the current handles and allow the auditor on them; no FHE computation involved
+    function _takeAuditSnapshot(uint256 _auditId) internal {
+        Audit storage audit = audits[_auditId];
+        Team storage team = teams[audit.teamId];
+        address auditor = audit.auditor;
+
+        audit.snapshotAt = block.timestamp;
+        audit.payroll = FHE.allow(team.encryptedTotalPayroll, auditor);
+        audit.salaryCap = FHE.allow(team.encryptedSalaryCap, auditor);
+
+        delete audit.athleteIds;
+        delete audit.salaries;
+        delete audit.bonuses;
+        for (uint256 i = 0; i < team.athleteIds.length; i++) {
+            Athlete storage athlete = athletes[team.athleteIds[i]];
+            if (!athlete.isActive) {
+                continue;
+            }
+            audit.athleteIds.push(team.athleteIds[i]);
+            audit.salaries.push(FHE.allow(athlete.encryptedSalary, auditor));
+            audit.bonuses.push(FHE.allow(athlete.encryptedBonus, auditor));
+        }
+
+        emit AuditSnapshotTaken(_auditId, block.timestamp, audit.athleteIds.length);
+    }
+
+    function getAuditInfo(uint256 _auditId) external view returns (
+        uint256 teamId,
+        address auditor,
+        address openedBy,
+        uint256 openedAt,
+        uint256 expiresAt,
+        uint256 snapshotAt,
+        bool completed,
+        bool closed,
+        bool compliant,
+        bytes32 reportHash,
+        uint256 completedAt
+    ) {
+        _checkValidAudit(_auditId);
+        Audit storage audit = audits[_auditId];
+        return (
+            audit.teamId,
+            audit.auditor,
+            audit.openedBy,
+            audit.openedAt,
+            audit.expiresAt,
+            audit.snapshotAt,
+            audit.completed,
+            audit.closed,
+            audit.compliant,
+            audit.reportHash,
+            audit.completedAt
+        );
+    }
+
+    /**
+     * @notice Handles of the audit's latest snapshot; only the auditor (besides
+     *         the usual holders) can decrypt them
+     */
+    function getAuditSnapshot(uint256 _auditId) external view returns (
+        euint64 payroll,
+        euint32 salaryCap,
+        uint256[] memory athleteIds,
+        euint32[] memory salaries,
+        euint32[] memory bonuses
+    ) {
+        _checkValidAudit(_auditId);
+        Audit storage audit = audits[_auditId];
+        return (audit.payroll, audit.salaryCap, audit.athleteIds, audit.salaries, audit.bonuses);
+    }
+
+    function getAuditCount() external view returns (uint256) {
+        return auditCounter;
+    }
+
+    function getTeamAudits(uint256 _teamId) external view returns (uint256[] memory) {
+        return auditsByTeam[_teamId];
+    }
+
+    function getAuditorAudits(address _auditor) external view returns (uint256[] memory) {
+        return auditsByAuditor[_auditor];
+    }
+
+    // =============================================================================
+    // Payroll Extension
+    // =============================================================================
+
+    /**
+     * @notice Forward every other call to ConfidentialSportsPayrollExtension
+     * @dev Immutables live in the code, so payrollExtension resolves to the same
+     *      address when this code runs by delegatecall from the main contract.
+     */
+    fallback() external {
+        address target = payrollExtension;
+        assembly ("memory-safe") {
+            let ptr := mload(0x40)
+            calldatacopy(ptr, 0, calldatasize())
+            let success := delegatecall(gas(), target, ptr, calldatasize(), 0, 0)
+            returndatacopy(ptr, 0, returndatasize())
+            if iszero(success) {
+                revert(ptr, returndatasize())
+            }
+            return(ptr, returndatasize())
+        }
+    }
+}
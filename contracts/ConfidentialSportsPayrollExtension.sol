@@ -0,0 +1,351 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE, euint32, euint64, ebool, externalEuint32, externalEuint64 } from "@fhevm/solidity/lib/FHE.sol";
+import { ConfidentialSportsStorage } from "./ConfidentialSportsStorage.sol";
+import { IConfidentialToken } from "./IConfidentialToken.sol";
+
+/**
+ * @title ConfidentialSportsPayrollExtension
+ * @notice Salary disbursement and performance bonuses of ConfidentialSportsContract
+ * @dev Deployed by ConfidentialSportsExtension and reached through its fallback, so
+ *      calls arrive as a delegatecall of a delegatecall: the code runs on the main
+ *      contract's storage and FHE ACL like the extension's own.
+ */
+contract ConfidentialSportsPayrollExtension is ConfidentialSportsStorage {
+
+    // Salaries are annual and paid in twelve periods, at least PAY_PERIOD apart.
+    // A runPayroll call pays at most MAX_PAYMENTS_PER_RUN athletes to stay under
+    // the per-transaction HCU depth limit; larger rosters take several calls.
+    uint256 public constant PAY_PERIOD = 30 days;
+    uint256 public constant PAY_PERIODS_PER_YEAR = 12;
+    uint256 public constant MAX_PAYMENTS_PER_RUN = 7;
+
+    // Season stats bonus clauses can be based on, by index. Every posted game
+    // counts one game played. Clauses per athlete are capped so that posting a
+    // game's stats, which re-evaluates all of them, stays cheap.
+    uint8 internal constant STAT_GAMES_PLAYED = 0;
+    uint8 internal constant STAT_POINTS = 1;
+    uint8 internal constant STAT_ASSISTS = 2;
+    uint8 internal constant STAT_REBOUNDS = 3;
+    uint256 public constant MAX_BONUS_CLAUSES = 5;
+
+    // =============================================================================
+    // Salary Disbursement
+    // =============================================================================
+
+    /**
+     * @notice Set the confidential token salaries are paid in (admin, once)
+     * @dev Fixed once set: escrow balances are denominated in it
+     */
+    function setPayrollToken(address _token) external onlyAdmin {
+        require(payrollToken == address(0), "Payroll token already set");
+        require(_token != address(0), "Invalid token address");
+
+        payrollToken = _token;
+        emit PayrollTokenSet(_token);
+    }
+
+    /**
+     * @notice Move an encrypted amount of the payroll token from the caller into
+     *         the team's escrow (team manager or delegate)
+     * @dev The caller must first make this contract an operator on the token.
+     *      A deposit larger than the caller's balance moves, and credits, nothing.
+     */
+    function depositPayroll(uint256 _teamId, externalEuint64 _encryptedAmount, bytes calldata _inputProof)
+      external
+      validTeam(_teamId)
+      onlyTeamManager(_teamId) {
+
+        address token = _checkPayrollToken();
+        euint64 amount = FHE.fromExternal(_encryptedAmount, _inputProof);
+        FHE.allowTransient(amount, token);
+        euint64 deposited = IConfidentialToken(token).confidentialTransferFrom(msg.sender, address(this), amount);
+
+        euint64 escrow = payrollEscrows[_teamId];
+        escrow = FHE.isInitialized(escrow) ? FHE.add(escrow, deposited) : deposited;
+        _storeEscrow(_teamId, escrow);
+
+        emit PayrollDeposited(_teamId, msg.sender);
+    }
+
+    /**
+     * @notice Pay the team's athletes for a period (team manager, delegate or admin)
+     * @dev The first call for a period starts it, with the roster at that time,
+     *      and must come PAY_PERIOD after the previous period started. Each call
+     *      pays up to MAX_PAYMENTS_PER_RUN athletes; call again with the same
+     *      period until PayrollRunCompleted. Athletes deactivated or traded away
+     *      since the period started are skipped; athletes traded or signed over
+     *      from other teams since are paid after the rest, once per period. Each
+     *      team pays its own periods, so an athlete moved mid-period can be paid by
+     *      both teams for overlapping periods. Each payment is the athlete's
+     *      annual salary / PAY_PERIODS_PER_YEAR when the escrow covers it, zero
+     *      otherwise; bonuses are not paid out here.
+     */
+    function runPayroll(uint256 _teamId, uint256 _period) external validTeam(_teamId) {
+        require(_isTeamManager(_teamId, msg.sender) || _isAdmin(msg.sender), "Not authorized: team manager only");
+        address token = _checkPayrollToken();
+
+        PayrollRun storage run = payrollRuns[_teamId];
+        if (_period == run.period + 1 && (run.period == 0 || run.completed)) {
+            require(run.period == 0 || block.timestamp >= run.startedAt + PAY_PERIOD, "Payroll period not due");
+            run.period = _period;
+            run.startedAt = block.timestamp;
+            run.athleteIds = teams[_teamId].athleteIds;
+            run.nextIndex = 0;
+            run.paidCount = 0;
+            run.completed = false;
+            emit PayrollRunStarted(_teamId, _period, run.athleteIds.length);
+        } else {
+            require(_period == run.period && !run.completed, "Invalid payroll period");
+        }
+
+        euint64 escrow = payrollEscrows[_teamId];
+        uint256 end = run.nextIndex + MAX_PAYMENTS_PER_RUN;
+        if (end > run.athleteIds.length) {
+            end = run.athleteIds.length;
+        }
+
+        for (uint256 i = run.nextIndex; i < end; i++) {
+            uint256 athleteId = run.athleteIds[i];
+            Athlete storage athlete = athletes[athleteId];
+            if (!athlete.isActive || athlete.teamId != _teamId || _isPaid(athleteId, _teamId, run)) {
+                continue;
+            }
+            if (!FHE.isInitialized(escrow)) {
+                escrow = FHE.asEuint64(0);
+            }
+
+            euint64 salary = FHE.div(FHE.asEuint64(athlete.encryptedSalary), uint64(PAY_PERIODS_PER_YEAR));
+            euint64 pay = FHE.select(FHE.ge(escrow, salary), salary, FHE.asEuint64(0));
+
+            FHE.allowTransient(pay, token);
+            euint64 paid = IConfidentialToken(token).confidentialTransfer(athlete.athleteAddress, pay);
+            // The token reports what actually moved; only that leaves the escrow
+            escrow = FHE.sub(escrow, paid);
+            FHE.allowThis(paid);
+            FHE.allow(paid, athlete.athleteAddress);
+            FHE.allow(paid, teams[_teamId].teamManager);
+
+            athletePayments[athleteId].push(Payment(_teamId, _period, paid, block.timestamp));
+            run.paidCount++;
+            emit SalaryPaid(_teamId, _period, athleteId);
+        }
+
+        if (FHE.isInitialized(escrow)) {
+            _storeEscrow(_teamId, escrow);
+        }
+        run.nextIndex = end;
+        if (end == run.athleteIds.length) {
+            run.completed = true;
+            emit PayrollRunCompleted(_teamId, _period, run.paidCount);
+        }
+    }
+
+    /**
+     * @notice Return a deactivated team's escrow to its manager (team manager,
+     *         delegate or admin)
+     * @dev runPayroll and depositPayroll only serve active teams, so without this
+     *      the escrow of a deactivated team would stay locked in the contract.
+     */
+    function withdrawPayrollEscrow(uint256 _teamId) external {
+        require(_teamId > 0 && _teamId <= teamCounter, "Invalid team ID");
+        require(_isTeamManager(_teamId, msg.sender) || _isAdmin(msg.sender), "Not authorized: team manager only");
+        require(!teams[_teamId].isActive, "Team is active");
+        address token = _checkPayrollToken();
+        euint64 escrow = payrollEscrows[_teamId];
+        require(FHE.isInitialized(escrow), "No payroll escrow");
+
+        address manager = teams[_teamId].teamManager;
+        FHE.allowTransient(escrow, token);
+        euint64 withdrawn = IConfidentialToken(token).confidentialTransfer(manager, escrow);
+        _storeEscrow(_teamId, FHE.sub(escrow, withdrawn));
+
+        emit PayrollWithdrawn(_teamId, manager);
+    }
+
+    /**
+     * @dev Whether the team already paid the athlete for the run's period: an athlete
+     *      traded away and back during a period is listed in the run twice. Only
+     *      payments made since the period started are looked at.
+     */
+    function _isPaid(uint256 _athleteId, uint256 _teamId, PayrollRun storage _run) internal view returns (bool) {
+        Payment[] storage payments = athletePayments[_athleteId];
+        for (uint256 i = payments.length; i > 0 && payments[i - 1].paidAt >= _run.startedAt; i--) {
+            if (payments[i - 1].teamId == _teamId && payments[i - 1].period == _run.period) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    function _checkPayrollToken() internal view returns (address) {
+        require(payrollToken != address(0), "Payroll token not set");
+        return payrollToken;
+    }
+
+    function _storeEscrow(uint256 _teamId, euint64 _escrow) internal {
+        payrollEscrows[_teamId] = _escrow;
+        FHE.allowThis(_escrow);
+        FHE.allow(_escrow, teams[_teamId].teamManager);
+    }
+
+    function getPayrollToken() external view returns (address) {
+        return payrollToken;
+    }
+
+    /**
+     * @notice Encrypted escrow balance of the team, readable by its manager
+     */
+    function getPayrollEscrow(uint256 _teamId) external view returns (euint64) {
+        return payrollEscrows[_teamId];
+    }
+
+    function getPayrollRun(uint256 _teamId) external view returns (
+        uint256 period,
+        uint256 startedAt,
+        uint256 athleteCount,
+        uint256 nextIndex,
+        uint256 paidCount,
+        bool completed
+    ) {
+        PayrollRun storage run = payrollRuns[_teamId];
+        return (run.period, run.startedAt, run.athleteIds.length, run.nextIndex, run.paidCount, run.completed);
+    }
+
+    function getPaymentCount(uint256 _athleteId) external view returns (uint256) {
+        return athletePayments[_athleteId].length;
+    }
+
+    /**
+     * @notice The athlete's salary payments, oldest first; amounts are readable
+     *         by the athlete and the paying team's manager
+     */
+    function getAthletePayments(uint256 _athleteId) external view returns (Payment[] memory) {
+        return athletePayments[_athleteId];
+    }
+
+    // =============================================================================
+    // Performance Bonuses
+    // =============================================================================
+
+    /**
+     * @notice Add a bonus clause to an athlete's contract: the encrypted amount is
+     *         earned each season the athlete's total of _stat reaches the
+     *         encrypted threshold (team manager or delegate)
+     * @dev Clauses only add to what the athlete can earn, so the team adds them
+     *      on its own and they cannot be removed. The current season's earned
+     *      bonus is re-evaluated with the new clause.
+     */
+    function addBonusClause(
+        uint256 _athleteId,
+        uint8 _stat,
+        externalEuint32 _encryptedThreshold,
+        externalEuint32 _encryptedAmount,
+        bytes calldata _inputProof
+    ) external validAthlete(_athleteId) onlyTeamManager(athletes[_athleteId].teamId) {
+        require(_stat <= STAT_REBOUNDS, "Invalid stat");
+        BonusClause[] storage clauses = bonusClauses[_athleteId];
+        require(clauses.length < MAX_BONUS_CLAUSES, "Too many bonus clauses");
+
+        Athlete storage athlete = athletes[_athleteId];
+        euint32 threshold = FHE.fromExternal(_encryptedThreshold, _inputProof);
+        euint32 amount = FHE.fromExternal(_encryptedAmount, _inputProof);
+        _allowAthleteAndManager(threshold, athlete);
+        _allowAthleteAndManager(amount, athlete);
+
+        clauses.push(BonusClause(_stat, threshold, amount));
+        emit BonusClauseAdded(_athleteId, clauses.length - 1, _stat);
+
+        _updateEarnedBonus(_athleteId);
+    }
+
+    /**
+     * @notice Add one game's statistics to the athlete's current season totals
+     *         and re-evaluate their bonus clauses (stats oracle)
+     * @dev Each (athlete, game) pair can be posted once, so replaying a stats
+     *      feed after an interruption is safe.
+     */
+    function postGameStats(
+        uint256 _athleteId,
+        uint256 _gameId,
+        uint32 _points,
+        uint32 _assists,
+        uint32 _rebounds
+    ) external validAthlete(_athleteId) {
+        require(_hasRole(STATS_ORACLE_ROLE, 0, msg.sender), "Not authorized: stats oracle only");
+        require(!postedGames[_athleteId][_gameId], "Game stats already posted");
+        postedGames[_athleteId][_gameId] = true;
+
+        uint32[4] storage stats = seasonStats[_athleteId][currentSeason];
+        stats[STAT_GAMES_PLAYED] += 1;
+        stats[STAT_POINTS] += _points;
+        stats[STAT_ASSISTS] += _assists;
+        stats[STAT_REBOUNDS] += _rebounds;
+        emit GameStatsPosted(_athleteId, _gameId, currentSeason);
+
+        _updateEarnedBonus(_athleteId);
+    }
+
+    // Sum of the amounts of the clauses whose threshold the season's plaintext
+    // stats reach, so no comparison result is ever revealed. Summed in euint64:
+    // MAX_BONUS_CLAUSES euint32 amounts can add up past 2^32 and wrap around.
+    function _updateEarnedBonus(uint256 _athleteId) internal {
+        BonusClause[] storage clauses = bonusClauses[_athleteId];
+        if (clauses.length == 0) {
+            return;
+        }
+
+        uint32[4] storage stats = seasonStats[_athleteId][currentSeason];
+        euint32 zero = FHE.asEuint32(0);
+        euint64 earned = FHE.asEuint64(0);
+        for (uint256 i = 0; i < clauses.length; i++) {
+            BonusClause storage clause = clauses[i];
+            ebool reached = FHE.le(clause.threshold, stats[clause.stat]);
+            earned = FHE.add(earned, FHE.asEuint64(FHE.select(reached, clause.amount, zero)));
+        }
+
+        earnedBonuses[_athleteId][currentSeason] = earned;
+        _allowAthleteAndManager(earned, athletes[_athleteId]);
+    }
+
+    function _allowAthleteAndManager(euint32 _value, Athlete storage _athlete) internal {
+        FHE.allowThis(_value);
+        FHE.allow(_value, _athlete.athleteAddress);
+        FHE.allow(_value, teams[_athlete.teamId].teamManager);
+    }
+
+    function _allowAthleteAndManager(euint64 _value, Athlete storage _athlete) internal {
+        FHE.allowThis(_value);
+        FHE.allow(_value, _athlete.athleteAddress);
+        FHE.allow(_value, teams[_athlete.teamId].teamManager);
+    }
+
+    /**
+     * @notice The athlete's bonus clauses; thresholds and amounts are readable by
+     *         the athlete and the manager of the team that added them
+     */
+    function getBonusClauses(uint256 _athleteId) external view returns (BonusClause[] memory) {
+        return bonusClauses[_athleteId];
+    }
+
+    /**
+     * @notice Season totals: games played, points, assists, rebounds
+     */
+    function getSeasonStats(uint256 _athleteId, uint256 _season) external view returns (uint32[4] memory) {
+        return seasonStats[_athleteId][_season];
+    }
+
+    /**
+     * @notice Encrypted clause bonuses the athlete earned in a season, readable by
+     *         the athlete and their team's manager; uninitialized until stats are
+     *         posted or a clause is added that season
+     */
+    function getEarnedBonus(uint256 _athleteId, uint256 _season) external view returns (euint64) {
+        return earnedBonuses[_athleteId][_season];
+    }
+
+    function isGameStatsPosted(uint256 _athleteId, uint256 _gameId) external view returns (bool) {
+        return postedGames[_athleteId][_gameId];
+    }
+}
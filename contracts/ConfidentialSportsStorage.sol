@@ -0,0 +1,598 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE, euint32, euint64, ebool } from "@fhevm/solidity/lib/FHE.sol";
+import { SepoliaConfig } from "@fhevm/solidity/config/ZamaConfig.sol";
+
+/**
+ * @title ConfidentialSportsStorage
+ * @notice State, events and access checks shared by ConfidentialSportsContract
+ *         and ConfidentialSportsExtension
+ * @dev The extension runs through delegatecall on the main contract's storage, so
+ *      both contracts must have the same layout. Declare state here, never in
+ *      either contract.
+ */
+abstract contract ConfidentialSportsStorage is SepoliaConfig {
+
+    // =============================================================================
+    // State Variables
+    // =============================================================================
+
+    address public contractOwner;
+    address public pendingOwner;    // Proposed by transferOwnership, takes over with acceptOwnership
+    uint256 public currentSeason;
+    uint256 public totalTeams;
+
+    // Timeout and refund configuration
+    uint256 public constant DECRYPTION_TIMEOUT = 1 hours;
+    uint256 public constant MAX_CONTRACT_DURATION = 10 * 365 days; // 10 years max
+    uint256 public constant MIN_SALARY = 0.001 ether;
+    uint256 public constant MAX_SALARY_CAP = 1000000 ether;
+    uint256 public constant NEGOTIATION_WINDOW = 30 days;
+    uint256 public constant MAX_NEGOTIATION_ROUNDS = 10;
+
+    // ContractRejected reasons
+    uint256 public constant REJECTION_DECLINED = 0;
+    uint256 public constant REJECTION_COUNTERED = 1;
+
+    // Privacy multiplier for obfuscation
+    uint256 internal constant PRIVACY_MULTIPLIER = 1000;
+
+    // Roles held through grantRole, with a scope: the team ID for
+    // TEAM_DELEGATE_ROLE, 0 for the contract-wide roles. Each league's
+    // commissioner is set on the league itself. Internal to save code size:
+    // clients derive the IDs from the names the same way.
+    bytes32 internal constant LEAGUE_ADMIN_ROLE = keccak256("LEAGUE_ADMIN_ROLE");
+    bytes32 internal constant AUDITOR_ROLE = keccak256("AUDITOR_ROLE");
+    bytes32 internal constant TEAM_DELEGATE_ROLE = keccak256("TEAM_DELEGATE_ROLE");
+    bytes32 internal constant STATS_ORACLE_ROLE = keccak256("STATS_ORACLE_ROLE");
+
+    // Plaintext limits a league sets for its teams; encrypted amounts are compared against them
+    struct LeagueRules {
+        uint32 minSalary;
+        uint32 maxSalary;
+        uint32 maxCapSharePercent;  // Max salary + bonus of one athlete, as a share of the team's cap
+        uint32 maxRosterSize;       // Roster entries, deactivated athletes included
+        uint32 minContractMonths;
+        uint32 maxContractMonths;
+    }
+
+    struct League {
+        string name;
+        address commissioner;
+        LeagueRules rules;
+        uint256 createdAt;
+    }
+
+    struct Athlete {
+        string name;
+        string position;
+        uint256 teamId;
+        euint32 encryptedSalary;
+        euint32 encryptedBonus;
+        bool isActive;
+        uint256 contractStart;
+        uint256 contractEnd;
+        address athleteAddress;
+        uint256 lastUpdateTime;
+        euint32 obfuscatedSalary; // Privacy-protected salary with multiplier
+    }
+
+    struct Team {
+        string teamName;
+        string league;
+        address teamManager;
+        euint64 encryptedTotalPayroll;      // Sum of euint32 compensations, wide enough not to wrap
+        euint32 encryptedSalaryCap;
+        uint256[] athleteIds;
+        bool isActive;
+        uint256 lastPayrollUpdate;
+        uint256 decryptionRequestId;
+        bool pendingDecryption;
+        uint256 leagueId;
+    }
+
+    struct ContractProposal {
+        uint256 athleteId;
+        uint256 teamId;
+        euint32 proposedSalary;
+        euint32 proposedBonus;
+        uint256 contractDuration;
+        bool isPending;
+        bool isApproved;
+        bool isRejected;
+        address proposer;
+        uint256 timestamp;
+        uint256 expiryTime;
+        uint256 decryptionRequestId;
+        bool callbackReceived;
+    }
+
+    struct Negotiation {
+        uint256 athleteId;
+        uint256 teamId;
+        uint256 latestProposalId;  // The only round that can still be pending
+        uint256 roundCount;
+        uint256 openedAt;
+        uint256 expiryTime;        // Shared by every round of the thread
+    }
+
+    struct TradeProposal {
+        uint256 athleteId;
+        uint256 fromTeamId;
+        uint256 toTeamId;
+        address proposer;              // Manager of the acquiring team
+        bool releasingTeamApproved;    // Manager of fromTeamId agreed
+        bool athleteConsented;
+        bool isPending;
+        bool isCompleted;
+        uint256 timestamp;
+        uint256 expiryTime;
+    }
+
+    // Whether the athlete's contract fits the acquiring team of a trade, published
+    // through the gateway before the trade can execute
+    struct TradeCheck {
+        ebool withinCap;             // Acquiring team's payroll with the athlete <= its cap
+        ebool meetsRules;            // Contract within the acquiring team's league rules
+        uint256 requestId;           // Latest decryption request, the only one whose callback counts
+        bool decrypted;              // Callback for requestId received
+        bool publicWithinCap;        // Decrypted results, valid once decrypted
+        bool publicMeetsRules;
+        uint256 fromPayrollVersion;  // payrollVersions of both teams the check saw
+        uint256 toPayrollVersion;
+    }
+
+    struct ComplianceCheck {
+        ebool isCompliant;        // Latest encrypted payroll <= cap result
+        uint256 checkedAt;
+        uint256 checkBlock;
+        bool attested;            // Result published through the gateway
+        bool publicResult;        // Decrypted result, valid once attested
+        uint256 attestedAt;
+    }
+
+    // A commissioner's audit of a team's payroll. The auditor is allowed to
+    // decrypt the handles of the latest snapshot; values written after it get
+    // new handles the auditor cannot read.
+    struct Audit {
+        uint256 teamId;
+        address auditor;
+        address openedBy;         // The league's commissioner
+        uint256 openedAt;
+        uint256 expiresAt;        // Snapshots and the result are only accepted until then
+        uint256 snapshotAt;
+        euint64 payroll;
+        euint32 salaryCap;
+        uint256[] athleteIds;     // Active roster at snapshotAt
+        euint32[] salaries;       // Parallel to athleteIds
+        euint32[] bonuses;
+        bool completed;           // Result recorded by the auditor
+        bool closed;              // Closed early by the commissioner
+        bool compliant;           // Auditor's finding, valid once completed
+        bytes32 reportHash;       // Hash of the auditor's signed report
+        uint256 completedAt;
+    }
+
+    // A team's latest payroll period. Athletes are paid from the roster as it was
+    // when the period started, plus the athletes traded or signed over from other
+    // teams while it was under way, over as many runPayroll calls as it takes.
+    struct PayrollRun {
+        uint256 period;           // 0 before the team's first period
+        uint256 startedAt;
+        uint256[] athleteIds;     // Roster at startedAt, then each athlete moved in before completion
+        uint256 nextIndex;        // Next athleteIds entry to pay
+        uint256 paidCount;        // Athletes paid so far, inactive or traded ones skipped
+        bool completed;
+    }
+
+    // One salary payment of an athlete; the amount is readable by the athlete and the team's manager
+    struct Payment {
+        uint256 teamId;
+        uint256 period;
+        euint64 amount;           // Zero when the team's escrow could not cover the salary
+        uint256 paidAt;
+    }
+
+    // Performance bonus: amount is earned in a season once the athlete's total of
+    // the stat reaches threshold. Both stay encrypted; the stat is public.
+    struct BonusClause {
+        uint8 stat;               // Index into the season stats, see ConfidentialSportsExtension
+        euint32 threshold;
+        euint32 amount;
+    }
+
+    struct DecryptionRequest {
+        uint256 requestId;
+        uint256 timestamp;
+        address requester;
+        bool completed;
+        bool timedOut;
+        string requestType; // "proposal", "salary_check", "payroll"
+        uint256 targetId;
+    }
+
+    // =============================================================================
+    // Mappings
+    // =============================================================================
+
+    mapping(uint256 => League) internal leagues;
+    mapping(uint256 => uint256[]) internal leagueTeams;           // leagueId => teamIds
+    mapping(uint256 => Athlete) public athletes;
+    mapping(uint256 => Team) public teams;
+    mapping(uint256 => ContractProposal) public proposals;
+    mapping(address => uint256[]) public athletesByAddress;
+    mapping(address => uint256[]) public teamsByManager;
+    mapping(uint256 => uint256[]) public proposalsByAthlete;
+    mapping(uint256 => Negotiation) public negotiations;
+    mapping(uint256 => uint256[]) public negotiationRounds;      // negotiationId => proposalIds, oldest first
+    mapping(uint256 => uint256) public proposalNegotiation;      // proposalId => negotiationId
+    mapping(uint256 => uint256[]) public negotiationsByTeam;
+    mapping(uint256 => uint256[]) public negotiationsByAthlete;
+    mapping(uint256 => euint32) internal reservationSalaries;    // athleteId => sealed minimum acceptable salary
+    mapping(uint256 => ebool) internal reservationMatches;       // proposalId => proposedSalary >= reservation
+    mapping(uint256 => ebool) internal capRoomChecks;            // proposalId => team payroll after signing <= cap
+    mapping(uint256 => bool) internal proposalWithinCap;         // proposalId => decrypted capRoomChecks, set by the callback
+    mapping(uint256 => ebool) internal leagueRuleChecks;         // proposalId => offer within its league's salary rules
+    mapping(uint256 => bool) internal proposalMeetsRules;        // proposalId => decrypted leagueRuleChecks, set by the callback
+    mapping(uint256 => uint256) internal payrollVersions;        // teamId => payroll changes so far
+    mapping(uint256 => uint256) internal proposalPayrollVersions; // proposalId => payrollVersions of its team the decrypted checks saw
+    mapping(uint256 => DecryptionRequest) public decryptionRequests;
+    mapping(uint256 => ComplianceCheck) public complianceChecks;   // teamId => the manager's latest check, the attestable one
+    mapping(uint256 => mapping(address => ComplianceCheck)) internal roleComplianceChecks; // teamId => caller => latest check by a delegate, admin or auditor
+    mapping(uint256 => TradeProposal) public trades;
+    mapping(uint256 => uint256[]) public tradesByTeam;
+    mapping(uint256 => uint256[]) public tradesByAthlete;
+    mapping(uint256 => TradeCheck) internal tradeChecks;
+    mapping(uint256 => uint256) internal rosterIndex; // athleteId => position in its team's athleteIds
+    mapping(uint256 => string) internal requestIdToType;
+    mapping(bytes32 => mapping(uint256 => address[])) internal roleMembers;                      // role => scopeId => holders
+    mapping(bytes32 => mapping(uint256 => mapping(address => uint256))) internal roleMemberIndex; // position in roleMembers + 1, 0 if not held
+    mapping(uint256 => bool) public callbackCompleted;
+    mapping(uint256 => Audit) internal audits;
+    mapping(uint256 => uint256[]) internal auditsByTeam;
+    mapping(address => uint256[]) internal auditsByAuditor;
+    mapping(uint256 => euint64) internal payrollEscrows;         // teamId => deposited and not yet paid out
+    mapping(uint256 => PayrollRun) internal payrollRuns;         // teamId => latest period
+    mapping(uint256 => Payment[]) internal athletePayments;      // athleteId => payments, oldest first
+    mapping(uint256 => BonusClause[]) internal bonusClauses;     // athleteId => clauses, in the order added
+    mapping(uint256 => mapping(uint256 => uint32[4])) internal seasonStats;   // athleteId => season => totals by stat
+    mapping(uint256 => mapping(uint256 => euint64)) internal earnedBonuses;   // athleteId => season => clause bonuses earned
+    mapping(uint256 => mapping(uint256 => bool)) internal postedGames;        // athleteId => gameId => stats posted
+
+    uint256 public athleteCounter;
+    uint256 public teamCounter;
+    uint256 public proposalCounter;
+    uint256 public decryptionCounter;
+    uint256 public tradeCounter;
+    uint256 public negotiationCounter;
+    uint256 public leagueCounter;
+    uint256 internal auditCounter;
+    address internal payrollToken;   // ERC-7984-style confidential token salaries are paid in
+
+    // =============================================================================
+    // Events
+    // =============================================================================
+
+    event AthleteRegistered(uint256 indexed athleteId, string name, uint256 teamId);
+    event TeamRegistered(uint256 indexed teamId, string teamName, address manager);
+    event LeagueCreated(uint256 indexed leagueId, string name, address commissioner);
+    event LeagueRulesUpdated(uint256 indexed leagueId, address updatedBy);
+    event LeagueCommissionerChanged(uint256 indexed leagueId, address commissioner);
+    event SalaryUpdated(uint256 indexed athleteId, uint256 timestamp);
+    event ContractProposed(uint256 indexed proposalId, uint256 athleteId, uint256 teamId);
+    event ContractApproved(uint256 indexed proposalId, uint256 athleteId, uint256 teamId);
+    event ContractRejected(uint256 indexed proposalId, uint256 athleteId, uint256 reason);
+    event PayrollUpdated(uint256 indexed teamId, uint256 timestamp);
+    event SeasonStarted(uint256 indexed season, uint256 timestamp);
+    event DecryptionRequested(uint256 indexed requestId, string requestType, uint256 targetId);
+    event DecryptionCompleted(uint256 indexed requestId, bool success);
+    event DecryptionTimedOut(uint256 indexed requestId, uint256 timestamp);
+    event RefundIssued(address indexed recipient, uint256 amount, string reason);
+    event EmergencyWithdrawal(uint256 indexed proposalId, address recipient);
+    event SalaryCapChecked(uint256 indexed teamId, uint256 blockNumber, uint256 timestamp);
+    event SalaryCapAttested(uint256 indexed teamId, bool compliant, uint256 checkBlock);
+    event NegotiationOpened(uint256 indexed negotiationId, uint256 athleteId, uint256 teamId, uint256 expiryTime);
+    event ReservationSalarySet(uint256 indexed athleteId, uint256 timestamp);
+    event CounterProposed(uint256 indexed negotiationId, uint256 indexed proposalId, uint256 previousProposalId, address proposer, uint256 round);
+    event TradeProposed(uint256 indexed tradeId, uint256 athleteId, uint256 fromTeamId, uint256 toTeamId);
+    event TradeApproved(uint256 indexed tradeId, address approver);
+    event TradeRejected(uint256 indexed tradeId, address rejectedBy);
+    event TradeCancelled(uint256 indexed tradeId);
+    event AthleteTransferred(uint256 indexed athleteId, uint256 indexed fromTeamId, uint256 indexed toTeamId, uint256 tradeId);
+    event RoleGranted(bytes32 indexed role, uint256 indexed scopeId, address indexed account, address sender);
+    event RoleRevoked(bytes32 indexed role, uint256 indexed scopeId, address indexed account, address sender);
+    event OwnershipTransferStarted(address indexed previousOwner, address indexed newOwner);
+    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
+    event AuditOpened(uint256 indexed auditId, uint256 indexed teamId, address indexed auditor, uint256 expiresAt);
+    event AuditSnapshotTaken(uint256 indexed auditId, uint256 snapshotAt, uint256 athleteCount);
+    event AuditCompleted(uint256 indexed auditId, uint256 indexed teamId, bool compliant, bytes32 reportHash);
+    event AuditClosed(uint256 indexed auditId, address closedBy);
+    event PayrollTokenSet(address indexed token);
+    event PayrollDeposited(uint256 indexed teamId, address indexed from);
+    event PayrollWithdrawn(uint256 indexed teamId, address indexed to);
+    event PayrollRunStarted(uint256 indexed teamId, uint256 indexed period, uint256 athleteCount);
+    event SalaryPaid(uint256 indexed teamId, uint256 indexed period, uint256 indexed athleteId);
+    event PayrollRunCompleted(uint256 indexed teamId, uint256 indexed period, uint256 paidCount);
+    event BonusClauseAdded(uint256 indexed athleteId, uint256 clauseIndex, uint8 stat);
+    event GameStatsPosted(uint256 indexed athleteId, uint256 indexed gameId, uint256 indexed season);
+
+    // =============================================================================
+    // Modifiers
+    // =============================================================================
+
+    modifier onlyOwner() {
+        _checkOwner();
+        _;
+    }
+
+    modifier onlyAdmin() {
+        _checkAdmin();
+        _;
+    }
+
+    modifier onlyTeamManager(uint256 teamId) {
+        _checkTeamManager(teamId);
+        _;
+    }
+
+    modifier onlyAthlete(uint256 athleteId) {
+        _checkAthlete(athleteId);
+        _;
+    }
+
+    modifier onlyCommissioner(uint256 leagueId) {
+        _checkCommissioner(leagueId);
+        _;
+    }
+
+    modifier validLeague(uint256 leagueId) {
+        _checkValidLeague(leagueId);
+        _;
+    }
+
+    modifier validTeam(uint256 teamId) {
+        _checkValidTeam(teamId);
+        _;
+    }
+
+    modifier validAthlete(uint256 athleteId) {
+        _checkValidAthlete(athleteId);
+        _;
+    }
+
+    modifier validProposal(uint256 proposalId) {
+        _checkValidProposal(proposalId);
+        _;
+    }
+
+    modifier validNegotiation(uint256 negotiationId) {
+        _checkValidNegotiation(negotiationId);
+        _;
+    }
+
+    modifier validTrade(uint256 tradeId) {
+        _checkValidTrade(tradeId);
+        _;
+    }
+
+    // Input validation modifier
+    modifier validInput(uint256 value, uint256 min, uint256 max) {
+        _checkInput(value, min, max);
+        _;
+    }
+
+    // Modifier bodies live in functions so each check is compiled once
+    // rather than inlined at every use, keeping the contract under the
+    // EIP-170 code size limit.
+
+    function _checkOwner() private view {
+        require(msg.sender == contractOwner, "Not authorized: owner only");
+    }
+
+    function _checkAdmin() private view {
+        require(_isAdmin(msg.sender), "Not authorized: admin only");
+    }
+
+    function _checkTeamManager(uint256 teamId) private view {
+        require(_isTeamManager(teamId, msg.sender), "Not authorized: team manager only");
+    }
+
+    function _checkAthlete(uint256 athleteId) private view {
+        require(athletes[athleteId].athleteAddress == msg.sender, "Not authorized: athlete only");
+    }
+
+    function _checkCommissioner(uint256 leagueId) private view {
+        require(leagues[leagueId].commissioner == msg.sender, "Not authorized: commissioner only");
+    }
+
+    function _checkValidLeague(uint256 leagueId) private view {
+        require(leagueId > 0 && leagueId <= leagueCounter, "Invalid league ID");
+    }
+
+    function _checkValidTeam(uint256 teamId) private view {
+        require(teamId > 0 && teamId <= teamCounter, "Invalid team ID");
+        require(teams[teamId].isActive, "Team is inactive");
+    }
+
+    function _checkValidAthlete(uint256 athleteId) private view {
+        require(athleteId > 0 && athleteId <= athleteCounter, "Invalid athlete ID");
+        require(athletes[athleteId].isActive, "Athlete is inactive");
+    }
+
+    function _checkValidProposal(uint256 proposalId) private view {
+        require(proposalId > 0 && proposalId <= proposalCounter, "Invalid proposal ID");
+    }
+
+    function _checkValidNegotiation(uint256 negotiationId) private view {
+        require(negotiationId > 0 && negotiationId <= negotiationCounter, "Invalid negotiation ID");
+    }
+
+    function _checkValidTrade(uint256 tradeId) private view {
+        require(tradeId > 0 && tradeId <= tradeCounter, "Invalid trade ID");
+    }
+
+    function _checkInput(uint256 value, uint256 min, uint256 max) private pure {
+        require(value >= min && value <= max, "Input out of valid range");
+    }
+
+    // =============================================================================
+    // Roles
+    // =============================================================================
+
+    function _hasRole(bytes32 _role, uint256 _scopeId, address _account) internal view returns (bool) {
+        return roleMemberIndex[_role][_scopeId][_account] != 0;
+    }
+
+    /**
+     * @notice The owner or a league admin: registers teams, starts seasons and
+     *         overrides salaries
+     */
+    function _isAdmin(address _account) internal view returns (bool) {
+        return _account == contractOwner || _hasRole(LEAGUE_ADMIN_ROLE, 0, _account);
+    }
+
+    /**
+     * @notice The team's manager or a delegate they appointed
+     * @dev Delegates act for the manager but are never added to the FHE ACL,
+     *      so they cannot decrypt the team's payroll or salaries
+     */
+    function _isTeamManager(uint256 _teamId, address _account) internal view returns (bool) {
+        return teams[_teamId].teamManager == _account || _hasRole(TEAM_DELEGATE_ROLE, _teamId, _account);
+    }
+
+    // =============================================================================
+    // Roster & Payroll Bookkeeping
+    // =============================================================================
+
+    function _leagueRules(uint256 _teamId) internal view returns (LeagueRules storage) {
+        return leagues[teams[_teamId].leagueId].rules;
+    }
+
+    /**
+     * @notice Revert unless the team's roster has room for one more athlete
+     */
+    function _checkRosterRoom(uint256 _teamId) internal view {
+        require(teams[_teamId].athleteIds.length < _leagueRules(_teamId).maxRosterSize, "Roster full");
+    }
+
+    /**
+     * @notice The most one athlete may earn (salary + bonus) on a team: its cap share
+     */
+    function _capShareLimit(uint256 _teamId) internal returns (euint32) {
+        return FHE.mul(FHE.div(teams[_teamId].encryptedSalaryCap, 100), _leagueRules(_teamId).maxCapSharePercent);
+    }
+
+    /**
+     * @notice Whether a salary and bonus meet a team's league rules
+     * @dev Salary within [minSalary, maxSalary] and salary + bonus within the cap
+     *      share. The bonus is compared with the share the salary leaves rather than
+     *      summed with it, since a euint32 sum can wrap around below the limit.
+     */
+    function _meetsLeagueRules(uint256 _teamId, euint32 _salary, euint32 _bonus) internal returns (ebool) {
+        LeagueRules storage rules = _leagueRules(_teamId);
+        euint32 shareLimit = _capShareLimit(_teamId);
+
+        // The subtraction only wraps when the salary is over the share, which fails anyway
+        return FHE.and(
+            FHE.and(FHE.ge(_salary, rules.minSalary), FHE.le(_salary, rules.maxSalary)),
+            FHE.and(FHE.le(_salary, shareLimit), FHE.le(_bonus, FHE.sub(shareLimit, _salary)))
+        );
+    }
+
+    /**
+     * @notice Move an athlete from their team's roster to another team's roster
+     * @dev Swap-and-pop removal keeps every roster update O(1). Payroll is left to
+     *      the caller. _tradeId is 0 when the move comes from a signed contract proposal.
+     *      Reverts when the receiving roster is full under its league's rules. An
+     *      athlete moving in during the new team's payroll period is added to it.
+     */
+    function _moveAthlete(uint256 _athleteId, uint256 _toTeamId, uint256 _tradeId) internal {
+        _checkRosterRoom(_toTeamId);
+        uint256 fromTeamId = athletes[_athleteId].teamId;
+
+        uint256[] storage roster = teams[fromTeamId].athleteIds;
+        uint256 index = rosterIndex[_athleteId];
+        uint256 lastAthleteId = roster[roster.length - 1];
+        roster[index] = lastAthleteId;
+        rosterIndex[lastAthleteId] = index;
+        roster.pop();
+
+        rosterIndex[_athleteId] = teams[_toTeamId].athleteIds.length;
+        teams[_toTeamId].athleteIds.push(_athleteId);
+
+        PayrollRun storage run = payrollRuns[_toTeamId];
+        if (run.period > 0 && !run.completed) {
+            run.athleteIds.push(_athleteId);
+        }
+
+        athletes[_athleteId].teamId = _toTeamId;
+        athletes[_athleteId].lastUpdateTime = block.timestamp;
+
+        emit AthleteTransferred(_athleteId, fromTeamId, _toTeamId, _tradeId);
+    }
+
+    /**
+     * @notice Let the manager of the athlete's new team decrypt their contract:
+     *         salary, bonus, bonus clauses and the current season's earned bonus
+     * @dev Called once the athlete has joined the team. Delegates are never added
+     *      to the FHE ACL (see _isTeamManager), so they get nothing here either.
+     *      Past salary payments stay readable by the manager of the team that paid
+     *      them only, and earlier seasons' earned bonuses by the manager at the time.
+     */
+    function _grantTeamAccess(uint256 _athleteId) internal {
+        Athlete storage athlete = athletes[_athleteId];
+        address manager = teams[athlete.teamId].teamManager;
+        FHE.allow(athlete.encryptedSalary, manager);
+        FHE.allow(athlete.encryptedBonus, manager);
+
+        BonusClause[] storage clauses = bonusClauses[_athleteId];
+        for (uint256 i = 0; i < clauses.length; i++) {
+            FHE.allow(clauses[i].threshold, manager);
+            FHE.allow(clauses[i].amount, manager);
+        }
+
+        euint64 earned = earnedBonuses[_athleteId][currentSeason];
+        if (FHE.isInitialized(earned)) {
+            FHE.allow(earned, manager);
+        }
+    }
+
+    /**
+     * @notice An athlete's salary + bonus, the amount they weigh on a payroll
+     * @dev Summed in euint64: the euint32 sum of two euint32 amounts can wrap
+     *      around to a small number. Every payroll delta and cap-room projection
+     *      goes through here so they all agree on the width.
+     */
+    function _compensation64(euint32 _salary, euint32 _bonus) internal returns (euint64) {
+        return FHE.add(FHE.asEuint64(_salary), FHE.asEuint64(_bonus));
+    }
+
+    /**
+     * @notice Apply a compensation change to a team's encrypted payroll
+     * @dev payroll + _added - _removed: two FHE operations whatever the roster size.
+     *      Pass an uninitialized handle (euint64.wrap(0)) for a side with no change.
+     *      Deltas come from _compensation64; the euint64 payroll cannot wrap with
+     *      any realistic roster.
+     */
+    function _adjustTeamPayroll(uint256 _teamId, euint64 _added, euint64 _removed) internal validTeam(_teamId) {
+        Team storage team = teams[_teamId];
+        euint64 totalPayroll = team.encryptedTotalPayroll;
+
+        if (FHE.isInitialized(_added)) {
+            totalPayroll = FHE.add(totalPayroll, _added);
+        }
+        if (FHE.isInitialized(_removed)) {
+            totalPayroll = FHE.sub(totalPayroll, _removed);
+        }
+
+        team.encryptedTotalPayroll = totalPayroll;
+        team.lastPayrollUpdate = block.timestamp;
+        payrollVersions[_teamId]++;
+
+        FHE.allowThis(totalPayroll);
+        FHE.allow(totalPayroll, team.teamManager);
+
+        emit PayrollUpdated(_teamId, block.timestamp);
+    }
+}
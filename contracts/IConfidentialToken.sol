@@ -0,0 +1,41 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { euint64, externalEuint64 } from "@fhevm/solidity/lib/FHE.sol";
+
+/**
+ * @title IConfidentialToken
+ * @notice The part of the ERC-7984 confidential fungible token interface the
+ *         sports contract's payroll escrow uses
+ * @dev Balances and amounts are euint64 handles. A transfer the sender cannot
+ *      cover moves nothing instead of reverting, so callers act on the returned
+ *      amount actually transferred, which the token allows them to use.
+ */
+interface IConfidentialToken {
+    event ConfidentialTransfer(address indexed from, address indexed to, euint64 indexed amount);
+    event OperatorSet(address indexed holder, address indexed operator, uint48 until);
+
+    function name() external view returns (string memory);
+    function symbol() external view returns (string memory);
+    function decimals() external view returns (uint8);
+    function confidentialTotalSupply() external view returns (euint64);
+    function confidentialBalanceOf(address account) external view returns (euint64);
+    function isOperator(address holder, address spender) external view returns (bool);
+
+    function setOperator(address operator, uint48 until) external;
+
+    function confidentialTransfer(address to, externalEuint64 encryptedAmount, bytes calldata inputProof)
+        external
+        returns (euint64);
+
+    function confidentialTransfer(address to, euint64 amount) external returns (euint64);
+
+    function confidentialTransferFrom(
+        address from,
+        address to,
+        externalEuint64 encryptedAmount,
+        bytes calldata inputProof
+    ) external returns (euint64);
+
+    function confidentialTransferFrom(address from, address to, euint64 amount) external returns (euint64);
+}
@@ -1,32 +1,17 @@
-// Contract ABI - Replace with your actual contract ABI
-const CONTRACT_ABI = [
-    "function contractOwner() view returns (address)",
-    "function currentSeason() view returns (uint256)",
-    "function totalTeams() view returns (uint256)",
-    "function registerTeam(string _teamName, string _league, address _teamManager, uint32 _salaryCap) returns (uint256)",
-    "function registerAthlete(string _name, string _position, uint256 _teamId, address _athleteAddress, uint32 _salary, uint32 _bonus, uint256 _contractDurationMonths) returns (uint256)",
-    "function proposeContract(uint256 _athleteId, uint256 _teamId, uint32 _proposedSalary, uint32 _proposedBonus, uint256 _contractDuration) returns (uint256)",
-    "function approveContract(uint256 _proposalId)",
-    "function getAthleteInfo(uint256 _athleteId) view returns (string name, string position, uint256 teamId, bool isActive, uint256 contractStart, uint256 contractEnd, address athleteAddress)",
-    "function getTeamInfo(uint256 _teamId) view returns (string teamName, string league, address teamManager, uint256[] athleteIds, bool isActive)",
-    "function getProposalInfo(uint256 _proposalId) view returns (uint256 athleteId, uint256 teamId, uint256 contractDuration, bool isPending, bool isApproved, address proposer, uint256 timestamp)",
-    "function getCurrentStats() view returns (uint256 season, uint256 totalAthletes, uint256 activeTeams, uint256 totalProposals)",
-    "function checkSalaryCap(uint256 _teamId) view returns (bool)",
-    "event TeamRegistered(uint256 indexed teamId, string teamName, address manager)",
-    "event AthleteRegistered(uint256 indexed athleteId, string name, uint256 teamId)",
-    "event ContractProposed(uint256 indexed proposalId, uint256 athleteId, uint256 teamId)",
-    "event ContractApproved(uint256 indexed proposalId, uint256 athleteId, uint256 teamId)"
-];
+import { ethers } from 'ethers';
+import { SportsContractClient } from './lib/sportsContractClient.js';
+import { initializeFheInstance } from './lib/fhevm.js';
+import { collectExport, exportToCsv, exportToJson } from './lib/sportsExport.js';
+import { LEAGUE_RULE_FIELDS, validateLeagueRules } from './lib/leagueRules.js';
 
 // Replace with your deployed contract address
 const CONTRACT_ADDRESS = "0x0A42624B5d5e1400556a3487f2171423c57519e0";
 
 class SportsContractDApp {
     constructor() {
-        this.provider = null;
-        this.signer = null;
-        this.contract = null;
+        this.client = null;
         this.userAddress = null;
+        this.countdownTimer = null;
 
         this.initializeEventListeners();
         this.checkWalletConnection();
@@ -47,10 +32,30 @@ class SportsContractDApp {
 
     initializeEventListeners() {
         document.getElementById('connectWallet').addEventListener('click', () => this.connectWallet());
+        document.getElementById('createLeague').addEventListener('click', () => this.createLeague());
+        document.getElementById('updateLeagueRules').addEventListener('click', () => this.updateLeagueRules());
+        document.getElementById('loadLeagues').addEventListener('click', () => this.loadLeagues());
+        document.getElementById('grantRole').addEventListener('click', () => this.changeRole('grantRole'));
+        document.getElementById('revokeRole').addEventListener('click', () => this.changeRole('revokeRole'));
+        document.getElementById('transferOwnership').addEventListener('click', () => this.transferOwnership());
+        document.getElementById('acceptOwnership').addEventListener('click', () => this.acceptOwnership());
+        document.getElementById('loadAccessControl').addEventListener('click', () => this.loadAccessControl());
         document.getElementById('registerTeam').addEventListener('click', () => this.registerTeam());
         document.getElementById('registerAthlete').addEventListener('click', () => this.registerAthlete());
+        document.getElementById('previewCapRoom').addEventListener('click', () => this.previewCapRoom());
         document.getElementById('proposeContract').addEventListener('click', () => this.proposeContract());
         document.getElementById('executeQuery').addEventListener('click', () => this.executeQuery());
+        document.getElementById('loadManagerDashboard').addEventListener('click', () => this.loadManagerDashboard());
+        document.getElementById('loadPaymentHistory').addEventListener('click', () => this.loadPaymentHistory());
+        document.getElementById('loadBonuses').addEventListener('click', () => this.loadBonuses());
+        document.getElementById('loadProposalInbox').addEventListener('click', () => this.loadProposalInbox());
+        document.getElementById('setReservationSalary').addEventListener('click', () => this.setReservationSalary());
+        document.getElementById('counterProposal').addEventListener('click', () => this.counterProposal());
+        document.getElementById('loadNegotiations').addEventListener('click', () => this.loadNegotiations());
+        document.getElementById('proposeTrade').addEventListener('click', () => this.proposeTrade());
+        document.getElementById('loadTrades').addEventListener('click', () => this.loadTrades());
+        document.getElementById('loadTransfers').addEventListener('click', () => this.loadTransfers());
+        document.getElementById('exportData').addEventListener('click', () => this.exportData());
     }
 
     async connectWallet() {
@@ -64,12 +69,12 @@ class SportsContractDApp {
                 method: 'eth_requestAccounts'
             });
 
-            this.provider = new ethers.providers.Web3Provider(window.ethereum);
-            this.signer = this.provider.getSigner();
             this.userAddress = accounts[0];
 
-            // Initialize contract
-            this.contract = new ethers.Contract(CONTRACT_ADDRESS, CONTRACT_ABI, this.signer);
+            // Initialize FHE encryption and contract client
+            this.showMessage('Initializing FHE encryption...', 'info');
+            const fhe = await initializeFheInstance(window.ethereum);
+            this.client = await SportsContractClient.fromEip1193(CONTRACT_ADDRESS, window.ethereum, { fhe });
 
             this.updateWalletUI(true);
             this.showMessage('Wallet connected successfully!', 'success');
@@ -104,15 +109,15 @@ class SportsContractDApp {
     }
 
     async loadStats() {
-        if (!this.contract) return;
+        if (!this.client) return;
 
         try {
-            const stats = await this.contract.getCurrentStats();
+            const stats = await this.client.getStats();
 
-            document.getElementById('currentSeason').textContent = stats.season.toString();
-            document.getElementById('totalAthletes').textContent = stats.totalAthletes.toString();
-            document.getElementById('activeTeams').textContent = stats.activeTeams.toString();
-            document.getElementById('totalProposals').textContent = stats.totalProposals.toString();
+            document.getElementById('currentSeason').textContent = stats.season;
+            document.getElementById('totalAthletes').textContent = stats.totalAthletes;
+            document.getElementById('activeTeams').textContent = stats.activeTeams;
+            document.getElementById('totalProposals').textContent = stats.totalProposals;
 
         } catch (error) {
             console.error('Error loading stats:', error);
@@ -120,42 +125,330 @@ class SportsContractDApp {
         }
     }
 
+    // Rules typed into the Leagues card; empty fields are reported by validateLeagueRules
+    readLeagueRules() {
+        const rules = {};
+        for (const { key } of LEAGUE_RULE_FIELDS) {
+            const { value } = document.getElementById(this.leagueRuleInputId(key));
+            rules[key] = value === '' ? NaN : Number(value);
+        }
+        return rules;
+    }
+
+    async createLeague() {
+        if (!this.client) {
+            this.showMessage('Please connect your wallet first', 'error');
+            return;
+        }
+
+        try {
+            const name = document.getElementById('leagueName').value;
+            const commissioner = document.getElementById('leagueCommissioner').value;
+            const rules = this.readLeagueRules();
+
+            if (!name || !commissioner) {
+                this.showMessage('Please enter the league name and commissioner', 'error');
+                return;
+            }
+
+            if (!ethers.isAddress(commissioner)) {
+                this.showMessage('Invalid commissioner address', 'error');
+                return;
+            }
+
+            const problems = validateLeagueRules(rules);
+            if (problems.length) {
+                this.showMessage(problems.join('. '), 'error');
+                return;
+            }
+
+            this.showMessage('Creating league... Please confirm transaction', 'info');
+
+            const { leagueId } = await this.client.createLeague({ name, commissioner, rules });
+
+            this.showMessage(`League "${name}" created with ID ${leagueId}!`, 'success');
+            this.clearForm(['leagueName', 'leagueCommissioner', ...LEAGUE_RULE_FIELDS.map(({ key }) => this.leagueRuleInputId(key))]);
+            await this.loadLeagues();
+
+        } catch (error) {
+            console.error('Error creating league:', error);
+            this.showMessage('Failed to create league: only the owner or a league admin can create leagues. ' + error.message, 'error');
+        }
+    }
+
+    async updateLeagueRules() {
+        if (!this.client) {
+            this.showMessage('Please connect your wallet first', 'error');
+            return;
+        }
+
+        try {
+            const leagueId = document.getElementById('ruleLeagueId').value;
+            const rules = this.readLeagueRules();
+
+            if (!leagueId) {
+                this.showMessage('Please enter the league ID', 'error');
+                return;
+            }
+
+            const problems = validateLeagueRules(rules);
+            if (problems.length) {
+                this.showMessage(problems.join('. '), 'error');
+                return;
+            }
+
+            this.showMessage('Updating league rules... Please confirm transaction', 'info');
+
+            await this.client.updateLeagueRules({ leagueId: parseInt(leagueId), rules });
+
+            this.showMessage(`League #${leagueId} rules updated. Open proposals are rechecked when they are decrypted.`, 'success');
+            await this.loadLeagues();
+
+        } catch (error) {
+            console.error('Error updating league rules:', error);
+            this.showMessage('Failed to update league rules: only the league commissioner can change them. ' + error.message, 'error');
+        }
+    }
+
+    async loadLeagues() {
+        if (!this.client) {
+            this.showMessage('Please connect your wallet first', 'error');
+            return;
+        }
+
+        const leagueDiv = document.getElementById('leagueList');
+
+        try {
+            const leagueCount = await this.client.getLeagueCount();
+            if (leagueCount === 0) {
+                this.showMessage('No leagues have been created yet', 'info');
+                leagueDiv.classList.add('hidden');
+                return;
+            }
+
+            const leagues = [];
+            for (let leagueId = 1; leagueId <= leagueCount; leagueId++) {
+                const league = await this.client.getLeague(leagueId);
+                leagues.push({ ...league, teamIds: await this.client.getTeamIdsForLeague(leagueId) });
+            }
+
+            leagueDiv.innerHTML = leagues.map(league => this.renderLeague(league)).join('');
+            leagueDiv.classList.remove('hidden');
+
+            leagueDiv.querySelectorAll('[data-league-edit]').forEach(button => {
+                const league = leagues.find(({ id }) => id === parseInt(button.dataset.leagueEdit));
+                button.addEventListener('click', () => this.editLeagueRules(league));
+            });
+
+        } catch (error) {
+            console.error('Error loading leagues:', error);
+            this.showMessage('Failed to load leagues: ' + error.message, 'error');
+        }
+    }
+
+    renderLeague(league) {
+        const isCommissioner = league.commissioner.toLowerCase() === this.userAddress.toLowerCase();
+
+        return `
+            <div class="data-item">
+                <h3>${league.name} (ID: ${league.id})</h3>
+                <p><strong>Commissioner:</strong> ${league.commissioner}${isCommissioner ? ' (you)' : ''}</p>
+                <p><strong>Teams:</strong> ${league.teamIds.length ? league.teamIds.join(', ') : 'None yet'}</p>
+                ${LEAGUE_RULE_FIELDS.map(({ key, label }) =>
+                    `<p><strong>${label}:</strong> ${league.rules[key]}</p>`
+                ).join('')}
+                ${isCommissioner ? `<button class="btn" data-league-edit="${league.id}">Edit Rules</button>` : ''}
+            </div>
+        `;
+    }
+
+    // Copy a league's current rules into the form so the commissioner only changes what they need
+    editLeagueRules(league) {
+        document.getElementById('ruleLeagueId').value = league.id;
+        for (const { key } of LEAGUE_RULE_FIELDS) {
+            document.getElementById(this.leagueRuleInputId(key)).value = league.rules[key];
+        }
+        this.showMessage(`Editing the rules of ${league.name}. Change the fields, then click Update Rules.`, 'info');
+    }
+
+    leagueRuleInputId(key) {
+        return 'league' + key[0].toUpperCase() + key.slice(1);
+    }
+
+    // Grant or revoke the selected role; the contract decides who may manage it
+    async changeRole(method) {
+        if (!this.client) {
+            this.showMessage('Please connect your wallet first', 'error');
+            return;
+        }
+
+        const granting = method === 'grantRole';
+
+        try {
+            const role = document.getElementById('roleName').value;
+            const account = document.getElementById('roleAccount').value;
+            const teamId = document.getElementById('roleTeamId').value;
+
+            if (!ethers.isAddress(account)) {
+                this.showMessage('Please enter a valid account address', 'error');
+                return;
+            }
+
+            if (role === 'teamDelegate' && !teamId) {
+                this.showMessage('Please enter the team ID of the delegate', 'error');
+                return;
+            }
+
+            this.showMessage(`${granting ? 'Granting' : 'Revoking'} role... Please confirm transaction`, 'info');
+
+            const scopeId = role === 'teamDelegate' ? parseInt(teamId) : 0;
+            await this.client[method]({ role, account, scopeId });
+
+            this.showMessage(`Role ${granting ? 'granted to' : 'revoked from'} ${account}`, 'success');
+            this.clearForm(['roleAccount']);
+            await this.loadAccessControl();
+
+        } catch (error) {
+            console.error(`Error ${granting ? 'granting' : 'revoking'} role:`, error);
+            this.showMessage(
+                `Failed to ${granting ? 'grant' : 'revoke'} role: league admins are managed by the owner, ` +
+                'auditors and stats oracles by admins and delegates by their team manager. ' + error.message,
+                'error'
+            );
+        }
+    }
+
+    async transferOwnership() {
+        if (!this.client) {
+            this.showMessage('Please connect your wallet first', 'error');
+            return;
+        }
+
+        try {
+            const newOwner = document.getElementById('newOwner').value;
+
+            if (!ethers.isAddress(newOwner)) {
+                this.showMessage('Please enter a valid new owner address', 'error');
+                return;
+            }
+
+            this.showMessage('Proposing new owner... Please confirm transaction', 'info');
+
+            await this.client.transferOwnership(newOwner);
+
+            this.showMessage(`${newOwner} becomes the owner once they click Accept Ownership`, 'success');
+            this.clearForm(['newOwner']);
+            await this.loadAccessControl();
+
+        } catch (error) {
+            console.error('Error transferring ownership:', error);
+            this.showMessage('Failed to transfer ownership: only the owner can do this. ' + error.message, 'error');
+        }
+    }
+
+    async acceptOwnership() {
+        if (!this.client) {
+            this.showMessage('Please connect your wallet first', 'error');
+            return;
+        }
+
+        try {
+            this.showMessage('Accepting ownership... Please confirm transaction', 'info');
+
+            await this.client.acceptOwnership();
+
+            this.showMessage('You are now the contract owner', 'success');
+            await this.loadAccessControl();
+
+        } catch (error) {
+            console.error('Error accepting ownership:', error);
+            this.showMessage('Failed to accept ownership: only the proposed owner can accept. ' + error.message, 'error');
+        }
+    }
+
+    // Who holds which role, with the commissioners of every league and the delegates of the user's teams
+    async loadAccessControl() {
+        if (!this.client) {
+            this.showMessage('Please connect your wallet first', 'error');
+            return;
+        }
+
+        const accessDiv = document.getElementById('accessControl');
+
+        try {
+            const summary = await this.client.getAccessSummary();
+
+            const leagueCount = await this.client.getLeagueCount();
+            const commissioners = [];
+            for (let leagueId = 1; leagueId <= leagueCount; leagueId++) {
+                const { name, commissioner } = await this.client.getLeague(leagueId);
+                commissioners.push(`${name}: ${this.formatAccount(commissioner)}`);
+            }
+
+            const delegates = [];
+            for (const teamId of await this.client.getTeamIdsFor(this.userAddress)) {
+                const members = await this.client.getRoleMembers('teamDelegate', teamId);
+                delegates.push(`Team #${teamId}: ${members.length ? members.map(member => this.formatAccount(member)).join(', ') : 'None'}`);
+            }
+
+            const list = (accounts) => accounts.length ? accounts.map(account => this.formatAccount(account)).join(', ') : 'None';
+
+            accessDiv.innerHTML = `
+                <div class="data-item">
+                    <p><strong>Owner:</strong> ${this.formatAccount(summary.owner)}</p>
+                    ${summary.pendingOwner ? `<p><strong>Pending Owner:</strong> ${this.formatAccount(summary.pendingOwner)}</p>` : ''}
+                    <p><strong>League Admins:</strong> ${list(summary.leagueAdmins)}</p>
+                    <p><strong>Auditors:</strong> ${list(summary.auditors)}</p>
+                    <p><strong>Stats Oracles:</strong> ${list(summary.statsOracles)}</p>
+                    <p><strong>Commissioners:</strong> ${commissioners.length ? commissioners.join('; ') : 'No leagues yet'}</p>
+                    ${delegates.length ? `<p><strong>Delegates of Your Teams:</strong> ${delegates.join('; ')}</p>` : ''}
+                </div>
+            `;
+            accessDiv.classList.remove('hidden');
+
+        } catch (error) {
+            console.error('Error loading roles:', error);
+            this.showMessage('Failed to load roles: ' + error.message, 'error');
+        }
+    }
+
+    formatAccount(account) {
+        return account.toLowerCase() === this.userAddress.toLowerCase() ? `${account} (you)` : account;
+    }
+
     async registerTeam() {
-        if (!this.contract) {
+        if (!this.client) {
             this.showMessage('Please connect your wallet first', 'error');
             return;
         }
 
         try {
             const teamName = document.getElementById('teamName').value;
-            const league = document.getElementById('league').value;
+            const leagueId = document.getElementById('teamLeagueId').value;
             const teamManager = document.getElementById('teamManager').value;
             const salaryCap = document.getElementById('salaryCap').value;
 
-            if (!teamName || !league || !teamManager || !salaryCap) {
+            if (!teamName || !leagueId || !teamManager || !salaryCap) {
                 this.showMessage('Please fill in all fields', 'error');
                 return;
             }
 
-            if (!ethers.utils.isAddress(teamManager)) {
+            if (!ethers.isAddress(teamManager)) {
                 this.showMessage('Invalid team manager address', 'error');
                 return;
             }
 
-            this.showMessage('Registering team... Please confirm transaction', 'info');
+            this.showMessage('Encrypting salary cap and registering team... Please confirm transaction', 'info');
 
-            const tx = await this.contract.registerTeam(
+            const { teamId } = await this.client.registerTeam({
                 teamName,
-                league,
+                leagueId: parseInt(leagueId),
                 teamManager,
-                parseInt(salaryCap)
-            );
-
-            this.showMessage('Transaction submitted. Waiting for confirmation...', 'info');
-            await tx.wait();
+                salaryCap: parseInt(salaryCap)
+            });
 
-            this.showMessage(`Team "${teamName}" registered successfully!`, 'success');
-            this.clearForm(['teamName', 'league', 'teamManager', 'salaryCap']);
+            this.showMessage(`Team "${teamName}" registered successfully with ID ${teamId}!`, 'success');
+            this.clearForm(['teamName', 'teamLeagueId', 'teamManager', 'salaryCap']);
             await this.loadStats();
 
         } catch (error) {
@@ -165,7 +458,7 @@ class SportsContractDApp {
     }
 
     async registerAthlete() {
-        if (!this.contract) {
+        if (!this.client) {
             this.showMessage('Please connect your wallet first', 'error');
             return;
         }
@@ -184,27 +477,24 @@ class SportsContractDApp {
                 return;
             }
 
-            if (!ethers.utils.isAddress(athleteAddress)) {
+            if (!ethers.isAddress(athleteAddress)) {
                 this.showMessage('Invalid athlete address', 'error');
                 return;
             }
 
-            this.showMessage('Registering athlete... Please confirm transaction', 'info');
+            this.showMessage('Encrypting salary and bonus and registering athlete... Please confirm transaction', 'info');
 
-            const tx = await this.contract.registerAthlete(
+            const { athleteId } = await this.client.registerAthlete({
                 name,
                 position,
-                parseInt(teamId),
+                teamId: parseInt(teamId),
                 athleteAddress,
-                parseInt(salary),
-                parseInt(bonus),
-                parseInt(duration)
-            );
-
-            this.showMessage('Transaction submitted. Waiting for confirmation...', 'info');
-            await tx.wait();
+                salary: parseInt(salary),
+                bonus: parseInt(bonus),
+                durationMonths: parseInt(duration)
+            });
 
-            this.showMessage(`Athlete "${name}" registered successfully!`, 'success');
+            this.showMessage(`Athlete "${name}" registered successfully with ID ${athleteId}!`, 'success');
             this.clearForm(['athleteName', 'position', 'athleteTeam', 'athleteAddress', 'salary', 'bonus', 'contractDuration']);
             await this.loadStats();
 
@@ -215,7 +505,7 @@ class SportsContractDApp {
     }
 
     async proposeContract() {
-        if (!this.contract) {
+        if (!this.client) {
             this.showMessage('Please connect your wallet first', 'error');
             return;
         }
@@ -232,21 +522,19 @@ class SportsContractDApp {
                 return;
             }
 
-            this.showMessage('Proposing contract... Please confirm transaction', 'info');
+            this.showMessage('Encrypting proposal terms... Please confirm transaction', 'info');
 
-            const tx = await this.contract.proposeContract(
-                parseInt(athleteId),
-                parseInt(teamId),
-                parseInt(salary),
-                parseInt(bonus),
-                parseInt(duration)
-            );
-
-            this.showMessage('Transaction submitted. Waiting for confirmation...', 'info');
-            await tx.wait();
+            const { proposalId, negotiationId } = await this.client.proposeContract({
+                athleteId: parseInt(athleteId),
+                teamId: parseInt(teamId),
+                salary: parseInt(salary),
+                bonus: parseInt(bonus),
+                durationMonths: parseInt(duration)
+            });
 
-            this.showMessage('Contract proposal submitted successfully!', 'success');
+            this.showMessage(`Contract proposal #${proposalId} submitted successfully! Negotiation #${negotiationId} opened.`, 'success');
             this.clearForm(['proposalAthleteId', 'proposalTeamId', 'proposedSalary', 'proposedBonus', 'proposalDuration']);
+            document.getElementById('capRoomPreview').classList.add('hidden');
             await this.loadStats();
 
         } catch (error) {
@@ -255,8 +543,50 @@ class SportsContractDApp {
         }
     }
 
+    async previewCapRoom() {
+        if (!this.client) {
+            this.showMessage('Please connect your wallet first', 'error');
+            return;
+        }
+
+        const previewDiv = document.getElementById('capRoomPreview');
+
+        try {
+            const athleteId = document.getElementById('proposalAthleteId').value;
+            const teamId = document.getElementById('proposalTeamId').value;
+            const salary = document.getElementById('proposedSalary').value;
+            const bonus = document.getElementById('proposedBonus').value;
+
+            if (!athleteId || !teamId || !salary || !bonus) {
+                this.showMessage('Please enter the athlete, team, salary and bonus', 'error');
+                return;
+            }
+
+            this.showMessage('Sign the decryption request in your wallet...', 'info');
+            const preview = await this.client.previewCapRoom({
+                athleteId: parseInt(athleteId),
+                teamId: parseInt(teamId),
+                salary: parseInt(salary),
+                bonus: parseInt(bonus)
+            });
+
+            previewDiv.innerHTML = `
+                <p><strong>Payroll After Signing:</strong> ${preview.projectedPayroll} of ${preview.salaryCap}</p>
+                <p><strong>Cap Room:</strong> ${preview.withinCap
+                    ? `✅ ${preview.capRoom} left`
+                    : `⚠️ Over cap by ${-preview.capRoom}, the athlete will not be able to approve this offer`}</p>
+            `;
+            previewDiv.classList.remove('hidden');
+            this.showMessage('Cap room checked against your current payroll', 'success');
+
+        } catch (error) {
+            console.error('Error checking cap room:', error);
+            this.showMessage('Failed to check cap room: only the team manager can decrypt the payroll. ' + error.message, 'error');
+        }
+    }
+
     async executeQuery() {
-        if (!this.contract) {
+        if (!this.client) {
             this.showMessage('Please connect your wallet first', 'error');
             return;
         }
@@ -280,17 +610,20 @@ class SportsContractDApp {
                         this.showMessage('Please enter athlete ID', 'error');
                         return;
                     }
-                    result = await this.contract.getAthleteInfo(parseInt(queryId));
+                    result = await this.client.getAthlete(parseInt(queryId));
                     displayHTML = `
                         <div class="data-item">
                             <h3>Athlete Information (ID: ${queryId})</h3>
                             <p><strong>Name:</strong> ${result.name}</p>
                             <p><strong>Position:</strong> ${result.position}</p>
-                            <p><strong>Team ID:</strong> ${result.teamId.toString()}</p>
+                            <p><strong>Team ID:</strong> ${result.teamId}</p>
                             <p><strong>Active:</strong> ${result.isActive ? 'Yes' : 'No'}</p>
-                            <p><strong>Contract Start:</strong> ${new Date(result.contractStart.toNumber() * 1000).toLocaleDateString()}</p>
-                            <p><strong>Contract End:</strong> ${new Date(result.contractEnd.toNumber() * 1000).toLocaleDateString()}</p>
+                            <p><strong>Contract Start:</strong> ${new Date(result.contractStart * 1000).toLocaleDateString()}</p>
+                            <p><strong>Contract End:</strong> ${new Date(result.contractEnd * 1000).toLocaleDateString()}</p>
                             <p><strong>Address:</strong> ${result.athleteAddress}</p>
+                            <p><strong>Salary:</strong> <span id="revealedSalary">🔒 Encrypted</span></p>
+                            <p><strong>Bonus:</strong> <span id="revealedBonus">🔒 Encrypted</span></p>
+                            <button id="revealCompensation" class="btn">Reveal Salary &amp; Bonus</button>
                         </div>
                     `;
                     break;
@@ -300,16 +633,16 @@ class SportsContractDApp {
                         this.showMessage('Please enter team ID', 'error');
                         return;
                     }
-                    result = await this.contract.getTeamInfo(parseInt(queryId));
+                    result = await this.client.getTeam(parseInt(queryId));
                     displayHTML = `
                         <div class="data-item">
                             <h3>Team Information (ID: ${queryId})</h3>
                             <p><strong>Team Name:</strong> ${result.teamName}</p>
-                            <p><strong>League:</strong> ${result.league}</p>
+                            <p><strong>League:</strong> ${result.league} (ID: ${result.leagueId})</p>
                             <p><strong>Manager:</strong> ${result.teamManager}</p>
                             <p><strong>Athletes Count:</strong> ${result.athleteIds.length}</p>
                             <p><strong>Active:</strong> ${result.isActive ? 'Yes' : 'No'}</p>
-                            <p><strong>Athlete IDs:</strong> ${result.athleteIds.map(id => id.toString()).join(', ')}</p>
+                            <p><strong>Athlete IDs:</strong> ${result.athleteIds.join(', ')}</p>
                         </div>
                     `;
                     break;
@@ -319,29 +652,31 @@ class SportsContractDApp {
                         this.showMessage('Please enter proposal ID', 'error');
                         return;
                     }
-                    result = await this.contract.getProposalInfo(parseInt(queryId));
+                    result = await this.client.getProposal(parseInt(queryId));
                     displayHTML = `
                         <div class="data-item">
                             <h3>Proposal Information (ID: ${queryId})</h3>
-                            <p><strong>Athlete ID:</strong> ${result.athleteId.toString()}</p>
-                            <p><strong>Team ID:</strong> ${result.teamId.toString()}</p>
-                            <p><strong>Contract Duration:</strong> ${result.contractDuration.toString()} months</p>
+                            <p><strong>Athlete ID:</strong> ${result.athleteId}</p>
+                            <p><strong>Team ID:</strong> ${result.teamId}</p>
+                            <p><strong>Contract Duration:</strong> ${result.contractDuration} months</p>
                             <p><strong>Status:</strong> ${result.isPending ? 'Pending' : (result.isApproved ? 'Approved' : 'Rejected')}</p>
                             <p><strong>Proposer:</strong> ${result.proposer}</p>
-                            <p><strong>Timestamp:</strong> ${new Date(result.timestamp.toNumber() * 1000).toLocaleString()}</p>
+                            <p><strong>Timestamp:</strong> ${new Date(result.timestamp * 1000).toLocaleString()}</p>
+                            <p><strong>Expires:</strong> ${new Date(result.expiryTime * 1000).toLocaleString()}</p>
+                            <p><strong>Decryption Callback:</strong> ${result.callbackReceived ? 'Received' : 'Pending'}</p>
                         </div>
                     `;
                     break;
 
                 case 'stats':
-                    result = await this.contract.getCurrentStats();
+                    result = await this.client.getStats();
                     displayHTML = `
                         <div class="data-item">
                             <h3>Contract Statistics</h3>
-                            <p><strong>Current Season:</strong> ${result.season.toString()}</p>
-                            <p><strong>Total Athletes:</strong> ${result.totalAthletes.toString()}</p>
-                            <p><strong>Active Teams:</strong> ${result.activeTeams.toString()}</p>
-                            <p><strong>Total Proposals:</strong> ${result.totalProposals.toString()}</p>
+                            <p><strong>Current Season:</strong> ${result.season}</p>
+                            <p><strong>Total Athletes:</strong> ${result.totalAthletes}</p>
+                            <p><strong>Active Teams:</strong> ${result.activeTeams}</p>
+                            <p><strong>Total Proposals:</strong> ${result.totalProposals}</p>
                         </div>
                     `;
                     break;
@@ -350,6 +685,11 @@ class SportsContractDApp {
             resultsDiv.innerHTML = displayHTML;
             resultsDiv.classList.remove('hidden');
 
+            if (queryType === 'athlete') {
+                document.getElementById('revealCompensation')
+                    .addEventListener('click', () => this.revealCompensation(parseInt(queryId)));
+            }
+
         } catch (error) {
             console.error('Error executing query:', error);
             this.showMessage('Query failed: ' + error.message, 'error');
@@ -357,6 +697,867 @@ class SportsContractDApp {
         }
     }
 
+    async revealCompensation(athleteId) {
+        if (!this.client) {
+            this.showMessage('Please connect your wallet first', 'error');
+            return;
+        }
+
+        try {
+            // Decryption stays local: the wallet signs an EIP-712 request and only
+            // this browser can read the re-encrypted values returned by the relayer
+            this.showMessage('Sign the decryption request in your wallet...', 'info');
+            const { salary, bonus } = await this.client.decryptCompensation(athleteId);
+
+            document.getElementById('revealedSalary').textContent = salary.toString();
+            document.getElementById('revealedBonus').textContent = bonus.toString();
+            this.showMessage('Salary and bonus decrypted locally', 'success');
+
+        } catch (error) {
+            console.error('Error decrypting compensation:', error);
+            this.showMessage('Failed to decrypt: only the athlete and their team manager can reveal these values. ' + error.message, 'error');
+        }
+    }
+
+    async loadProposalInbox() {
+        if (!this.client) {
+            this.showMessage('Please connect your wallet first', 'error');
+            return;
+        }
+
+        const inboxDiv = document.getElementById('proposalInbox');
+
+        try {
+            const athleteIds = await this.client.getAthleteIdsFor(this.userAddress);
+            const proposals = [];
+            for (const athleteId of athleteIds) {
+                const proposalIds = await this.client.getProposalIdsFor(athleteId);
+                for (const proposalId of proposalIds) {
+                    const proposal = await this.client.getProposal(proposalId);
+                    const { hasMatch } = await this.client.getReservationMatch(proposalId);
+                    const { publicWithinCap } = await this.client.getCapRoomCheck(proposalId);
+                    const { publicMeetsRules } = await this.client.getLeagueRuleCheck(proposalId);
+                    proposals.push({
+                        ...proposal,
+                        hasReservationMatch: hasMatch,
+                        withinCap: publicWithinCap,
+                        meetsRules: publicMeetsRules
+                    });
+                }
+            }
+
+            if (proposals.length === 0) {
+                this.showMessage('No contract proposals for the connected wallet', 'info');
+                inboxDiv.classList.add('hidden');
+                return;
+            }
+
+            // Pending offers first, newest first
+            proposals.sort((a, b) => (b.isPending - a.isPending) || (b.id - a.id));
+
+            inboxDiv.innerHTML = proposals.map(proposal => this.renderProposal(proposal)).join('');
+            inboxDiv.classList.remove('hidden');
+
+            inboxDiv.querySelectorAll('[data-proposal-action]').forEach(button => {
+                button.addEventListener('click', () =>
+                    this.runProposalAction(button.dataset.proposalAction, parseInt(button.dataset.proposalId)));
+            });
+
+            this.startExpiryCountdown();
+
+        } catch (error) {
+            console.error('Error loading proposals:', error);
+            this.showMessage('Failed to load proposals: ' + error.message, 'error');
+        }
+    }
+
+    renderProposal(proposal) {
+        const now = Math.floor(Date.now() / 1000);
+        const expired = now >= proposal.expiryTime;
+        const status = proposal.isPending
+            ? (expired ? 'Expired' : 'Pending')
+            : (proposal.isApproved ? 'Approved' : 'Rejected / Countered / Withdrawn');
+        // Counter-offers sent by the athlete are answered by the team manager
+        const canAnswer = proposal.proposer.toLowerCase() !== this.userAddress.toLowerCase();
+
+        // Mirror the contract's requirements so only valid actions are offered
+        const actions = [];
+        // Checking the sealed minimum only costs a signature, not a gateway request
+        if (proposal.hasReservationMatch) {
+            actions.push(['match', 'Check Minimum']);
+        }
+        if (proposal.isPending && !expired && canAnswer && !proposal.callbackReceived) {
+            actions.push(['decrypt', 'Request Decryption']);
+        }
+        if (proposal.isPending && !expired && canAnswer && proposal.callbackReceived && proposal.withinCap && proposal.meetsRules) {
+            actions.push(['approve', 'Approve']);
+        }
+        if (proposal.isPending && canAnswer) {
+            actions.push(['reject', 'Reject']);
+        }
+        if (proposal.isPending && expired) {
+            actions.push(['withdraw', 'Withdraw']);
+        }
+        actions.push(['reveal', 'Reveal Offer']);
+
+        return `
+            <div class="data-item">
+                <h3>Proposal #${proposal.id} — Athlete ${proposal.athleteId}, Team ${proposal.teamId}</h3>
+                <p><strong>Status:</strong> ${status}</p>
+                <p><strong>Duration:</strong> ${proposal.contractDuration} months</p>
+                <p><strong>Proposer:</strong> ${proposal.proposer}</p>
+                <p><strong>Expires:</strong> <span data-expiry="${proposal.expiryTime}">${this.formatCountdown(proposal.expiryTime)}</span></p>
+                <p><strong>Decryption Callback:</strong> ${proposal.callbackReceived ? '✅ Received' : '⏳ Not received'}</p>
+                ${proposal.callbackReceived ? this.renderCapRoom(proposal.withinCap) : ''}
+                ${proposal.callbackReceived ? this.renderLeagueRules(proposal.meetsRules) : ''}
+                <p><strong>Offer:</strong> <span id="proposalOffer-${proposal.id}">🔒 Encrypted</span></p>
+                ${proposal.hasReservationMatch
+                    ? `<p><strong>Meets Your Minimum:</strong> <span id="reservationMatch-${proposal.id}">🔒 Sealed</span></p>`
+                    : ''}
+                ${actions.map(([action, label]) =>
+                    `<button class="btn" data-proposal-action="${action}" data-proposal-id="${proposal.id}">${label}</button>`
+                ).join(' ')}
+            </div>
+        `;
+    }
+
+    // Published with the decrypted offer or trade check; approvals refuse an offer or trade over the cap
+    renderCapRoom(withinCap) {
+        return `<p><strong>Salary Cap:</strong> ${withinCap ? '✅ Within cap' : '❌ Over cap, cannot be approved'}</p>`;
+    }
+
+    // Checked against the league's rules at decryption time; approvals refuse an offer or trade outside them
+    renderLeagueRules(meetsRules) {
+        return `<p><strong>League Rules:</strong> ${meetsRules ? '✅ Within rules' : '❌ Outside league rules, cannot be approved'}</p>`;
+    }
+
+    formatCountdown(expiryTime) {
+        const remaining = expiryTime - Math.floor(Date.now() / 1000);
+        if (remaining <= 0) {
+            return `Expired on ${new Date(expiryTime * 1000).toLocaleString()}`;
+        }
+        const days = Math.floor(remaining / 86400);
+        const hours = Math.floor((remaining % 86400) / 3600);
+        const minutes = Math.floor((remaining % 3600) / 60);
+        const seconds = remaining % 60;
+        return `in ${days}d ${hours}h ${minutes}m ${seconds}s`;
+    }
+
+    startExpiryCountdown() {
+        clearInterval(this.countdownTimer);
+        this.countdownTimer = setInterval(() => {
+            document.querySelectorAll('[data-expiry]').forEach(element => {
+                element.textContent = this.formatCountdown(parseInt(element.dataset.expiry));
+            });
+        }, 1000);
+    }
+
+    async runProposalAction(action, proposalId, reload = () => this.loadProposalInbox()) {
+        try {
+            switch (action) {
+                case 'decrypt': {
+                    const { requestId } = await this.client.requestProposalDecryption(proposalId);
+                    this.showMessage(`Decryption requested (request ID: ${requestId}). Approval unlocks once the gateway callback arrives.`, 'success');
+                    break;
+                }
+                case 'approve':
+                    await this.client.approveContract(proposalId);
+                    this.showMessage(`Proposal #${proposalId} approved! Your contract has been updated.`, 'success');
+                    break;
+                case 'reject':
+                    await this.client.rejectContract(proposalId);
+                    this.showMessage(`Proposal #${proposalId} rejected`, 'success');
+                    break;
+                case 'withdraw':
+                    await this.client.emergencyWithdrawProposal(proposalId);
+                    this.showMessage(`Expired proposal #${proposalId} withdrawn`, 'success');
+                    break;
+                case 'match': {
+                    this.showMessage('Sign the decryption request in your wallet...', 'info');
+                    const { meetsReservation } = await this.client.decryptReservationMatch(proposalId);
+                    document.getElementById(`reservationMatch-${proposalId}`).textContent =
+                        meetsReservation ? '✅ Yes' : '❌ No, below your minimum';
+                    return;
+                }
+                case 'reveal': {
+                    this.showMessage('Sign the decryption request in your wallet...', 'info');
+                    const { salary, bonus } = await this.client.decryptProposalOffer(proposalId);
+                    document.getElementById(`proposalOffer-${proposalId}`).textContent =
+                        `Salary ${salary}, Bonus ${bonus}`;
+                    return;
+                }
+            }
+
+            await reload();
+            await this.loadStats();
+
+        } catch (error) {
+            console.error(`Error running ${action} on proposal:`, error);
+            this.showMessage(`Failed to ${action} proposal: ` + error.message, 'error');
+        }
+    }
+
+    async setReservationSalary() {
+        if (!this.client) {
+            this.showMessage('Please connect your wallet first', 'error');
+            return;
+        }
+
+        try {
+            const athleteId = document.getElementById('reservationAthleteId').value;
+            const minimumSalary = document.getElementById('reservationSalary').value;
+
+            if (!athleteId || !minimumSalary) {
+                this.showMessage('Please fill in all fields', 'error');
+                return;
+            }
+
+            this.showMessage('Encrypting your minimum salary... Please confirm transaction', 'info');
+
+            await this.client.setReservationSalary({
+                athleteId: parseInt(athleteId),
+                minimumSalary: parseInt(minimumSalary)
+            });
+
+            this.showMessage('Minimum salary sealed. New offers will show whether they meet it; teams never see the number.', 'success');
+            this.clearForm(['reservationAthleteId', 'reservationSalary']);
+            await this.loadProposalInbox();
+
+        } catch (error) {
+            console.error('Error sealing minimum salary:', error);
+            this.showMessage('Failed to seal minimum salary: ' + error.message, 'error');
+        }
+    }
+
+    async counterProposal() {
+        if (!this.client) {
+            this.showMessage('Please connect your wallet first', 'error');
+            return;
+        }
+
+        try {
+            const proposalId = document.getElementById('counterProposalId').value;
+            const salary = document.getElementById('counterSalary').value;
+            const bonus = document.getElementById('counterBonus').value;
+            const duration = document.getElementById('counterDuration').value;
+
+            if (!proposalId || !salary || !bonus || !duration) {
+                this.showMessage('Please fill in all fields', 'error');
+                return;
+            }
+
+            this.showMessage('Encrypting counter-offer... Please confirm transaction', 'info');
+
+            const result = await this.client.counterProposal({
+                proposalId: parseInt(proposalId),
+                salary: parseInt(salary),
+                bonus: parseInt(bonus),
+                durationMonths: parseInt(duration)
+            });
+
+            this.showMessage(`Counter-offer #${result.proposalId} sent in negotiation #${result.negotiationId}`, 'success');
+            this.clearForm(['counterProposalId', 'counterSalary', 'counterBonus', 'counterDuration']);
+            await this.loadNegotiations();
+
+        } catch (error) {
+            console.error('Error sending counter-offer:', error);
+            this.showMessage('Failed to send counter-offer: ' + error.message, 'error');
+        }
+    }
+
+    async loadNegotiations() {
+        if (!this.client) {
+            this.showMessage('Please connect your wallet first', 'error');
+            return;
+        }
+
+        const negotiationDiv = document.getElementById('negotiationList');
+
+        try {
+            // Negotiations of a team the wallet manages or an athlete profile it owns
+            const negotiationIds = new Set();
+            for (const teamId of await this.client.getTeamIdsFor(this.userAddress)) {
+                (await this.client.getNegotiationIdsForTeam(teamId)).forEach(id => negotiationIds.add(id));
+            }
+            for (const athleteId of await this.client.getAthleteIdsFor(this.userAddress)) {
+                (await this.client.getNegotiationIdsForAthlete(athleteId)).forEach(id => negotiationIds.add(id));
+            }
+
+            if (negotiationIds.size === 0) {
+                this.showMessage('No negotiations for the connected wallet', 'info');
+                negotiationDiv.classList.add('hidden');
+                return;
+            }
+
+            const negotiations = [];
+            for (const negotiationId of negotiationIds) {
+                const negotiation = await this.client.getNegotiation(negotiationId);
+                const latest = await this.client.getProposal(negotiation.latestProposalId);
+                const { publicWithinCap } = await this.client.getCapRoomCheck(latest.id);
+                const { publicMeetsRules } = await this.client.getLeagueRuleCheck(latest.id);
+                negotiations.push({
+                    ...negotiation,
+                    latest: { ...latest, withinCap: publicWithinCap, meetsRules: publicMeetsRules }
+                });
+            }
+
+            // Open negotiations first, newest first
+            negotiations.sort((a, b) => ((b.status === 'open') - (a.status === 'open')) || (b.id - a.id));
+
+            negotiationDiv.innerHTML = negotiations.map(negotiation => this.renderNegotiation(negotiation)).join('');
+            negotiationDiv.classList.remove('hidden');
+
+            negotiationDiv.querySelectorAll('[data-negotiation-reveal]').forEach(button => {
+                button.addEventListener('click', () => this.revealNegotiation(parseInt(button.dataset.negotiationReveal)));
+            });
+            negotiationDiv.querySelectorAll('[data-proposal-action]').forEach(button => {
+                button.addEventListener('click', () =>
+                    this.runProposalAction(button.dataset.proposalAction, parseInt(button.dataset.proposalId),
+                        () => this.loadNegotiations()));
+            });
+
+            this.startExpiryCountdown();
+
+        } catch (error) {
+            console.error('Error loading negotiations:', error);
+            this.showMessage('Failed to load negotiations: ' + error.message, 'error');
+        }
+    }
+
+    renderNegotiation(negotiation) {
+        const { latest } = negotiation;
+        const open = negotiation.status === 'open';
+        const status = { open: 'Open', agreed: 'Agreed', closed: 'Closed' }[negotiation.status];
+        // Whoever did not send the latest round answers it
+        const canAnswer = open && latest.proposer.toLowerCase() !== this.userAddress.toLowerCase();
+
+        // Mirror the contract's requirements so only valid actions are offered
+        const actions = [];
+        if (canAnswer && !latest.callbackReceived) {
+            actions.push(['decrypt', 'Request Decryption']);
+        }
+        if (canAnswer && latest.callbackReceived && latest.withinCap && latest.meetsRules) {
+            actions.push(['approve', 'Approve']);
+        }
+        if (canAnswer) {
+            actions.push(['reject', 'Reject']);
+        }
+
+        return `
+            <div class="data-item">
+                <h3>Negotiation #${negotiation.id} — Athlete ${negotiation.athleteId}, Team ${negotiation.teamId}</h3>
+                <p><strong>Status:</strong> ${status}</p>
+                <p><strong>Rounds:</strong> ${negotiation.roundCount} (latest: proposal #${latest.id})</p>
+                ${open ? `<p><strong>Expires:</strong> <span data-expiry="${negotiation.expiryTime}">${this.formatCountdown(negotiation.expiryTime)}</span></p>` : ''}
+                ${open && latest.callbackReceived ? this.renderCapRoom(latest.withinCap) : ''}
+                ${open && latest.callbackReceived ? this.renderLeagueRules(latest.meetsRules) : ''}
+                ${canAnswer ? '<p>Your turn: approve, reject, or counter the latest round above.</p>' : ''}
+                <div id="negotiationRounds-${negotiation.id}"></div>
+                <button class="btn" data-negotiation-reveal="${negotiation.id}">Reveal Rounds</button>
+                ${actions.map(([action, label]) =>
+                    `<button class="btn" data-proposal-action="${action}" data-proposal-id="${latest.id}">${label}</button>`
+                ).join(' ')}
+            </div>
+        `;
+    }
+
+    async revealNegotiation(negotiationId) {
+        try {
+            this.showMessage('Sign the decryption request in your wallet...', 'info');
+            const { rounds } = await this.client.decryptNegotiation(negotiationId);
+
+            document.getElementById(`negotiationRounds-${negotiationId}`).innerHTML = rounds.map(round => `
+                <p><strong>Round ${round.round}</strong> (proposal #${round.proposalId}, ${round.status}):
+                    Salary ${round.salary}, Bonus ${round.bonus}, ${round.contractDuration} months — by ${round.proposer}</p>
+            `).join('');
+
+        } catch (error) {
+            console.error('Error decrypting negotiation:', error);
+            this.showMessage('Failed to decrypt negotiation: ' + error.message, 'error');
+        }
+    }
+
+    async loadManagerDashboard() {
+        if (!this.client) {
+            this.showMessage('Please connect your wallet first', 'error');
+            return;
+        }
+
+        const dashboardDiv = document.getElementById('managerDashboard');
+
+        try {
+            const teamIds = await this.client.getTeamIdsFor(this.userAddress);
+            if (teamIds.length === 0) {
+                this.showMessage('The connected wallet does not manage any team', 'info');
+                dashboardDiv.classList.add('hidden');
+                return;
+            }
+
+            let displayHTML = '';
+            for (const teamId of teamIds) {
+                this.showMessage(`Sign the decryption request for team ${teamId} in your wallet...`, 'info');
+                const payroll = await this.client.decryptTeamPayroll(teamId);
+                const compliance = await this.client.getSalaryCapCompliance(teamId);
+                displayHTML += this.renderTeamPayroll(payroll, compliance);
+            }
+
+            dashboardDiv.innerHTML = displayHTML;
+            dashboardDiv.classList.remove('hidden');
+
+            dashboardDiv.querySelectorAll('[data-check-cap]').forEach(button => {
+                button.addEventListener('click', () => this.checkSalaryCap(parseInt(button.dataset.checkCap)));
+            });
+            dashboardDiv.querySelectorAll('[data-attest-cap]').forEach(button => {
+                button.addEventListener('click', () => this.publishCapAttestation(parseInt(button.dataset.attestCap)));
+            });
+            this.showMessage(`Payroll decrypted for ${teamIds.length} team(s)`, 'success');
+
+        } catch (error) {
+            console.error('Error loading manager dashboard:', error);
+            this.showMessage('Failed to load manager dashboard: ' + error.message, 'error');
+        }
+    }
+
+    renderTeamPayroll(payroll, compliance) {
+        const overCap = payroll.capRoom < 0n;
+        const athleteRows = payroll.athletes.map(athlete => `
+            <p>#${athlete.id} ${athlete.name} (${athlete.position}): ${athlete.salary} + ${athlete.bonus} bonus = <strong>${athlete.total}</strong></p>
+        `).join('');
+
+        return `
+            <div class="data-item">
+                <h3>${payroll.teamName} (ID: ${payroll.teamId}, ${payroll.league})</h3>
+                <p><strong>Total Payroll:</strong> ${payroll.payroll}</p>
+                <p><strong>Salary Cap:</strong> ${payroll.salaryCap}</p>
+                <p><strong>Cap Room:</strong> ${overCap ? `⚠️ Over cap by ${-payroll.capRoom}` : payroll.capRoom}</p>
+                <p><strong>Last Payroll Update:</strong> ${new Date(payroll.lastPayrollUpdate * 1000).toLocaleString()}</p>
+                <h4>Roster (${payroll.athletes.length} active)</h4>
+                ${athleteRows || '<p>No active athletes</p>'}
+                <h4>Salary Cap Compliance</h4>
+                <p id="capCompliance-${payroll.teamId}">${this.describeCompliance(compliance)}</p>
+                <button class="btn" data-check-cap="${payroll.teamId}">Check Salary Cap</button>
+                <button class="btn" data-attest-cap="${payroll.teamId}">Publish Attestation</button>
+            </div>
+        `;
+    }
+
+    async loadPaymentHistory() {
+        if (!this.client) {
+            this.showMessage('Please connect your wallet first', 'error');
+            return;
+        }
+
+        const paymentsDiv = document.getElementById('paymentHistory');
+
+        try {
+            const token = await this.client.getPayrollToken();
+            if (!token) {
+                this.showMessage('No payroll token is set on this contract yet', 'info');
+                paymentsDiv.classList.add('hidden');
+                return;
+            }
+
+            const athleteIds = await this.client.getAthleteIdsFor(this.userAddress);
+            if (athleteIds.length === 0) {
+                this.showMessage('The connected wallet has no athlete profile', 'info');
+                paymentsDiv.classList.add('hidden');
+                return;
+            }
+
+            // Amounts are euint64 handles only the athlete (and the paying manager) can decrypt
+            let displayHTML = '';
+            for (const athleteId of athleteIds) {
+                this.showMessage(`Sign the decryption request for athlete ${athleteId} in your wallet...`, 'info');
+                const payments = await this.client.decryptPaymentHistory(athleteId);
+                displayHTML += this.renderPaymentHistory(athleteId, payments, token);
+            }
+
+            this.showMessage('Sign the decryption request for your token balance in your wallet...', 'info');
+            const balance = await this.client.decryptTokenBalance();
+
+            paymentsDiv.innerHTML = `
+                <div class="data-item">
+                    <h3>${token.name} (${token.symbol})</h3>
+                    <p><strong>Your Balance:</strong> ${balance} ${token.symbol}</p>
+                </div>
+            ` + displayHTML;
+            paymentsDiv.classList.remove('hidden');
+            this.showMessage(`Payments decrypted for ${athleteIds.length} athlete profile(s)`, 'success');
+
+        } catch (error) {
+            console.error('Error loading payment history:', error);
+            this.showMessage('Failed to load payment history: ' + error.message, 'error');
+        }
+    }
+
+    renderPaymentHistory(athleteId, payments, token) {
+        const total = payments.reduce((sum, payment) => sum + payment.amount, 0n);
+        // A zero payment means the team's escrow could not cover the salary that period
+        const rows = payments.map(payment => `
+            <p>Period ${payment.period}, Team ${payment.teamId}, ${new Date(payment.paidAt * 1000).toLocaleDateString()}:
+                <strong>${payment.amount} ${token.symbol}</strong>${payment.amount === 0n ? ' ⚠️ unfunded' : ''}</p>
+        `).join('');
+
+        return `
+            <div class="data-item">
+                <h3>Athlete #${athleteId}</h3>
+                ${rows || '<p>No payments yet</p>'}
+                <p><strong>Total Received:</strong> ${total} ${token.symbol}</p>
+            </div>
+        `;
+    }
+
+    async loadBonuses() {
+        if (!this.client) {
+            this.showMessage('Please connect your wallet first', 'error');
+            return;
+        }
+
+        const bonusesDiv = document.getElementById('bonusList');
+
+        try {
+            const athleteIds = await this.client.getAthleteIdsFor(this.userAddress);
+            if (athleteIds.length === 0) {
+                this.showMessage('The connected wallet has no athlete profile', 'info');
+                bonusesDiv.classList.add('hidden');
+                return;
+            }
+
+            // Thresholds, amounts and the earned total are encrypted; the season stats are public
+            let displayHTML = '';
+            for (const athleteId of athleteIds) {
+                this.showMessage(`Sign the decryption request for athlete ${athleteId} in your wallet...`, 'info');
+                const bonuses = await this.client.decryptBonuses(athleteId);
+                displayHTML += this.renderBonuses(athleteId, bonuses);
+            }
+
+            bonusesDiv.innerHTML = displayHTML;
+            bonusesDiv.classList.remove('hidden');
+            this.showMessage(`Bonuses decrypted for ${athleteIds.length} athlete profile(s)`, 'success');
+
+        } catch (error) {
+            console.error('Error loading bonuses:', error);
+            this.showMessage('Failed to load bonuses: ' + error.message, 'error');
+        }
+    }
+
+    renderBonuses(athleteId, { season, stats, clauses, earned }) {
+        const statLabels = { gamesPlayed: 'games played', points: 'points', assists: 'assists', rebounds: 'rebounds' };
+        const rows = clauses.map(clause => `
+            <p>Clause ${clause.index}: ${clause.amount} at ${clause.threshold} ${statLabels[clause.stat]}
+                ${clause.reached ? '✅ reached' : `(${stats[clause.stat]} so far)`}</p>
+        `).join('');
+
+        return `
+            <div class="data-item">
+                <h3>Athlete #${athleteId}, Season ${season}</h3>
+                <p><strong>Stats:</strong> ${stats.gamesPlayed} games, ${stats.points} points, ${stats.assists} assists, ${stats.rebounds} rebounds</p>
+                ${rows || '<p>No bonus clauses</p>'}
+                <p><strong>Earned This Season:</strong> ${earned}</p>
+            </div>
+        `;
+    }
+
+    describeCompliance(compliance, compliant = null) {
+        if (compliance.checkedAt === 0) {
+            return 'Never checked';
+        }
+        if (compliance.attested) {
+            return `${compliance.publicResult ? '✅ Publicly attested compliant' : '❌ Publicly attested over the cap'} as of block ${compliance.checkBlock}`;
+        }
+        if (compliance.pendingAttestation) {
+            return `⏳ Attestation for block ${compliance.checkBlock} pending gateway decryption`;
+        }
+        if (compliant !== null) {
+            return `${compliant ? '✅ Compliant' : '❌ Over the cap'} as of block ${compliance.checkBlock} (private)`;
+        }
+        return `🔒 Checked at block ${compliance.checkBlock}, result encrypted`;
+    }
+
+    async checkSalaryCap(teamId) {
+        try {
+            this.showMessage(`Checking salary cap for team ${teamId}...`, 'info');
+            await this.client.checkSalaryCap(teamId);
+
+            this.showMessage('Sign the decryption request in your wallet...', 'info');
+            const compliance = await this.client.decryptSalaryCapCompliance(teamId);
+
+            document.getElementById(`capCompliance-${teamId}`).textContent =
+                this.describeCompliance(compliance, compliance.compliant);
+            this.showMessage(`Salary cap checked at block ${compliance.checkBlock}`, 'success');
+
+        } catch (error) {
+            console.error('Error checking salary cap:', error);
+            this.showMessage('Failed to check salary cap: ' + error.message, 'error');
+        }
+    }
+
+    async publishCapAttestation(teamId) {
+        try {
+            // The gateway decrypts the stored result and writes it back on-chain
+            const { requestId } = await this.client.requestSalaryCapAttestation(teamId);
+            const compliance = await this.client.getSalaryCapCompliance(teamId);
+
+            document.getElementById(`capCompliance-${teamId}`).textContent = this.describeCompliance(compliance);
+            this.showMessage(`Attestation requested (request ID: ${requestId}). The result is published once the gateway responds.`, 'success');
+
+        } catch (error) {
+            console.error('Error requesting attestation:', error);
+            this.showMessage('Failed to request attestation: ' + error.message, 'error');
+        }
+    }
+
+    async proposeTrade() {
+        if (!this.client) {
+            this.showMessage('Please connect your wallet first', 'error');
+            return;
+        }
+
+        try {
+            const athleteId = document.getElementById('tradeAthleteId').value;
+            const toTeamId = document.getElementById('tradeToTeamId').value;
+
+            if (!athleteId || !toTeamId) {
+                this.showMessage('Please fill in all fields', 'error');
+                return;
+            }
+
+            this.showMessage('Proposing trade... Please confirm transaction', 'info');
+            const { tradeId } = await this.client.proposeTrade({
+                athleteId: parseInt(athleteId),
+                toTeamId: parseInt(toTeamId)
+            });
+
+            this.showMessage(`Trade #${tradeId} proposed. Waiting for the releasing manager and the athlete.`, 'success');
+            this.clearForm(['tradeAthleteId', 'tradeToTeamId']);
+            await this.loadTrades();
+
+        } catch (error) {
+            console.error('Error proposing trade:', error);
+            this.showMessage('Failed to propose trade: ' + error.message, 'error');
+        }
+    }
+
+    async loadTrades() {
+        if (!this.client) {
+            this.showMessage('Please connect your wallet first', 'error');
+            return;
+        }
+
+        const tradeDiv = document.getElementById('tradeList');
+
+        try {
+            // Trades involving a team the wallet manages or an athlete profile it owns
+            const tradeIds = new Set();
+            for (const teamId of await this.client.getTeamIdsFor(this.userAddress)) {
+                (await this.client.getTradeIdsForTeam(teamId)).forEach(id => tradeIds.add(id));
+            }
+            for (const athleteId of await this.client.getAthleteIdsFor(this.userAddress)) {
+                (await this.client.getTradeIdsForAthlete(athleteId)).forEach(id => tradeIds.add(id));
+            }
+
+            if (tradeIds.size === 0) {
+                this.showMessage('No trades for the connected wallet', 'info');
+                tradeDiv.classList.add('hidden');
+                return;
+            }
+
+            const trades = [];
+            for (const tradeId of tradeIds) {
+                const trade = await this.client.getTrade(tradeId);
+                const [fromManager, toManager, athlete, check] = await Promise.all([
+                    this.client.getTeamRecord(trade.fromTeamId).then(team => team.teamManager),
+                    this.client.getTeamRecord(trade.toTeamId).then(team => team.teamManager),
+                    this.client.getAthleteRecord(trade.athleteId).then(record => record.athleteAddress),
+                    this.client.getTradeCheck(tradeId)
+                ]);
+                trades.push({ ...trade, fromManager, toManager, athlete, check });
+            }
+
+            // Pending trades first, newest first
+            trades.sort((a, b) => ((b.status === 'pending') - (a.status === 'pending')) || (b.id - a.id));
+
+            tradeDiv.innerHTML = trades.map(trade => this.renderTrade(trade)).join('');
+            tradeDiv.classList.remove('hidden');
+
+            tradeDiv.querySelectorAll('[data-trade-action]').forEach(button => {
+                button.addEventListener('click', () =>
+                    this.runTradeAction(button.dataset.tradeAction, parseInt(button.dataset.tradeId)));
+            });
+
+            this.startExpiryCountdown();
+
+        } catch (error) {
+            console.error('Error loading trades:', error);
+            this.showMessage('Failed to load trades: ' + error.message, 'error');
+        }
+    }
+
+    renderTrade(trade) {
+        const now = Math.floor(Date.now() / 1000);
+        const expired = now >= trade.expiryTime;
+        const me = this.userAddress.toLowerCase();
+        const isReleasingManager = trade.fromManager.toLowerCase() === me;
+        const isAthlete = trade.athlete.toLowerCase() === me;
+        const isProposer = trade.proposer.toLowerCase() === me;
+        const isAcquiringManager = trade.toManager.toLowerCase() === me;
+        const pending = trade.status === 'pending';
+        const status = pending
+            ? (expired ? 'Expired' : 'Pending')
+            : (trade.status === 'completed' ? 'Completed' : 'Rejected / Cancelled');
+
+        // Mirror the contract's requirements so only valid actions are offered
+        const actions = [];
+        // The completing approval needs a check of the acquiring team's current payroll
+        if (pending && !expired && (isReleasingManager || isAcquiringManager || isAthlete) && !trade.check.current) {
+            actions.push(['check', trade.check.decrypted ? 'Check Again' : 'Check Cap & Rules']);
+        }
+        if (pending && !expired && isReleasingManager && !trade.releasingTeamApproved) {
+            actions.push(['accept', 'Accept']);
+        }
+        if (pending && !expired && isAthlete && !trade.athleteConsented) {
+            actions.push(['consent', 'Consent']);
+        }
+        if (pending && (isReleasingManager || isAthlete)) {
+            actions.push(['reject', 'Reject']);
+        }
+        if (pending && isProposer) {
+            actions.push(['cancel', 'Cancel']);
+        }
+
+        return `
+            <div class="data-item">
+                <h3>Trade #${trade.id} — Athlete ${trade.athleteId}, Team ${trade.fromTeamId} → Team ${trade.toTeamId}</h3>
+                <p><strong>Status:</strong> ${status}</p>
+                <p><strong>Proposer:</strong> ${trade.proposer}</p>
+                <p><strong>Releasing Manager:</strong> ${trade.releasingTeamApproved ? '✅ Accepted' : '⏳ Waiting'}</p>
+                <p><strong>Athlete:</strong> ${trade.athleteConsented ? '✅ Consented' : '⏳ Waiting'}</p>
+                ${pending && !trade.check.decrypted ? '<p><strong>Trade Check:</strong> ⏳ Not requested</p>' : ''}
+                ${pending && trade.check.decrypted && !trade.check.current ? '<p><strong>Trade Check:</strong> ⚠️ A payroll changed, check again</p>' : ''}
+                ${pending && trade.check.decrypted ? this.renderCapRoom(trade.check.publicWithinCap) : ''}
+                ${pending && trade.check.decrypted ? this.renderLeagueRules(trade.check.publicMeetsRules) : ''}
+                ${pending ? `<p><strong>Expires:</strong> <span data-expiry="${trade.expiryTime}">${this.formatCountdown(trade.expiryTime)}</span></p>` : ''}
+                ${actions.map(([action, label]) =>
+                    `<button class="btn" data-trade-action="${action}" data-trade-id="${trade.id}">${label}</button>`
+                ).join(' ')}
+            </div>
+        `;
+    }
+
+    async runTradeAction(action, tradeId) {
+        try {
+            switch (action) {
+                case 'check': {
+                    const { requestId } = await this.client.requestTradeCheck(tradeId);
+                    this.showMessage(`Trade check requested (request ID: ${requestId}). The trade can complete once the gateway callback arrives.`, 'success');
+                    break;
+                }
+                case 'accept':
+                    await this.client.acceptTrade(tradeId);
+                    this.showMessage(`Trade #${tradeId} accepted`, 'success');
+                    break;
+                case 'consent':
+                    await this.client.consentToTrade(tradeId);
+                    this.showMessage(`Consent given to trade #${tradeId}`, 'success');
+                    break;
+                case 'reject':
+                    await this.client.rejectTrade(tradeId);
+                    this.showMessage(`Trade #${tradeId} rejected`, 'success');
+                    break;
+                case 'cancel':
+                    await this.client.cancelTrade(tradeId);
+                    this.showMessage(`Trade #${tradeId} cancelled`, 'success');
+                    break;
+            }
+
+            const trade = await this.client.getTrade(tradeId);
+            if (trade.status === 'completed') {
+                this.showMessage(`Trade #${tradeId} completed: athlete ${trade.athleteId} joined team ${trade.toTeamId}`, 'success');
+            }
+
+            await this.loadTrades();
+
+        } catch (error) {
+            console.error(`Error running ${action} on trade:`, error);
+            this.showMessage(`Failed to ${action} trade: ` + error.message, 'error');
+        }
+    }
+
+    async loadTransfers() {
+        if (!this.client) {
+            this.showMessage('Please connect your wallet first', 'error');
+            return;
+        }
+
+        const tradeDiv = document.getElementById('tradeList');
+
+        try {
+            const transfers = await this.client.getTransfers();
+            if (transfers.length === 0) {
+                this.showMessage('No athlete has changed teams yet', 'info');
+                tradeDiv.classList.add('hidden');
+                return;
+            }
+
+            tradeDiv.innerHTML = transfers.reverse().map(transfer => `
+                <div class="data-item">
+                    <h3>Athlete ${transfer.athleteId}: Team ${transfer.fromTeamId} → Team ${transfer.toTeamId}</h3>
+                    <p><strong>Via:</strong> ${transfer.tradeId ? `Trade #${transfer.tradeId}` : 'Contract proposal'}</p>
+                    <p><strong>Block:</strong> ${transfer.blockNumber}</p>
+                </div>
+            `).join('');
+            tradeDiv.classList.remove('hidden');
+
+        } catch (error) {
+            console.error('Error loading transfers:', error);
+            this.showMessage('Failed to load transfer history: ' + error.message, 'error');
+        }
+    }
+
+    async exportData() {
+        if (!this.client) {
+            this.showMessage('Please connect your wallet first', 'error');
+            return;
+        }
+
+        const format = document.getElementById('exportFormat').value;
+        const decrypt = document.getElementById('exportDecrypt').value === 'yes';
+
+        try {
+            if (decrypt) {
+                this.showMessage('Sign the decryption request in your wallet once the records are loaded...', 'info');
+            }
+            const data = await collectExport(this.client, {
+                decrypt,
+                onProgress: message => this.showMessage(message, 'info')
+            });
+
+            const baseName = `sports-export-${data.chainId}-${data.blockNumber}`;
+            if (format === 'json') {
+                this.downloadFile(`${baseName}.json`, exportToJson(data), 'application/json');
+            } else {
+                Object.entries(exportToCsv(data)).forEach(([table, csv]) => {
+                    this.downloadFile(`${baseName}-${table}.csv`, csv, 'text/csv');
+                });
+            }
+
+            this.showMessage(`Exported ${data.teams.length} teams, ${data.athletes.length} athletes and ${data.proposals.length} proposals at block ${data.blockNumber}`, 'success');
+
+        } catch (error) {
+            console.error('Error exporting data:', error);
+            this.showMessage('Failed to export data: ' + error.message, 'error');
+        }
+    }
+
+    downloadFile(fileName, content, mimeType) {
+        const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
     clearForm(fieldIds) {
         fieldIds.forEach(id => {
             const element = document.getElementById(id);
@@ -0,0 +1,75 @@
+// Relayer SDK browser bundle, loaded from the CDN like src/utils/fheInstance.ts
+const RELAYER_SDK_URL = "https://cdn.zama.ai/relayer-sdk-js/0.2.0/relayer-sdk-js.js";
+
+// The relayer caps one user decryption at 2048 bits, i.e. 64 euint32 or 32 euint64 handles
+const USER_DECRYPT_BATCH_BITS = 2048;
+
+let fheInstance = null;
+
+/**
+ * Create (once) the relayer SDK instance used to encrypt inputs in the browser.
+ * The instance exposes `createEncryptedInput(contract, user)` and can be passed
+ * to SportsContractClient as its `fhe` option.
+ */
+export async function initializeFheInstance(eip1193Provider) {
+  if (fheInstance) return fheInstance;
+
+  if (!eip1193Provider) {
+    throw new Error("Ethereum provider not found. Please install MetaMask or connect a wallet.");
+  }
+
+  const { initSDK, createInstance, SepoliaConfig } = await import(RELAYER_SDK_URL);
+
+  await initSDK(); // Loads WASM
+  fheInstance = await createInstance({ ...SepoliaConfig, network: eip1193Provider });
+  return fheInstance;
+}
+
+export function getFheInstance() {
+  return fheInstance;
+}
+
+/**
+ * Reveal handles for the connected wallet with an EIP-712 user decryption.
+ * A throwaway keypair is generated per call; the wallet signs the request and the
+ * relayer returns the values re-encrypted for that keypair, so nothing is published.
+ * Resolves to a BigInt per handle, in the same order (1n/0n for ebool).
+ * Large lists are split into relayer-sized batches under the same signature;
+ * bitsPerHandle is the width of the handles' type (32 for euint32, 64 for euint64).
+ */
+export async function userDecryptHandles(instance, signer, contractAddress, handles, bitsPerHandle = 32) {
+  const batchSize = USER_DECRYPT_BATCH_BITS / bitsPerHandle;
+  const keypair = instance.generateKeypair();
+  const startTimestamp = Math.floor(Date.now() / 1000).toString();
+  const durationDays = "1";
+  const contractAddresses = [contractAddress];
+
+  const eip712 = instance.createEIP712(keypair.publicKey, contractAddresses, startTimestamp, durationDays);
+  const signature = await signer.signTypedData(
+    eip712.domain,
+    { UserDecryptRequestVerification: eip712.types.UserDecryptRequestVerification },
+    eip712.message
+  );
+
+  const userAddress = await signer.getAddress();
+
+  const results = {};
+  for (let i = 0; i < handles.length; i += batchSize) {
+    const batch = handles.slice(i, i + batchSize);
+    Object.assign(
+      results,
+      await instance.userDecrypt(
+        batch.map((handle) => ({ handle, contractAddress })),
+        keypair.privateKey,
+        keypair.publicKey,
+        signature.replace("0x", ""),
+        contractAddresses,
+        userAddress,
+        startTimestamp,
+        durationDays
+      )
+    );
+  }
+
+  return handles.map((handle) => BigInt(results[handle]));
+}
@@ -0,0 +1,71 @@
+/**
+ * League rules as ConfidentialSportsContract stores them (the LeagueRules struct).
+ * Shared by the Hardhat scripts and the dApp, which validate rules before
+ * sending them so users see the problem instead of "Invalid league rules".
+ */
+
+// Struct fields in contract order, with labels for forms and CLI output
+export const LEAGUE_RULE_FIELDS = [
+  { key: "minSalary", label: "Min salary", flag: "min-salary" },
+  { key: "maxSalary", label: "Max salary", flag: "max-salary" },
+  { key: "maxCapSharePercent", label: "Max cap share (%)", flag: "max-cap-share" },
+  { key: "maxRosterSize", label: "Max roster size", flag: "max-roster" },
+  { key: "minContractMonths", label: "Min contract (months)", flag: "min-months" },
+  { key: "maxContractMonths", label: "Max contract (months)", flag: "max-months" },
+];
+
+const UINT32_MAX = 4294967295;
+
+// Loosest rules the contract accepts: salaries are only bound by the team's cap
+export const OPEN_LEAGUE_RULES = {
+  minSalary: 0,
+  maxSalary: UINT32_MAX,
+  maxCapSharePercent: 100,
+  maxRosterSize: 100,
+  minContractMonths: 1,
+  maxContractMonths: 120,
+};
+
+/**
+ * Fill missing fields from `base` (OPEN_LEAGUE_RULES by default) and return the
+ * complete rules as numbers
+ */
+export function withLeagueRuleDefaults(rules = {}, base = OPEN_LEAGUE_RULES) {
+  const complete = {};
+  for (const { key } of LEAGUE_RULE_FIELDS) {
+    const value = rules[key] ?? base[key];
+    complete[key] = Number(value);
+  }
+  return complete;
+}
+
+/**
+ * Problems the contract would reject the rules for, as readable messages
+ * (empty when createLeague / updateLeagueRules would accept them)
+ */
+export function validateLeagueRules(rules) {
+  const errors = [];
+  for (const { key, label } of LEAGUE_RULE_FIELDS) {
+    const value = rules[key];
+    if (!Number.isInteger(value) || value < 0 || value > UINT32_MAX) {
+      errors.push(`${label} must be an integer between 0 and ${UINT32_MAX}`);
+    }
+  }
+  if (errors.length) {
+    return errors;
+  }
+
+  if (rules.minSalary > rules.maxSalary) {
+    errors.push("Min salary must not exceed max salary");
+  }
+  if (rules.maxCapSharePercent < 1 || rules.maxCapSharePercent > 100) {
+    errors.push("Max cap share must be 1-100%");
+  }
+  if (rules.maxRosterSize < 1) {
+    errors.push("Max roster size must be at least 1");
+  }
+  if (rules.minContractMonths < 1 || rules.minContractMonths > rules.maxContractMonths || rules.maxContractMonths > 120) {
+    errors.push("Contract lengths must satisfy 1 <= min <= max <= 120 months");
+  }
+  return errors;
+}
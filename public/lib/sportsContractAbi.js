@@ -0,0 +1,207 @@
+/**
+ * Human-readable ABI for ConfidentialSportsContract.
+ * Shared by the Hardhat scripts and both dApps through SportsContractClient,
+ * keep it in sync with contracts/ConfidentialSportsContract.sol and the
+ * functions it forwards to contracts/ConfidentialSportsExtension.sol and, from
+ * there, contracts/ConfidentialSportsPayrollExtension.sol.
+ * Encrypted inputs (externalEuint32, externalEuint64) are bytes32 handles in the ABI.
+ */
+export const SPORTS_CONTRACT_ABI = [
+  // State
+  "function contractOwner() view returns (address)",
+  "function pendingOwner() view returns (address)",
+  "function extension() view returns (address)",
+  "function currentSeason() view returns (uint256)",
+  "function totalTeams() view returns (uint256)",
+  "function athleteCounter() view returns (uint256)",
+  "function teamCounter() view returns (uint256)",
+  "function proposalCounter() view returns (uint256)",
+  "function tradeCounter() view returns (uint256)",
+  "function negotiationCounter() view returns (uint256)",
+  "function leagueCounter() view returns (uint256)",
+  "function decryptionCounter() view returns (uint256)",
+  "function DECRYPTION_TIMEOUT() view returns (uint256)",
+  "function NEGOTIATION_WINDOW() view returns (uint256)",
+  "function MAX_NEGOTIATION_ROUNDS() view returns (uint256)",
+  "function MIN_AUDIT_WINDOW() view returns (uint256)",
+  "function MAX_AUDIT_WINDOW() view returns (uint256)",
+  "function PAY_PERIOD() view returns (uint256)",
+  "function PAY_PERIODS_PER_YEAR() view returns (uint256)",
+  "function MAX_PAYMENTS_PER_RUN() view returns (uint256)",
+  "function MAX_BONUS_CLAUSES() view returns (uint256)",
+  "function teams(uint256) view returns (string teamName, string league, address teamManager, bytes32 encryptedTotalPayroll, bytes32 encryptedSalaryCap, bool isActive, uint256 lastPayrollUpdate, uint256 decryptionRequestId, bool pendingDecryption, uint256 leagueId)",
+  "function athletes(uint256) view returns (string name, string position, uint256 teamId, bytes32 encryptedSalary, bytes32 encryptedBonus, bool isActive, uint256 contractStart, uint256 contractEnd, address athleteAddress, uint256 lastUpdateTime, bytes32 obfuscatedSalary)",
+  "function proposals(uint256) view returns (uint256 athleteId, uint256 teamId, bytes32 proposedSalary, bytes32 proposedBonus, uint256 contractDuration, bool isPending, bool isApproved, bool isRejected, address proposer, uint256 timestamp, uint256 expiryTime, uint256 decryptionRequestId, bool callbackReceived)",
+  "function proposalNegotiation(uint256) view returns (uint256)",
+  "function trades(uint256) view returns (uint256 athleteId, uint256 fromTeamId, uint256 toTeamId, address proposer, bool releasingTeamApproved, bool athleteConsented, bool isPending, bool isCompleted, uint256 timestamp, uint256 expiryTime)",
+
+  // Roles & ownership
+  "function grantRole(bytes32 _role, uint256 _scopeId, address _account)",
+  "function revokeRole(bytes32 _role, uint256 _scopeId, address _account)",
+  "function renounceRole(bytes32 _role, uint256 _scopeId)",
+  "function transferOwnership(address _newOwner)",
+  "function acceptOwnership()",
+  "function hasRole(bytes32 _role, uint256 _scopeId, address _account) view returns (bool)",
+  "function getRoleMembers(bytes32 _role, uint256 _scopeId) view returns (address[])",
+
+  // Leagues
+  "function createLeague(string _name, address _commissioner, tuple(uint32 minSalary, uint32 maxSalary, uint32 maxCapSharePercent, uint32 maxRosterSize, uint32 minContractMonths, uint32 maxContractMonths) _rules) returns (uint256)",
+  "function updateLeagueRules(uint256 _leagueId, tuple(uint32 minSalary, uint32 maxSalary, uint32 maxCapSharePercent, uint32 maxRosterSize, uint32 minContractMonths, uint32 maxContractMonths) _rules)",
+  "function setLeagueCommissioner(uint256 _leagueId, address _commissioner)",
+
+  // Team management
+  "function registerTeam(string _teamName, uint256 _leagueId, address _teamManager, bytes32 _encryptedSalaryCap, bytes _inputProof) returns (uint256)",
+  "function deactivateTeam(uint256 _teamId)",
+
+  // Athlete management
+  "function registerAthlete(string _name, string _position, uint256 _teamId, address _athleteAddress, bytes32 _encryptedSalary, bytes32 _encryptedBonus, bytes _inputProof, uint256 _contractDurationMonths) returns (uint256)",
+  "function updateAthleteSalary(uint256 _athleteId, bytes32 _encryptedSalary, bytes32 _encryptedBonus, bytes _inputProof)",
+  "function deactivateAthlete(uint256 _athleteId)",
+
+  // Contract proposals
+  "function proposeContract(uint256 _athleteId, uint256 _teamId, bytes32 _encryptedSalary, bytes32 _encryptedBonus, bytes _inputProof, uint256 _contractDuration) returns (uint256)",
+  "function requestProposalDecryption(uint256 _proposalId) returns (uint256)",
+  "function approveContract(uint256 _proposalId)",
+  "function counterProposal(uint256 _proposalId, bytes32 _encryptedSalary, bytes32 _encryptedBonus, bytes _inputProof, uint256 _contractDuration) returns (uint256)",
+  "function rejectContract(uint256 _proposalId)",
+  "function emergencyWithdrawProposal(uint256 _proposalId)",
+  "function handleDecryptionTimeout(uint256 requestId)",
+  "function setReservationSalary(uint256 _athleteId, bytes32 _encryptedMinimum, bytes _inputProof)",
+
+  // Trades
+  "function proposeTrade(uint256 _athleteId, uint256 _toTeamId) returns (uint256)",
+  "function requestTradeCheck(uint256 _tradeId) returns (uint256)",
+  "function acceptTrade(uint256 _tradeId)",
+  "function consentToTrade(uint256 _tradeId)",
+  "function rejectTrade(uint256 _tradeId)",
+  "function cancelTrade(uint256 _tradeId)",
+
+  // Payroll audits
+  "function openAudit(uint256 _teamId, address _auditor, uint256 _window) returns (uint256)",
+  "function refreshAudit(uint256 _auditId)",
+  "function recordAuditResult(uint256 _auditId, bool _compliant, bytes32 _reportHash)",
+  "function closeAudit(uint256 _auditId)",
+
+  // Salary disbursement
+  "function setPayrollToken(address _token)",
+  "function depositPayroll(uint256 _teamId, bytes32 _encryptedAmount, bytes _inputProof)",
+  "function runPayroll(uint256 _teamId, uint256 _period)",
+  "function withdrawPayrollEscrow(uint256 _teamId)",
+
+  // Performance bonuses
+  "function addBonusClause(uint256 _athleteId, uint8 _stat, bytes32 _encryptedThreshold, bytes32 _encryptedAmount, bytes _inputProof)",
+  "function postGameStats(uint256 _athleteId, uint256 _gameId, uint32 _points, uint32 _assists, uint32 _rebounds)",
+
+  // Payroll
+  "function checkSalaryCap(uint256 _teamId) returns (bytes32)",
+  "function requestSalaryCapAttestation(uint256 _teamId) returns (uint256)",
+
+  // Admin
+  "function startNewSeason()",
+
+  // Views
+  "function getAthleteInfo(uint256 _athleteId) view returns (string name, string position, uint256 teamId, bool isActive, uint256 contractStart, uint256 contractEnd, address athleteAddress)",
+  "function getEncryptedCompensation(uint256 _athleteId) view returns (bytes32 encryptedSalary, bytes32 encryptedBonus)",
+  "function getTeamInfo(uint256 _teamId) view returns (string teamName, string league, address teamManager, uint256[] athleteIds, bool isActive, uint256 leagueId)",
+  "function getEncryptedPayroll(uint256 _teamId) view returns (bytes32 encryptedTotalPayroll, bytes32 encryptedSalaryCap, uint256 lastPayrollUpdate)",
+  "function getSalaryCapCompliance(uint256 _teamId) view returns (bytes32 isCompliant, uint256 checkedAt, uint256 checkBlock, bool attested, bool publicResult, bool pendingAttestation)",
+  "function getRoleComplianceCheck(uint256 _teamId, address _account) view returns (bytes32 isCompliant, uint256 checkedAt, uint256 checkBlock)",
+  "function getProposalInfo(uint256 _proposalId) view returns (uint256 athleteId, uint256 teamId, uint256 contractDuration, bool isPending, bool isApproved, address proposer, uint256 timestamp, uint256 expiryTime, bool callbackReceived)",
+  "function getProposalOffer(uint256 _proposalId) view returns (bytes32 proposedSalary, bytes32 proposedBonus)",
+  "function getCapRoomCheck(uint256 _proposalId) view returns (bytes32 withinCap, bool decrypted, bool publicWithinCap)",
+  "function getLeagueRuleCheck(uint256 _proposalId) view returns (bytes32 meetsRules, bool decrypted, bool publicMeetsRules)",
+  "function getReservationMatch(uint256 _proposalId) view returns (bool hasMatch, bytes32 meetsReservation)",
+  "function getReservationSalary(uint256 _athleteId) view returns (bool isSet, bytes32 encryptedMinimum)",
+  "function getDecryptionStatus(uint256 requestId) view returns (bool completed, bool timedOut, uint256 timestamp, string requestType)",
+  "function getCurrentStats() view returns (uint256 season, uint256 totalAthletes, uint256 activeTeams, uint256 totalProposals)",
+  "function getMyAthletes(address _address) view returns (uint256[])",
+  "function getMyTeams(address _manager) view returns (uint256[])",
+  "function getAthleteProposals(uint256 _athleteId) view returns (uint256[])",
+  "function getNegotiationInfo(uint256 _negotiationId) view returns (uint256 athleteId, uint256 teamId, uint256 roundCount, uint256 latestProposalId, bool isOpen, bool isAgreed, uint256 openedAt, uint256 expiryTime)",
+  "function getNegotiationRounds(uint256 _negotiationId) view returns (uint256[])",
+  "function getTeamNegotiations(uint256 _teamId) view returns (uint256[])",
+  "function getAthleteNegotiations(uint256 _athleteId) view returns (uint256[])",
+  "function getTradeInfo(uint256 _tradeId) view returns (uint256 athleteId, uint256 fromTeamId, uint256 toTeamId, address proposer, bool releasingTeamApproved, bool athleteConsented, bool isPending, bool isCompleted, uint256 timestamp, uint256 expiryTime)",
+  "function getLeagueInfo(uint256 _leagueId) view returns (string name, address commissioner, uint256 teamCount, uint256 createdAt)",
+  "function getLeagueRules(uint256 _leagueId) view returns (tuple(uint32 minSalary, uint32 maxSalary, uint32 maxCapSharePercent, uint32 maxRosterSize, uint32 minContractMonths, uint32 maxContractMonths))",
+  "function getLeagueTeams(uint256 _leagueId) view returns (uint256[])",
+  "function getTradeCheck(uint256 _tradeId) view returns (bytes32 withinCap, bytes32 meetsRules, bool decrypted, bool current, bool publicWithinCap, bool publicMeetsRules)",
+  "function getTeamTrades(uint256 _teamId) view returns (uint256[])",
+  "function getAthleteTrades(uint256 _athleteId) view returns (uint256[])",
+  "function getAuditInfo(uint256 _auditId) view returns (uint256 teamId, address auditor, address openedBy, uint256 openedAt, uint256 expiresAt, uint256 snapshotAt, bool completed, bool closed, bool compliant, bytes32 reportHash, uint256 completedAt)",
+  "function getAuditSnapshot(uint256 _auditId) view returns (bytes32 payroll, bytes32 salaryCap, uint256[] athleteIds, bytes32[] salaries, bytes32[] bonuses)",
+  "function getAuditCount() view returns (uint256)",
+  "function getTeamAudits(uint256 _teamId) view returns (uint256[])",
+  "function getAuditorAudits(address _auditor) view returns (uint256[])",
+  "function getPayrollToken() view returns (address)",
+  "function getPayrollEscrow(uint256 _teamId) view returns (bytes32)",
+  "function getPayrollRun(uint256 _teamId) view returns (uint256 period, uint256 startedAt, uint256 athleteCount, uint256 nextIndex, uint256 paidCount, bool completed)",
+  "function getPaymentCount(uint256 _athleteId) view returns (uint256)",
+  "function getAthletePayments(uint256 _athleteId) view returns (tuple(uint256 teamId, uint256 period, bytes32 amount, uint256 paidAt)[])",
+  "function getBonusClauses(uint256 _athleteId) view returns (tuple(uint8 stat, bytes32 threshold, bytes32 amount)[])",
+  "function getSeasonStats(uint256 _athleteId, uint256 _season) view returns (uint32[4])",
+  "function getEarnedBonus(uint256 _athleteId, uint256 _season) view returns (bytes32)",
+  "function isGameStatsPosted(uint256 _athleteId, uint256 _gameId) view returns (bool)",
+
+  // Events
+  "event AthleteRegistered(uint256 indexed athleteId, string name, uint256 teamId)",
+  "event TeamRegistered(uint256 indexed teamId, string teamName, address manager)",
+  "event SalaryUpdated(uint256 indexed athleteId, uint256 timestamp)",
+  "event ContractProposed(uint256 indexed proposalId, uint256 athleteId, uint256 teamId)",
+  "event ContractApproved(uint256 indexed proposalId, uint256 athleteId, uint256 teamId)",
+  "event ContractRejected(uint256 indexed proposalId, uint256 athleteId, uint256 reason)",
+  "event PayrollUpdated(uint256 indexed teamId, uint256 timestamp)",
+  "event SeasonStarted(uint256 indexed season, uint256 timestamp)",
+  "event DecryptionRequested(uint256 indexed requestId, string requestType, uint256 targetId)",
+  "event DecryptionCompleted(uint256 indexed requestId, bool success)",
+  "event DecryptionTimedOut(uint256 indexed requestId, uint256 timestamp)",
+  "event RefundIssued(address indexed recipient, uint256 amount, string reason)",
+  "event EmergencyWithdrawal(uint256 indexed proposalId, address recipient)",
+  "event SalaryCapChecked(uint256 indexed teamId, uint256 blockNumber, uint256 timestamp)",
+  "event SalaryCapAttested(uint256 indexed teamId, bool compliant, uint256 checkBlock)",
+  "event NegotiationOpened(uint256 indexed negotiationId, uint256 athleteId, uint256 teamId, uint256 expiryTime)",
+  "event ReservationSalarySet(uint256 indexed athleteId, uint256 timestamp)",
+  "event CounterProposed(uint256 indexed negotiationId, uint256 indexed proposalId, uint256 previousProposalId, address proposer, uint256 round)",
+  "event TradeProposed(uint256 indexed tradeId, uint256 athleteId, uint256 fromTeamId, uint256 toTeamId)",
+  "event TradeApproved(uint256 indexed tradeId, address approver)",
+  "event TradeRejected(uint256 indexed tradeId, address rejectedBy)",
+  "event TradeCancelled(uint256 indexed tradeId)",
+  "event LeagueCreated(uint256 indexed leagueId, string name, address commissioner)",
+  "event LeagueRulesUpdated(uint256 indexed leagueId, address updatedBy)",
+  "event LeagueCommissionerChanged(uint256 indexed leagueId, address commissioner)",
+  "event AthleteTransferred(uint256 indexed athleteId, uint256 indexed fromTeamId, uint256 indexed toTeamId, uint256 tradeId)",
+  "event RoleGranted(bytes32 indexed role, uint256 indexed scopeId, address indexed account, address sender)",
+  "event RoleRevoked(bytes32 indexed role, uint256 indexed scopeId, address indexed account, address sender)",
+  "event OwnershipTransferStarted(address indexed previousOwner, address indexed newOwner)",
+  "event OwnershipTransferred(address indexed previousOwner, address indexed newOwner)",
+  "event AuditOpened(uint256 indexed auditId, uint256 indexed teamId, address indexed auditor, uint256 expiresAt)",
+  "event AuditSnapshotTaken(uint256 indexed auditId, uint256 snapshotAt, uint256 athleteCount)",
+  "event AuditCompleted(uint256 indexed auditId, uint256 indexed teamId, bool compliant, bytes32 reportHash)",
+  "event AuditClosed(uint256 indexed auditId, address closedBy)",
+  "event PayrollTokenSet(address indexed token)",
+  "event PayrollDeposited(uint256 indexed teamId, address indexed from)",
+  "event PayrollWithdrawn(uint256 indexed teamId, address indexed to)",
+  "event PayrollRunStarted(uint256 indexed teamId, uint256 indexed period, uint256 athleteCount)",
+  "event SalaryPaid(uint256 indexed teamId, uint256 indexed period, uint256 indexed athleteId)",
+  "event PayrollRunCompleted(uint256 indexed teamId, uint256 indexed period, uint256 paidCount)",
+  "event BonusClauseAdded(uint256 indexed athleteId, uint256 clauseIndex, uint8 stat)",
+  "event GameStatsPosted(uint256 indexed athleteId, uint256 indexed gameId, uint256 indexed season)",
+];
+
+/**
+ * Human-readable ABI for contracts/ConfidentialPayrollToken.sol, the
+ * ERC-7984-style token salaries are paid in. Amounts are bytes32 euint64 handles.
+ */
+export const PAYROLL_TOKEN_ABI = [
+  "function name() view returns (string)",
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+  "function owner() view returns (address)",
+  "function confidentialTotalSupply() view returns (bytes32)",
+  "function confidentialBalanceOf(address _account) view returns (bytes32)",
+  "function isOperator(address _holder, address _spender) view returns (bool)",
+  "function mint(address _to, uint64 _amount)",
+  "function setOperator(address _operator, uint48 _until)",
+  "event ConfidentialTransfer(address indexed from, address indexed to, bytes32 indexed amount)",
+  "event OperatorSet(address indexed holder, address indexed operator, uint48 until)",
+];
@@ -0,0 +1,1405 @@
+import { ethers } from "ethers";
+import { PAYROLL_TOKEN_ABI, SPORTS_CONTRACT_ABI } from "./sportsContractAbi.js";
+import { userDecryptHandles } from "./fhevm.js";
+
+// FhevmType values in @fhevm/hardhat-plugin
+const EBOOL_TYPE = 0;
+const EUINT32_TYPE = 4;
+const EUINT64_TYPE = 5;
+
+// The FhevmType of a handle, stored in its byte 30
+function handleType(handle) {
+  return parseInt(handle.slice(62, 64), 16);
+}
+
+// Role IDs are keccak256 of the contract's (internal) constant names.
+// teamDelegate is scoped to a team ID, the others to 0 (contract-wide).
+export const ROLES = {
+  leagueAdmin: ethers.id("LEAGUE_ADMIN_ROLE"),
+  auditor: ethers.id("AUDITOR_ROLE"),
+  teamDelegate: ethers.id("TEAM_DELEGATE_ROLE"),
+  statsOracle: ethers.id("STATS_ORACLE_ROLE"),
+};
+
+// Season stats by their index in the contract (BonusClause.stat, getSeasonStats)
+export const BONUS_STATS = ["gamesPlayed", "points", "assists", "rebounds"];
+
+function roleId(role) {
+  if (!ROLES[role]) {
+    throw new Error(`Unknown role "${role}", expected one of: ${Object.keys(ROLES).join(", ")}`);
+  }
+  return ROLES[role];
+}
+
+function statIndex(stat) {
+  const index = BONUS_STATS.indexOf(stat);
+  if (index === -1) {
+    throw new Error(`Unknown stat "${stat}", expected one of: ${BONUS_STATS.join(", ")}`);
+  }
+  return index;
+}
+
+/**
+ * SportsContractClient
+ * Typed wrapper around ConfidentialSportsContract used by the Hardhat scripts
+ * and the browser dApps. Works with any ethers v6 runner: a Hardhat signer in
+ * scripts, or a BrowserProvider signer built from an EIP-1193 provider.
+ *
+ * Write methods wait for the receipt and decode the ID carried by the
+ * matching event, so callers get `{ teamId, receipt }` instead of raw logs.
+ *
+ * Salaries, bonuses and caps are encrypted before they leave the client. The
+ * `fhe` option is anything exposing `createEncryptedInput(contract, user)`:
+ * `hre.fhevm` in scripts, or a relayer SDK instance in the browser. The same
+ * instance performs user decryption of handles the signer is allowed to read.
+ */
+export class SportsContractClient {
+  /**
+   * @param {string} address Deployed ConfidentialSportsContract address
+   * @param {import("ethers").ContractRunner} runner Signer or provider
+   * @param {{ fhe?: object }} [options] FHE instance used to encrypt inputs
+   */
+  constructor(address, runner, options = {}) {
+    this.address = address;
+    this.runner = runner;
+    this.fhe = options.fhe || null;
+    this.contract = new ethers.Contract(address, SPORTS_CONTRACT_ABI, runner);
+  }
+
+  /**
+   * Build a client from a browser wallet (window.ethereum or any EIP-1193 provider)
+   */
+  static async fromEip1193(address, eip1193Provider, options = {}) {
+    const provider = new ethers.BrowserProvider(eip1193Provider);
+    const signer = await provider.getSigner();
+    return new SportsContractClient(address, signer, options);
+  }
+
+  /**
+   * Return a new client bound to another signer (e.g. a different Hardhat account)
+   */
+  connect(runner) {
+    return new SportsContractClient(this.address, runner, { fhe: this.fhe });
+  }
+
+  async getSignerAddress() {
+    if (!this.runner || typeof this.runner.getAddress !== "function") {
+      throw new Error("SportsContractClient has no signer attached");
+    }
+    return this.runner.getAddress();
+  }
+
+  // ===========================================================================
+  // Read Methods
+  // ===========================================================================
+
+  async getContractOwner() {
+    return this.contract.contractOwner();
+  }
+
+  async getPendingOwner() {
+    return this.contract.pendingOwner();
+  }
+
+  /**
+   * Holders of a role by name (see ROLES); scopeId is the team ID for teamDelegate
+   */
+  async getRoleMembers(role, scopeId = 0) {
+    return [...(await this.contract.getRoleMembers(roleId(role), scopeId))];
+  }
+
+  async hasRole(role, account, scopeId = 0) {
+    return this.contract.hasRole(roleId(role), scopeId, account);
+  }
+
+  /**
+   * Contract-wide access: owner, pending owner, league admins, auditors and
+   * stats oracles. Commissioners are listed per league (getLeague), delegates per team.
+   */
+  async getAccessSummary() {
+    const [owner, pendingOwner, leagueAdmins, auditors, statsOracles] = await Promise.all([
+      this.getContractOwner(),
+      this.getPendingOwner(),
+      this.getRoleMembers("leagueAdmin"),
+      this.getRoleMembers("auditor"),
+      this.getRoleMembers("statsOracle"),
+    ]);
+    return {
+      owner,
+      pendingOwner: pendingOwner === ethers.ZeroAddress ? null : pendingOwner,
+      leagueAdmins,
+      auditors,
+      statsOracles,
+    };
+  }
+
+  async getCurrentSeason() {
+    return Number(await this.contract.currentSeason());
+  }
+
+  async getDecryptionTimeout() {
+    return Number(await this.contract.DECRYPTION_TIMEOUT());
+  }
+
+  async getStats() {
+    const stats = await this.contract.getCurrentStats();
+    return {
+      season: Number(stats.season),
+      totalAthletes: Number(stats.totalAthletes),
+      activeTeams: Number(stats.activeTeams),
+      totalProposals: Number(stats.totalProposals),
+    };
+  }
+
+  async getAthlete(athleteId) {
+    const info = await this.contract.getAthleteInfo(athleteId);
+    return {
+      id: Number(athleteId),
+      name: info.name,
+      position: info.position,
+      teamId: Number(info.teamId),
+      isActive: info.isActive,
+      contractStart: Number(info.contractStart),
+      contractEnd: Number(info.contractEnd),
+      athleteAddress: info.athleteAddress,
+    };
+  }
+
+  async getTeam(teamId) {
+    const info = await this.contract.getTeamInfo(teamId);
+    return {
+      id: Number(teamId),
+      teamName: info.teamName,
+      league: info.league,
+      teamManager: info.teamManager,
+      athleteIds: info.athleteIds.map((id) => Number(id)),
+      isActive: info.isActive,
+      leagueId: Number(info.leagueId),
+    };
+  }
+
+  async getLeagueCount() {
+    return Number(await this.contract.leagueCounter());
+  }
+
+  /**
+   * League with its commissioner and plaintext rules (salaries in contract units,
+   * the cap share in percent, contract lengths in months)
+   */
+  async getLeague(leagueId) {
+    const [info, rules] = await Promise.all([
+      this.contract.getLeagueInfo(leagueId),
+      this.contract.getLeagueRules(leagueId),
+    ]);
+    return {
+      id: Number(leagueId),
+      name: info.name,
+      commissioner: info.commissioner,
+      teamCount: Number(info.teamCount),
+      createdAt: Number(info.createdAt),
+      rules: {
+        minSalary: Number(rules.minSalary),
+        maxSalary: Number(rules.maxSalary),
+        maxCapSharePercent: Number(rules.maxCapSharePercent),
+        maxRosterSize: Number(rules.maxRosterSize),
+        minContractMonths: Number(rules.minContractMonths),
+        maxContractMonths: Number(rules.maxContractMonths),
+      },
+    };
+  }
+
+  async getProposal(proposalId) {
+    const info = await this.contract.getProposalInfo(proposalId);
+    return {
+      id: Number(proposalId),
+      athleteId: Number(info.athleteId),
+      teamId: Number(info.teamId),
+      contractDuration: Number(info.contractDuration),
+      isPending: info.isPending,
+      isApproved: info.isApproved,
+      proposer: info.proposer,
+      timestamp: Number(info.timestamp),
+      expiryTime: Number(info.expiryTime),
+      callbackReceived: info.callbackReceived,
+    };
+  }
+
+  async getProposalOffer(proposalId) {
+    const offer = await this.contract.getProposalOffer(proposalId);
+    return {
+      salaryHandle: offer.proposedSalary,
+      bonusHandle: offer.proposedBonus,
+    };
+  }
+
+  /**
+   * Decrypt a proposal's offer for the athlete or the team manager
+   */
+  async decryptProposalOffer(proposalId) {
+    const { salaryHandle, bonusHandle } = await this.getProposalOffer(proposalId);
+    const [salary, bonus] = await this._userDecrypt32([salaryHandle, bonusHandle]);
+    return { proposalId: Number(proposalId), salary, bonus };
+  }
+
+  /**
+   * Sealed comparison of a team round with the athlete's reservation salary.
+   * hasMatch is false for the athlete's own rounds and when no reservation was set.
+   */
+  async getReservationMatch(proposalId) {
+    const match = await this.contract.getReservationMatch(proposalId);
+    return {
+      proposalId: Number(proposalId),
+      hasMatch: match.hasMatch,
+      matchHandle: match.meetsReservation,
+    };
+  }
+
+  /**
+   * Decrypt whether a team round meets the athlete's minimum, for the athlete,
+   * or for the team manager once the athlete has approved, countered or rejected the round.
+   * Neither side learns the other's number.
+   * `meetsReservation` is null when the round has no match.
+   */
+  async decryptReservationMatch(proposalId) {
+    const match = await this.getReservationMatch(proposalId);
+    if (!match.hasMatch) {
+      return { ...match, meetsReservation: null };
+    }
+    const [value] = await this._userDecrypt([match.matchHandle], EBOOL_TYPE);
+    return { ...match, meetsReservation: value === 1n };
+  }
+
+  /**
+   * Cap-room check of a proposal: whether signing it keeps the team within its
+   * salary cap. publicWithinCap is the result published with the decrypted
+   * offer, which approveContract requires; it is only meaningful once decrypted.
+   */
+  async getCapRoomCheck(proposalId) {
+    const check = await this.contract.getCapRoomCheck(proposalId);
+    return {
+      proposalId: Number(proposalId),
+      capRoomHandle: check.withinCap,
+      decrypted: check.decrypted,
+      publicWithinCap: check.publicWithinCap,
+    };
+  }
+
+  /**
+   * Decrypt the latest cap-room check of a proposal for the team manager
+   */
+  async decryptCapRoomCheck(proposalId) {
+    const check = await this.getCapRoomCheck(proposalId);
+    const [value] = await this._userDecrypt([check.capRoomHandle], EBOOL_TYPE);
+    return { ...check, withinCap: value === 1n };
+  }
+
+  /**
+   * League rule check of a proposal: whether its terms meet the team's league
+   * rules. publicMeetsRules is published with the decrypted offer, like
+   * publicWithinCap, and approveContract requires it.
+   */
+  async getLeagueRuleCheck(proposalId) {
+    const check = await this.contract.getLeagueRuleCheck(proposalId);
+    return {
+      proposalId: Number(proposalId),
+      rulesHandle: check.meetsRules,
+      decrypted: check.decrypted,
+      publicMeetsRules: check.publicMeetsRules,
+    };
+  }
+
+  /**
+   * Decrypt the latest league rule check of a proposal for the manager or athlete
+   */
+  async decryptLeagueRuleCheck(proposalId) {
+    const check = await this.getLeagueRuleCheck(proposalId);
+    const [value] = await this._userDecrypt([check.rulesHandle], EBOOL_TYPE);
+    return { ...check, meetsRules: value === 1n };
+  }
+
+  async getNegotiationIdFor(proposalId) {
+    return Number(await this.contract.proposalNegotiation(proposalId));
+  }
+
+  /**
+   * Public progress of a negotiation: round count and status, never the terms.
+   * status is "open" | "agreed" | "closed" (closed covers rejected, withdrawn and expired threads)
+   */
+  async getNegotiation(negotiationId) {
+    const [info, rounds] = await Promise.all([
+      this.contract.getNegotiationInfo(negotiationId),
+      this.contract.getNegotiationRounds(negotiationId),
+    ]);
+    let status = "closed";
+    if (info.isOpen) status = "open";
+    else if (info.isAgreed) status = "agreed";
+
+    return {
+      id: Number(negotiationId),
+      athleteId: Number(info.athleteId),
+      teamId: Number(info.teamId),
+      roundCount: Number(info.roundCount),
+      latestProposalId: Number(info.latestProposalId),
+      proposalIds: rounds.map((id) => Number(id)),
+      status,
+      openedAt: Number(info.openedAt),
+      expiryTime: Number(info.expiryTime),
+    };
+  }
+
+  /**
+   * Decrypt every round of a negotiation for the athlete or the team manager,
+   * oldest first, in one user decryption
+   */
+  async decryptNegotiation(negotiationId) {
+    const negotiation = await this.getNegotiation(negotiationId);
+    const records = [];
+    const handles = [];
+    for (const proposalId of negotiation.proposalIds) {
+      const record = await this.getProposalRecord(proposalId);
+      records.push(record);
+      handles.push(record.salaryHandle, record.bonusHandle);
+    }
+    const values = await this._userDecrypt32(handles);
+
+    return {
+      ...negotiation,
+      rounds: records.map((record, i) => ({
+        proposalId: record.id,
+        round: i + 1,
+        proposer: record.proposer,
+        salary: values[i * 2],
+        bonus: values[i * 2 + 1],
+        contractDuration: record.contractDuration,
+        status: record.status,
+        callbackReceived: record.callbackReceived,
+      })),
+    };
+  }
+
+  async getDecryptionStatus(requestId) {
+    const status = await this.contract.getDecryptionStatus(requestId);
+    return {
+      requestId: BigInt(requestId),
+      completed: status.completed,
+      timedOut: status.timedOut,
+      timestamp: Number(status.timestamp),
+      requestType: status.requestType,
+    };
+  }
+
+  async getReservationSalary(athleteId) {
+    const reservation = await this.contract.getReservationSalary(athleteId);
+    return {
+      athleteId: Number(athleteId),
+      isSet: reservation.isSet,
+      minimumHandle: reservation.encryptedMinimum,
+    };
+  }
+
+  /**
+   * Decrypt the athlete's own reservation salary. `minimumSalary` is null when none is set.
+   */
+  async decryptReservationSalary(athleteId) {
+    const reservation = await this.getReservationSalary(athleteId);
+    if (!reservation.isSet) {
+      return { ...reservation, minimumSalary: null };
+    }
+    const [minimumSalary] = await this._userDecrypt32([reservation.minimumHandle]);
+    return { ...reservation, minimumSalary };
+  }
+
+  async getEncryptedCompensation(athleteId) {
+    const handles = await this.contract.getEncryptedCompensation(athleteId);
+    return {
+      salaryHandle: handles.encryptedSalary,
+      bonusHandle: handles.encryptedBonus,
+    };
+  }
+
+  /**
+   * Decrypt an athlete's salary and bonus for the connected signer.
+   * Only the athlete and their team manager are allowed by the contract ACL.
+   */
+  async decryptCompensation(athleteId) {
+    const { salaryHandle, bonusHandle } = await this.getEncryptedCompensation(athleteId);
+    const [salary, bonus] = await this._userDecrypt32([salaryHandle, bonusHandle]);
+    return { athleteId: Number(athleteId), salary, bonus };
+  }
+
+  async getEncryptedPayroll(teamId) {
+    const payroll = await this.contract.getEncryptedPayroll(teamId);
+    return {
+      payrollHandle: payroll.encryptedTotalPayroll,
+      salaryCapHandle: payroll.encryptedSalaryCap,
+      lastPayrollUpdate: Number(payroll.lastPayrollUpdate),
+    };
+  }
+
+  /**
+   * Decrypt a team's payroll, salary cap and per-athlete cost for its manager.
+   * All handles are revealed in one user decryption, so the wallet signs once.
+   * capRoom is negative when the team is over the cap.
+   */
+  async decryptTeamPayroll(teamId) {
+    const team = await this.getTeam(teamId);
+    const { payrollHandle, salaryCapHandle, lastPayrollUpdate } = await this.getEncryptedPayroll(teamId);
+
+    // Payroll only counts active athletes still signed to this team
+    const roster = [];
+    for (const athleteId of team.athleteIds) {
+      const athlete = await this._getActiveAthlete(athleteId);
+      if (athlete && athlete.teamId === team.id) {
+        roster.push({ ...athlete, ...(await this.getEncryptedCompensation(athleteId)) });
+      }
+    }
+
+    const handles = [payrollHandle, salaryCapHandle];
+    for (const athlete of roster) {
+      handles.push(athlete.salaryHandle, athlete.bonusHandle);
+    }
+    // The payroll is a euint64, the rest euint32: each handle is decrypted as its own type
+    const [payroll, salaryCap, ...compensation] = await this._userDecrypt(handles);
+
+    return {
+      teamId: team.id,
+      teamName: team.teamName,
+      league: team.league,
+      payroll,
+      salaryCap,
+      capRoom: salaryCap - payroll,
+      lastPayrollUpdate,
+      athletes: roster.map((athlete, i) => {
+        const salary = compensation[i * 2];
+        const bonus = compensation[i * 2 + 1];
+        return {
+          id: athlete.id,
+          name: athlete.name,
+          position: athlete.position,
+          salary,
+          bonus,
+          total: salary + bonus,
+        };
+      }),
+    };
+  }
+
+  /**
+   * Project a team's cap room if an offer were signed, before submitting it.
+   * Mirrors the contract's check from the manager's decrypted payroll: re-signing
+   * an athlete replaces their current compensation, and inactive athletes add nothing.
+   */
+  async previewCapRoom({ athleteId, teamId, salary, bonus }) {
+    const team = await this.decryptTeamPayroll(teamId);
+    const athlete = await this._getActiveAthlete(athleteId);
+    const current = team.athletes.find((member) => member.id === Number(athleteId));
+
+    let projectedPayroll = team.payroll;
+    if (athlete) {
+      projectedPayroll += BigInt(salary) + BigInt(bonus) - (current ? current.total : 0n);
+    }
+
+    return {
+      teamId: team.teamId,
+      payroll: team.payroll,
+      salaryCap: team.salaryCap,
+      projectedPayroll,
+      capRoom: team.salaryCap - projectedPayroll,
+      withinCap: projectedPayroll <= team.salaryCap,
+    };
+  }
+
+  async getSalaryCapCompliance(teamId) {
+    const check = await this.contract.getSalaryCapCompliance(teamId);
+    return {
+      teamId: Number(teamId),
+      complianceHandle: check.isCompliant,
+      checkedAt: Number(check.checkedAt),
+      checkBlock: Number(check.checkBlock),
+      attested: check.attested,
+      publicResult: check.publicResult,
+      pendingAttestation: check.pendingAttestation,
+    };
+  }
+
+  /**
+   * Decrypt the latest salary cap check for the team manager.
+   * `compliant` is null when the team has never been checked.
+   */
+  async decryptSalaryCapCompliance(teamId) {
+    const check = await this.getSalaryCapCompliance(teamId);
+    if (check.checkedAt === 0) {
+      return { ...check, compliant: null };
+    }
+    const [value] = await this._userDecrypt([check.complianceHandle], EBOOL_TYPE);
+    return { ...check, compliant: value === 1n };
+  }
+
+  /**
+   * Latest salary cap check of the team by a delegate, admin or auditor. These
+   * never replace the manager's attestable check (getSalaryCapCompliance).
+   */
+  async getRoleComplianceCheck(teamId, account) {
+    const check = await this.contract.getRoleComplianceCheck(teamId, account);
+    return {
+      teamId: Number(teamId),
+      account,
+      complianceHandle: check.isCompliant,
+      checkedAt: Number(check.checkedAt),
+      checkBlock: Number(check.checkBlock),
+    };
+  }
+
+  /**
+   * Decrypt a delegate's, admin's or auditor's salary cap check for the team
+   * manager. `compliant` is null when the account has never checked the team.
+   */
+  async decryptRoleComplianceCheck(teamId, account) {
+    const check = await this.getRoleComplianceCheck(teamId, account);
+    if (check.checkedAt === 0) {
+      return { ...check, compliant: null };
+    }
+    const [value] = await this._userDecrypt([check.complianceHandle], EBOOL_TYPE);
+    return { ...check, compliant: value === 1n };
+  }
+
+  async getAthleteIdsFor(address) {
+    const ids = await this.contract.getMyAthletes(address);
+    return ids.map((id) => Number(id));
+  }
+
+  async getTeamIdsFor(manager) {
+    const ids = await this.contract.getMyTeams(manager);
+    return ids.map((id) => Number(id));
+  }
+
+  async getTeamIdsForLeague(leagueId) {
+    const ids = await this.contract.getLeagueTeams(leagueId);
+    return ids.map((id) => Number(id));
+  }
+
+  async getProposalIdsFor(athleteId) {
+    const ids = await this.contract.getAthleteProposals(athleteId);
+    return ids.map((id) => Number(id));
+  }
+
+  async getNegotiationIdsForTeam(teamId) {
+    const ids = await this.contract.getTeamNegotiations(teamId);
+    return ids.map((id) => Number(id));
+  }
+
+  async getNegotiationIdsForAthlete(athleteId) {
+    const ids = await this.contract.getAthleteNegotiations(athleteId);
+    return ids.map((id) => Number(id));
+  }
+
+  async getTradeIdsForTeam(teamId) {
+    const ids = await this.contract.getTeamTrades(teamId);
+    return ids.map((id) => Number(id));
+  }
+
+  async getTradeIdsForAthlete(athleteId) {
+    const ids = await this.contract.getAthleteTrades(athleteId);
+    return ids.map((id) => Number(id));
+  }
+
+  /**
+   * Trade with its outcome as "pending" | "completed" | "cancelled"
+   * (cancelled covers rejected and withdrawn trades; pending trades may have expired)
+   */
+  async getTrade(tradeId, blockTag = "latest") {
+    const trade = await this.contract.trades(tradeId, { blockTag });
+    let status = "cancelled";
+    if (trade.isPending) status = "pending";
+    else if (trade.isCompleted) status = "completed";
+
+    return {
+      id: Number(tradeId),
+      athleteId: Number(trade.athleteId),
+      fromTeamId: Number(trade.fromTeamId),
+      toTeamId: Number(trade.toTeamId),
+      proposer: trade.proposer,
+      releasingTeamApproved: trade.releasingTeamApproved,
+      athleteConsented: trade.athleteConsented,
+      status,
+      timestamp: Number(trade.timestamp),
+      expiryTime: Number(trade.expiryTime),
+    };
+  }
+
+  /**
+   * Published check of whether a trade's athlete fits the acquiring team: its
+   * cap room and league rules. The trade only executes while the check is
+   * decrypted, current (no payroll change of either team since) and passes both.
+   */
+  async getTradeCheck(tradeId, blockTag = "latest") {
+    const check = await this.contract.getTradeCheck(tradeId, { blockTag });
+    return {
+      tradeId: Number(tradeId),
+      decrypted: check.decrypted,
+      current: check.current,
+      publicWithinCap: check.publicWithinCap,
+      publicMeetsRules: check.publicMeetsRules,
+    };
+  }
+
+  async getAuditCount() {
+    return Number(await this.contract.getAuditCount());
+  }
+
+  async getAuditIdsForTeam(teamId) {
+    const ids = await this.contract.getTeamAudits(teamId);
+    return ids.map((id) => Number(id));
+  }
+
+  async getAuditIdsFor(auditor) {
+    const ids = await this.contract.getAuditorAudits(auditor);
+    return ids.map((id) => Number(id));
+  }
+
+  /**
+   * Payroll audit with its state as "open" | "completed" | "closed" | "expired"
+   * (expired: the window ended before the auditor recorded a result).
+   * compliant and reportHash are null until the audit is completed.
+   */
+  async getAudit(auditId) {
+    const [info, block] = await Promise.all([
+      this.contract.getAuditInfo(auditId),
+      (this.runner.provider || this.runner).getBlock("latest"),
+    ]);
+    const expiresAt = Number(info.expiresAt);
+    let status = "open";
+    if (info.completed) status = "completed";
+    else if (info.closed) status = "closed";
+    else if (block.timestamp >= expiresAt) status = "expired";
+
+    return {
+      id: Number(auditId),
+      teamId: Number(info.teamId),
+      auditor: info.auditor,
+      openedBy: info.openedBy,
+      openedAt: Number(info.openedAt),
+      expiresAt,
+      snapshotAt: Number(info.snapshotAt),
+      status,
+      compliant: info.completed ? info.compliant : null,
+      reportHash: info.completed ? info.reportHash : null,
+      completedAt: Number(info.completedAt),
+    };
+  }
+
+  async getAuditSnapshot(auditId) {
+    const snapshot = await this.contract.getAuditSnapshot(auditId);
+    return {
+      payrollHandle: snapshot.payroll,
+      salaryCapHandle: snapshot.salaryCap,
+      athletes: snapshot.athleteIds.map((id, i) => ({
+        id: Number(id),
+        salaryHandle: snapshot.salaries[i],
+        bonusHandle: snapshot.bonuses[i],
+      })),
+    };
+  }
+
+  /**
+   * Decrypt an audit's latest snapshot for its auditor, in one user decryption.
+   * Athlete names come from the current records; athletes deactivated since the
+   * snapshot keep their ID only.
+   */
+  async decryptAuditSnapshot(auditId) {
+    const audit = await this.getAudit(auditId);
+    const { payrollHandle, salaryCapHandle, athletes } = await this.getAuditSnapshot(auditId);
+
+    const handles = [payrollHandle, salaryCapHandle];
+    for (const athlete of athletes) {
+      handles.push(athlete.salaryHandle, athlete.bonusHandle);
+    }
+    const [payroll, salaryCap, ...compensation] = await this._userDecrypt(handles);
+
+    const roster = [];
+    for (const [i, { id }] of athletes.entries()) {
+      const athlete = await this._getActiveAthlete(id);
+      const salary = compensation[i * 2];
+      const bonus = compensation[i * 2 + 1];
+      roster.push({
+        id,
+        name: athlete ? athlete.name : null,
+        position: athlete ? athlete.position : null,
+        salary,
+        bonus,
+        total: salary + bonus,
+      });
+    }
+
+    return {
+      audit,
+      payroll,
+      salaryCap,
+      capRoom: salaryCap - payroll,
+      athletes: roster,
+    };
+  }
+
+  async getPayrollTokenAddress() {
+    return this.contract.getPayrollToken();
+  }
+
+  /**
+   * The payroll token's name, symbol and decimals; null until the admin sets it
+   */
+  async getPayrollToken() {
+    const token = await this._getPayrollToken(false);
+    if (!token) return null;
+    const [name, symbol, decimals] = await Promise.all([token.name(), token.symbol(), token.decimals()]);
+    return { address: await token.getAddress(), name, symbol, decimals: Number(decimals) };
+  }
+
+  async getTokenBalanceHandle(account) {
+    const token = await this._getPayrollToken();
+    return token.confidentialBalanceOf(account || (await this.getSignerAddress()));
+  }
+
+  /**
+   * The connected signer's payroll token balance (0n before they ever held any)
+   */
+  async decryptTokenBalance() {
+    const handle = await this.getTokenBalanceHandle();
+    if (handle === ethers.ZeroHash) return 0n;
+    const token = await this._getPayrollToken();
+    const [value] = await this._userDecrypt([handle], EUINT64_TYPE, await token.getAddress());
+    return value;
+  }
+
+  /**
+   * Whether this contract can currently move the holder's tokens, as depositPayroll needs
+   */
+  async canDepositPayroll(holder) {
+    const token = await this._getPayrollToken();
+    return token.isOperator(holder || (await this.getSignerAddress()), this.address);
+  }
+
+  async getPayrollEscrow(teamId) {
+    return this.contract.getPayrollEscrow(teamId);
+  }
+
+  /**
+   * The team's escrow balance for its manager (0n before the first deposit)
+   */
+  async decryptPayrollEscrow(teamId) {
+    const handle = await this.getPayrollEscrow(teamId);
+    if (handle === ethers.ZeroHash) return 0n;
+    const [value] = await this._userDecrypt([handle], EUINT64_TYPE);
+    return value;
+  }
+
+  /**
+   * The team's latest payroll period. period is 0 before the first one;
+   * nextPeriod is the one runPayroll accepts (the latest until it completes)
+   * and nextDueAt is when the following period can start.
+   */
+  async getPayrollRun(teamId) {
+    const [run, payPeriod] = await Promise.all([this.contract.getPayrollRun(teamId), this.contract.PAY_PERIOD()]);
+    const period = Number(run.period);
+    const startedAt = Number(run.startedAt);
+    return {
+      teamId: Number(teamId),
+      period,
+      nextPeriod: period > 0 && !run.completed ? period : period + 1,
+      startedAt,
+      athleteCount: Number(run.athleteCount),
+      nextIndex: Number(run.nextIndex),
+      paidCount: Number(run.paidCount),
+      completed: run.completed,
+      nextDueAt: period === 0 ? 0 : startedAt + Number(payPeriod),
+    };
+  }
+
+  async getPayments(athleteId) {
+    const payments = await this.contract.getAthletePayments(athleteId);
+    return payments.map((payment) => ({
+      teamId: Number(payment.teamId),
+      period: Number(payment.period),
+      amountHandle: payment.amount,
+      paidAt: Number(payment.paidAt),
+    }));
+  }
+
+  /**
+   * The athlete's salary payments with their amounts, oldest first, in one
+   * user decryption (the athlete or the paying team's manager)
+   */
+  async decryptPaymentHistory(athleteId) {
+    const payments = await this.getPayments(athleteId);
+    if (!payments.length) return [];
+    const amounts = await this._userDecrypt(
+      payments.map((payment) => payment.amountHandle),
+      EUINT64_TYPE
+    );
+    return payments.map(({ amountHandle, ...payment }, i) => ({ ...payment, amount: amounts[i] }));
+  }
+
+  /**
+   * The athlete's bonus clauses in the order added; stat is a BONUS_STATS name
+   */
+  async getBonusClauses(athleteId) {
+    const clauses = await this.contract.getBonusClauses(athleteId);
+    return clauses.map((clause, index) => ({
+      index,
+      stat: BONUS_STATS[Number(clause.stat)],
+      thresholdHandle: clause.threshold,
+      amountHandle: clause.amount,
+    }));
+  }
+
+  /**
+   * The athlete's stat totals for a season (default: the current one)
+   */
+  async getSeasonStats(athleteId, season = null) {
+    const seasonId = season ?? (await this.getCurrentSeason());
+    const totals = await this.contract.getSeasonStats(athleteId, seasonId);
+    const stats = { season: seasonId };
+    BONUS_STATS.forEach((stat, index) => {
+      stats[stat] = Number(totals[index]);
+    });
+    return stats;
+  }
+
+  async isGameStatsPosted(athleteId, gameId) {
+    return this.contract.isGameStatsPosted(athleteId, gameId);
+  }
+
+  /**
+   * The athlete's clauses, season stats and the bonus earned so far that season,
+   * in one user decryption (the athlete or the team's manager). earned is 0n
+   * until stats are posted or a clause is added that season.
+   */
+  async decryptBonuses(athleteId, season = null) {
+    const stats = await this.getSeasonStats(athleteId, season);
+    const [clauses, earnedHandle] = await Promise.all([
+      this.getBonusClauses(athleteId),
+      this.contract.getEarnedBonus(athleteId, stats.season),
+    ]);
+
+    const handles = clauses.flatMap((clause) => [clause.thresholdHandle, clause.amountHandle]);
+    if (earnedHandle !== ethers.ZeroHash) handles.push(earnedHandle);
+    // The earned total is a euint64, the clauses euint32: each handle is decrypted as its own type
+    const values = handles.length ? await this._userDecrypt(handles) : [];
+
+    return {
+      season: stats.season,
+      stats,
+      clauses: clauses.map(({ index, stat }) => ({
+        index,
+        stat,
+        threshold: values[index * 2],
+        amount: values[index * 2 + 1],
+        reached: BigInt(stats[stat]) >= values[index * 2],
+      })),
+      earned: earnedHandle === ethers.ZeroHash ? 0n : values[values.length - 1],
+    };
+  }
+
+  /**
+   * Roster moves from AthleteTransferred events, oldest first. tradeId is 0 for
+   * moves caused by approving another team's contract proposal.
+   */
+  async getTransfers({ athleteId = null, fromBlock = 0 } = {}) {
+    const filter = this.contract.filters.AthleteTransferred(athleteId);
+    const events = await this.contract.queryFilter(filter, fromBlock);
+    return events.map((event) => ({
+      athleteId: Number(event.args.athleteId),
+      fromTeamId: Number(event.args.fromTeamId),
+      toTeamId: Number(event.args.toTeamId),
+      tradeId: Number(event.args.tradeId),
+      blockNumber: event.blockNumber,
+      transactionHash: event.transactionHash,
+    }));
+  }
+
+  /**
+   * Number of teams, athletes, proposals and trades ever registered (IDs start at 1)
+   */
+  async getRecordCounts(blockTag = "latest") {
+    const [teams, athletes, proposals, trades] = await Promise.all([
+      this.contract.teamCounter({ blockTag }),
+      this.contract.athleteCounter({ blockTag }),
+      this.contract.proposalCounter({ blockTag }),
+      this.contract.tradeCounter({ blockTag }),
+    ]);
+    return { teams: Number(teams), athletes: Number(athletes), proposals: Number(proposals), trades: Number(trades) };
+  }
+
+  /**
+   * Raw team storage, including deactivated teams (getTeam reverts for those).
+   * The public getter omits the athleteIds array.
+   */
+  async getTeamRecord(teamId, blockTag = "latest") {
+    const team = await this.contract.teams(teamId, { blockTag });
+    return {
+      id: Number(teamId),
+      teamName: team.teamName,
+      league: team.league,
+      leagueId: Number(team.leagueId),
+      teamManager: team.teamManager,
+      payrollHandle: team.encryptedTotalPayroll,
+      salaryCapHandle: team.encryptedSalaryCap,
+      isActive: team.isActive,
+      lastPayrollUpdate: Number(team.lastPayrollUpdate),
+    };
+  }
+
+  /**
+   * Raw athlete storage, including deactivated athletes
+   */
+  async getAthleteRecord(athleteId, blockTag = "latest") {
+    const athlete = await this.contract.athletes(athleteId, { blockTag });
+    return {
+      id: Number(athleteId),
+      name: athlete.name,
+      position: athlete.position,
+      teamId: Number(athlete.teamId),
+      athleteAddress: athlete.athleteAddress,
+      salaryHandle: athlete.encryptedSalary,
+      bonusHandle: athlete.encryptedBonus,
+      isActive: athlete.isActive,
+      contractStart: Number(athlete.contractStart),
+      contractEnd: Number(athlete.contractEnd),
+      lastUpdateTime: Number(athlete.lastUpdateTime),
+    };
+  }
+
+  /**
+   * Raw proposal storage, with its outcome as "pending" | "approved" | "rejected" | "withdrawn"
+   * (withdrawn covers expired proposals and timed-out decryptions)
+   */
+  async getProposalRecord(proposalId, blockTag = "latest") {
+    const proposal = await this.contract.proposals(proposalId, { blockTag });
+    let status = "withdrawn";
+    if (proposal.isPending) status = "pending";
+    else if (proposal.isApproved) status = "approved";
+    else if (proposal.isRejected) status = "rejected";
+
+    return {
+      id: Number(proposalId),
+      athleteId: Number(proposal.athleteId),
+      teamId: Number(proposal.teamId),
+      proposer: proposal.proposer,
+      salaryHandle: proposal.proposedSalary,
+      bonusHandle: proposal.proposedBonus,
+      contractDuration: Number(proposal.contractDuration),
+      status,
+      timestamp: Number(proposal.timestamp),
+      expiryTime: Number(proposal.expiryTime),
+      callbackReceived: proposal.callbackReceived,
+    };
+  }
+
+  /**
+   * User-decrypt handles of this contract for the connected signer in one
+   * request (one wallet signature), each as the type encoded in the handle.
+   * Every handle must be readable by the signer.
+   */
+  async decryptValues(handles) {
+    return handles.length ? this._userDecrypt(handles) : [];
+  }
+
+  // ===========================================================================
+  // Write Methods
+  // ===========================================================================
+
+  async grantRole({ role, account, scopeId = 0 }) {
+    return this._send("grantRole", [roleId(role), scopeId, account]);
+  }
+
+  async revokeRole({ role, account, scopeId = 0 }) {
+    return this._send("revokeRole", [roleId(role), scopeId, account]);
+  }
+
+  async renounceRole({ role, scopeId = 0 }) {
+    return this._send("renounceRole", [roleId(role), scopeId]);
+  }
+
+  async transferOwnership(newOwner) {
+    return this._send("transferOwnership", [newOwner]);
+  }
+
+  async acceptOwnership() {
+    return this._send("acceptOwnership", []);
+  }
+
+  async createLeague({ name, commissioner, rules }) {
+    const receipt = await this._send("createLeague", [name, commissioner, rules]);
+    return { leagueId: this._eventArg(receipt, "LeagueCreated", "leagueId"), receipt };
+  }
+
+  async updateLeagueRules({ leagueId, rules }) {
+    return this._send("updateLeagueRules", [leagueId, rules]);
+  }
+
+  async setLeagueCommissioner({ leagueId, commissioner }) {
+    return this._send("setLeagueCommissioner", [leagueId, commissioner]);
+  }
+
+  async registerTeam({ teamName, leagueId, teamManager, salaryCap }) {
+    const { handles, inputProof } = await this._encrypt32([salaryCap]);
+    const receipt = await this._send("registerTeam", [teamName, leagueId, teamManager, handles[0], inputProof]);
+    return { teamId: this._eventArg(receipt, "TeamRegistered", "teamId"), receipt };
+  }
+
+  async registerAthlete({ name, position, teamId, athleteAddress, salary, bonus, durationMonths }) {
+    const { handles, inputProof } = await this._encrypt32([salary, bonus]);
+    const receipt = await this._send("registerAthlete", [
+      name,
+      position,
+      teamId,
+      athleteAddress,
+      handles[0],
+      handles[1],
+      inputProof,
+      durationMonths,
+    ]);
+    return { athleteId: this._eventArg(receipt, "AthleteRegistered", "athleteId"), receipt };
+  }
+
+  async proposeContract({ athleteId, teamId, salary, bonus, durationMonths }) {
+    const { handles, inputProof } = await this._encrypt32([salary, bonus]);
+    const receipt = await this._send("proposeContract", [
+      athleteId,
+      teamId,
+      handles[0],
+      handles[1],
+      inputProof,
+      durationMonths,
+    ]);
+    return {
+      proposalId: this._eventArg(receipt, "ContractProposed", "proposalId"),
+      negotiationId: this._eventArg(receipt, "NegotiationOpened", "negotiationId"),
+      receipt,
+    };
+  }
+
+  /**
+   * Answer the latest round of a negotiation with new terms. The athlete
+   * counters the team's offers and the team manager the athlete's.
+   */
+  async counterProposal({ proposalId, salary, bonus, durationMonths }) {
+    const { handles, inputProof } = await this._encrypt32([salary, bonus]);
+    const receipt = await this._send("counterProposal", [proposalId, handles[0], handles[1], inputProof, durationMonths]);
+    return {
+      proposalId: this._eventArg(receipt, "CounterProposed", "proposalId"),
+      negotiationId: this._eventArg(receipt, "CounterProposed", "negotiationId"),
+      receipt,
+    };
+  }
+
+  /**
+   * Seal the athlete's minimum acceptable salary; later team offers are matched against it
+   */
+  async setReservationSalary({ athleteId, minimumSalary }) {
+    const { handles, inputProof } = await this._encrypt32([minimumSalary]);
+    return this._send("setReservationSalary", [athleteId, handles[0], inputProof]);
+  }
+
+  async requestProposalDecryption(proposalId) {
+    const receipt = await this._send("requestProposalDecryption", [proposalId]);
+    // Request IDs come from the gateway and can exceed Number.MAX_SAFE_INTEGER
+    return { requestId: this._eventArg(receipt, "DecryptionRequested", "requestId", BigInt), receipt };
+  }
+
+  async approveContract(proposalId) {
+    return this._send("approveContract", [proposalId]);
+  }
+
+  async rejectContract(proposalId) {
+    return this._send("rejectContract", [proposalId]);
+  }
+
+  async emergencyWithdrawProposal(proposalId) {
+    return this._send("emergencyWithdrawProposal", [proposalId]);
+  }
+
+  async handleDecryptionTimeout(requestId) {
+    return this._send("handleDecryptionTimeout", [requestId]);
+  }
+
+  async proposeTrade({ athleteId, toTeamId }) {
+    const receipt = await this._send("proposeTrade", [athleteId, toTeamId]);
+    return { tradeId: this._eventArg(receipt, "TradeProposed", "tradeId"), receipt };
+  }
+
+  async requestTradeCheck(tradeId) {
+    const receipt = await this._send("requestTradeCheck", [tradeId]);
+    return { requestId: this._eventArg(receipt, "DecryptionRequested", "requestId", BigInt), receipt };
+  }
+
+  async acceptTrade(tradeId) {
+    return this._send("acceptTrade", [tradeId]);
+  }
+
+  async consentToTrade(tradeId) {
+    return this._send("consentToTrade", [tradeId]);
+  }
+
+  async rejectTrade(tradeId) {
+    return this._send("rejectTrade", [tradeId]);
+  }
+
+  async cancelTrade(tradeId) {
+    return this._send("cancelTrade", [tradeId]);
+  }
+
+  /**
+   * @param {{ teamId: number, auditor: string, window: number }} params window in seconds
+   */
+  async openAudit({ teamId, auditor, window }) {
+    const receipt = await this._send("openAudit", [teamId, auditor, window]);
+    return { auditId: this._eventArg(receipt, "AuditOpened", "auditId"), receipt };
+  }
+
+  async refreshAudit(auditId) {
+    return this._send("refreshAudit", [auditId]);
+  }
+
+  async recordAuditResult({ auditId, compliant, reportHash }) {
+    return this._send("recordAuditResult", [auditId, compliant, reportHash]);
+  }
+
+  async closeAudit(auditId) {
+    return this._send("closeAudit", [auditId]);
+  }
+
+  async setPayrollToken(token) {
+    return this._send("setPayrollToken", [token]);
+  }
+
+  /**
+   * Mint payroll tokens (the token's owner; plaintext amount)
+   */
+  async mintPayrollToken({ to, amount }) {
+    const token = await this._getPayrollToken();
+    const tx = await token.mint(to, BigInt(amount));
+    return tx.wait();
+  }
+
+  /**
+   * Let this contract move the signer's payroll tokens until `until` (a
+   * timestamp), which depositPayroll requires
+   */
+  async allowPayrollDeposits({ until }) {
+    const token = await this._getPayrollToken();
+    const tx = await token.setOperator(this.address, until);
+    return tx.wait();
+  }
+
+  async depositPayroll({ teamId, amount }) {
+    const { handles, inputProof } = await this._encrypt64([amount]);
+    return this._send("depositPayroll", [teamId, handles[0], inputProof]);
+  }
+
+  /**
+   * One runPayroll call: starts the period if needed and pays the next batch.
+   * paid lists the athlete IDs paid by this call.
+   */
+  async runPayroll({ teamId, period }) {
+    const receipt = await this._send("runPayroll", [teamId, period]);
+    const paid = [];
+    let completed = false;
+    for (const log of this._contractLogs(receipt)) {
+      if (log.name === "SalaryPaid") paid.push(Number(log.args.athleteId));
+      if (log.name === "PayrollRunCompleted") completed = true;
+    }
+    return { paid, completed, receipt };
+  }
+
+  /**
+   * Call runPayroll until the period is complete
+   */
+  async runPayrollPeriod({ teamId, period }) {
+    const receipts = [];
+    const paid = [];
+    for (;;) {
+      const result = await this.runPayroll({ teamId, period });
+      receipts.push(result.receipt);
+      paid.push(...result.paid);
+      if (result.completed) return { paid, receipts };
+    }
+  }
+
+  /**
+   * Return a deactivated team's escrow to its manager (team manager, delegate or admin)
+   */
+  async withdrawPayrollEscrow(teamId) {
+    return this._send("withdrawPayrollEscrow", [teamId]);
+  }
+
+  /**
+   * Add a bonus clause: amount is earned each season the athlete's total of
+   * stat (a BONUS_STATS name) reaches threshold (team manager or delegate)
+   */
+  async addBonusClause({ athleteId, stat, threshold, amount }) {
+    const { handles, inputProof } = await this._encrypt32([threshold, amount]);
+    const receipt = await this._send("addBonusClause", [athleteId, statIndex(stat), handles[0], handles[1], inputProof]);
+    return { clauseIndex: this._eventArg(receipt, "BonusClauseAdded", "clauseIndex"), receipt };
+  }
+
+  /**
+   * Post one game's stats for an athlete (stats oracle); counts one game played
+   */
+  async postGameStats({ athleteId, gameId, points = 0, assists = 0, rebounds = 0 }) {
+    return this._send("postGameStats", [athleteId, gameId, points, assists, rebounds]);
+  }
+
+  async updateAthleteSalary({ athleteId, salary, bonus }) {
+    const { handles, inputProof } = await this._encrypt32([salary, bonus]);
+    return this._send("updateAthleteSalary", [athleteId, handles[0], handles[1], inputProof]);
+  }
+
+  async deactivateAthlete(athleteId) {
+    return this._send("deactivateAthlete", [athleteId]);
+  }
+
+  async deactivateTeam(teamId) {
+    return this._send("deactivateTeam", [teamId]);
+  }
+
+  async checkSalaryCap(teamId) {
+    const receipt = await this._send("checkSalaryCap", [teamId]);
+    return { checkBlock: this._eventArg(receipt, "SalaryCapChecked", "blockNumber"), receipt };
+  }
+
+  async requestSalaryCapAttestation(teamId) {
+    const receipt = await this._send("requestSalaryCapAttestation", [teamId]);
+    return { requestId: this._eventArg(receipt, "DecryptionRequested", "requestId", BigInt), receipt };
+  }
+
+  async startNewSeason() {
+    const receipt = await this._send("startNewSeason", []);
+    return { season: this._eventArg(receipt, "SeasonStarted", "season"), receipt };
+  }
+
+  // ===========================================================================
+  // Internal Helpers
+  // ===========================================================================
+
+  /**
+   * Encrypt uint32 values for this contract and the connected signer.
+   * All values share one input proof, matching the contract entrypoints.
+   */
+  async _encrypt32(values) {
+    if (!this.fhe) {
+      throw new Error("SportsContractClient needs an FHE instance to encrypt inputs");
+    }
+    const userAddress = await this.getSignerAddress();
+    const input = this.fhe.createEncryptedInput(this.address, userAddress);
+    for (const value of values) {
+      input.add32(BigInt(value));
+    }
+    return input.encrypt();
+  }
+
+  /**
+   * Encrypt uint64 values (token amounts) for this contract and the connected signer
+   */
+  async _encrypt64(values) {
+    if (!this.fhe) {
+      throw new Error("SportsContractClient needs an FHE instance to encrypt inputs");
+    }
+    const userAddress = await this.getSignerAddress();
+    const input = this.fhe.createEncryptedInput(this.address, userAddress);
+    for (const value of values) {
+      input.add64(BigInt(value));
+    }
+    return input.encrypt();
+  }
+
+  /**
+   * User-decrypt handles of this contract (or of contractAddress, e.g. the payroll
+   * token) for the connected signer, as BigInts. Without fhevmType each handle is
+   * decrypted as the type it encodes. Uses the Hardhat plugin helper when
+   * available, the relayer EIP-712 flow otherwise.
+   */
+  async _userDecrypt(handles, fhevmType, contractAddress = this.address) {
+    if (!this.fhe) {
+      throw new Error("SportsContractClient needs an FHE instance to decrypt values");
+    }
+    const types = handles.map((handle) => fhevmType ?? handleType(handle));
+    if (typeof this.fhe.userDecryptEuint === "function") {
+      // One at a time: the plugin's mock coprocessor does not support concurrent queries
+      const values = [];
+      for (const [i, handle] of handles.entries()) {
+        values.push(
+          types[i] === EBOOL_TYPE
+            ? BigInt(await this.fhe.userDecryptEbool(handle, contractAddress, this.runner))
+            : await this.fhe.userDecryptEuint(types[i], handle, contractAddress, this.runner)
+        );
+      }
+      return values;
+    }
+    const bits = types.includes(EUINT64_TYPE) ? 64 : 32;
+    return userDecryptHandles(this.fhe, this.runner, contractAddress, handles, bits);
+  }
+
+  async _userDecrypt32(handles) {
+    return this._userDecrypt(handles, EUINT32_TYPE);
+  }
+
+  /**
+   * getAthleteInfo reverts for deactivated athletes; return null for those instead
+   */
+  async _getActiveAthlete(athleteId) {
+    try {
+      return await this.getAthlete(athleteId);
+    } catch (error) {
+      if (String(error.reason || error.message).includes("Athlete is inactive")) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * The payroll token contract, or null (required = false) / an error when not set
+   */
+  async _getPayrollToken(required = true) {
+    if (!this._payrollToken) {
+      const address = await this.getPayrollTokenAddress();
+      if (address === ethers.ZeroAddress) {
+        if (!required) return null;
+        throw new Error("No payroll token set on this contract");
+      }
+      this._payrollToken = new ethers.Contract(address, PAYROLL_TOKEN_ABI, this.runner);
+    }
+    return this._payrollToken;
+  }
+
+  async _send(method, args) {
+    const tx = await this.contract[method](...args);
+    return tx.wait();
+  }
+
+  /**
+   * Decode a named argument from the first matching event in a receipt
+   */
+  _eventArg(receipt, eventName, argName, convert = Number) {
+    const parsed = this._contractLogs(receipt).find((log) => log.name === eventName);
+    if (!parsed) {
+      throw new Error(`${eventName} event not found in transaction ${receipt.hash}`);
+    }
+    return convert(parsed.args[argName]);
+  }
+
+  // This contract's events in a receipt, decoded; other contracts' logs are skipped
+  _contractLogs(receipt) {
+    const events = [];
+    for (const log of receipt.logs) {
+      if (log.address.toLowerCase() !== this.address.toLowerCase()) continue;
+
+      let parsed;
+      try {
+        parsed = this.contract.interface.parseLog(log);
+      } catch {
+        continue;
+      }
+      if (parsed) events.push(parsed);
+    }
+    return events;
+  }
+}
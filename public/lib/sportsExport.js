@@ -0,0 +1,203 @@
+/**
+ * Full export of teams, athletes and proposals for reconciliation.
+ * Shared by scripts/export.js and the dApp's export button.
+ *
+ * Every record is read at one block so the three tables are consistent. With
+ * `decrypt`, the values the signer may read are user-decrypted in a single
+ * request; the rest keep empty decrypted columns. Who may read what mirrors the
+ * contract's FHE.allow grants:
+ *   - team payroll and salary cap: the team manager
+ *   - athlete salary and bonus: the athlete and the manager of their current team
+ *   - proposal offer: the athlete, and the signing team's manager once approved
+ */
+
+export const EXPORT_COLUMNS = {
+  teams: [
+    "id",
+    "teamName",
+    "league",
+    "leagueId",
+    "teamManager",
+    "isActive",
+    "rosterSize",
+    "lastPayrollUpdate",
+    "payroll",
+    "salaryCap",
+    "capRoom",
+  ],
+  athletes: [
+    "id",
+    "name",
+    "position",
+    "teamId",
+    "athleteAddress",
+    "isActive",
+    "contractStart",
+    "contractEnd",
+    "lastUpdateTime",
+    "salary",
+    "bonus",
+  ],
+  proposals: [
+    "id",
+    "athleteId",
+    "teamId",
+    "proposer",
+    "status",
+    "contractDuration",
+    "timestamp",
+    "expiryTime",
+    "callbackReceived",
+    "salary",
+    "bonus",
+  ],
+};
+
+function toIsoDate(timestamp) {
+  return timestamp ? new Date(timestamp * 1000).toISOString() : null;
+}
+
+function sameAddress(a, b) {
+  return Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * Read every team, athlete and proposal.
+ * @param {import("./sportsContractClient.js").SportsContractClient} client
+ * @param {{ decrypt?: boolean, onProgress?: (message: string) => void }} options
+ */
+export async function collectExport(client, { decrypt = false, onProgress = () => {} } = {}) {
+  const provider = client.runner.provider;
+  const blockNumber = await provider.getBlockNumber();
+  const { chainId } = await provider.getNetwork();
+  const signerAddress = await client.getSignerAddress();
+
+  const counts = await client.getRecordCounts(blockNumber);
+  onProgress(`Reading ${counts.teams} teams, ${counts.athletes} athletes and ${counts.proposals} proposals...`);
+
+  const teams = [];
+  for (let id = 1; id <= counts.teams; id++) {
+    teams.push(await client.getTeamRecord(id, blockNumber));
+  }
+  const athletes = [];
+  for (let id = 1; id <= counts.athletes; id++) {
+    athletes.push(await client.getAthleteRecord(id, blockNumber));
+  }
+  const proposals = [];
+  for (let id = 1; id <= counts.proposals; id++) {
+    proposals.push(await client.getProposalRecord(id, blockNumber));
+  }
+
+  const teamById = new Map(teams.map((team) => [team.id, team]));
+  const athleteById = new Map(athletes.map((athlete) => [athlete.id, athlete]));
+  const managerOf = (teamId) => teamById.get(teamId)?.teamManager;
+
+  const teamAccess = teams.map((team) => decrypt && sameAddress(team.teamManager, signerAddress));
+  const athleteAccess = athletes.map(
+    (athlete) =>
+      decrypt &&
+      (sameAddress(athlete.athleteAddress, signerAddress) || sameAddress(managerOf(athlete.teamId), signerAddress))
+  );
+  const proposalAccess = proposals.map(
+    (proposal) =>
+      decrypt &&
+      (sameAddress(athleteById.get(proposal.athleteId)?.athleteAddress, signerAddress) ||
+        (proposal.status === "approved" && sameAddress(managerOf(proposal.teamId), signerAddress)))
+  );
+
+  // Deduplicated: an approved offer's handles become the athlete's salary and bonus
+  const readable = new Set();
+  teams.forEach((team, i) => teamAccess[i] && readable.add(team.payrollHandle).add(team.salaryCapHandle));
+  athletes.forEach((athlete, i) => athleteAccess[i] && readable.add(athlete.salaryHandle).add(athlete.bonusHandle));
+  proposals.forEach(
+    (proposal, i) => proposalAccess[i] && readable.add(proposal.salaryHandle).add(proposal.bonusHandle)
+  );
+
+  const values = new Map();
+  if (readable.size > 0) {
+    onProgress(`Decrypting ${readable.size} values you are authorized to read...`);
+    const handles = [...readable];
+    const clear = await client.decryptValues(handles);
+    handles.forEach((handle, i) => values.set(handle, clear[i]));
+  }
+  const clearValue = (allowed, handle) => (allowed ? values.get(handle) : null);
+
+  return {
+    contractAddress: client.address,
+    chainId: Number(chainId),
+    blockNumber,
+    exportedAt: new Date().toISOString(),
+    exportedBy: signerAddress,
+    decrypted: decrypt,
+    teams: teams.map((team, i) => {
+      const payroll = clearValue(teamAccess[i], team.payrollHandle);
+      const salaryCap = clearValue(teamAccess[i], team.salaryCapHandle);
+      return {
+        id: team.id,
+        teamName: team.teamName,
+        league: team.league,
+        leagueId: team.leagueId,
+        teamManager: team.teamManager,
+        isActive: team.isActive,
+        rosterSize: athletes.filter((athlete) => athlete.isActive && athlete.teamId === team.id).length,
+        lastPayrollUpdate: toIsoDate(team.lastPayrollUpdate),
+        payroll,
+        salaryCap,
+        capRoom: teamAccess[i] ? salaryCap - payroll : null,
+      };
+    }),
+    athletes: athletes.map((athlete, i) => ({
+      id: athlete.id,
+      name: athlete.name,
+      position: athlete.position,
+      teamId: athlete.teamId,
+      athleteAddress: athlete.athleteAddress,
+      isActive: athlete.isActive,
+      contractStart: toIsoDate(athlete.contractStart),
+      contractEnd: toIsoDate(athlete.contractEnd),
+      lastUpdateTime: toIsoDate(athlete.lastUpdateTime),
+      salary: clearValue(athleteAccess[i], athlete.salaryHandle),
+      bonus: clearValue(athleteAccess[i], athlete.bonusHandle),
+    })),
+    proposals: proposals.map((proposal, i) => ({
+      id: proposal.id,
+      athleteId: proposal.athleteId,
+      teamId: proposal.teamId,
+      proposer: proposal.proposer,
+      status: proposal.status,
+      contractDuration: proposal.contractDuration,
+      timestamp: toIsoDate(proposal.timestamp),
+      expiryTime: toIsoDate(proposal.expiryTime),
+      callbackReceived: proposal.callbackReceived,
+      salary: clearValue(proposalAccess[i], proposal.salaryHandle),
+      bonus: clearValue(proposalAccess[i], proposal.bonusHandle),
+    })),
+  };
+}
+
+// Serialize an export as JSON (BigInt values become strings)
+export function exportToJson(data) {
+  return JSON.stringify(data, (_key, value) => (typeof value === "bigint" ? value.toString() : value), 2);
+}
+
+function csvField(value) {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Serialize rows as CSV with the given column order
+export function toCsv(rows, columns) {
+  const lines = [columns.join(",")];
+  for (const row of rows) {
+    lines.push(columns.map((column) => csvField(row[column])).join(","));
+  }
+  return lines.join("\n") + "\n";
+}
+
+// One CSV document per table: { teams, athletes, proposals }
+export function exportToCsv(data) {
+  return Object.fromEntries(
+    Object.entries(EXPORT_COLUMNS).map(([table, columns]) => [table, toCsv(data[table], columns)])
+  );
+}
@@ -0,0 +1,185 @@
+import fs from "fs";
+import path from "path";
+import hre from "hardhat";
+import { SportsContractClient } from "../public/lib/sportsContractClient.js";
+import { OPEN_LEAGUE_RULES } from "../public/lib/leagueRules.js";
+import { deploySportsContract } from "./lib/deployment.js";
+import { relayPendingDecryptions, waitForDecryption } from "./lib/gateway.js";
+import { limitReason } from "./lib/profiling.js";
+
+/**
+ * Payroll gas benchmark for ConfidentialSportsContract
+ * Measures the gas of every operation that changes a team's payroll
+ * (registerAthlete, updateAthleteSalary, approveContract, deactivateAthlete)
+ * with rosters of increasing size, and plots it against an earlier run.
+ * Runs are generated output and not committed: to compare two revisions, save
+ * one with BENCHMARK_LABEL=before and compare the other against it.
+ *
+ * Usage: npx hardhat run scripts/benchmark-payroll.js --network localhost
+ *        BENCHMARK_SIZES=1,10,25,50 (roster sizes)
+ *        BENCHMARK_LABEL=<name> saves to benchmarks/payroll-<name>.json (default: latest)
+ *        BENCHMARK_COMPARE=<file> run to plot against, e.g. benchmarks/payroll-before.json
+ */
+
+const SIZES = (process.env.BENCHMARK_SIZES || "1,5,10,25,50").split(",").map(Number);
+const LABEL = process.env.BENCHMARK_LABEL || "latest";
+const COMPARE_FILE = process.env.BENCHMARK_COMPARE;
+
+const OPERATIONS = ["registerAthlete", "updateAthleteSalary", "approveContract", "deactivateAthlete"];
+const BAR_WIDTH = 40;
+
+// Gas of a transaction, or the limit that stopped it
+async function measure(send) {
+  try {
+    const result = await send();
+    return Number((result.receipt ?? result).gasUsed);
+  } catch (error) {
+    const reason = limitReason(error);
+    if (!reason) throw error;
+    return reason;
+  }
+}
+
+// Build a team of `size` athletes and measure each payroll operation on it
+async function benchmarkRoster(size, [owner, manager, athlete]) {
+  const contract = await deploySportsContract(hre, owner);
+
+  const client = new SportsContractClient(await contract.getAddress(), owner, { fhe: hre.fhevm });
+  const managerClient = client.connect(manager);
+  const athleteClient = client.connect(athlete);
+
+  const { leagueId } = await client.createLeague({ name: "BENCH", commissioner: owner.address, rules: OPEN_LEAGUE_RULES });
+  const { teamId } = await client.registerTeam({
+    teamName: "Benchmark Team",
+    leagueId,
+    teamManager: manager.address,
+    salaryCap: 4_000_000_000,
+  });
+
+  const register = (i) =>
+    managerClient.registerAthlete({
+      name: `Athlete ${i}`,
+      position: "Guard",
+      teamId,
+      athleteAddress: athlete.address,
+      salary: 1_000_000,
+      bonus: 100_000,
+      durationMonths: 12,
+    });
+
+  // A roster that cannot be built reports the limit for every operation
+  const blocked = (reason) => ({
+    rosterSize: size,
+    gas: Object.fromEntries(OPERATIONS.map((operation) => [operation, reason])),
+  });
+
+  // The last registration, which makes the roster reach `size`, is the measured one
+  let registerGas;
+  for (let i = 1; i <= size; i++) {
+    registerGas = await measure(() => register(i));
+    if (typeof registerGas === "string") return blocked(`${registerGas} at athlete ${i}`);
+  }
+  const gas = { registerAthlete: registerGas };
+
+  gas.updateAthleteSalary = await measure(() =>
+    managerClient.updateAthleteSalary({ athleteId: 1, salary: 1_200_000, bonus: 150_000 })
+  );
+
+  const { proposalId } = await managerClient.proposeContract({
+    athleteId: 1,
+    teamId,
+    salary: 1_500_000,
+    bonus: 200_000,
+    durationMonths: 24,
+  });
+  const { requestId } = await athleteClient.requestProposalDecryption(proposalId);
+  await waitForDecryption(hre, athleteClient, requestId);
+  gas.approveContract = await measure(() => athleteClient.approveContract(proposalId));
+
+  gas.deactivateAthlete = await measure(() => managerClient.deactivateAthlete(1));
+
+  return { rosterSize: size, gas };
+}
+
+// Bar chart of gas per roster size, current run next to the compared one
+function plot(results, compare) {
+  const compareBySize = new Map((compare?.results ?? []).map((result) => [result.rosterSize, result]));
+  const format = (gas) => (typeof gas === "number" ? gas.toLocaleString("en-US") : gas);
+
+  for (const operation of OPERATIONS) {
+    const values = results.flatMap((result) => [
+      result.gas[operation],
+      compareBySize.get(result.rosterSize)?.gas[operation],
+    ]);
+    const max = Math.max(1, ...values.filter((value) => typeof value === "number"));
+    const bar = (gas) => (typeof gas === "number" ? "█".repeat(Math.max(1, Math.round((gas / max) * BAR_WIDTH))) : "✖");
+
+    console.log(`⛽ ${operation}`);
+    for (const result of results) {
+      const size = String(result.rosterSize).padStart(4);
+      const previous = compareBySize.get(result.rosterSize)?.gas[operation];
+      if (previous !== undefined) {
+        console.log(`   ${size} │ ${compare.label.padEnd(8)} ${bar(previous)} ${format(previous)}`);
+        console.log(`        │ ${LABEL.padEnd(8)} ${bar(result.gas[operation])} ${format(result.gas[operation])}`);
+      } else {
+        console.log(`   ${size} │ ${LABEL.padEnd(8)} ${bar(result.gas[operation])} ${format(result.gas[operation])}`);
+      }
+    }
+    console.log();
+  }
+}
+
+async function main() {
+  console.log("╔════════════════════════════════════════════════════════════╗");
+  console.log("║   Confidential Sports Contract - Payroll Gas Benchmark    ║");
+  console.log("╚════════════════════════════════════════════════════════════╝");
+  console.log();
+
+  if (hre.network.name !== "localhost") {
+    throw new Error(`The benchmark needs a local Hardhat node (--network localhost), not "${hre.network.name}"`);
+  }
+  await hre.fhevm.initializeCLIApi();
+  await relayPendingDecryptions(hre).catch(() => {});
+
+  const signers = await hre.ethers.getSigners();
+  console.log(`📡 Network: ${hre.network.name}`);
+  console.log(`📏 Roster sizes: ${SIZES.join(", ")}`);
+  console.log();
+
+  const results = [];
+  for (const size of SIZES) {
+    const result = await benchmarkRoster(size, signers);
+    results.push(result);
+    const limited = OPERATIONS.some((op) => typeof result.gas[op] === "string");
+    console.log(`   ${limited ? "⚠️ " : "✅"} Roster of ${size}: ${OPERATIONS.map((op) => `${op} ${result.gas[op]}`).join(", ")}`);
+  }
+  console.log();
+
+  const root = hre.config.paths.root;
+  const compareFile = COMPARE_FILE && path.resolve(root, COMPARE_FILE);
+  const compare = compareFile && fs.existsSync(compareFile) ? JSON.parse(fs.readFileSync(compareFile, "utf8")) : null;
+  if (compareFile && !compare) {
+    console.log(`ℹ️  No run at ${COMPARE_FILE}, nothing compared`);
+  }
+  const outputFile = path.join(root, "benchmarks", `payroll-${LABEL}.json`);
+
+  plot(results, compare && path.resolve(outputFile) !== compareFile ? compare : null);
+
+  fs.mkdirSync(path.dirname(outputFile), { recursive: true });
+  fs.writeFileSync(
+    outputFile,
+    JSON.stringify({ label: LABEL, createdAt: new Date().toISOString(), results }, null, 2) + "\n"
+  );
+  console.log(`💾 Saved to ${outputFile}`);
+}
+
+// Execute benchmark
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error();
+    console.error("❌ Benchmark Failed!");
+    console.error();
+    console.error(error);
+    process.exit(1);
+  });
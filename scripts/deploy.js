@@ -1,11 +1,35 @@
 import hre from "hardhat";
-import fs from "fs";
-import path from "path";
+import { deploySportsContract, readContractAbi, saveDeployment } from "./lib/deployment.js";
 
 /**
  * Main deployment function for ConfidentialSportsContract
  * Deploys the contract and saves deployment information
+ *
+ * Salaries are paid in a confidential ERC-7984-style token. By default a
+ * ConfidentialPayrollToken (owner-minted demo token) is deployed with it;
+ * PAYROLL_TOKEN=<address> uses an existing token instead, and
+ * PAYROLL_TOKEN=none leaves it for setPayrollToken later.
  */
+
+const PAYROLL_TOKEN = process.env.PAYROLL_TOKEN || "";
+const PAYROLL_TOKEN_NAME = process.env.PAYROLL_TOKEN_NAME || "League Payroll Dollar";
+const PAYROLL_TOKEN_SYMBOL = process.env.PAYROLL_TOKEN_SYMBOL || "LPD";
+
+// Deploy the demo payroll token, or resolve the one named by PAYROLL_TOKEN
+async function deployPayrollToken() {
+  if (PAYROLL_TOKEN === "none") return null;
+  if (PAYROLL_TOKEN) {
+    if (!hre.ethers.isAddress(PAYROLL_TOKEN)) {
+      throw new Error(`PAYROLL_TOKEN must be a token address or "none", got "${PAYROLL_TOKEN}"`);
+    }
+    return { address: hre.ethers.getAddress(PAYROLL_TOKEN), deployed: false };
+  }
+
+  const factory = await hre.ethers.getContractFactory("ConfidentialPayrollToken");
+  const token = await factory.deploy(PAYROLL_TOKEN_NAME, PAYROLL_TOKEN_SYMBOL);
+  await token.waitForDeployment();
+  return { address: await token.getAddress(), deployed: true, transactionHash: token.deploymentTransaction().hash };
+}
 async function main() {
   console.log("╔════════════════════════════════════════════════════════════╗");
   console.log("║   Confidential Sports Contract Deployment                 ║");
@@ -39,27 +63,38 @@ async function main() {
   console.log("🚀 Deploying ConfidentialSportsContract...");
   console.log();
 
-  const ConfidentialSportsContract = await hre.ethers.getContractFactory(
-    "ConfidentialSportsContract"
-  );
-
   const startTime = Date.now();
-  const contract = await ConfidentialSportsContract.deploy();
-  await contract.waitForDeployment();
+  const contract = await deploySportsContract(hre, deployer);
 
   const contractAddress = await contract.getAddress();
+  const extensionAddress = await contract.extension();
   const deployTime = ((Date.now() - startTime) / 1000).toFixed(2);
 
   console.log("✅ Contract deployed successfully!");
   console.log();
   console.log("📋 Deployment Details:");
   console.log(`   Contract Address: ${contractAddress}`);
+  console.log(`   Extension Address: ${extensionAddress}`);
   console.log(`   Transaction Hash: ${contract.deploymentTransaction().hash}`);
   console.log(`   Block Number: ${contract.deploymentTransaction().blockNumber || 'Pending'}`);
   console.log(`   Deployment Time: ${deployTime}s`);
   console.log(`   Gas Used: ${contract.deploymentTransaction().gasLimit.toString()}`);
   console.log();
 
+  // Payroll token
+  console.log("💵 Setting up the payroll token...");
+  const payrollToken = await deployPayrollToken();
+  if (payrollToken) {
+    const withExtension = new hre.ethers.Contract(contractAddress, await readContractAbi(hre), deployer);
+    await (await withExtension.setPayrollToken(payrollToken.address)).wait();
+    console.log(
+      `   ${payrollToken.deployed ? `Deployed ${PAYROLL_TOKEN_SYMBOL}` : "Using existing token"}: ${payrollToken.address}`
+    );
+  } else {
+    console.log("   Skipped (PAYROLL_TOKEN=none); call setPayrollToken before running payroll");
+  }
+  console.log();
+
   // Verify initial state
   console.log("🔍 Verifying Initial State...");
   const contractOwner = await contract.contractOwner();
@@ -77,6 +112,7 @@ async function main() {
     chainId: hre.network.config.chainId,
     contractName: "ConfidentialSportsContract",
     contractAddress: contractAddress,
+    extensionAddress: extensionAddress,
     deployerAddress: deployerAddress,
     transactionHash: contract.deploymentTransaction().hash,
     blockNumber: contract.deploymentTransaction().blockNumber,
@@ -85,24 +121,25 @@ async function main() {
       solidity: hre.config.solidity.version,
     },
     contractOwner: contractOwner,
+    payrollToken: payrollToken
+      ? {
+          address: payrollToken.address,
+          deployed: payrollToken.deployed,
+          ...(payrollToken.deployed && {
+            name: PAYROLL_TOKEN_NAME,
+            symbol: PAYROLL_TOKEN_SYMBOL,
+            transactionHash: payrollToken.transactionHash,
+          }),
+        }
+      : null,
     initialState: {
       currentSeason: currentSeason.toString(),
       totalTeams: totalTeams.toString(),
     },
   };
 
-  // Create deployments directory if it doesn't exist
-  const deploymentsDir = path.join(__dirname, "..", "deployments");
-  if (!fs.existsSync(deploymentsDir)) {
-    fs.mkdirSync(deploymentsDir, { recursive: true });
-  }
-
-  // Save deployment info to JSON file
-  const deploymentFile = path.join(
-    deploymentsDir,
-    `${network}-deployment.json`
-  );
-  fs.writeFileSync(deploymentFile, JSON.stringify(deployment, null, 2));
+  // Save deployment info to deployments/<network>-deployment.json
+  const deploymentFile = saveDeployment(hre, deployment);
 
   console.log("💾 Deployment information saved:");
   console.log(`   File: ${deploymentFile}`);
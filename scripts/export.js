@@ -0,0 +1,136 @@
+import fs from "fs";
+import path from "path";
+import { parseArgs } from "node:util";
+import { collectExport, exportToCsv, exportToJson } from "../public/lib/sportsExport.js";
+import { describeContractError } from "./lib/errors.js";
+
+/**
+ * Export every team, athlete and proposal of ConfidentialSportsContract to
+ * JSON or CSV. With --decrypt, salary, bonus and payroll columns are filled
+ * for the records the selected account is allowed to decrypt.
+ *
+ * Usage: node scripts/export.js --network sepolia [--format json|csv] [--decrypt]
+ *        [--account <index>] [--out <path>]
+ */
+
+const USAGE = `Usage: node scripts/export.js [options]
+
+Options:
+  --network <name>    Hardhat network (default: HARDHAT_NETWORK or hardhat)
+  --account <index>   Signer index used for decryption (default: 0)
+  --format <format>   json (one file) or csv (teams, athletes and proposals files) (default: json)
+  --decrypt           Include the salary, bonus and payroll values this account may decrypt
+  --out <path>        Output path without extension (default: exports/<network>-<block>)
+  -h, --help          Show this help`;
+
+const OPTIONS = {
+  network: { type: "string" },
+  account: { type: "string", default: "0" },
+  format: { type: "string", default: "json" },
+  decrypt: { type: "boolean", default: false },
+  out: { type: "string" },
+  help: { type: "boolean", short: "h", default: false },
+};
+
+// Error for invalid command-line usage (printed without a stack trace)
+class UsageError extends Error {}
+
+// Write the export and return the created files
+function writeExport(data, format, basePath) {
+  fs.mkdirSync(path.dirname(basePath), { recursive: true });
+
+  if (format === "json") {
+    const file = `${basePath}.json`;
+    fs.writeFileSync(file, exportToJson(data));
+    return [file];
+  }
+
+  return Object.entries(exportToCsv(data)).map(([table, csv]) => {
+    const file = `${basePath}-${table}.csv`;
+    fs.writeFileSync(file, csv);
+    return file;
+  });
+}
+
+async function main() {
+  let parsed;
+  try {
+    parsed = parseArgs({ options: OPTIONS, allowPositionals: false });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  const { values } = parsed;
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (!["json", "csv"].includes(values.format)) {
+    throw new UsageError(`Invalid --format "${values.format}" (expected json or csv)`);
+  }
+
+  console.log("╔════════════════════════════════════════════════════════════╗");
+  console.log("║   Confidential Sports Contract - Data Export              ║");
+  console.log("╚════════════════════════════════════════════════════════════╝");
+  console.log();
+
+  // Hardhat reads the network when it is first imported
+  if (values.network) {
+    process.env.HARDHAT_NETWORK = values.network;
+  }
+  const { default: hre } = await import("hardhat");
+  const { getClient } = await import("./lib/deployment.js");
+
+  const signers = await hre.ethers.getSigners();
+  const signer = signers[Number(values.account)];
+  if (!/^\d+$/.test(values.account) || !signer) {
+    throw new UsageError(`--account ${values.account} is not one of the ${signers.length} configured accounts`);
+  }
+
+  const client = await getClient(hre, signer);
+
+  console.log(`📡 Network: ${hre.network.name}`);
+  console.log(`📍 Contract: ${client.address}`);
+  console.log(`👤 Account: ${signer.address}${values.decrypt ? " (decrypting authorized values)" : ""}`);
+  console.log();
+
+  const data = await collectExport(client, {
+    decrypt: values.decrypt,
+    onProgress: (message) => console.log(`   ${message}`),
+  });
+
+  const basePath = path.resolve(
+    values.out || path.join(hre.config.paths.root, "exports", `${hre.network.name}-${data.blockNumber}`)
+  );
+  const files = writeExport(data, values.format, basePath);
+
+  const count = (rows, column) => rows.filter((row) => row[column] !== null).length;
+  console.log();
+  console.log("════════════════════════════════════════════════════════════");
+  console.log(`✨ Export Complete (block ${data.blockNumber})`);
+  console.log("════════════════════════════════════════════════════════════");
+  console.log(`   Teams: ${data.teams.length} (${count(data.teams, "payroll")} with payroll)`);
+  console.log(`   Athletes: ${data.athletes.length} (${count(data.athletes, "salary")} with salary)`);
+  console.log(`   Proposals: ${data.proposals.length} (${count(data.proposals, "salary")} with offer)`);
+  files.forEach((file) => console.log(`   💾 ${file}`));
+  console.log();
+}
+
+// Execute export
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    if (error instanceof UsageError) {
+      console.error(`❌ ${error.message}`);
+      console.error();
+      console.error(USAGE);
+      process.exit(2);
+    }
+
+    const { hint, message } = describeContractError(error);
+    console.error();
+    console.error("❌ Export Failed!");
+    console.error(`   ${message}`);
+    if (hint) console.error(`   💡 ${hint}`);
+    process.exit(1);
+  });
@@ -0,0 +1,143 @@
+import fs from "fs";
+import hre from "hardhat";
+import { relayPendingDecryptions } from "./lib/gateway.js";
+import { createRandom, executeRun, generateOperations, REQUIRED_SIGNERS, shrinkRun } from "./lib/fuzz.js";
+import { saveState } from "./lib/deployment.js";
+
+/**
+ * Randomized league fuzzer for ConfidentialSportsContract
+ * Generates random teams, athletes, proposals, trades, salary updates, deactivations,
+ * season starts and time travel, decrypts the league with the mock FHE backend
+ * after every operation and checks the invariants documented in
+ * scripts/lib/fuzz.js. A failing run is shrunk to a minimal reproducing
+ * sequence, saved to deployments/<network>-fuzz-failure-<seed>.json.
+ *
+ * Usage: npx hardhat run scripts/fuzz.js --network localhost
+ *        FUZZ_SEED=<n> FUZZ_RUNS=<runs> FUZZ_STEPS=<operations per run>
+ *        FUZZ_REPLAY=<saved failure file> re-runs a saved sequence without shrinking
+ */
+
+const SEED = Number(process.env.FUZZ_SEED || Math.floor(Math.random() * 2 ** 32));
+const RUNS = Number(process.env.FUZZ_RUNS || 10);
+const STEPS = Number(process.env.FUZZ_STEPS || 60);
+const REPLAY_FILE = process.env.FUZZ_REPLAY;
+
+// Display section header
+function displaySection(title) {
+  console.log();
+  console.log("═".repeat(60));
+  console.log(`  ${title}`);
+  console.log("═".repeat(60));
+  console.log();
+}
+
+// Display the operations of a run and the violated invariants
+function displayFailure(result) {
+  result.trace.forEach((line, i) => console.log(`   ${i + 1}. ${line}`));
+  console.log();
+  for (const violation of result.failure.violations) {
+    console.log(`   ❌ [${violation.invariant}] ${violation.message}`);
+  }
+}
+
+// Re-run a saved failing sequence
+async function replay(file) {
+  const saved = JSON.parse(fs.readFileSync(file, "utf8"));
+  console.log(`🔁 Replaying ${saved.operations.length} operations from ${file}`);
+
+  const result = await executeRun(hre, saved.operations);
+  if (!result.failure) {
+    displaySection("Replay Passed");
+    console.log("✅ The sequence no longer breaks any invariant");
+    return 0;
+  }
+
+  displaySection("Replay Failed");
+  displayFailure(result);
+  return 1;
+}
+
+// Fuzz RUNS random runs, shrinking the first failure
+async function fuzz() {
+  console.log(`🎲 Seed: ${SEED}`);
+  console.log(`   ${RUNS} runs × ${STEPS} operations`);
+  console.log();
+
+  let reverted = 0;
+
+  for (let run = 0; run < RUNS; run++) {
+    const runSeed = (SEED + run) >>> 0;
+    const operations = generateOperations(createRandom(runSeed), STEPS);
+    const result = await executeRun(hre, operations);
+    reverted += result.reverted;
+
+    if (!result.failure) {
+      console.log(`   ✅ Run ${run + 1}/${RUNS} (seed ${runSeed}): ${STEPS} operations, ${result.reverted} reverted`);
+      continue;
+    }
+
+    const { step, violations } = result.failure;
+    console.log(`   ❌ Run ${run + 1}/${RUNS} (seed ${runSeed}): [${violations[0].invariant}] broken after operation ${step + 1}`);
+    console.log(`      ${violations[0].message}`);
+    console.log();
+    console.log(`🔍 Shrinking ${step + 1} operations...`);
+
+    const shrunk = await shrinkRun(hre, operations, result.failure, {
+      onProgress: (length) => console.log(`   still failing with ${length} operations`),
+    });
+
+    displaySection(`Minimal Failing Sequence (${shrunk.operations.length} operations)`);
+    displayFailure(shrunk.result);
+
+    const file = saveState(hre, `fuzz-failure-${runSeed}`, {
+      seed: runSeed,
+      invariant: shrunk.result.failure.violations[0].invariant,
+      violations: shrunk.result.failure.violations,
+      operations: shrunk.operations,
+      trace: shrunk.result.trace,
+    });
+    console.log();
+    console.log(`💾 Saved to ${file}`);
+    console.log(`   Replay: FUZZ_REPLAY=${file} npx hardhat run scripts/fuzz.js --network ${hre.network.name}`);
+    return 1;
+  }
+
+  displaySection("Fuzzing Complete");
+  console.log(`✅ ${RUNS} runs, ${RUNS * STEPS} operations (${reverted} reverted), no invariant broken`);
+  return 0;
+}
+
+async function main() {
+  console.log("╔════════════════════════════════════════════════════════════╗");
+  console.log("║   Confidential Sports Contract - League Fuzzer            ║");
+  console.log("╚════════════════════════════════════════════════════════════╝");
+  console.log();
+
+  // Scripts only get the mock FHE backend (and its debug decryption) on a Hardhat node
+  if (hre.network.name !== "localhost") {
+    throw new Error(`The fuzzer needs a local Hardhat node (--network localhost), not "${hre.network.name}"`);
+  }
+  await hre.fhevm.initializeCLIApi();
+
+  const signers = await hre.ethers.getSigners();
+  if (signers.length < REQUIRED_SIGNERS) {
+    throw new Error(`The fuzzer needs ${REQUIRED_SIGNERS} accounts, the network has ${signers.length}`);
+  }
+
+  // Requests left by earlier scripts would otherwise be replayed into this run's relays
+  await relayPendingDecryptions(hre).catch(() => {});
+
+  console.log(`📡 Network: ${hre.network.name}`);
+  return REPLAY_FILE ? replay(REPLAY_FILE) : fuzz();
+}
+
+// Execute fuzzer
+main()
+  .then((failed) => process.exit(failed))
+  .catch((error) => {
+    console.error();
+    console.error("❌ Fuzzer Failed!");
+    console.error();
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,296 @@
+import { parseArgs } from "node:util";
+import path from "path";
+import { checkLeagueRules, loadRoster, validateRoster } from "./lib/roster.js";
+import { describeContractError } from "./lib/errors.js";
+
+/**
+ * Bulk roster import for ConfidentialSportsContract
+ * Registers the teams (as the owner or their league's commissioner) and
+ * athletes (as each team's manager) listed in a JSON or CSV roster file.
+ * Salaries, bonuses and caps are encrypted client-side. Every registration is
+ * checkpointed to deployments/<network>-roster-import-<file>.json, so
+ * re-running the same command after an interruption skips rows that are
+ * already on-chain.
+ *
+ * Usage: node scripts/import-roster.js <roster.json|roster.csv> --network sepolia
+ *        [--account <ownerIndex>] [--dry-run]
+ *
+ * See scripts/lib/roster.js for the file formats.
+ */
+
+const USAGE = `Usage: node scripts/import-roster.js <file> [options]
+
+Options:
+  --network <name>    Hardhat network (default: HARDHAT_NETWORK or hardhat)
+  --account <index>   Signer index of the owner or the leagues' commissioner, registers the teams (default: 0)
+  --dry-run           Validate the file and print the plan without sending transactions
+  -h, --help          Show this help
+
+Athletes are registered by their team's manager, so every manager with athletes
+in the file must be one of the network's configured accounts. The leagues must
+exist; the roster is checked against their rules before anything is sent.`;
+
+const OPTIONS = {
+  network: { type: "string" },
+  account: { type: "string", default: "0" },
+  "dry-run": { type: "boolean", default: false },
+  help: { type: "boolean", short: "h", default: false },
+};
+
+// Error for invalid command-line usage (printed without a stack trace)
+class UsageError extends Error {}
+
+// Print the validated roster
+function displayPlan(teams) {
+  const athleteCount = teams.reduce((total, team) => total + team.athletes.length, 0);
+
+  console.log(`📋 Roster: ${teams.length} teams, ${athleteCount} athletes`);
+  for (const team of teams) {
+    console.log(`   🏀 ${team.name} (league ${team.leagueId}) - manager ${team.manager}, ${team.athletes.length} athletes`);
+  }
+  console.log();
+}
+
+// Find the registration of an interrupted submission in the contract events
+async function recoverPending(client, pending) {
+  const { contract } = client;
+
+  if (pending.type === "team") {
+    const events = await contract.queryFilter(contract.filters.TeamRegistered(), pending.fromBlock);
+    const match = events.find(
+      (event) => event.args.teamName === pending.name && event.args.manager === pending.manager
+    );
+    return match && { id: Number(match.args.teamId), transactionHash: match.transactionHash };
+  }
+
+  const events = await contract.queryFilter(contract.filters.AthleteRegistered(), pending.fromBlock);
+  const match = events.find(
+    (event) => event.args.name === pending.name && Number(event.args.teamId) === pending.teamId
+  );
+  return match && { id: Number(match.args.athleteId), transactionHash: match.transactionHash };
+}
+
+async function main() {
+  let parsed;
+  try {
+    parsed = parseArgs({ options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  const { values, positionals } = parsed;
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (positionals.length !== 1) {
+    throw new UsageError("Expected exactly one roster file");
+  }
+
+  console.log("╔════════════════════════════════════════════════════════════╗");
+  console.log("║   Confidential Sports Contract - Roster Import            ║");
+  console.log("╚════════════════════════════════════════════════════════════╝");
+  console.log();
+
+  const rosterFile = path.resolve(positionals[0]);
+  const { teams, errors } = validateRoster(loadRoster(rosterFile));
+
+  if (errors.length) {
+    console.error(`❌ ${errors.length} validation error(s) in ${rosterFile}:`);
+    errors.forEach((error) => console.error(`   - ${error}`));
+    process.exit(1);
+  }
+  console.log(`📄 File: ${rosterFile}`);
+  displayPlan(teams);
+
+  if (values["dry-run"]) {
+    console.log("✅ Roster is valid (dry run, nothing was sent)");
+    return;
+  }
+
+  // Hardhat reads the network when it is first imported
+  if (values.network) {
+    process.env.HARDHAT_NETWORK = values.network;
+  }
+  const { default: hre } = await import("hardhat");
+  const { getClient, loadDeployment, loadState, saveState } = await import("./lib/deployment.js");
+
+  const signers = await hre.ethers.getSigners();
+  const owner = signers[Number(values.account)];
+  if (!/^\d+$/.test(values.account) || !owner) {
+    throw new UsageError(`--account ${values.account} is not one of the ${signers.length} configured accounts`);
+  }
+
+  // Athletes must be registered by their team's manager
+  const managerSigners = new Map(signers.map((signer) => [signer.address, signer]));
+  const unavailable = teams.filter((team) => team.athletes.length && !managerSigners.has(team.manager));
+  if (unavailable.length) {
+    console.error("❌ These managers are not configured accounts on this network, so their athletes cannot be registered:");
+    unavailable.forEach((team) => console.error(`   - ${team.name}: ${team.manager}`));
+    process.exit(1);
+  }
+
+  const deployment = loadDeployment(hre);
+  const stateName = `roster-import-${path.basename(rosterFile, path.extname(rosterFile))}`;
+  const state = loadState(hre, stateName, {
+    contractAddress: deployment.contractAddress,
+    rosterFile,
+    teams: {},
+    athletes: {},
+    pending: null,
+  });
+
+  if (state.contractAddress !== deployment.contractAddress) {
+    throw new Error(
+      `Import checkpoint belongs to ${state.contractAddress}, not ${deployment.contractAddress}. ` +
+        "Delete the checkpoint file to start over."
+    );
+  }
+
+  console.log(`📡 Network: ${hre.network.name}`);
+  console.log(`📍 Contract: ${deployment.contractAddress}`);
+  console.log(`👤 Owner: ${owner.address}`);
+  console.log();
+
+  const ownerClient = await getClient(hre, owner);
+
+  // Registrations outside the league rules would revert partway through the import
+  const leagueCount = await ownerClient.getLeagueCount();
+  const leagues = new Map();
+  for (const leagueId of new Set(teams.map((team) => team.leagueId))) {
+    if (leagueId <= leagueCount) {
+      leagues.set(leagueId, await ownerClient.getLeague(leagueId));
+    }
+  }
+  const ruleErrors = checkLeagueRules(teams, leagues);
+  if (ruleErrors.length) {
+    console.error(`❌ ${ruleErrors.length} league rule violation(s) in ${rosterFile}:`);
+    ruleErrors.forEach((error) => console.error(`   - ${error}`));
+    process.exit(1);
+  }
+  const managerClients = new Map();
+  const getManagerClient = async (address) => {
+    if (!managerClients.has(address)) {
+      managerClients.set(address, await getClient(hre, managerSigners.get(address)));
+    }
+    return managerClients.get(address);
+  };
+
+  // A crash between sending a transaction and saving its result leaves a pending
+  // entry; look for its event before sending it again
+  if (state.pending) {
+    const { pending } = state;
+    console.log(`🔎 Checking interrupted ${pending.type} registration "${pending.key}"...`);
+    const recovered = await recoverPending(ownerClient, pending);
+
+    if (recovered) {
+      const entry = { id: recovered.id, location: pending.location, transactionHash: recovered.transactionHash };
+      if (pending.type === "team") {
+        state.teams[pending.key] = entry;
+      } else {
+        state.athletes[pending.key] = { ...entry, teamId: pending.teamId };
+      }
+      console.log(`   ✅ Found on-chain (ID: ${recovered.id})`);
+    } else {
+      console.log("   Not found on-chain, it will be sent again");
+    }
+    state.pending = null;
+    saveState(hre, stateName, state);
+    console.log();
+  }
+
+  const submit = async (pending, send) => {
+    state.pending = { ...pending, fromBlock: await hre.ethers.provider.getBlockNumber() };
+    saveState(hre, stateName, state);
+
+    const result = await send();
+
+    state.pending = null;
+    return result;
+  };
+
+  let registered = 0;
+
+  for (const team of teams) {
+    if (state.teams[team.key]) {
+      console.log(`⏭️  ${team.name}: already registered (Team ID: ${state.teams[team.key].id})`);
+    } else {
+      console.log(`🏀 Registering ${team.name} (${team.location})...`);
+      const { teamId, receipt } = await submit(
+        { type: "team", key: team.key, location: team.location, name: team.name, manager: team.manager },
+        () =>
+          ownerClient.registerTeam({
+            teamName: team.name,
+            leagueId: team.leagueId,
+            teamManager: team.manager,
+            salaryCap: team.salaryCap,
+          })
+      );
+      state.teams[team.key] = { id: teamId, location: team.location, transactionHash: receipt.hash };
+      saveState(hre, stateName, state);
+      registered++;
+      console.log(`   ✅ Team ID: ${teamId}`);
+    }
+
+    const teamId = state.teams[team.key].id;
+    const managerClient = team.athletes.length ? await getManagerClient(team.manager) : null;
+
+    for (const athlete of team.athletes) {
+      if (state.athletes[athlete.key]) {
+        console.log(`   ⏭️  ${athlete.name}: already registered (Athlete ID: ${state.athletes[athlete.key].id})`);
+        continue;
+      }
+
+      console.log(`   🏃 Registering ${athlete.name} (${athlete.location})...`);
+      const { athleteId, receipt } = await submit(
+        { type: "athlete", key: athlete.key, location: athlete.location, name: athlete.name, teamId },
+        () =>
+          managerClient.registerAthlete({
+            name: athlete.name,
+            position: athlete.position,
+            teamId,
+            athleteAddress: athlete.address,
+            salary: athlete.salary,
+            bonus: athlete.bonus,
+            durationMonths: athlete.months,
+          })
+      );
+      state.athletes[athlete.key] = { id: athleteId, teamId, location: athlete.location, transactionHash: receipt.hash };
+      saveState(hre, stateName, state);
+      registered++;
+      console.log(`      ✅ Athlete ID: ${athleteId}`);
+    }
+  }
+
+  const stateFile = saveState(hre, stateName, state);
+
+  console.log();
+  console.log("════════════════════════════════════════════════════════════");
+  console.log("✨ Import Complete!");
+  console.log("════════════════════════════════════════════════════════════");
+  console.log(`   Registered now: ${registered}`);
+  console.log(`   Teams on-chain: ${Object.keys(state.teams).length}`);
+  console.log(`   Athletes on-chain: ${Object.keys(state.athletes).length}`);
+  console.log(`   💾 Row → ID mapping saved to ${stateFile}`);
+  console.log();
+}
+
+// Execute import
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    if (error instanceof UsageError) {
+      console.error(`❌ ${error.message}`);
+      console.error();
+      console.error(USAGE);
+      process.exit(2);
+    }
+
+    const { hint, message } = describeContractError(error);
+    console.error();
+    console.error("❌ Import Failed!");
+    console.error(`   ${message}`);
+    if (hint) console.error(`   💡 ${hint}`);
+    console.error("   Re-run the same command to resume from the checkpoint.");
+    process.exit(1);
+  });
@@ -1,325 +1,1494 @@
-import hre from "hardhat";
-import fs from "fs";
-import path from "path";
+import { parseArgs } from "node:util";
+import { describeContractError, getRevertReason } from "./lib/errors.js";
+import { BONUS_STATS, ROLES } from "../public/lib/sportsContractClient.js";
+import { LEAGUE_RULE_FIELDS, OPEN_LEAGUE_RULES, validateLeagueRules, withLeagueRuleDefaults } from "../public/lib/leagueRules.js";
+import { buildAuditReport, readAuditReport, signAuditReport, verifyAuditReport, writeAuditReport } from "./lib/auditReport.js";
 
 /**
- * Interact with the deployed ConfidentialSportsContract
- * Provides various interaction options for contract operations
+ * Command-line interface for the deployed ConfidentialSportsContract
+ * Run with node so arguments reach the script; the network is passed with
+ * --network (or HARDHAT_NETWORK) and resolved from deployments/<network>-deployment.json
  */
 
-// Load deployment information
-function loadDeployment() {
-  const network = hre.network.name;
-  const deploymentFile = path.join(
-    __dirname,
-    "..",
-    "deployments",
-    `${network}-deployment.json`
-  );
+// CLI role names: the client's ROLES keys in kebab-case
+const CLI_ROLES = Object.keys(ROLES).map(kebabCase);
+// CLI stat names: the client's BONUS_STATS in kebab-case
+const CLI_STATS = BONUS_STATS.map(kebabCase);
 
-  if (!fs.existsSync(deploymentFile)) {
-    console.error(`❌ Error: Deployment file not found: ${deploymentFile}`);
-    console.error("   Please deploy the contract first using: npm run deploy");
-    process.exit(1);
+function kebabCase(name) {
+  return name.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`);
+}
+
+const USAGE = `Usage: node scripts/interact.js <command> [options]
+
+Commands:
+  stats                                   Show contract statistics
+  league create --name <name> [--commissioner <address>] [rule options]
+                                          Create a league (admin; unset rules are open)
+  league show <leagueId>                  Show a league, its rules and teams
+  league rules <leagueId> [rule options]  Change some of a league's rules (commissioner only)
+  league commissioner <leagueId> --commissioner <address>
+                                          Hand a league to a new commissioner (admin only)
+  team register --name <name> --league <leagueId> --cap <amount> [--manager <address>]
+                                          Register a team (admin or the league's commissioner)
+  team show <teamId> [--decrypt]          Show a team (--decrypt: payroll and cap room, manager only)
+  team check-cap <teamId> [--attest]      Check salary cap compliance (--attest: publish the manager's latest
+                                          check; other callers' checks are kept apart, for the manager)
+  athlete register --name <name> --position <position> --team <teamId> --salary <amount>
+                   --bonus <amount> --months <months> [--address <address>]
+  athlete show <athleteId> [--decrypt]    Show an athlete (--decrypt: salary and bonus, athlete/manager only)
+  athlete set-minimum <athleteId> --salary <amount>
+                                          Seal the athlete's minimum acceptable salary (athlete only)
+  proposal preview-cap --athlete <athleteId> --team <teamId> --salary <amount> --bonus <amount>
+                                          Project the team's cap room before offering (team manager only)
+  proposal create --athlete <athleteId> --team <teamId> --salary <amount> --bonus <amount> --months <months>
+  proposal counter <proposalId> --salary <amount> --bonus <amount> --months <months>
+                                          Answer a proposal with new terms (athlete or team manager)
+  proposal match <proposalId>             Check whether a team offer meets the athlete's sealed minimum
+  proposal cap-room <proposalId>          Check whether signing a proposal keeps the team within its cap (team manager only)
+  proposal rules <proposalId>             Check whether a proposal meets its league's rules (athlete or team manager)
+  proposal approve <proposalId>           Decrypt (via the gateway) and approve a proposal
+  proposal reject <proposalId>
+  proposal withdraw <proposalId>          Withdraw an expired proposal
+  negotiation show <negotiationId> [--decrypt]
+                                          Show a negotiation (--decrypt: every round, athlete/manager only)
+  trade propose --athlete <athleteId> --team <teamId>
+                                          Propose acquiring an athlete (acquiring team's manager)
+  trade accept <tradeId>                  Accept a trade (releasing team's manager)
+  trade consent <tradeId>                 Consent to a trade (athlete)
+  trade check <tradeId>                   Publish the acquiring team's cap room and league rule checks
+                                          (either manager or the athlete; accept and consent do it when needed)
+  trade reject <tradeId>                  Reject a trade (releasing manager or athlete)
+  trade cancel <tradeId>                  Cancel a trade (proposer)
+  trade show <tradeId>
+  trade list <teamId>                     List a team's trades
+  season start                            Start a new season (admin only)
+  role list [--team <teamId>]             Show the owner, league admins, auditors and stats oracles
+                                          (--team: the team's delegates)
+  role grant <role> --address <address> [--team <teamId>]
+                                          Grant a role (league-admin: owner; auditor, stats-oracle: admin;
+                                          team-delegate: team manager)
+  role revoke <role> --address <address> [--team <teamId>]
+                                          Revoke a role (same permissions as granting)
+  role renounce <role> [--team <teamId>]  Give up a role held by the selected account
+  owner transfer --address <address>      Propose a new contract owner (owner only; the zero address cancels)
+  owner accept                            Become the owner after a transfer (proposed owner only)
+  audit open --team <teamId> --auditor <address> (--days <n> | --hours <n>)
+                                          Let an auditor read a team's payroll for a window (league commissioner)
+  audit show <auditId> [--decrypt]        Show an audit (--decrypt: the snapshot's payroll, auditor only)
+  audit list [--team <teamId>] [--auditor <address>]
+                                          List a team's or an auditor's audits (default: the selected account's)
+  audit refresh <auditId>                 Snapshot the team's current payroll (auditor, while open)
+  audit close <auditId>                   End an audit early (league commissioner)
+  audit report <auditId> [--out <file>] [--record]
+                                          Decrypt the snapshot and write a signed report (auditor;
+                                          --record: store the finding and report hash on-chain)
+  audit verify <file>                     Check a report's hash and signature against its audit
+  token show [--decrypt]                  Show the payroll token (--decrypt: the selected account's balance)
+  token mint --address <address> --amount <amount>
+                                          Mint payroll tokens (token owner)
+  payroll deposit --team <teamId> --amount <amount>
+                                          Move tokens into the team's escrow (team manager or delegate)
+  payroll run --team <teamId> [--period <n>]
+                                          Pay the team's next (or unfinished) period (manager, delegate or admin)
+  payroll withdraw --team <teamId>        Return a deactivated team's escrow to its manager (manager, delegate or admin)
+  payroll show <teamId> [--decrypt]       Show the team's latest period (--decrypt: escrow balance, manager only)
+  payroll history <athleteId> [--decrypt] List an athlete's payments (--decrypt: amounts, athlete/manager only)
+  bonus add --athlete <athleteId> --stat <stat> --threshold <n> --amount <amount>
+                                          Pay amount each season the athlete's stat total reaches threshold
+                                          (team manager or delegate)
+  bonus show <athleteId> [--season <n>] [--decrypt]
+                                          Show an athlete's season stats and bonus clauses (--decrypt: thresholds,
+                                          amounts and the bonus earned, athlete/manager only)
+
+Roles: ${CLI_ROLES.join(", ")} (team-delegate needs --team)
+Stats: ${CLI_STATS.join(", ")} (posted by a stats oracle, see scripts/stats-oracle.js)
+
+Options:
+  --network <name>    Hardhat network (default: HARDHAT_NETWORK or hardhat)
+  --account <index>   Signer index from the network's accounts (default: 0)
+  --json              Print machine-readable JSON
+  -h, --help          Show this help
+
+League rule options:
+${LEAGUE_RULE_FIELDS.map(({ flag, label }) => `  --${flag.padEnd(18)}${label}`).join("\n")}`;
+
+const OPTIONS = {
+  network: { type: "string" },
+  account: { type: "string", default: "0" },
+  json: { type: "boolean", default: false },
+  help: { type: "boolean", short: "h", default: false },
+  decrypt: { type: "boolean", default: false },
+  attest: { type: "boolean", default: false },
+  name: { type: "string" },
+  league: { type: "string" },
+  manager: { type: "string" },
+  cap: { type: "string" },
+  position: { type: "string" },
+  team: { type: "string" },
+  athlete: { type: "string" },
+  address: { type: "string" },
+  salary: { type: "string" },
+  bonus: { type: "string" },
+  months: { type: "string" },
+  commissioner: { type: "string" },
+  auditor: { type: "string" },
+  days: { type: "string" },
+  hours: { type: "string" },
+  out: { type: "string" },
+  record: { type: "boolean", default: false },
+  amount: { type: "string" },
+  period: { type: "string" },
+  stat: { type: "string" },
+  threshold: { type: "string" },
+  season: { type: "string" },
+  ...Object.fromEntries(LEAGUE_RULE_FIELDS.map(({ flag }) => [flag, { type: "string" }])),
+};
+
+// Error for invalid command-line usage (printed without a stack trace)
+class UsageError extends Error {}
+
+// Parse a CLI role name into the client's role key and the scope it applies to
+function parseRole(args, values) {
+  const name = args[0];
+  if (!CLI_ROLES.includes(name)) {
+    throw new UsageError(name ? `Unknown role "${name}", expected one of: ${CLI_ROLES.join(", ")}` : "Missing <role>");
   }
+  const role = Object.keys(ROLES)[CLI_ROLES.indexOf(name)];
+  if (role === "teamDelegate") {
+    return { role, name, scopeId: parseInteger(values.team, "--team") };
+  }
+  if (values.team !== undefined) {
+    throw new UsageError(`--team only applies to team-delegate; ${name} is league-wide`);
+  }
+  return { role, name, scopeId: 0 };
+}
 
-  return JSON.parse(fs.readFileSync(deploymentFile, "utf8"));
+// Parse a non-negative integer flag or argument
+function parseInteger(value, label) {
+  if (value === undefined) {
+    throw new UsageError(`Missing ${label}`);
+  }
+  if (!/^\d+$/.test(value)) {
+    throw new UsageError(`Invalid ${label}: expected a non-negative integer, got "${value}"`);
+  }
+  return Number(value);
 }
 
-// Get contract instance
-async function getContract() {
-  const deployment = loadDeployment();
-  const ConfidentialSportsContract = await hre.ethers.getContractFactory(
-    "ConfidentialSportsContract"
-  );
-  return ConfidentialSportsContract.attach(deployment.contractAddress);
+// Parse an address flag, rejecting typos caught by the checksum
+function parseAddress(hre, value, label) {
+  if (!hre.ethers.isAddress(value)) {
+    throw new UsageError(`Invalid ${label}: "${value}" is not a valid address (check its checksum)`);
+  }
+  return hre.ethers.getAddress(value);
 }
 
-// Display current contract stats
-async function displayStats(contract) {
-  console.log("📊 Current Contract Statistics:");
-  console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
+// Rule flags that were passed, as { key: number }
+function parseRuleFlags(values) {
+  const rules = {};
+  for (const { key, flag } of LEAGUE_RULE_FIELDS) {
+    if (values[flag] !== undefined) {
+      rules[key] = parseInteger(values[flag], `--${flag}`);
+    }
+  }
+  return rules;
+}
+
+// Complete rules from the passed flags, rejected here rather than by the contract
+function resolveRules(values, base) {
+  const rules = withLeagueRuleDefaults(parseRuleFlags(values), base);
+  const errors = validateLeagueRules(rules);
+  if (errors.length) {
+    throw new UsageError(`Invalid league rules: ${errors.join("; ")}`);
+  }
+  return rules;
+}
 
-  const stats = await contract.getCurrentStats();
-  const contractOwner = await contract.contractOwner();
+// Read a required string flag
+function requireFlag(values, flag) {
+  if (!values[flag]) {
+    throw new UsageError(`Missing --${flag}`);
+  }
+  return values[flag];
+}
 
-  console.log(`   Season: ${stats[0]}`);
-  console.log(`   Total Athletes: ${stats[1]}`);
-  console.log(`   Active Teams: ${stats[2]}`);
-  console.log(`   Total Proposals: ${stats[3]}`);
-  console.log(`   Contract Owner: ${contractOwner}`);
-  console.log();
+// Serialize results for --json (BigInt is not JSON-native)
+function toJson(value) {
+  return JSON.stringify(value, (_key, v) => (typeof v === "bigint" ? v.toString() : v), 2);
 }
 
-// Register a new team
-async function registerTeam(contract, signer) {
-  console.log("🏀 Registering New Team...");
+// Summary of a mined transaction
+function txInfo(receipt) {
+  return { transactionHash: receipt.hash, gasUsed: receipt.gasUsed };
+}
+
+function printHeader(title) {
+  console.log(title);
   console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
+}
 
-  const teamName = "Los Angeles Lakers";
-  const league = "NBA";
-  const teamManager = await signer.getAddress();
-  const salaryCap = 150000000; // $150M salary cap
+function printTx(result) {
+  console.log(`   Transaction Hash: ${result.transactionHash}`);
+  console.log(`   Gas Used: ${result.gasUsed.toString()}`);
+}
 
-  console.log(`   Team Name: ${teamName}`);
-  console.log(`   League: ${league}`);
-  console.log(`   Manager: ${teamManager}`);
-  console.log(`   Salary Cap: $${(salaryCap / 1000000).toFixed(1)}M`);
-  console.log();
+function formatDate(timestamp) {
+  return new Date(timestamp * 1000).toLocaleDateString();
+}
 
-  try {
-    const tx = await contract.registerTeam(
-      teamName,
-      league,
-      teamManager,
-      salaryCap
-    );
-    console.log(`   Transaction Hash: ${tx.hash}`);
-    console.log("   Waiting for confirmation...");
+// Audit windows can be hours long, so audits show the time too
+function formatDateTime(timestamp) {
+  return new Date(timestamp * 1000).toLocaleString();
+}
 
-    const receipt = await tx.wait();
-    console.log(`   ✅ Team registered successfully!`);
-    console.log(`   Gas Used: ${receipt.gasUsed.toString()}`);
+// =============================================================================
+// Commands
+// =============================================================================
 
-    // Get team ID from event
-    const event = receipt.logs.find(
-      (log) => log.fragment && log.fragment.name === "TeamRegistered"
-    );
-    if (event) {
-      const teamId = event.args[0];
-      console.log(`   Team ID: ${teamId}`);
-    }
-    console.log();
-  } catch (error) {
-    console.error(`   ❌ Error: ${error.message}`);
-    console.log();
+// Display current contract stats
+async function showStats({ client }) {
+  const stats = await client.getStats();
+  return { ...stats, contractOwner: await client.getContractOwner() };
+}
+
+function printStats(stats) {
+  printHeader("📊 Current Contract Statistics:");
+  console.log(`   Season: ${stats.season}`);
+  console.log(`   Total Athletes: ${stats.totalAthletes}`);
+  console.log(`   Active Teams: ${stats.activeTeams}`);
+  console.log(`   Total Proposals: ${stats.totalProposals}`);
+  console.log(`   Contract Owner: ${stats.contractOwner}`);
+}
+
+// Create a league (admin only)
+async function createLeague({ hre, client, values, signerAddress }) {
+  const name = requireFlag(values, "name");
+  const commissioner = values.commissioner ? parseAddress(hre, values.commissioner, "--commissioner") : signerAddress;
+  const rules = resolveRules(values, OPEN_LEAGUE_RULES);
+
+  const { leagueId, receipt } = await client.createLeague({ name, commissioner, rules });
+  return { ...(await client.getLeague(leagueId)), ...txInfo(receipt) };
+}
+
+// Get a league with its rules and teams
+async function showLeague({ client, args }) {
+  const leagueId = parseInteger(args[0], "<leagueId>");
+  const league = await client.getLeague(leagueId);
+  const teams = [];
+  for (const teamId of await client.getTeamIdsForLeague(leagueId)) {
+    teams.push(await client.getTeamRecord(teamId));
   }
+  return { ...league, teams: teams.map(({ id, teamName, isActive }) => ({ id, teamName, isActive })) };
 }
 
-// Register a new athlete
-async function registerAthlete(contract, signer) {
-  console.log("🏃 Registering New Athlete...");
-  console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
+function printLeague(league) {
+  printHeader(`🏆 League Information (ID: ${league.id})`);
+  console.log(`   Name: ${league.name}`);
+  console.log(`   Commissioner: ${league.commissioner}`);
+  printRules(league.rules);
+  if (league.teams) {
+    const teams = league.teams.map((team) => `#${team.id} ${team.teamName}${team.isActive ? "" : " (inactive)"}`);
+    console.log(`   Teams: ${teams.join(", ") || "none"}`);
+  }
+  if (league.transactionHash) {
+    printTx(league);
+  }
+}
 
-  const athleteName = "LeBron James";
-  const position = "Forward";
-  const teamId = 1; // Assuming team 1 exists
-  const athleteAddress = await signer.getAddress();
-  const salary = 45000000; // $45M salary
-  const bonus = 5000000; // $5M bonus
-  const contractDuration = 12; // 12 months
-
-  console.log(`   Name: ${athleteName}`);
-  console.log(`   Position: ${position}`);
-  console.log(`   Team ID: ${teamId}`);
-  console.log(`   Address: ${athleteAddress}`);
-  console.log(`   Salary: $${(salary / 1000000).toFixed(1)}M`);
-  console.log(`   Bonus: $${(bonus / 1000000).toFixed(1)}M`);
-  console.log(`   Contract Duration: ${contractDuration} months`);
-  console.log();
+function printRules(rules) {
+  for (const { key, label } of LEAGUE_RULE_FIELDS) {
+    console.log(`   ${label}: ${rules[key]}`);
+  }
+}
 
-  try {
-    const tx = await contract.registerAthlete(
-      athleteName,
-      position,
-      teamId,
-      athleteAddress,
-      salary,
-      bonus,
-      contractDuration
-    );
-    console.log(`   Transaction Hash: ${tx.hash}`);
-    console.log("   Waiting for confirmation...");
+// Change the passed rules of a league, keeping the others (commissioner only)
+async function updateLeagueRules({ client, args, values }) {
+  const leagueId = parseInteger(args[0], "<leagueId>");
+  if (Object.keys(parseRuleFlags(values)).length === 0) {
+    throw new UsageError("Pass at least one rule option to change");
+  }
+  const { rules: current } = await client.getLeague(leagueId);
+  const rules = resolveRules(values, current);
+
+  const receipt = await client.updateLeagueRules({ leagueId, rules });
+  return { leagueId, rules, ...txInfo(receipt) };
+}
 
-    const receipt = await tx.wait();
-    console.log(`   ✅ Athlete registered successfully!`);
-    console.log(`   Gas Used: ${receipt.gasUsed.toString()}`);
+function printRulesUpdated(result) {
+  printHeader(`🏆 League Rules Updated (ID: ${result.leagueId})`);
+  printRules(result.rules);
+  console.log("   New registrations and proposals are checked against these rules.");
+  printTx(result);
+}
 
-    // Get athlete ID from event
-    const event = receipt.logs.find(
-      (log) => log.fragment && log.fragment.name === "AthleteRegistered"
-    );
-    if (event) {
-      const athleteId = event.args[0];
-      console.log(`   Athlete ID: ${athleteId}`);
+// Hand a league to a new commissioner (admin only)
+async function setCommissioner({ hre, client, args, values }) {
+  const leagueId = parseInteger(args[0], "<leagueId>");
+  const commissioner = parseAddress(hre, requireFlag(values, "commissioner"), "--commissioner");
+  const receipt = await client.setLeagueCommissioner({ leagueId, commissioner });
+  return { leagueId, commissioner, ...txInfo(receipt) };
+}
+
+function printCommissionerSet(result) {
+  printHeader(`🏆 League Commissioner Changed (ID: ${result.leagueId})`);
+  console.log(`   ✅ Commissioner: ${result.commissioner}`);
+  printTx(result);
+}
+
+// Register a new team (admin or the league's commissioner)
+async function registerTeam({ hre, client, values, signerAddress, log }) {
+  const teamName = requireFlag(values, "name");
+  const leagueId = parseInteger(values.league, "--league");
+  const salaryCap = parseInteger(values.cap, "--cap");
+  const teamManager = values.manager ? parseAddress(hre, values.manager, "--manager") : signerAddress;
+
+  log("   🔐 Encrypting salary cap with FHE...");
+  const { teamId, receipt } = await client.registerTeam({ teamName, leagueId, teamManager, salaryCap });
+  const { league } = await client.getTeam(teamId);
+  return { teamId, teamName, leagueId, league, teamManager, ...txInfo(receipt) };
+}
+
+function printTeamRegistered(result) {
+  printHeader("🏀 Team Registered");
+  console.log(`   ✅ Team ID: ${result.teamId}`);
+  console.log(`   Team Name: ${result.teamName}`);
+  console.log(`   League: ${result.league} (ID: ${result.leagueId})`);
+  console.log(`   Manager: ${result.teamManager}`);
+  printTx(result);
+}
+
+// Get team information, optionally with the decrypted payroll
+async function showTeam({ client, args, values, log }) {
+  const teamId = parseInteger(args[0], "<teamId>");
+  const team = await client.getTeam(teamId);
+
+  if (!values.decrypt) {
+    return team;
+  }
+  log("   🔓 Decrypting payroll and salary cap...");
+  const payroll = await client.decryptTeamPayroll(teamId);
+  return { ...team, payroll };
+}
+
+function printTeam(team) {
+  printHeader(`🔍 Team Information (ID: ${team.id})`);
+  console.log(`   Team Name: ${team.teamName}`);
+  console.log(`   League: ${team.league} (ID: ${team.leagueId})`);
+  console.log(`   Manager: ${team.teamManager}`);
+  console.log(`   Athletes: ${team.athleteIds.length} registered (${team.athleteIds.join(", ") || "none"})`);
+  console.log(`   Active: ${team.isActive}`);
+
+  if (team.payroll) {
+    console.log(`   Total Payroll: ${team.payroll.payroll}`);
+    console.log(`   Salary Cap: ${team.payroll.salaryCap}`);
+    console.log(`   Cap Room: ${team.payroll.capRoom}`);
+    for (const athlete of team.payroll.athletes) {
+      console.log(`     #${athlete.id} ${athlete.name}: ${athlete.salary} + ${athlete.bonus} bonus = ${athlete.total}`);
     }
-    console.log();
-  } catch (error) {
-    console.error(`   ❌ Error: ${error.message}`);
-    console.log();
   }
 }
 
-// Get athlete information
-async function getAthleteInfo(contract, athleteId) {
-  console.log(`🔍 Fetching Athlete Information (ID: ${athleteId})...`);
-  console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
+// Check salary cap compliance and optionally publish the manager's latest check
+// Delegates, admins and auditors get a separate check that only the manager can decrypt
+async function checkTeamCap({ client, args, values, signerAddress, log }) {
+  const teamId = parseInteger(args[0], "<teamId>");
 
-  try {
-    const info = await contract.getAthleteInfo(athleteId);
-    console.log(`   Name: ${info[0]}`);
-    console.log(`   Position: ${info[1]}`);
-    console.log(`   Team ID: ${info[2]}`);
-    console.log(`   Active: ${info[3]}`);
-    console.log(`   Contract Start: ${new Date(Number(info[4]) * 1000).toLocaleDateString()}`);
-    console.log(`   Contract End: ${new Date(Number(info[5]) * 1000).toLocaleDateString()}`);
-    console.log(`   Address: ${info[6]}`);
-    console.log();
-  } catch (error) {
-    console.error(`   ❌ Error: ${error.message}`);
-    console.log();
+  const { checkBlock, receipt } = await client.checkSalaryCap(teamId);
+  const byManager = (await client.getTeamRecord(teamId)).teamManager.toLowerCase() === signerAddress.toLowerCase();
+  let compliant = null;
+  if (byManager) {
+    log("   🔓 Decrypting result for the team manager...");
+    ({ compliant } = await client.decryptSalaryCapCompliance(teamId));
+  }
+
+  const result = { teamId, checkBlock, byManager, compliant, ...txInfo(receipt) };
+  if (values.attest) {
+    const { requestId } = await client.requestSalaryCapAttestation(teamId);
+    result.attestationRequestId = requestId;
   }
+  return result;
 }
 
-// Get team information
-async function getTeamInfo(contract, teamId) {
-  console.log(`🔍 Fetching Team Information (ID: ${teamId})...`);
-  console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
+function printTeamCap(result) {
+  printHeader(`🧢 Salary Cap Compliance (Team ID: ${result.teamId})`);
+  console.log(`   Checked at block ${result.checkBlock}`);
+  if (result.byManager) {
+    console.log(`   Result: ${result.compliant ? "✅ Compliant" : "❌ Over the cap"} (private)`);
+  } else {
+    console.log("   Result: recorded for the team manager, who alone can decrypt it; attestations publish the manager's own check");
+  }
+  printTx(result);
+  if (result.attestationRequestId !== undefined) {
+    console.log(`   📢 Public attestation requested (Request ID: ${result.attestationRequestId})`);
+  }
+}
+
+// Register a new athlete (team manager only)
+async function registerAthlete({ hre, client, values, signerAddress, log }) {
+  const athlete = {
+    name: requireFlag(values, "name"),
+    position: requireFlag(values, "position"),
+    teamId: parseInteger(values.team, "--team"),
+    athleteAddress: values.address ? parseAddress(hre, values.address, "--address") : signerAddress,
+    salary: parseInteger(values.salary, "--salary"),
+    bonus: parseInteger(values.bonus, "--bonus"),
+    durationMonths: parseInteger(values.months, "--months"),
+  };
+
+  log("   🔐 Encrypting salary and bonus with FHE...");
+  const { athleteId, receipt } = await client.registerAthlete(athlete);
+  return {
+    athleteId,
+    name: athlete.name,
+    position: athlete.position,
+    teamId: athlete.teamId,
+    athleteAddress: athlete.athleteAddress,
+    ...txInfo(receipt),
+  };
+}
+
+function printAthleteRegistered(result) {
+  printHeader("🏃 Athlete Registered");
+  console.log(`   ✅ Athlete ID: ${result.athleteId}`);
+  console.log(`   Name: ${result.name}`);
+  console.log(`   Position: ${result.position}`);
+  console.log(`   Team ID: ${result.teamId}`);
+  console.log(`   Address: ${result.athleteAddress}`);
+  printTx(result);
+}
+
+// Get athlete information, optionally with the decrypted compensation
+async function showAthlete({ client, args, values, log }) {
+  const athleteId = parseInteger(args[0], "<athleteId>");
+  const athlete = await client.getAthlete(athleteId);
+
+  if (!values.decrypt) {
+    return athlete;
+  }
+  log("   🔓 Decrypting salary and bonus...");
+  const { salary, bonus } = await client.decryptCompensation(athleteId);
+  return { ...athlete, salary, bonus };
+}
+
+function printAthlete(athlete) {
+  printHeader(`🔍 Athlete Information (ID: ${athlete.id})`);
+  console.log(`   Name: ${athlete.name}`);
+  console.log(`   Position: ${athlete.position}`);
+  console.log(`   Team ID: ${athlete.teamId}`);
+  console.log(`   Active: ${athlete.isActive}`);
+  console.log(`   Contract Start: ${formatDate(athlete.contractStart)}`);
+  console.log(`   Contract End: ${formatDate(athlete.contractEnd)}`);
+  console.log(`   Address: ${athlete.athleteAddress}`);
+  if (athlete.salary !== undefined) {
+    console.log(`   Salary: ${athlete.salary}`);
+    console.log(`   Bonus: ${athlete.bonus}`);
+  }
+}
+
+// Seal the athlete's minimum acceptable salary (athlete only)
+async function setMinimumSalary({ client, args, values, log }) {
+  const athleteId = parseInteger(args[0], "<athleteId>");
+  const minimumSalary = parseInteger(values.salary, "--salary");
+
+  log("   🔐 Encrypting minimum salary with FHE...");
+  const receipt = await client.setReservationSalary({ athleteId, minimumSalary });
+  return { athleteId, ...txInfo(receipt) };
+}
+
+function printMinimumSalarySet(result) {
+  printHeader("🔏 Minimum Salary Sealed");
+  console.log(`   ✅ Athlete ID: ${result.athleteId}`);
+  console.log("   New team offers will show whether they meet it; teams never see the number.");
+  printTx(result);
+}
+
+// Project the team's payroll if an offer were signed, without sending it (team manager only)
+async function previewCapRoom({ client, values, log }) {
+  const offer = {
+    athleteId: parseInteger(values.athlete, "--athlete"),
+    teamId: parseInteger(values.team, "--team"),
+    salary: parseInteger(values.salary, "--salary"),
+    bonus: parseInteger(values.bonus, "--bonus"),
+  };
+
+  log("   🔓 Decrypting team payroll and salary cap...");
+  return { ...offer, ...(await client.previewCapRoom(offer)) };
+}
+
+function printCapRoomPreview(result) {
+  printHeader(`💰 Cap Room Preview (Team ID: ${result.teamId})`);
+  console.log(`   Offer: Salary ${result.salary}, Bonus ${result.bonus} for athlete ${result.athleteId}`);
+  console.log(`   Payroll: ${result.payroll} -> ${result.projectedPayroll} (cap ${result.salaryCap})`);
+  console.log(
+    result.withinCap
+      ? `   ✅ Within cap, ${result.capRoom} of room left`
+      : `   ❌ Over cap by ${-result.capRoom}: the offer could not be approved`
+  );
+}
+
+// Propose a contract (team manager only)
+async function createProposal({ client, values, log }) {
+  const proposal = {
+    athleteId: parseInteger(values.athlete, "--athlete"),
+    teamId: parseInteger(values.team, "--team"),
+    salary: parseInteger(values.salary, "--salary"),
+    bonus: parseInteger(values.bonus, "--bonus"),
+    durationMonths: parseInteger(values.months, "--months"),
+  };
+
+  log("   🔐 Encrypting proposed salary and bonus with FHE...");
+  const { proposalId, negotiationId, receipt } = await client.proposeContract(proposal);
+  return { proposalId, negotiationId, athleteId: proposal.athleteId, teamId: proposal.teamId, ...txInfo(receipt) };
+}
+
+function printProposalCreated(result) {
+  printHeader("📝 Contract Proposal Created");
+  console.log(`   ✅ Proposal ID: ${result.proposalId}`);
+  console.log(`   Negotiation ID: ${result.negotiationId}`);
+  console.log(`   Athlete ID: ${result.athleteId}`);
+  console.log(`   Team ID: ${result.teamId}`);
+  printTx(result);
+}
+
+// Counter a proposal with new terms (athlete for team offers, team manager for athlete counters)
+async function counterProposal({ client, args, values, log }) {
+  const counter = {
+    proposalId: parseInteger(args[0], "<proposalId>"),
+    salary: parseInteger(values.salary, "--salary"),
+    bonus: parseInteger(values.bonus, "--bonus"),
+    durationMonths: parseInteger(values.months, "--months"),
+  };
+
+  log("   🔐 Encrypting counter-offer with FHE...");
+  const { proposalId, negotiationId, receipt } = await client.counterProposal(counter);
+  const { roundCount } = await client.getNegotiation(negotiationId);
+  return { proposalId, counteredProposalId: counter.proposalId, negotiationId, round: roundCount, ...txInfo(receipt) };
+}
+
+function printCounterProposal(result) {
+  printHeader("🤝 Counter-Offer Sent");
+  console.log(`   ✅ Proposal ID: ${result.proposalId} (round ${result.round})`);
+  console.log(`   Countered Proposal ID: ${result.counteredProposalId}`);
+  console.log(`   Negotiation ID: ${result.negotiationId}`);
+  printTx(result);
+}
+
+// Decrypt whether a team offer meets the athlete's sealed minimum (athlete or team manager)
+async function matchProposal({ client, args, log }) {
+  const proposalId = parseInteger(args[0], "<proposalId>");
+  log("   🔓 Decrypting reservation match...");
+  const { hasMatch, meetsReservation } = await client.decryptReservationMatch(proposalId);
+  return { proposalId, hasMatch, meetsReservation };
+}
+
+function printProposalMatch(result) {
+  printHeader(`🔏 Reservation Match (Proposal ID: ${result.proposalId})`);
+  if (!result.hasMatch) {
+    console.log("   No match: the athlete had no sealed minimum, or proposed this round themselves.");
+    return;
+  }
+  console.log(`   Result: ${result.meetsReservation ? "✅ Meets the athlete's minimum" : "❌ Below the athlete's minimum"} (private)`);
+}
 
+// Decrypt a proposal's cap-room check, and the published result once decrypted (team manager only)
+async function capRoomCheck({ client, args, log }) {
+  const proposalId = parseInteger(args[0], "<proposalId>");
+  log("   🔓 Decrypting cap-room check...");
+  return client.decryptCapRoomCheck(proposalId);
+}
+
+function printCapRoomCheck(result) {
+  printHeader(`💰 Cap Room (Proposal ID: ${result.proposalId})`);
+  console.log(`   Result: ${result.withinCap ? "✅ Within the salary cap" : "❌ Over the salary cap"} (private)`);
+  if (result.decrypted) {
+    console.log(`   Published: ${result.publicWithinCap ? "✅ Can be approved" : "❌ Over cap, cannot be approved"}`);
+  }
+}
+
+// Decrypt a proposal's league rule check, and the published result once decrypted (athlete or team manager)
+async function leagueRuleCheck({ client, args, log }) {
+  const proposalId = parseInteger(args[0], "<proposalId>");
+  log("   🔓 Decrypting league rule check...");
+  return client.decryptLeagueRuleCheck(proposalId);
+}
+
+function printLeagueRuleCheck(result) {
+  printHeader(`🏆 League Rules (Proposal ID: ${result.proposalId})`);
+  console.log(`   Result: ${result.meetsRules ? "✅ Meets the league's rules" : "❌ Outside the league's rules"} (private)`);
+  if (result.decrypted) {
+    console.log(`   Published: ${result.publicMeetsRules ? "✅ Can be approved" : "❌ Outside the rules, cannot be approved"}`);
+  }
+}
+
+// Approve a proposal, requesting its decryption first if needed (counterparty only)
+// Checks decrypted before the team's payroll last changed are decrypted again
+async function approveProposal({ hre, client, args, log }) {
+  const proposalId = parseInteger(args[0], "<proposalId>");
+  const proposal = await client.getProposal(proposalId);
+
+  const result = { proposalId };
+  const decrypt = async () => {
+    const { waitForDecryption } = await import("./lib/gateway.js");
+
+    log("   🔓 Requesting proposal decryption from the gateway...");
+    const { requestId } = await client.requestProposalDecryption(proposalId);
+    result.decryptionRequestId = requestId;
+
+    log(`   Waiting for the gateway callback (Request ID: ${requestId})...`);
+    const status = await waitForDecryption(hre, client, requestId);
+    if (!status.completed) {
+      throw new Error(`Decryption request ${requestId} timed out; the proposal was closed`);
+    }
+  };
+  if (proposal.isPending && !proposal.callbackReceived) {
+    await decrypt();
+  }
+
+  let receipt;
   try {
-    const info = await contract.getTeamInfo(teamId);
-    console.log(`   Team Name: ${info[0]}`);
-    console.log(`   League: ${info[1]}`);
-    console.log(`   Manager: ${info[2]}`);
-    console.log(`   Athletes: ${info[3].length} registered`);
-    console.log(`   Active: ${info[4]}`);
-    console.log();
+    receipt = await client.approveContract(proposalId);
   } catch (error) {
-    console.error(`   ❌ Error: ${error.message}`);
-    console.log();
+    if (getRevertReason(error) !== "Payroll changed since decryption") throw error;
+    log("   🔄 The team's payroll changed since the checks were decrypted");
+    await decrypt();
+    receipt = await client.approveContract(proposalId);
   }
+  return { ...result, ...txInfo(receipt) };
 }
 
-// Propose a contract
-async function proposeContract(contract, signer) {
-  console.log("📝 Creating Contract Proposal...");
-  console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
+// Reject a proposal, ending its negotiation (counterparty only)
+async function rejectProposal({ client, args }) {
+  const proposalId = parseInteger(args[0], "<proposalId>");
+  const receipt = await client.rejectContract(proposalId);
+  return { proposalId, ...txInfo(receipt) };
+}
+
+// Withdraw an expired proposal (athlete or team manager)
+async function withdrawProposal({ client, args }) {
+  const proposalId = parseInteger(args[0], "<proposalId>");
+  const receipt = await client.emergencyWithdrawProposal(proposalId);
+  return { proposalId, ...txInfo(receipt) };
+}
 
-  const athleteId = 1; // Assuming athlete 1 exists
-  const teamId = 1; // Assuming team 1 exists
-  const proposedSalary = 50000000; // $50M
-  const proposedBonus = 7000000; // $7M
-  const contractDuration = 24; // 24 months
+function printProposalAction(verb) {
+  return (result) => {
+    printHeader(`📝 Proposal ${verb}`);
+    console.log(`   ✅ Proposal ${result.proposalId} ${verb.toLowerCase()}`);
+    if (result.decryptionRequestId !== undefined) {
+      console.log(`   Decryption Request ID: ${result.decryptionRequestId}`);
+    }
+    printTx(result);
+  };
+}
 
-  console.log(`   Athlete ID: ${athleteId}`);
-  console.log(`   Team ID: ${teamId}`);
-  console.log(`   Proposed Salary: $${(proposedSalary / 1000000).toFixed(1)}M`);
-  console.log(`   Proposed Bonus: $${(proposedBonus / 1000000).toFixed(1)}M`);
-  console.log(`   Duration: ${contractDuration} months`);
-  console.log();
+// Get a negotiation, decrypting every round with --decrypt (athlete or team manager)
+async function showNegotiation({ client, args, values, log }) {
+  const negotiationId = parseInteger(args[0], "<negotiationId>");
+  if (!values.decrypt) {
+    return client.getNegotiation(negotiationId);
+  }
+  log("   🔓 Decrypting negotiation rounds...");
+  return client.decryptNegotiation(negotiationId);
+}
 
-  try {
-    const tx = await contract.proposeContract(
-      athleteId,
-      teamId,
-      proposedSalary,
-      proposedBonus,
-      contractDuration
+function printNegotiation(negotiation) {
+  printHeader(`🤝 Negotiation Information (ID: ${negotiation.id})`);
+  console.log(`   Athlete ID: ${negotiation.athleteId}`);
+  console.log(`   Team ID: ${negotiation.teamId}`);
+  console.log(`   Status: ${negotiation.status}`);
+  console.log(`   Rounds: ${negotiation.roundCount} (latest proposal: ${negotiation.latestProposalId})`);
+  console.log(`   Opened: ${formatDate(negotiation.openedAt)}`);
+  console.log(`   Expires: ${formatDate(negotiation.expiryTime)}`);
+  for (const round of negotiation.rounds || []) {
+    console.log(
+      `   Round ${round.round} (#${round.proposalId}, ${round.status}): salary ${round.salary}, ` +
+        `bonus ${round.bonus}, ${round.contractDuration} months by ${round.proposer}`
+    );
+  }
+}
+
+// Propose acquiring an athlete (acquiring team's manager)
+async function proposeTrade({ client, values }) {
+  const athleteId = parseInteger(values.athlete, "--athlete");
+  const toTeamId = parseInteger(values.team, "--team");
+  const { tradeId, receipt } = await client.proposeTrade({ athleteId, toTeamId });
+  return { ...(await client.getTrade(tradeId)), ...txInfo(receipt) };
+}
+
+function printTradeProposed(result) {
+  printHeader("🔄 Trade Proposed");
+  console.log(`   ✅ Trade ID: ${result.id}`);
+  console.log(`   Athlete ID: ${result.athleteId}`);
+  console.log(`   From Team ID: ${result.fromTeamId} → To Team ID: ${result.toTeamId}`);
+  console.log(`   Expires: ${formatDate(result.expiryTime)}`);
+  printTx(result);
+}
+
+// Publish a trade's cap room and league rule checks for the acquiring team, waiting for the gateway
+async function publishTradeCheck(hre, client, tradeId, log) {
+  const { waitForDecryption } = await import("./lib/gateway.js");
+
+  log("   🔓 Requesting the trade check from the gateway...");
+  const { requestId } = await client.requestTradeCheck(tradeId);
+
+  log(`   Waiting for the gateway callback (Request ID: ${requestId})...`);
+  const status = await waitForDecryption(hre, client, requestId);
+  if (!status.completed) {
+    throw new Error(`Decryption request ${requestId} timed out; request the trade check again`);
+  }
+  return requestId;
+}
+
+// Check a trade against the acquiring team's cap room and league rules (either manager or the athlete)
+async function checkTrade({ hre, client, args, log }) {
+  const tradeId = parseInteger(args[0], "<tradeId>");
+  const decryptionRequestId = await publishTradeCheck(hre, client, tradeId, log);
+  return { ...(await client.getTradeCheck(tradeId)), decryptionRequestId };
+}
+
+function printTradeCheck(result) {
+  printHeader(`🔄 Trade Check (ID: ${result.tradeId})`);
+  console.log(`   Decryption Request ID: ${result.decryptionRequestId}`);
+  console.log(`   Cap Room: ${result.publicWithinCap ? "✅ Within the acquiring team's cap" : "❌ Over the acquiring team's cap"}`);
+  console.log(`   League Rules: ${result.publicMeetsRules ? "✅ Meets the acquiring team's league rules" : "❌ Outside the acquiring team's league rules"}`);
+}
+
+// Reasons the completing approval of a trade reverts until its check is published again
+const STALE_TRADE_CHECK = ["Trade check not completed", "Payroll changed since decryption"];
+
+// Accept, consent to, reject or cancel a trade
+// Approvals publish the trade check first when the completing approval needs a current one
+function tradeAction(method, { checked = false } = {}) {
+  return async ({ hre, client, args, log }) => {
+    const tradeId = parseInteger(args[0], "<tradeId>");
+    const result = { tradeId };
+    let receipt;
+    try {
+      receipt = await client[method](tradeId);
+    } catch (error) {
+      if (!checked || !STALE_TRADE_CHECK.includes(getRevertReason(error))) throw error;
+      log("   🔄 The trade has no current check of the acquiring team's cap room and league rules");
+      result.decryptionRequestId = await publishTradeCheck(hre, client, tradeId, log);
+      receipt = await client[method](tradeId);
+    }
+    const { status } = await client.getTrade(tradeId);
+    return { ...result, status, ...txInfo(receipt) };
+  };
+}
+
+function printTradeAction(verb) {
+  return (result) => {
+    printHeader(`🔄 Trade ${verb}`);
+    console.log(`   ✅ Trade ${result.tradeId} ${verb.toLowerCase()}`);
+    if (result.decryptionRequestId !== undefined) {
+      console.log(`   Trade Check Request ID: ${result.decryptionRequestId}`);
+    }
+    if (result.status === "completed") {
+      console.log("   🏁 Both sides approved: the athlete has moved to the acquiring team");
+    }
+    printTx(result);
+  };
+}
+
+// Get a trade and its published check
+async function showTrade({ client, args }) {
+  const tradeId = parseInteger(args[0], "<tradeId>");
+  const check = await client.getTradeCheck(tradeId);
+  return { ...(await client.getTrade(tradeId)), check };
+}
+
+function printTrade(trade) {
+  printHeader(`🔄 Trade Information (ID: ${trade.id})`);
+  console.log(`   Athlete ID: ${trade.athleteId}`);
+  console.log(`   From Team ID: ${trade.fromTeamId} → To Team ID: ${trade.toTeamId}`);
+  console.log(`   Proposer: ${trade.proposer}`);
+  console.log(`   Status: ${trade.status}`);
+  console.log(`   Releasing Team Approved: ${trade.releasingTeamApproved}`);
+  console.log(`   Athlete Consented: ${trade.athleteConsented}`);
+  if (!trade.check.decrypted) {
+    console.log("   Trade Check: not published");
+  } else {
+    const passed = trade.check.publicWithinCap && trade.check.publicMeetsRules;
+    console.log(
+      `   Trade Check: ${passed ? "✅ passed" : "❌ failed"} (cap room ${trade.check.publicWithinCap}, ` +
+        `league rules ${trade.check.publicMeetsRules}${trade.check.current || trade.status !== "pending" ? "" : ", stale"})`
     );
-    console.log(`   Transaction Hash: ${tx.hash}`);
-    console.log("   Waiting for confirmation...");
+  }
+  console.log(`   Proposed: ${formatDate(trade.timestamp)}`);
+  console.log(`   Expires: ${formatDate(trade.expiryTime)}`);
+}
+
+// List the trades a team is part of, as releasing or acquiring team
+async function listTrades({ client, args }) {
+  const teamId = parseInteger(args[0], "<teamId>");
+  const trades = [];
+  for (const tradeId of await client.getTradeIdsForTeam(teamId)) {
+    trades.push(await client.getTrade(tradeId));
+  }
+  return { teamId, trades };
+}
 
-    const receipt = await tx.wait();
-    console.log(`   ✅ Contract proposal created successfully!`);
-    console.log(`   Gas Used: ${receipt.gasUsed.toString()}`);
+function printTradeList(result) {
+  printHeader(`🔄 Trades of Team ${result.teamId}`);
+  if (result.trades.length === 0) {
+    console.log("   No trades");
+  }
+  for (const trade of result.trades) {
+    console.log(`   #${trade.id}: athlete ${trade.athleteId}, team ${trade.fromTeamId} → ${trade.toTeamId} (${trade.status})`);
+  }
+}
+
+// Start a new season (admin only)
+async function startSeason({ client }) {
+  const { season, receipt } = await client.startNewSeason();
+  return { season, ...txInfo(receipt) };
+}
 
-    // Get proposal ID from event
-    const event = receipt.logs.find(
-      (log) => log.fragment && log.fragment.name === "ContractProposed"
+function printSeasonStarted(result) {
+  printHeader("🎯 New Season Started");
+  console.log(`   ✅ Current Season: ${result.season}`);
+  printTx(result);
+}
+
+// Show who holds which role, and a team's delegates with --team
+async function listRoles({ client, values }) {
+  const summary = await client.getAccessSummary();
+  if (values.team === undefined) {
+    return summary;
+  }
+  const teamId = parseInteger(values.team, "--team");
+  return { ...summary, teamId, teamDelegates: await client.getRoleMembers("teamDelegate", teamId) };
+}
+
+function printRoles(result) {
+  printHeader("🔑 Access Control");
+  console.log(`   Owner: ${result.owner}`);
+  if (result.pendingOwner) {
+    console.log(`   Pending Owner: ${result.pendingOwner}`);
+  }
+  console.log(`   League Admins: ${result.leagueAdmins.join(", ") || "none"}`);
+  console.log(`   Auditors: ${result.auditors.join(", ") || "none"}`);
+  console.log(`   Stats Oracles: ${result.statsOracles.join(", ") || "none"}`);
+  if (result.teamDelegates) {
+    console.log(`   Team ${result.teamId} Delegates: ${result.teamDelegates.join(", ") || "none"}`);
+  }
+}
+
+// Grant or revoke a role; the contract checks who may manage it
+function roleAction(method) {
+  return async ({ hre, client, args, values }) => {
+    const { role, name, scopeId } = parseRole(args, values);
+    const account = parseAddress(hre, requireFlag(values, "address"), "--address");
+    const receipt = await client[method]({ role, account, scopeId });
+    return { role: name, scopeId, account, ...txInfo(receipt) };
+  };
+}
+
+// Give up a role held by the selected account
+async function renounceRole({ client, args, values, signerAddress }) {
+  const { role, name, scopeId } = parseRole(args, values);
+  const receipt = await client.renounceRole({ role, scopeId });
+  return { role: name, scopeId, account: signerAddress, ...txInfo(receipt) };
+}
+
+function printRoleAction(action) {
+  return (result) => {
+    const scope = result.scopeId ? ` of team ${result.scopeId}` : "";
+    printHeader(`🔑 Role ${action}`);
+    console.log(`   ✅ ${result.role}${scope}: ${result.account}`);
+    printTx(result);
+  };
+}
+
+// Propose a new owner, who takes over once they accept (owner only)
+async function transferOwnership({ hre, client, values }) {
+  const newOwner = parseAddress(hre, requireFlag(values, "address"), "--address");
+  const receipt = await client.transferOwnership(newOwner);
+  return { pendingOwner: newOwner, cancelled: newOwner === hre.ethers.ZeroAddress, ...txInfo(receipt) };
+}
+
+function printOwnershipTransfer(result) {
+  if (result.cancelled) {
+    printHeader("🔑 Ownership Transfer Cancelled");
+  } else {
+    printHeader("🔑 Ownership Transfer Started");
+    console.log(`   ✅ Pending Owner: ${result.pendingOwner}`);
+    console.log("   They take over once they run: owner accept");
+  }
+  printTx(result);
+}
+
+// Take over after an ownership transfer (pending owner only)
+async function acceptOwnership({ client, signerAddress }) {
+  const receipt = await client.acceptOwnership();
+  return { owner: signerAddress, ...txInfo(receipt) };
+}
+
+function printOwnershipAccepted(result) {
+  printHeader("🔑 Ownership Transferred");
+  console.log(`   ✅ Owner: ${result.owner}`);
+  printTx(result);
+}
+
+// Parse the audit window from --days or --hours, in seconds
+function parseAuditWindow(values) {
+  if ((values.days === undefined) === (values.hours === undefined)) {
+    throw new UsageError("Pass one of --days or --hours");
+  }
+  return values.days !== undefined
+    ? parseInteger(values.days, "--days") * 86400
+    : parseInteger(values.hours, "--hours") * 3600;
+}
+
+// Open an audit of a team's payroll for an auditor (league commissioner)
+async function openAudit({ hre, client, values }) {
+  const teamId = parseInteger(values.team, "--team");
+  const auditor = parseAddress(hre, requireFlag(values, "auditor"), "--auditor");
+  const window = parseAuditWindow(values);
+  const { auditId, receipt } = await client.openAudit({ teamId, auditor, window });
+  return { ...(await client.getAudit(auditId)), ...txInfo(receipt) };
+}
+
+function printAuditOpened(result) {
+  printHeader("🧾 Audit Opened");
+  console.log(`   ✅ Audit ID: ${result.id}`);
+  console.log(`   Team ID: ${result.teamId}`);
+  console.log(`   Auditor: ${result.auditor}`);
+  console.log(`   Open Until: ${formatDateTime(result.expiresAt)}`);
+  printTx(result);
+}
+
+// Get an audit, decrypting its snapshot with --decrypt (auditor)
+async function showAudit({ client, args, values, log }) {
+  const auditId = parseInteger(args[0], "<auditId>");
+  const audit = await client.getAudit(auditId);
+  if (!values.decrypt) {
+    return audit;
+  }
+  log("   🔓 Decrypting the audit snapshot...");
+  const { payroll, salaryCap, capRoom, athletes } = await client.decryptAuditSnapshot(auditId);
+  return { ...audit, snapshot: { payroll, salaryCap, capRoom, athletes } };
+}
+
+function printAudit(audit) {
+  printHeader(`🧾 Audit Information (ID: ${audit.id})`);
+  console.log(`   Team ID: ${audit.teamId}`);
+  console.log(`   Auditor: ${audit.auditor}`);
+  console.log(`   Opened By: ${audit.openedBy}`);
+  console.log(`   Status: ${audit.status}`);
+  console.log(`   Opened: ${formatDateTime(audit.openedAt)}`);
+  console.log(`   Open Until: ${formatDateTime(audit.expiresAt)}`);
+  console.log(`   Snapshot: ${formatDateTime(audit.snapshotAt)}`);
+  if (audit.status === "completed") {
+    console.log(`   Compliant: ${audit.compliant}`);
+    console.log(`   Report Hash: ${audit.reportHash}`);
+  }
+  if (audit.snapshot) {
+    console.log(`   Total Payroll: ${audit.snapshot.payroll}`);
+    console.log(`   Salary Cap: ${audit.snapshot.salaryCap}`);
+    console.log(`   Cap Room: ${audit.snapshot.capRoom}`);
+    for (const athlete of audit.snapshot.athletes) {
+      const name = athlete.name ?? "(inactive)";
+      console.log(`     #${athlete.id} ${name}: ${athlete.salary} + ${athlete.bonus} bonus = ${athlete.total}`);
+    }
+  }
+}
+
+// List a team's audits, an auditor's, or by default the selected account's
+async function listAudits({ hre, client, values, signerAddress }) {
+  if (values.team !== undefined && values.auditor !== undefined) {
+    throw new UsageError("Pass either --team or --auditor");
+  }
+  let ids;
+  let scope;
+  if (values.team !== undefined) {
+    const teamId = parseInteger(values.team, "--team");
+    ids = await client.getAuditIdsForTeam(teamId);
+    scope = `Team ${teamId}`;
+  } else {
+    const auditor = values.auditor ? parseAddress(hre, values.auditor, "--auditor") : signerAddress;
+    ids = await client.getAuditIdsFor(auditor);
+    scope = `Auditor ${auditor}`;
+  }
+  const audits = [];
+  for (const auditId of ids) {
+    audits.push(await client.getAudit(auditId));
+  }
+  return { scope, audits };
+}
+
+function printAuditList(result) {
+  printHeader(`🧾 Audits of ${result.scope}`);
+  if (result.audits.length === 0) {
+    console.log("   No audits");
+  }
+  for (const audit of result.audits) {
+    console.log(
+      `   #${audit.id}: team ${audit.teamId}, auditor ${audit.auditor} ` +
+        `(${audit.status}, until ${formatDateTime(audit.expiresAt)})`
     );
-    if (event) {
-      const proposalId = event.args[0];
-      console.log(`   Proposal ID: ${proposalId}`);
+  }
+}
+
+// Refresh or close an audit
+function auditAction(method) {
+  return async ({ client, args }) => {
+    const auditId = parseInteger(args[0], "<auditId>");
+    const receipt = await client[method](auditId);
+    return { ...(await client.getAudit(auditId)), ...txInfo(receipt) };
+  };
+}
+
+function printAuditAction(verb) {
+  return (result) => {
+    printHeader(`🧾 Audit ${verb}`);
+    console.log(`   ✅ Audit ${result.id} ${verb.toLowerCase()}`);
+    console.log(`   Status: ${result.status}`);
+    console.log(`   Snapshot: ${formatDateTime(result.snapshotAt)}`);
+    printTx(result);
+  };
+}
+
+// Decrypt an audit's snapshot, write the signed report and optionally record it (auditor)
+async function writeReport({ hre, client, args, values, signerAddress, log }) {
+  const auditId = parseInteger(args[0], "<auditId>");
+  const out = values.out || `audit-${auditId}-report.json`;
+  const audit = await client.getAudit(auditId);
+  if (audit.auditor !== signerAddress) {
+    throw new UsageError(`Audit ${auditId} belongs to auditor ${audit.auditor}; select that account with --account`);
+  }
+
+  log("   🔓 Decrypting the audit snapshot...");
+  const snapshot = await client.decryptAuditSnapshot(auditId);
+  const report = buildAuditReport({
+    contract: client.address,
+    chainId: (await hre.ethers.provider.getNetwork()).chainId,
+    team: await client.getTeamRecord(audit.teamId),
+    snapshot,
+  });
+  const signed = await signAuditReport(report, client.runner);
+  writeAuditReport(out, signed);
+
+  const result = { file: out, auditId, compliant: report.compliant, reportHash: signed.reportHash, recorded: false };
+  if (!values.record) {
+    return result;
+  }
+  log("   📝 Recording the audit result...");
+  const receipt = await client.recordAuditResult({
+    auditId,
+    compliant: report.compliant,
+    reportHash: signed.reportHash,
+  });
+  return { ...result, recorded: true, ...txInfo(receipt) };
+}
+
+function printReportWritten(result) {
+  printHeader("🧾 Audit Report Signed");
+  console.log(`   ✅ Report: ${result.file}`);
+  console.log(`   Audit ID: ${result.auditId}`);
+  console.log(`   Compliant: ${result.compliant}`);
+  console.log(`   Report Hash: ${result.reportHash}`);
+  if (result.recorded) {
+    console.log("   📝 Result recorded on-chain");
+    printTx(result);
+  } else {
+    console.log(`   Record it with: audit report ${result.auditId} --record`);
+  }
+}
+
+// Check a report file's hash and signature, and the hash the auditor recorded on-chain.
+// Exits with code 1 when the report is invalid, so the check can gate other scripts.
+async function verifyReport({ hre, client, args }) {
+  const file = args[0];
+  if (!file) {
+    throw new UsageError("Missing <file>");
+  }
+  const signed = readAuditReport(file);
+  const result = { file, ...(await checkReport(hre, client, signed)) };
+  if (!result.valid) {
+    process.exitCode = 1;
+  }
+  return result;
+}
+
+async function checkReport(hre, client, signed) {
+  const errors = verifyAuditReport(signed);
+  const { report } = signed;
+  if (!report) {
+    return { valid: false, recorded: false, errors };
+  }
+
+  const chainId = Number((await hre.ethers.provider.getNetwork()).chainId);
+  if (report.contract !== client.address || report.chainId !== chainId) {
+    errors.push(`Report is for contract ${report.contract} on chain ${report.chainId}, not this deployment`);
+    return { auditId: report.auditId, valid: false, recorded: false, errors };
+  }
+
+  const audit = await client.getAudit(report.auditId);
+  if (audit.auditor !== report.auditor || audit.teamId !== report.teamId) {
+    errors.push(`Audit ${audit.id} is team ${audit.teamId} by ${audit.auditor}, not what the report says`);
+  }
+  const recorded = audit.status === "completed" && audit.reportHash === signed.reportHash;
+  if (audit.status === "completed" && !recorded) {
+    errors.push(`Audit ${audit.id} recorded report hash ${audit.reportHash}, not this report's`);
+  } else if (recorded && audit.compliant !== report.compliant) {
+    errors.push(`Audit ${audit.id} recorded compliant=${audit.compliant}, the report says ${report.compliant}`);
+  }
+  return { auditId: audit.id, valid: errors.length === 0, recorded, compliant: report.compliant, errors };
+}
+
+function printReportVerified(result) {
+  printHeader(`🧾 Audit Report ${result.file}`);
+  if (result.valid) {
+    console.log(`   ✅ Valid report of audit ${result.auditId}, signed by its auditor`);
+    console.log(`   Compliant: ${result.compliant}`);
+    console.log(result.recorded ? "   📝 Matches the result recorded on-chain" : "   ⚠️  Not recorded on-chain yet");
+  } else {
+    console.log("   ❌ Invalid report");
+    for (const error of result.errors) {
+      console.log(`     - ${error}`);
     }
-    console.log();
-  } catch (error) {
-    console.error(`   ❌ Error: ${error.message}`);
-    console.log();
   }
 }
 
-// Start a new season
-async function startNewSeason(contract) {
-  console.log("🎯 Starting New Season...");
-  console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
+// Get the payroll token, with the selected account's balance on --decrypt
+async function showToken({ client, values, signerAddress, log }) {
+  const token = await client.getPayrollToken();
+  if (!token) {
+    throw new Error("No payroll token set on this contract");
+  }
+  if (!values.decrypt) {
+    return token;
+  }
+  log("   🔓 Decrypting the token balance...");
+  return { ...token, account: signerAddress, balance: await client.decryptTokenBalance() };
+}
 
-  try {
-    const tx = await contract.startNewSeason();
-    console.log(`   Transaction Hash: ${tx.hash}`);
-    console.log("   Waiting for confirmation...");
+function printToken(token) {
+  printHeader(`💵 Payroll Token ${token.symbol}`);
+  console.log(`   Name: ${token.name}`);
+  console.log(`   Address: ${token.address}`);
+  console.log(`   Decimals: ${token.decimals}`);
+  if (token.balance !== undefined) {
+    console.log(`   Balance of ${token.account}: ${token.balance}`);
+  }
+}
 
-    const receipt = await tx.wait();
-    console.log(`   ✅ New season started successfully!`);
-    console.log(`   Gas Used: ${receipt.gasUsed.toString()}`);
+// Mint payroll tokens to an account (token owner)
+async function mintTokens({ hre, client, values }) {
+  const to = parseAddress(hre, requireFlag(values, "address"), "--address");
+  const amount = parseInteger(values.amount, "--amount");
+  const receipt = await client.mintPayrollToken({ to, amount });
+  return { to, amount, ...txInfo(receipt) };
+}
 
-    const currentSeason = await contract.currentSeason();
-    console.log(`   Current Season: ${currentSeason}`);
-    console.log();
-  } catch (error) {
-    console.error(`   ❌ Error: ${error.message}`);
-    console.log();
+function printTokensMinted(result) {
+  printHeader("💵 Tokens Minted");
+  console.log(`   ✅ ${result.amount} to ${result.to}`);
+  printTx(result);
+}
+
+// Deposit into a team's escrow, first letting the contract move the account's tokens if needed
+async function depositPayroll({ hre, client, values, signerAddress, log }) {
+  const teamId = parseInteger(values.team, "--team");
+  const amount = parseInteger(values.amount, "--amount");
+  const token = await client.getPayrollToken();
+  if (!token) {
+    throw new Error("No payroll token set on this contract");
   }
+
+  if (!(await client.canDepositPayroll(signerAddress))) {
+    log("   🔑 Letting the contract move your tokens for the next hour...");
+    const { timestamp } = await hre.ethers.provider.getBlock("latest");
+    await client.allowPayrollDeposits({ until: timestamp + 3600 });
+  }
+
+  log("   🔐 Encrypting the deposit...");
+  const receipt = await client.depositPayroll({ teamId, amount });
+  return { teamId, amount, ...txInfo(receipt) };
 }
 
-// Main interaction menu
-async function main() {
-  console.log("╔════════════════════════════════════════════════════════════╗");
-  console.log("║   Confidential Sports Contract - Interaction Script       ║");
-  console.log("╚════════════════════════════════════════════════════════════╝");
-  console.log();
+function printPayrollDeposited(result) {
+  printHeader("💰 Payroll Deposited");
+  console.log(`   ✅ ${result.amount} into team ${result.teamId}'s escrow`);
+  console.log("   A deposit larger than your token balance moves nothing");
+  printTx(result);
+}
 
-  const network = hre.network.name;
-  const deployment = loadDeployment();
-  const [signer] = await hre.ethers.getSigners();
-  const signerAddress = await signer.getAddress();
+// Run a team's next period (or finish the current one) to completion
+async function runPayroll({ client, values, log }) {
+  const teamId = parseInteger(values.team, "--team");
+  const period =
+    values.period !== undefined
+      ? parseInteger(values.period, "--period")
+      : (await client.getPayrollRun(teamId)).nextPeriod;
 
-  console.log(`📡 Network: ${network}`);
-  console.log(`📍 Contract: ${deployment.contractAddress}`);
-  console.log(`👤 Signer: ${signerAddress}`);
-  console.log();
+  log(`   💸 Paying period ${period}...`);
+  const { paid, receipts } = await client.runPayrollPeriod({ teamId, period });
+  const gasUsed = receipts.reduce((total, receipt) => total + receipt.gasUsed, 0n);
+  return { teamId, period, paid, calls: receipts.length, gasUsed };
+}
 
-  const contract = await getContract();
+function printPayrollRun(result) {
+  printHeader("💸 Payroll Run");
+  console.log(`   ✅ Team ${result.teamId}, period ${result.period}: paid ${result.paid.length} athlete(s)`);
+  console.log(`   Athletes: ${result.paid.join(", ") || "none"}`);
+  console.log(`   Calls: ${result.calls}`);
+  console.log(`   Gas Used: ${result.gasUsed.toString()}`);
+}
 
-  // Display current stats
-  await displayStats(contract);
+// Return a deactivated team's escrow to its manager
+async function withdrawPayroll({ client, values, log }) {
+  const teamId = parseInteger(values.team, "--team");
+  log("   💼 Withdrawing the escrow...");
+  const receipt = await client.withdrawPayrollEscrow(teamId);
+  return { teamId, ...txInfo(receipt) };
+}
 
-  // Example interactions (uncomment to use)
-  console.log("🎬 Running Example Interactions...");
-  console.log();
+function printPayrollWithdrawn(result) {
+  printHeader("💼 Payroll Withdrawn");
+  console.log(`   ✅ Team ${result.teamId}'s escrow returned to its manager`);
+  printTx(result);
+}
 
-  // 1. Register a team (requires owner privileges)
-  // await registerTeam(contract, signer);
+// Get a team's latest payroll period, decrypting its escrow with --decrypt (manager)
+async function showPayroll({ client, args, values, log }) {
+  const teamId = parseInteger(args[0], "<teamId>");
+  const run = await client.getPayrollRun(teamId);
+  if (!values.decrypt) {
+    return run;
+  }
+  log("   🔓 Decrypting the escrow balance...");
+  return { ...run, escrow: await client.decryptPayrollEscrow(teamId) };
+}
 
-  // 2. Register an athlete (requires team manager privileges)
-  // await registerAthlete(contract, signer);
+function printPayroll(run) {
+  printHeader(`💰 Payroll of Team ${run.teamId}`);
+  if (run.period === 0) {
+    console.log("   No period run yet");
+  } else {
+    console.log(`   Period: ${run.period} (${run.completed ? "completed" : `${run.nextIndex}/${run.athleteCount} athletes processed`})`);
+    console.log(`   Started: ${formatDateTime(run.startedAt)}`);
+    console.log(`   Athletes Paid: ${run.paidCount}`);
+    console.log(`   Next Period Due: ${formatDateTime(run.nextDueAt)}`);
+  }
+  if (run.escrow !== undefined) {
+    console.log(`   Escrow Balance: ${run.escrow}`);
+  }
+}
 
-  // 3. Get athlete info
-  // await getAthleteInfo(contract, 1);
+// List an athlete's payments, decrypting the amounts with --decrypt (athlete or manager)
+async function paymentHistory({ client, args, values, log }) {
+  const athleteId = parseInteger(args[0], "<athleteId>");
+  if (!values.decrypt) {
+    return { athleteId, payments: await client.getPayments(athleteId) };
+  }
+  log("   🔓 Decrypting payments...");
+  return { athleteId, payments: await client.decryptPaymentHistory(athleteId) };
+}
+
+function printPaymentHistory(result) {
+  printHeader(`💸 Payments of Athlete ${result.athleteId}`);
+  if (result.payments.length === 0) {
+    console.log("   No payments");
+  }
+  for (const payment of result.payments) {
+    const amount = payment.amount !== undefined ? `: ${payment.amount}` : "";
+    console.log(`   Period ${payment.period}, team ${payment.teamId}, ${formatDate(payment.paidAt)}${amount}`);
+  }
+}
+
+// Add a bonus clause to an athlete's contract (team manager or delegate)
+async function addBonusClause({ client, values, log }) {
+  const athleteId = parseInteger(values.athlete, "--athlete");
+  const name = requireFlag(values, "stat");
+  if (!CLI_STATS.includes(name)) {
+    throw new UsageError(`Unknown stat "${name}", expected one of: ${CLI_STATS.join(", ")}`);
+  }
+  const threshold = parseInteger(values.threshold, "--threshold");
+  const amount = parseInteger(values.amount, "--amount");
+
+  log("   🔐 Encrypting the threshold and amount...");
+  const stat = BONUS_STATS[CLI_STATS.indexOf(name)];
+  const { clauseIndex, receipt } = await client.addBonusClause({ athleteId, stat, threshold, amount });
+  return { athleteId, clauseIndex, stat: name, threshold, amount, ...txInfo(receipt) };
+}
+
+function printBonusClauseAdded(result) {
+  printHeader("🏆 Bonus Clause Added");
+  console.log(`   ✅ Athlete ${result.athleteId}, clause ${result.clauseIndex}: ${result.amount} at ${result.threshold} ${result.stat}`);
+  printTx(result);
+}
+
+// Show an athlete's season stats and clauses, decrypting them with --decrypt (athlete or manager)
+async function showBonuses({ client, args, values, log }) {
+  const athleteId = parseInteger(args[0], "<athleteId>");
+  const season = values.season !== undefined ? parseInteger(values.season, "--season") : null;
+  if (!values.decrypt) {
+    const [stats, clauses] = await Promise.all([client.getSeasonStats(athleteId, season), client.getBonusClauses(athleteId)]);
+    return { athleteId, season: stats.season, stats, clauses };
+  }
+  log("   🔓 Decrypting bonus clauses...");
+  return { athleteId, ...(await client.decryptBonuses(athleteId, season)) };
+}
+
+function printBonuses(result) {
+  const { stats } = result;
+  printHeader(`🏆 Bonuses of Athlete ${result.athleteId}, Season ${result.season}`);
+  console.log(
+    `   Stats: ${stats.gamesPlayed} games, ${stats.points} points, ${stats.assists} assists, ${stats.rebounds} rebounds`
+  );
+  if (result.clauses.length === 0) {
+    console.log("   No bonus clauses");
+  }
+  for (const clause of result.clauses) {
+    const terms =
+      clause.threshold !== undefined
+        ? `${clause.amount} at ${clause.threshold} ${kebabCase(clause.stat)}${clause.reached ? " ✅" : ""}`
+        : `encrypted, on ${kebabCase(clause.stat)}`;
+    console.log(`   Clause ${clause.index}: ${terms}`);
+  }
+  if (result.earned !== undefined) {
+    console.log(`   Earned This Season: ${result.earned}`);
+  }
+}
+
+const COMMANDS = {
+  "stats": { run: showStats, print: printStats },
+  "league create": { run: createLeague, print: printLeague },
+  "league show": { run: showLeague, print: printLeague },
+  "league rules": { run: updateLeagueRules, print: printRulesUpdated },
+  "league commissioner": { run: setCommissioner, print: printCommissionerSet },
+  "team register": { run: registerTeam, print: printTeamRegistered },
+  "team show": { run: showTeam, print: printTeam },
+  "team check-cap": { run: checkTeamCap, print: printTeamCap },
+  "athlete register": { run: registerAthlete, print: printAthleteRegistered },
+  "athlete show": { run: showAthlete, print: printAthlete },
+  "athlete set-minimum": { run: setMinimumSalary, print: printMinimumSalarySet },
+  "proposal preview-cap": { run: previewCapRoom, print: printCapRoomPreview },
+  "proposal create": { run: createProposal, print: printProposalCreated },
+  "proposal counter": { run: counterProposal, print: printCounterProposal },
+  "proposal match": { run: matchProposal, print: printProposalMatch },
+  "proposal cap-room": { run: capRoomCheck, print: printCapRoomCheck },
+  "proposal rules": { run: leagueRuleCheck, print: printLeagueRuleCheck },
+  "proposal approve": { run: approveProposal, print: printProposalAction("Approved") },
+  "proposal reject": { run: rejectProposal, print: printProposalAction("Rejected") },
+  "proposal withdraw": { run: withdrawProposal, print: printProposalAction("Withdrawn") },
+  "negotiation show": { run: showNegotiation, print: printNegotiation },
+  "trade propose": { run: proposeTrade, print: printTradeProposed },
+  "trade accept": { run: tradeAction("acceptTrade", { checked: true }), print: printTradeAction("Accepted") },
+  "trade consent": { run: tradeAction("consentToTrade", { checked: true }), print: printTradeAction("Consented") },
+  "trade check": { run: checkTrade, print: printTradeCheck },
+  "trade reject": { run: tradeAction("rejectTrade"), print: printTradeAction("Rejected") },
+  "trade cancel": { run: tradeAction("cancelTrade"), print: printTradeAction("Cancelled") },
+  "trade show": { run: showTrade, print: printTrade },
+  "trade list": { run: listTrades, print: printTradeList },
+  "season start": { run: startSeason, print: printSeasonStarted },
+  "role list": { run: listRoles, print: printRoles },
+  "role grant": { run: roleAction("grantRole"), print: printRoleAction("Granted") },
+  "role revoke": { run: roleAction("revokeRole"), print: printRoleAction("Revoked") },
+  "role renounce": { run: renounceRole, print: printRoleAction("Renounced") },
+  "owner transfer": { run: transferOwnership, print: printOwnershipTransfer },
+  "owner accept": { run: acceptOwnership, print: printOwnershipAccepted },
+  "audit open": { run: openAudit, print: printAuditOpened },
+  "audit show": { run: showAudit, print: printAudit },
+  "audit list": { run: listAudits, print: printAuditList },
+  "audit refresh": { run: auditAction("refreshAudit"), print: printAuditAction("Refreshed") },
+  "audit close": { run: auditAction("closeAudit"), print: printAuditAction("Closed") },
+  "audit report": { run: writeReport, print: printReportWritten },
+  "audit verify": { run: verifyReport, print: printReportVerified },
+  "token show": { run: showToken, print: printToken },
+  "token mint": { run: mintTokens, print: printTokensMinted },
+  "payroll deposit": { run: depositPayroll, print: printPayrollDeposited },
+  "payroll run": { run: runPayroll, print: printPayrollRun },
+  "payroll withdraw": { run: withdrawPayroll, print: printPayrollWithdrawn },
+  "payroll show": { run: showPayroll, print: printPayroll },
+  "payroll history": { run: paymentHistory, print: printPaymentHistory },
+  "bonus add": { run: addBonusClause, print: printBonusClauseAdded },
+  "bonus show": { run: showBonuses, print: printBonuses },
+};
 
-  // 4. Get team info
-  // await getTeamInfo(contract, 1);
+// Resolve "group action" or single-word commands from positionals
+function resolveCommand(positionals) {
+  if (COMMANDS[positionals[0]]) {
+    return { key: positionals[0], args: positionals.slice(1) };
+  }
+  const key = positionals.slice(0, 2).join(" ");
+  if (COMMANDS[key]) {
+    return { key, args: positionals.slice(2) };
+  }
+  throw new UsageError(positionals.length ? `Unknown command: ${positionals.join(" ")}` : "Missing command");
+}
 
-  // 5. Propose a contract
-  // await proposeContract(contract, signer);
+async function main() {
+  let parsed;
+  try {
+    parsed = parseArgs({ options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  const { values, positionals } = parsed;
 
-  // 6. Start new season (requires owner privileges)
-  // await startNewSeason(contract);
+  if (values.help || positionals.length === 0) {
+    console.log(USAGE);
+    return;
+  }
 
-  console.log("💡 Tip: Edit scripts/interact.js to uncomment desired operations");
-  console.log();
+  const { key, args } = resolveCommand(positionals);
 
-  console.log("════════════════════════════════════════════════════════════");
-  console.log("✨ Interaction Complete!");
-  console.log("════════════════════════════════════════════════════════════");
+  // Hardhat reads the network when it is first imported
+  if (values.network) {
+    process.env.HARDHAT_NETWORK = values.network;
+  }
+  const { default: hre } = await import("hardhat");
+  const { getClient } = await import("./lib/deployment.js");
+
+  const signers = await hre.ethers.getSigners();
+  const accountIndex = parseInteger(values.account, "--account");
+  const signer = signers[accountIndex];
+  if (!signer) {
+    throw new UsageError(`--account ${accountIndex} is out of range (${signers.length} accounts configured)`);
+  }
+
+  const client = await getClient(hre, signer);
+  const log = values.json ? () => {} : (message) => console.log(message);
+
+  const result = await COMMANDS[key].run({
+    hre,
+    client,
+    signerAddress: await signer.getAddress(),
+    args,
+    values,
+    log,
+  });
+
+  if (values.json) {
+    console.log(toJson(result));
+  } else {
+    COMMANDS[key].print(result);
+    console.log();
+  }
 }
 
-// Execute interaction
+// Execute CLI
+const json = process.argv.includes("--json");
+
 main()
-  .then(() => process.exit(0))
+  .then(() => process.exit(process.exitCode ?? 0))
   .catch((error) => {
-    console.error();
-    console.error("❌ Interaction Failed!");
-    console.error();
-    console.error(error);
+    if (error instanceof UsageError) {
+      console.error(`❌ ${error.message}`);
+      console.error();
+      console.error(USAGE);
+      process.exit(2);
+    }
+
+    const { reason, hint, message } = describeContractError(error);
+    if (json) {
+      console.error(toJson({ error: message, reason, hint }));
+    } else {
+      console.error(`❌ ${message}`);
+      if (hint) console.error(`   💡 ${hint}`);
+    }
     process.exit(1);
   });
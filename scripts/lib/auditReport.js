@@ -0,0 +1,114 @@
+import fs from "fs";
+import { ethers } from "ethers";
+
+/**
+ * Signed payroll audit reports for `interact.js audit report` / `audit verify`
+ *
+ * A report file is { report, reportHash, signature }: report holds the audited
+ * snapshot in clear, reportHash is the keccak256 of its canonical JSON (keys
+ * sorted, no whitespace, amounts as decimal strings) and signature is the
+ * auditor's EIP-191 signature of the hash bytes. reportHash is also what the
+ * auditor records on-chain with recordAuditResult, so anyone given the file can
+ * check it against the audit without decrypting anything.
+ */
+
+export const REPORT_VERSION = 1;
+
+// JSON with object keys sorted at every level, so the hash does not depend on key order
+export function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(",")}]`;
+  }
+  if (value !== null && typeof value === "object") {
+    const entries = Object.keys(value)
+      .sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(",")}}`;
+  }
+  if (typeof value === "bigint") {
+    return JSON.stringify(value.toString());
+  }
+  return JSON.stringify(value);
+}
+
+export function hashReport(report) {
+  return ethers.keccak256(ethers.toUtf8Bytes(canonicalJson(report)));
+}
+
+/**
+ * Build the report from SportsContractClient.decryptAuditSnapshot output.
+ * The team is compliant when the snapshot's payroll is within its salary cap.
+ */
+export function buildAuditReport({ contract, chainId, team, snapshot, generatedAt = Math.floor(Date.now() / 1000) }) {
+  const { audit, payroll, salaryCap } = snapshot;
+  return {
+    version: REPORT_VERSION,
+    contract,
+    chainId: Number(chainId),
+    auditId: audit.id,
+    teamId: audit.teamId,
+    teamName: team.teamName,
+    auditor: audit.auditor,
+    snapshotAt: audit.snapshotAt,
+    generatedAt,
+    payroll: payroll.toString(),
+    salaryCap: salaryCap.toString(),
+    capRoom: (salaryCap - payroll).toString(),
+    compliant: payroll <= salaryCap,
+    athletes: snapshot.athletes.map((athlete) => ({
+      id: athlete.id,
+      name: athlete.name,
+      position: athlete.position,
+      salary: athlete.salary.toString(),
+      bonus: athlete.bonus.toString(),
+      total: athlete.total.toString(),
+    })),
+  };
+}
+
+// Hash and sign a report with the auditor's signer
+export async function signAuditReport(report, signer) {
+  const reportHash = hashReport(report);
+  const signature = await signer.signMessage(ethers.getBytes(reportHash));
+  return { report, reportHash, signature };
+}
+
+/**
+ * Problems with a signed report, as readable messages (empty when the hash
+ * matches the report and the signature is the report's auditor's)
+ */
+export function verifyAuditReport({ report, reportHash, signature }) {
+  const errors = [];
+  if (!report || typeof report !== "object") {
+    return ["Missing report"];
+  }
+  const expectedHash = hashReport(report);
+  if (reportHash !== expectedHash) {
+    errors.push(`Report hash mismatch: file says ${reportHash}, contents hash to ${expectedHash}`);
+  }
+
+  // The signature covers the hash in the file, so edited contents only fail the hash check
+  let signer;
+  try {
+    signer = ethers.verifyMessage(ethers.getBytes(reportHash), signature);
+  } catch {
+    errors.push("Invalid signature");
+    return errors;
+  }
+  if (!ethers.isAddress(report.auditor) || signer !== ethers.getAddress(report.auditor)) {
+    errors.push(`Signed by ${signer}, not the auditor ${report.auditor}`);
+  }
+  return errors;
+}
+
+export function writeAuditReport(file, signed) {
+  fs.writeFileSync(file, `${JSON.stringify(signed, null, 2)}\n`);
+}
+
+export function readAuditReport(file) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Audit report not found: ${file}`);
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
@@ -0,0 +1,73 @@
+/**
+ * Minimal RFC 4180 CSV helpers for the roster and game stats scripts
+ * Quoted fields may contain commas, quotes ("") and line breaks.
+ */
+
+// Parse CSV text into an array of records keyed by the header row
+// Each record also carries its 1-based source line as `_line`
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === "\n") line++;
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && field === "") {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push({ fields: row, line: rowLine });
+      row = [];
+      field = "";
+      rowLine = ++line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error(`CSV line ${rowLine}: unterminated quoted field`);
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push({ fields: row, line: rowLine });
+  }
+
+  // Skip blank lines
+  const nonEmpty = rows.filter(({ fields }) => fields.some((value) => value.trim() !== ""));
+  if (nonEmpty.length === 0) {
+    return [];
+  }
+
+  const [header, ...records] = nonEmpty;
+  const columns = header.fields.map((name) => name.trim());
+
+  return records.map(({ fields, line: recordLine }) => {
+    const record = { _line: recordLine };
+    columns.forEach((column, index) => {
+      record[column] = (fields[index] ?? "").trim();
+    });
+    return record;
+  });
+}
@@ -0,0 +1,108 @@
+import fs from "fs";
+import path from "path";
+import { SportsContractClient } from "../../public/lib/sportsContractClient.js";
+
+/**
+ * Shared deployment helpers for the Hardhat scripts
+ * Resolves deployments/<network>-deployment.json written by scripts/deploy.js
+ */
+
+// Path of the deployment file for the current network
+export function getDeploymentFile(hre) {
+  return path.join(
+    hre.config.paths.root,
+    "deployments",
+    `${hre.network.name}-deployment.json`
+  );
+}
+
+// Load deployment information
+export function loadDeployment(hre) {
+  const deploymentFile = getDeploymentFile(hre);
+
+  if (!fs.existsSync(deploymentFile)) {
+    throw new Error(
+      `Deployment file not found: ${deploymentFile}\n` +
+        "   Please deploy the contract first using: npm run deploy"
+    );
+  }
+
+  return JSON.parse(fs.readFileSync(deploymentFile, "utf8"));
+}
+
+// Persist updated deployment information
+export function saveDeployment(hre, deployment) {
+  const deploymentFile = getDeploymentFile(hre);
+  fs.mkdirSync(path.dirname(deploymentFile), { recursive: true });
+  fs.writeFileSync(deploymentFile, JSON.stringify(deployment, null, 2));
+  return deploymentFile;
+}
+
+// Path of a per-network state file kept next to the deployment file
+export function getStateFile(hre, name) {
+  return path.join(
+    hre.config.paths.root,
+    "deployments",
+    `${hre.network.name}-${name}.json`
+  );
+}
+
+// Load persisted script state, or the given defaults on first run
+export function loadState(hre, name, defaults) {
+  const stateFile = getStateFile(hre, name);
+  if (!fs.existsSync(stateFile)) {
+    return defaults;
+  }
+  return { ...defaults, ...JSON.parse(fs.readFileSync(stateFile, "utf8")) };
+}
+
+// Persist script state so long-running scripts can resume after a restart
+export function saveState(hre, name, state) {
+  const stateFile = getStateFile(hre, name);
+  fs.mkdirSync(path.dirname(stateFile), { recursive: true });
+  fs.writeFileSync(stateFile, JSON.stringify(state, null, 2));
+  return stateFile;
+}
+
+// Get a SportsContractClient bound to the given signer (defaults to the first account)
+// Inputs are encrypted through @fhevm/hardhat-plugin (mock locally, relayer on Sepolia)
+export async function getClient(hre, signer) {
+  const deployment = loadDeployment(hre);
+  const runner = signer || (await hre.ethers.getSigners())[0];
+
+  await hre.fhevm.initializeCLIApi();
+
+  return new SportsContractClient(deployment.contractAddress, runner, { fhe: hre.fhevm });
+}
+
+// Deploy ConfidentialSportsExtension, then ConfidentialSportsContract on top of it
+// The extension deploys ConfidentialSportsPayrollExtension in its own constructor
+export async function deploySportsContract(hre, signer) {
+  const extensionFactory = await hre.ethers.getContractFactory("ConfidentialSportsExtension", signer);
+  const extension = await extensionFactory.deploy();
+  await extension.waitForDeployment();
+
+  const factory = await hre.ethers.getContractFactory("ConfidentialSportsContract", signer);
+  const contract = await factory.deploy(await extension.getAddress());
+  await contract.waitForDeployment();
+  return contract;
+}
+
+// ABI callers see at the contract address: the contract's own entries plus the
+// ones its fallback forwards to ConfidentialSportsExtension and, from there, to
+// ConfidentialSportsPayrollExtension
+export async function readContractAbi(hre) {
+  const { abi } = await hre.artifacts.readArtifact("ConfidentialSportsContract");
+  const signature = (entry) => `${entry.type} ${entry.name}(${(entry.inputs ?? []).map((input) => input.type)})`;
+  const known = new Set(abi.map(signature));
+  const merged = [...abi];
+  for (const name of ["ConfidentialSportsExtension", "ConfidentialSportsPayrollExtension"]) {
+    const { abi: extensionAbi } = await hre.artifacts.readArtifact(name);
+    for (const entry of extensionAbi) {
+      if (entry.type === "constructor" || known.has(signature(entry))) continue;
+      known.add(signature(entry));
+      merged.push(entry);
+    }
+  }
+  return merged;
+}
@@ -0,0 +1,119 @@
+import { ethers } from "ethers";
+
+/**
+ * Readable messages for ConfidentialSportsContract reverts
+ * Shared by the CLI scripts and Hardhat tasks
+ */
+
+// Revert reason prefix -> hint shown to the user
+const REVERT_HINTS = [
+  ["Not authorized: owner only", "Only the contract owner can do this. Pick the owner account with --account."],
+  ["Not authorized: team manager only", "Only the team's manager can do this. Pick the manager account with --account."],
+  ["Not authorized: athlete only", "Only the athlete can do this. Pick the athlete account with --account."],
+  ["Not authorized: commissioner only", "Only the league's commissioner can do this. See who it is with: league show <leagueId>"],
+  ["Not authorized: admin only", "Only the owner or a league admin can do this. See who they are with: role list"],
+  ["Not authorized: pending owner only", "Only the account the owner proposed can accept ownership. See it with: role list"],
+  ["Not authorized: auditor only", "Only the audit's auditor, while they still hold the auditor role, can do this. See it with: audit show <auditId>"],
+  ["Not authorized: stats oracle only", "Only accounts with the stats oracle role can post game stats. An admin grants it with: role grant stats-oracle --address <address>"],
+  ["Not authorized: operator only", "The contract cannot move your payroll tokens. payroll deposit makes it your operator on the token first."],
+  ["Not authorized", "The selected account is not allowed to do this. Pick another account with --account."],
+  ["Proposal expired", "The negotiation's 30-day window has passed. Withdraw it with: proposal withdraw <proposalId>"],
+  ["Not expired yet", "Only expired proposals can be withdrawn. Reject it instead: proposal reject <proposalId>"],
+  ["Proposal not pending", "The proposal was already approved, rejected, countered or withdrawn. See the latest round with: negotiation show <negotiationId>"],
+  ["Round limit reached", "The negotiation has used all its rounds. Approve or reject the latest one."],
+  ["Payroll changed since decryption", "A team's payroll changed after the cap check was decrypted. Approve again: proposal approve <proposalId>, trade accept <tradeId> or trade consent <tradeId> decrypt it against the current payroll first."],
+  ["Over salary cap", "Signing this offer, or acquiring this athlete by trade, would put the team over its salary cap. Counter with lower terms (proposal counter <proposalId>) or reject the offer or trade."],
+  ["Outside league rules", "The offer, or the traded athlete's contract, breaks the league's salary or cap-share limits. See them with league show <leagueId>, then counter within them."],
+  ["Contract length outside league rules", "The contract length is outside the league's limits. See them with: league show <leagueId>"],
+  ["Roster full", "The team has reached its league's maximum roster size."],
+  ["Invalid league rules", "Rules need min <= max salary, a 1-100% cap share, a roster of at least 1 and 1 <= min <= max <= 120 contract months."],
+  ["Invalid league ID", "No league with this ID. Check the ID with: league show <leagueId>"],
+  ["Invalid league name", "League names cannot be empty."],
+  ["Invalid commissioner address", "The commissioner cannot be the zero address."],
+  ["Decryption not completed", "The gateway has not answered the decryption request yet. Try again in a few minutes."],
+  ["Invalid athlete ID", "No athlete with this ID. Check the ID with: athlete show <athleteId>"],
+  ["Invalid team ID", "No team with this ID. Check the ID with: team show <teamId>"],
+  ["Invalid proposal ID", "No proposal with this ID."],
+  ["Invalid negotiation ID", "No negotiation with this ID."],
+  ["Invalid trade ID", "No trade with this ID. List a team's trades with: trade list <teamId>"],
+  ["Trade expired", "The trade's 30-day window has passed. The acquiring manager can propose it again."],
+  ["Trade not pending", "The trade was already completed, rejected or cancelled."],
+  ["Trade check not completed", "The acquiring team's cap room and league rules have not been checked yet. Publish the check with: trade check <tradeId>"],
+  ["Trade already approved", "This approval was already given; the trade completes once the other side approves."],
+  ["Athlete already on team", "The athlete already plays for the acquiring team."],
+  ["Athlete changed teams", "The athlete moved since the trade was proposed. Propose a new trade."],
+  ["Athlete is inactive", "The athlete has been deactivated."],
+  ["Team is inactive", "The team has been deactivated."],
+  ["Attestation pending", "The gateway has not published the previous cap attestation yet. Try again once it lands."],
+  ["No compliance check", "Run a salary cap check first: team check-cap <teamId>"],
+  ["Input out of valid range", "Contract duration must be between 1 and 120 months."],
+  ["Invalid name", "Athlete names must be 1-100 bytes."],
+  ["Invalid team name", "Team names must be 1-100 bytes."],
+  ["Role already granted", "The account already holds this role. See the holders with: role list"],
+  ["Role not granted", "The account does not hold this role. See the holders with: role list"],
+  ["Invalid role scope", "Only team-delegate is granted per team (--team); league-admin, auditor and stats-oracle are league-wide."],
+  ["Invalid role", "Unknown role. Grant one of: league-admin, auditor, stats-oracle, team-delegate"],
+  ["Invalid account address", "Roles cannot be granted to the zero address."],
+  ["Auditor role required", "Audits can only be opened for auditors. An admin grants the role with: role grant auditor --address <address>"],
+  ["Invalid audit window", "Audit windows must be between 1 hour and 90 days."],
+  ["Invalid audit ID", "No audit with this ID. List a team's audits with: audit list --team <teamId>"],
+  ["Audit not open", "The audit was completed, closed or its window has passed. The commissioner can open a new one with: audit open"],
+  ["Payroll token not set", "Salaries cannot be paid until an admin sets the payroll token; scripts/deploy.js does so unless PAYROLL_TOKEN=none."],
+  ["Payroll token already set", "The payroll token can only be set once, since escrow balances are held in it."],
+  ["Invalid token address", "The payroll token cannot be the zero address."],
+  ["Payroll period not due", "A team's next period starts 30 days after its previous one. See when with: payroll show <teamId>"],
+  ["Invalid payroll period", "Pay the period after the last completed one, or finish the current one. See it with: payroll show <teamId>"],
+  ["Team is active", "Only a deactivated team's escrow can be withdrawn; active teams pay it out with: payroll run"],
+  ["No payroll escrow", "Nothing to withdraw: this team never received a payroll deposit."],
+  ["Invalid stat", "Bonus clauses are based on one of: games-played, points, assists, rebounds."],
+  ["Too many bonus clauses", "An athlete can have at most 5 bonus clauses, and clauses cannot be removed."],
+  ["Game stats already posted", "This athlete's stats for the game are already on-chain; each game is posted once."],
+];
+
+// Selector of Error(string), the encoding of require() messages
+const ERROR_STRING_SELECTOR = "0x08c379a0";
+
+// Extract the revert reason string from an ethers error, if any
+export function getRevertReason(error) {
+  if (error?.reason) return error.reason;
+
+  const message = error?.shortMessage || error?.message || "";
+  const match = message.match(/reverted with reason string '([^']*)'/) || message.match(/execution reverted: "?([^"]*)"?/);
+  return match ? match[1] : decodeErrorData(error);
+}
+
+// Hardhat sometimes reports "couldn't infer the reason" while the JSON-RPC
+// error data still carries the Error(string) revert payload
+function decodeErrorData(error) {
+  for (let current = error, depth = 0; current && depth < 5; current = current.error || current.info?.error, depth++) {
+    const data = typeof current.data === "object" ? current.data?.data : current.data;
+    if (typeof data === "string" && data.startsWith(ERROR_STRING_SELECTOR)) {
+      try {
+        return ethers.AbiCoder.defaultAbiCoder().decode(["string"], ethers.dataSlice(data, 4))[0];
+      } catch {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+// Describe an error as { reason, hint, message } for display or JSON output
+export function describeContractError(error) {
+  const reason = getRevertReason(error);
+  if (!reason) {
+    const message = error?.shortMessage || error?.message || String(error);
+    // Raised by the relayer / mock when the ACL does not allow the signer
+    const hint = /not authorized to (user )?decrypt/i.test(message)
+      ? "The selected account has no FHE access to this value. Only the athlete or the team manager can decrypt it."
+      : null;
+    return { reason: null, hint, message };
+  }
+
+  const entry = REVERT_HINTS.find(([prefix]) => reason.startsWith(prefix));
+  return {
+    reason,
+    hint: entry ? entry[1] : null,
+    message: `Contract reverted: ${reason}`,
+  };
+}
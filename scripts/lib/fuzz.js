@@ -0,0 +1,796 @@
+import { SportsContractClient } from "../../public/lib/sportsContractClient.js";
+import { deploySportsContract } from "./deployment.js";
+import { getRevertReason } from "./errors.js";
+import { waitForDecryption } from "./gateway.js";
+
+/**
+ * Randomized league fuzzing behind scripts/fuzz.js
+ *
+ * A run is a list of operations generated from a seed. Operations do not name
+ * IDs: they carry random "picks" that select among the teams, athletes and
+ * proposals existing when they execute, so any subsequence of a run is still
+ * executable. That is what lets a failing run shrink by deleting operations.
+ *
+ * Every run deploys a fresh contract. After each operation the whole league is
+ * read back, decrypted through the mock FHE backend and checked against the
+ * invariants below. Contract reverts (an expired proposal, an inactive team...)
+ * are expected from random input and only counted.
+ */
+
+// FhevmType values in @fhevm/hardhat-plugin
+const EUINT32_TYPE = 4;
+const EUINT64_TYPE = 5;
+
+// Signer indices: the owner, a pool of team managers and a pool of athletes
+const OWNER_SIGNER = 0;
+const MANAGER_SIGNERS = [1, 2, 3, 4];
+const ATHLETE_SIGNERS = [5, 6, 7, 8, 9];
+export const REQUIRED_SIGNERS = Math.max(...ATHLETE_SIGNERS) + 1;
+
+// Amounts stay small enough that no payroll of a run can overflow euint32
+const MAX_SALARY = 20_000_000;
+const MAX_BONUS = 5_000_000;
+const MAX_PICK = 2 ** 16;
+
+// Rules of the run's league, tight enough for random amounts, contract lengths
+// and rosters to run into them
+const FUZZ_LEAGUE_RULES = {
+  minSalary: 1_000_000,
+  maxSalary: 15_000_000,
+  maxCapSharePercent: 40,
+  maxRosterSize: 6,
+  minContractMonths: 1,
+  maxContractMonths: 48,
+};
+
+// Relative frequency of each operation
+const OPERATION_WEIGHTS = {
+  registerTeam: 2,
+  registerAthlete: 4,
+  proposeContract: 3,
+  counterProposal: 2,
+  signProposal: 2,
+  rejectProposal: 1,
+  updateSalary: 3,
+  setReservation: 1,
+  proposeTrade: 2,
+  approveTrade: 2,
+  rejectTrade: 1,
+  deactivateAthlete: 1,
+  deactivateTeam: 1,
+  startSeason: 1,
+  timeTravel: 1,
+  updateLeagueRules: 1,
+};
+
+// Fields holding a pick, simplified to 0 (the first candidate) while shrinking
+const PICK_FIELDS = ["team", "athlete", "proposal", "trade", "manager", "account"];
+
+// Deterministic PRNG (mulberry32) so a seed always replays the same run
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  return {
+    next,
+    int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+  };
+}
+
+// Generate `count` random operations
+export function generateOperations(random, count) {
+  const entries = Object.entries(OPERATION_WEIGHTS);
+  const totalWeight = entries.reduce((total, [, weight]) => total + weight, 0);
+  const pick = () => random.int(0, MAX_PICK - 1);
+
+  const chooseType = () => {
+    let roll = random.next() * totalWeight;
+    for (const [type, weight] of entries) {
+      roll -= weight;
+      if (roll < 0) return type;
+    }
+    return entries[entries.length - 1][0];
+  };
+
+  return Array.from({ length: count }, () => {
+    const type = chooseType();
+    switch (type) {
+      case "registerTeam":
+        return { type, manager: pick(), salaryCap: random.int(10_000_000, 200_000_000) };
+      case "registerAthlete":
+        return {
+          type,
+          team: pick(),
+          account: pick(),
+          salary: random.int(0, MAX_SALARY),
+          bonus: random.int(0, MAX_BONUS),
+          months: random.int(1, 60),
+        };
+      case "proposeContract":
+        return {
+          type,
+          team: pick(),
+          athlete: pick(),
+          salary: random.int(0, MAX_SALARY),
+          bonus: random.int(0, MAX_BONUS),
+          months: random.int(1, 60),
+        };
+      case "counterProposal":
+        return {
+          type,
+          proposal: pick(),
+          salary: random.int(0, MAX_SALARY),
+          bonus: random.int(0, MAX_BONUS),
+          months: random.int(1, 60),
+        };
+      case "updateSalary":
+        return { type, athlete: pick(), salary: random.int(0, MAX_SALARY), bonus: random.int(0, MAX_BONUS) };
+      case "setReservation":
+        return { type, athlete: pick(), salary: random.int(0, MAX_SALARY) };
+      case "signProposal":
+      case "rejectProposal":
+        return { type, proposal: pick() };
+      case "proposeTrade":
+        return { type, athlete: pick(), team: pick() };
+      case "approveTrade":
+      case "rejectTrade":
+        return { type, trade: pick() };
+      case "deactivateAthlete":
+        return { type, athlete: pick() };
+      case "deactivateTeam":
+        return { type, team: pick() };
+      case "timeTravel":
+        return { type, days: random.int(1, 45) };
+      case "updateLeagueRules": {
+        const minSalary = random.int(0, 5_000_000);
+        const minContractMonths = random.int(1, 12);
+        return {
+          type,
+          rules: {
+            minSalary,
+            maxSalary: random.int(minSalary, MAX_SALARY),
+            maxCapSharePercent: random.int(10, 100),
+            maxRosterSize: random.int(2, 10),
+            minContractMonths,
+            maxContractMonths: random.int(minContractMonths, 60),
+          },
+        };
+      }
+      default:
+        return { type };
+    }
+  });
+}
+
+// Select a candidate by pick, or null when there is none yet
+function choose(candidates, pick) {
+  return candidates.length ? candidates[pick % candidates.length] : null;
+}
+
+// The account answering a proposal round: the athlete for the team's offers,
+// the team manager for the athlete's counter-offers
+async function counterparty(client, proposal) {
+  const { athleteAddress } = await client.getAthleteRecord(proposal.athleteId);
+  if (proposal.proposer !== athleteAddress) return { address: athleteAddress, role: "athlete" };
+  const { teamManager } = await client.getTeamRecord(proposal.teamId);
+  return { address: teamManager, role: "manager" };
+}
+
+// The reservation match a new round must carry: salary >= the athlete's sealed
+// minimum for team rounds, none for the athlete's own rounds or without a minimum
+function expectedMatch(league, athleteId, salary, proposedByAthlete) {
+  const minimum = league.reservations.get(athleteId);
+  return proposedByAthlete || minimum === undefined ? null : salary >= minimum;
+}
+
+// Whether signing a proposal now keeps its team within the salary cap, projected
+// from the decrypted league the way approveContract would change the payroll
+async function expectedWithinCap(hre, league, proposal) {
+  const { client } = league;
+  const decrypt = (handle) => hre.fhevm.debugger.decryptEuint(EUINT32_TYPE, handle);
+  const athlete = await client.getAthleteRecord(proposal.athleteId);
+  const team = await client.getTeamRecord(proposal.teamId);
+
+  let payroll = await hre.fhevm.debugger.decryptEuint(EUINT64_TYPE, team.payrollHandle);
+  if (athlete.isActive) {
+    payroll += (await decrypt(proposal.salaryHandle)) + (await decrypt(proposal.bonusHandle));
+    if (athlete.teamId === proposal.teamId) {
+      payroll -= (await decrypt(athlete.salaryHandle)) + (await decrypt(athlete.bonusHandle));
+    }
+  }
+  return payroll <= (await decrypt(team.salaryCapHandle));
+}
+
+// The most one athlete may earn on a team under the league's current rules
+async function capShareLimit(hre, league, teamId) {
+  const { salaryCapHandle } = await league.client.getTeamRecord(teamId);
+  const salaryCap = await hre.fhevm.debugger.decryptEuint(EUINT32_TYPE, salaryCapHandle);
+  return (salaryCap / 100n) * BigInt(league.rules.maxCapSharePercent);
+}
+
+// Salary and bonus registerAthlete must store: clamped into [minSalary,
+// maxSalary], then under the cap share with the bonus giving way first
+async function expectedClamp(hre, league, teamId, salary, bonus) {
+  const { minSalary, maxSalary } = league.rules;
+  const shareLimit = await capShareLimit(hre, league, teamId);
+
+  let clampedSalary = BigInt(Math.min(Math.max(salary, minSalary), maxSalary));
+  if (clampedSalary > shareLimit) clampedSalary = shareLimit;
+  const room = shareLimit - clampedSalary;
+  return { salary: clampedSalary, bonus: BigInt(bonus) < room ? BigInt(bonus) : room };
+}
+
+// Whether a proposal's terms meet the league's current rules
+async function expectedMeetsRules(hre, league, proposal) {
+  const decrypt = (handle) => hre.fhevm.debugger.decryptEuint(EUINT32_TYPE, handle);
+  const salary = await decrypt(proposal.salaryHandle);
+  const bonus = await decrypt(proposal.bonusHandle);
+  const { minSalary, maxSalary } = league.rules;
+  return (
+    salary >= BigInt(minSalary) &&
+    salary <= BigInt(maxSalary) &&
+    salary + bonus <= (await capShareLimit(hre, league, proposal.teamId))
+  );
+}
+
+// Whether a trade's athlete fits the acquiring team now: its cap room with the
+// athlete's compensation added, and its league's rules
+async function expectedTradeCheck(hre, league, trade) {
+  const { client } = league;
+  const decrypt = (handle) => hre.fhevm.debugger.decryptEuint(EUINT32_TYPE, handle);
+  const athlete = await client.getAthleteRecord(trade.athleteId);
+  const team = await client.getTeamRecord(trade.toTeamId);
+  const salary = await decrypt(athlete.salaryHandle);
+  const bonus = await decrypt(athlete.bonusHandle);
+  const { minSalary, maxSalary } = league.rules;
+
+  const payroll = await hre.fhevm.debugger.decryptEuint(EUINT64_TYPE, team.payrollHandle);
+  return {
+    withinCap: payroll + salary + bonus <= (await decrypt(team.salaryCapHandle)),
+    meetsRules:
+      salary >= BigInt(minSalary) &&
+      salary <= BigInt(maxSalary) &&
+      salary + bonus <= (await capShareLimit(hre, league, trade.toTeamId)),
+  };
+}
+
+/**
+ * League under test: a fresh contract plus what the run has created so far
+ */
+async function createLeague(hre) {
+  const signers = await hre.ethers.getSigners();
+  const owner = signers[OWNER_SIGNER];
+
+  const contract = await deploySportsContract(hre, owner);
+
+  const client = new SportsContractClient(await contract.getAddress(), owner, { fhe: hre.fhevm });
+  const signerByAddress = new Map(signers.map((signer) => [signer.address, signer]));
+
+  // The owner is also the commissioner
+  const rules = { ...FUZZ_LEAGUE_RULES };
+  const { leagueId } = await client.createLeague({ name: "FUZZ", commissioner: owner.address, rules });
+
+  return {
+    client,
+    leagueId,
+    rules, // The league's current rules
+    teams: [],
+    athletes: [],
+    proposals: [],
+    trades: [],
+    reservations: new Map(), // athleteId => sealed minimum salary
+    expectedMatches: new Map(), // proposalId => expectedMatch() when proposed
+    expectedCapChecks: new Map(), // proposalId => expectedWithinCap() when decryption was requested
+    expectedRuleChecks: new Map(), // proposalId => expectedMeetsRules() when decryption was requested
+    expectedTradeChecks: new Map(), // tradeId => expectedTradeCheck() when the check was requested
+    expectedClamps: new Map(), // athleteId => registered handles and expectedClamp() at registration
+    rosterSizes: new Map(), // teamId => roster length at the previous check
+    as: (address) => client.connect(signerByAddress.get(address)),
+    signer: (index) => signers[index],
+  };
+}
+
+/**
+ * Resolve an operation against the current league. Returns null when there is
+ * nothing to apply it to, otherwise { description, send } where send performs
+ * the transactions and may return a note about the result.
+ */
+async function resolveOperation(hre, league, op) {
+  const { client } = league;
+
+  switch (op.type) {
+    case "registerTeam": {
+      const manager = league.signer(choose(MANAGER_SIGNERS, op.manager));
+      return {
+        description: `registerTeam manager ${manager.address} cap ${op.salaryCap}`,
+        async send() {
+          const { teamId } = await client.registerTeam({
+            teamName: `Team ${league.teams.length + 1}`,
+            leagueId: league.leagueId,
+            teamManager: manager.address,
+            salaryCap: op.salaryCap,
+          });
+          league.teams.push(teamId);
+          return `team ${teamId}`;
+        },
+      };
+    }
+
+    case "registerAthlete": {
+      const teamId = choose(league.teams, op.team);
+      if (teamId === null) return null;
+      const { teamManager } = await client.getTeamRecord(teamId);
+      const athlete = league.signer(choose(ATHLETE_SIGNERS, op.account));
+      return {
+        description: `registerAthlete team ${teamId} salary ${op.salary} bonus ${op.bonus} months ${op.months}`,
+        async send() {
+          const expected = await expectedClamp(hre, league, teamId, op.salary, op.bonus);
+          const { athleteId } = await league.as(teamManager).registerAthlete({
+            name: `Athlete ${league.athletes.length + 1}`,
+            position: "Guard",
+            teamId,
+            athleteAddress: athlete.address,
+            salary: op.salary,
+            bonus: op.bonus,
+            durationMonths: op.months,
+          });
+          league.athletes.push(athleteId);
+          const { salaryHandle, bonusHandle } = await client.getAthleteRecord(athleteId);
+          league.expectedClamps.set(athleteId, { salaryHandle, bonusHandle, ...expected });
+          return `athlete ${athleteId}`;
+        },
+      };
+    }
+
+    case "proposeContract": {
+      const teamId = choose(league.teams, op.team);
+      const athleteId = choose(league.athletes, op.athlete);
+      if (teamId === null || athleteId === null) return null;
+      const { teamManager } = await client.getTeamRecord(teamId);
+      return {
+        description: `proposeContract team ${teamId} to athlete ${athleteId} salary ${op.salary} bonus ${op.bonus}`,
+        async send() {
+          const { proposalId } = await league.as(teamManager).proposeContract({
+            athleteId,
+            teamId,
+            salary: op.salary,
+            bonus: op.bonus,
+            durationMonths: op.months,
+          });
+          league.proposals.push(proposalId);
+          league.expectedMatches.set(proposalId, expectedMatch(league, athleteId, op.salary, false));
+          return `proposal ${proposalId}`;
+        },
+      };
+    }
+
+    case "counterProposal":
+    case "signProposal":
+    case "rejectProposal": {
+      const proposalId = choose(league.proposals, op.proposal);
+      if (proposalId === null) return null;
+      const proposal = await client.getProposalRecord(proposalId);
+      const answerer = await counterparty(client, proposal);
+      const answererClient = league.as(answerer.address);
+
+      if (op.type === "counterProposal") {
+        return {
+          description: `counterProposal ${proposalId} (${answerer.role}) salary ${op.salary} bonus ${op.bonus}`,
+          async send() {
+            const counter = await answererClient.counterProposal({
+              proposalId,
+              salary: op.salary,
+              bonus: op.bonus,
+              durationMonths: op.months,
+            });
+            league.proposals.push(counter.proposalId);
+            league.expectedMatches.set(
+              counter.proposalId,
+              expectedMatch(league, proposal.athleteId, op.salary, answerer.role === "athlete")
+            );
+            return `proposal ${counter.proposalId}`;
+          },
+        };
+      }
+      if (op.type === "rejectProposal") {
+        return {
+          description: `rejectProposal ${proposalId} (${answerer.role})`,
+          send: () => answererClient.rejectContract(proposalId),
+        };
+      }
+      return {
+        description: `signProposal ${proposalId} (${answerer.role} decrypts and approves)`,
+        async send() {
+          const decrypt = async () => {
+            const withinCap = await expectedWithinCap(hre, league, proposal);
+            const meetsRules = await expectedMeetsRules(hre, league, proposal);
+            const { requestId } = await answererClient.requestProposalDecryption(proposalId);
+            league.expectedCapChecks.set(proposalId, withinCap);
+            league.expectedRuleChecks.set(proposalId, meetsRules);
+            await waitForDecryption(hre, answererClient, requestId);
+          };
+          // A previous signProposal may have decrypted the offer before reverting on approve
+          if (!proposal.callbackReceived) await decrypt();
+          try {
+            await answererClient.approveContract(proposalId);
+          } catch (error) {
+            // Checks decrypted before the team's payroll last changed are decrypted again
+            if (getRevertReason(error) !== "Payroll changed since decryption") throw error;
+            await decrypt();
+            await answererClient.approveContract(proposalId);
+          }
+        },
+      };
+    }
+
+    case "proposeTrade": {
+      const athleteId = choose(league.athletes, op.athlete);
+      const toTeamId = choose(league.teams, op.team);
+      if (athleteId === null || toTeamId === null) return null;
+      const { teamManager } = await client.getTeamRecord(toTeamId);
+      return {
+        description: `proposeTrade athlete ${athleteId} to team ${toTeamId}`,
+        async send() {
+          const { tradeId } = await league.as(teamManager).proposeTrade({ athleteId, toTeamId });
+          league.trades.push(tradeId);
+          return `trade ${tradeId}`;
+        },
+      };
+    }
+
+    case "approveTrade":
+    case "rejectTrade": {
+      const tradeId = choose(league.trades, op.trade);
+      if (tradeId === null) return null;
+      const trade = await client.getTrade(tradeId);
+      const { athleteId, fromTeamId, releasingTeamApproved } = trade;
+      const { teamManager } = await client.getTeamRecord(fromTeamId);
+      const athleteClient = league.as((await client.getAthleteRecord(athleteId)).athleteAddress);
+
+      if (op.type === "rejectTrade") {
+        return {
+          description: `rejectTrade ${tradeId} (athlete ${athleteId})`,
+          send: () => athleteClient.rejectTrade(tradeId),
+        };
+      }
+      return {
+        description: `approveTrade ${tradeId} (team ${fromTeamId} accepts, athlete ${athleteId} consents)`,
+        async send() {
+          // Published before the payroll of either team last changed, the check is requested again
+          if (!(await client.getTradeCheck(tradeId)).current) {
+            const expected = await expectedTradeCheck(hre, league, trade);
+            const { requestId } = await athleteClient.requestTradeCheck(tradeId);
+            league.expectedTradeChecks.set(tradeId, expected);
+            await waitForDecryption(hre, athleteClient, requestId);
+          }
+          // A previous approveTrade may have accepted before the consent reverted
+          if (!releasingTeamApproved) await league.as(teamManager).acceptTrade(tradeId);
+          await athleteClient.consentToTrade(tradeId);
+        },
+      };
+    }
+
+    case "updateSalary": {
+      const athleteId = choose(league.athletes, op.athlete);
+      if (athleteId === null) return null;
+      const { teamId } = await client.getAthleteRecord(athleteId);
+      const { teamManager } = await client.getTeamRecord(teamId);
+      return {
+        description: `updateSalary athlete ${athleteId} (team ${teamId}) salary ${op.salary} bonus ${op.bonus}`,
+        send: () => league.as(teamManager).updateAthleteSalary({ athleteId, salary: op.salary, bonus: op.bonus }),
+      };
+    }
+
+    case "setReservation": {
+      const athleteId = choose(league.athletes, op.athlete);
+      if (athleteId === null) return null;
+      const { athleteAddress } = await client.getAthleteRecord(athleteId);
+      return {
+        description: `setReservation athlete ${athleteId} minimum ${op.salary}`,
+        async send() {
+          await league.as(athleteAddress).setReservationSalary({ athleteId, minimumSalary: op.salary });
+          league.reservations.set(athleteId, op.salary);
+        },
+      };
+    }
+
+    case "deactivateAthlete": {
+      const athleteId = choose(league.athletes, op.athlete);
+      if (athleteId === null) return null;
+      return { description: `deactivateAthlete ${athleteId}`, send: () => client.deactivateAthlete(athleteId) };
+    }
+
+    case "deactivateTeam": {
+      const teamId = choose(league.teams, op.team);
+      if (teamId === null) return null;
+      return { description: `deactivateTeam ${teamId}`, send: () => client.deactivateTeam(teamId) };
+    }
+
+    case "startSeason":
+      return {
+        description: "startSeason",
+        send: async () => `season ${(await client.startNewSeason()).season}`,
+      };
+
+    case "timeTravel":
+      return {
+        description: `timeTravel ${op.days} days`,
+        async send() {
+          await hre.ethers.provider.send("evm_increaseTime", [op.days * 86400]);
+          await hre.ethers.provider.send("evm_mine", []);
+        },
+      };
+
+    case "updateLeagueRules":
+      return {
+        description: `updateLeagueRules ${JSON.stringify(op.rules)}`,
+        async send() {
+          await client.updateLeagueRules({ leagueId: league.leagueId, rules: op.rules });
+          league.rules = { ...op.rules };
+        },
+      };
+
+    default:
+      throw new Error(`Unknown fuzz operation "${op.type}"`);
+  }
+}
+
+/**
+ * Read the league back and return the violated invariants as
+ * [{ invariant, message }]:
+ *   - payroll: an active team's decrypted payroll equals the sum of salary +
+ *     bonus of the active athletes whose teamId is that team
+ *   - totalTeams: the contract's active team count equals the number of teams
+ *     with isActive set
+ *   - roster: every athleteIds entry of an active team points to an athlete
+ *     whose teamId is that team, and every athlete whose teamId is an active
+ *     team appears on that team's athleteIds exactly once
+ *   - reservation: every round carries the reservation match expected when it
+ *     was proposed (salary >= the athlete's minimum at that time, or no match)
+ *   - capRoom: every decrypted proposal publishes whether signing it kept the
+ *     team within its cap when decryption was requested, and no proposal over
+ *     the cap was approved; likewise for trade checks and completed trades
+ *   - leagueRules: registered compensation is clamped to the rules at
+ *     registration, every decrypted proposal publishes whether it met the rules
+ *     when decryption was requested, no proposal outside them was approved, and
+ *     no roster grew past the current maximum size; likewise for trade checks
+ *     and completed trades
+ */
+async function checkInvariants(hre, league, decrypted) {
+  const { client } = league;
+  const violations = [];
+
+  // Handles never change value, so decryptions are cached for the whole run
+  const decrypt = async (handle, fhevmType = EUINT32_TYPE) => {
+    if (!decrypted.has(handle)) {
+      decrypted.set(handle, await hre.fhevm.debugger.decryptEuint(fhevmType, handle));
+    }
+    return decrypted.get(handle);
+  };
+  const decryptBool = async (handle) => {
+    if (!decrypted.has(handle)) {
+      decrypted.set(handle, await hre.fhevm.debugger.decryptEbool(handle));
+    }
+    return decrypted.get(handle);
+  };
+
+  const counts = await client.getRecordCounts();
+  const teams = [];
+  for (let id = 1; id <= counts.teams; id++) teams.push(await client.getTeamRecord(id));
+  const athletes = [];
+  for (let id = 1; id <= counts.athletes; id++) athletes.push(await client.getAthleteRecord(id));
+
+  const { activeTeams } = await client.getStats();
+  const flaggedActive = teams.filter((team) => team.isActive).length;
+  if (activeTeams !== flaggedActive) {
+    violations.push({
+      invariant: "totalTeams",
+      message: `totalTeams is ${activeTeams}, but ${flaggedActive} teams are active`,
+    });
+  }
+
+  for (const team of teams.filter((t) => t.isActive)) {
+    const { athleteIds } = await client.getTeam(team.id);
+    for (const athleteId of athleteIds) {
+      const athlete = athletes[athleteId - 1];
+      if (athlete.teamId !== team.id) {
+        violations.push({
+          invariant: "roster",
+          message: `team ${team.id} lists athlete ${athleteId}, whose teamId is ${athlete.teamId}`,
+        });
+      }
+    }
+    for (const athlete of athletes.filter((a) => a.teamId === team.id)) {
+      const listed = athleteIds.filter((id) => id === athlete.id).length;
+      if (listed !== 1) {
+        violations.push({
+          invariant: "roster",
+          message: `athlete ${athlete.id} of team ${team.id} is listed ${listed} times on its roster`,
+        });
+      }
+    }
+
+    const previousSize = league.rosterSizes.get(team.id) ?? 0;
+    league.rosterSizes.set(team.id, athleteIds.length);
+    if (athleteIds.length > previousSize && athleteIds.length > league.rules.maxRosterSize) {
+      violations.push({
+        invariant: "leagueRules",
+        message: `team ${team.id} roster grew to ${athleteIds.length}, over the max of ${league.rules.maxRosterSize}`,
+      });
+    }
+
+    let expected = 0n;
+    for (const athlete of athletes.filter((a) => a.isActive && a.teamId === team.id)) {
+      expected += (await decrypt(athlete.salaryHandle)) + (await decrypt(athlete.bonusHandle));
+    }
+    const payroll = await decrypt(team.payrollHandle, EUINT64_TYPE);
+    if (payroll !== expected) {
+      violations.push({
+        invariant: "payroll",
+        message: `team ${team.id} payroll is ${payroll}, but its active athletes earn ${expected}`,
+      });
+    }
+  }
+
+  for (const [proposalId, expected] of league.expectedMatches) {
+    const { hasMatch, matchHandle } = await client.getReservationMatch(proposalId);
+    const actual = hasMatch ? await decryptBool(matchHandle) : null;
+    if (actual !== expected) {
+      violations.push({
+        invariant: "reservation",
+        message: `proposal ${proposalId} reservation match is ${actual}, expected ${expected}`,
+      });
+    }
+  }
+
+  for (const [proposalId, expected] of league.expectedCapChecks) {
+    const { decrypted, publicWithinCap } = await client.getCapRoomCheck(proposalId);
+    if (decrypted && publicWithinCap !== expected) {
+      violations.push({
+        invariant: "capRoom",
+        message: `proposal ${proposalId} published withinCap ${publicWithinCap}, expected ${expected}`,
+      });
+    }
+    const { status } = await client.getProposalRecord(proposalId);
+    if (status === "approved" && !publicWithinCap) {
+      violations.push({
+        invariant: "capRoom",
+        message: `proposal ${proposalId} was approved over the salary cap`,
+      });
+    }
+  }
+
+  for (const [athleteId, expected] of league.expectedClamps) {
+    const salary = await decrypt(expected.salaryHandle);
+    const bonus = await decrypt(expected.bonusHandle);
+    if (salary !== expected.salary || bonus !== expected.bonus) {
+      violations.push({
+        invariant: "leagueRules",
+        message: `athlete ${athleteId} registered at ${salary} + ${bonus}, expected ${expected.salary} + ${expected.bonus}`,
+      });
+    }
+  }
+
+  for (const [proposalId, expected] of league.expectedRuleChecks) {
+    const { decrypted, publicMeetsRules } = await client.getLeagueRuleCheck(proposalId);
+    if (decrypted && publicMeetsRules !== expected) {
+      violations.push({
+        invariant: "leagueRules",
+        message: `proposal ${proposalId} published meetsRules ${publicMeetsRules}, expected ${expected}`,
+      });
+    }
+    const { status } = await client.getProposalRecord(proposalId);
+    if (status === "approved" && !publicMeetsRules) {
+      violations.push({
+        invariant: "leagueRules",
+        message: `proposal ${proposalId} was approved outside the league rules`,
+      });
+    }
+  }
+
+  for (const [tradeId, expected] of league.expectedTradeChecks) {
+    const { decrypted, publicWithinCap, publicMeetsRules } = await client.getTradeCheck(tradeId);
+    if (decrypted && (publicWithinCap !== expected.withinCap || publicMeetsRules !== expected.meetsRules)) {
+      violations.push({
+        invariant: publicWithinCap !== expected.withinCap ? "capRoom" : "leagueRules",
+        message:
+          `trade ${tradeId} published withinCap ${publicWithinCap} and meetsRules ${publicMeetsRules}, ` +
+          `expected ${expected.withinCap} and ${expected.meetsRules}`,
+      });
+    }
+    const { status } = await client.getTrade(tradeId);
+    if (status === "completed" && !(publicWithinCap && publicMeetsRules)) {
+      violations.push({
+        invariant: publicWithinCap ? "leagueRules" : "capRoom",
+        message: `trade ${tradeId} completed without a passing trade check`,
+      });
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Execute operations on a fresh contract, checking the invariants after each one
+ * @returns {Promise<{ trace: string[], reverted: number, failure: null | { step, violations } }>}
+ *          failure.step is the index of the operation after which invariants broke
+ */
+export async function executeRun(hre, operations) {
+  const league = await createLeague(hre);
+  const decrypted = new Map();
+  const trace = [];
+  let reverted = 0;
+
+  for (const [step, op] of operations.entries()) {
+    const action = await resolveOperation(hre, league, op);
+    if (!action) {
+      trace.push(`${op.type} skipped (nothing to apply it to)`);
+    } else {
+      try {
+        const note = await action.send();
+        trace.push(typeof note === "string" ? `${action.description} → ${note}` : action.description);
+      } catch (error) {
+        const reason = getRevertReason(error);
+        if (!reason) throw error;
+        reverted++;
+        trace.push(`${action.description} → reverted "${reason}"`);
+      }
+    }
+
+    const violations = await checkInvariants(hre, league, decrypted);
+    if (violations.length) {
+      return { trace, reverted, failure: { step, violations } };
+    }
+  }
+
+  return { trace, reverted, failure: null };
+}
+
+/**
+ * Shrink a failing run to a short sequence that still breaks the same invariant:
+ * drop chunks of operations (halving the chunk size down to single operations),
+ * then simplify the remaining picks to 0.
+ * @returns {Promise<{ operations, result }>} the smallest failing run found
+ */
+export async function shrinkRun(hre, operations, failure, { onProgress = () => {} } = {}) {
+  const invariant = failure.violations[0].invariant;
+  let best = operations.slice(0, failure.step + 1);
+  let bestResult = null;
+
+  const stillFails = async (candidate) => {
+    const result = await executeRun(hre, candidate);
+    const reproduced = result.failure?.violations.some((violation) => violation.invariant === invariant);
+    if (reproduced) {
+      const shorter = result.failure.step + 1 < best.length;
+      best = candidate.slice(0, result.failure.step + 1);
+      bestResult = result;
+      if (shorter) onProgress(best.length);
+    }
+    return reproduced;
+  };
+
+  for (let chunk = Math.floor(best.length / 2); chunk >= 1; chunk = Math.floor(chunk / 2)) {
+    for (let start = 0; start < best.length; ) {
+      const candidate = [...best.slice(0, start), ...best.slice(start + chunk)];
+      if (candidate.length === 0 || !(await stillFails(candidate))) {
+        start += chunk;
+      }
+    }
+  }
+
+  for (let i = 0; i < best.length; i++) {
+    for (const field of PICK_FIELDS) {
+      if (best[i][field]) {
+        const candidate = best.map((op, j) => (j === i ? { ...op, [field]: 0 } : op));
+        await stillFails(candidate);
+      }
+    }
+  }
+
+  return { operations: best, result: bestResult ?? (await executeRun(hre, best)) };
+}
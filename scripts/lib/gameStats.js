@@ -0,0 +1,115 @@
+import fs from "fs";
+import { parseCsv } from "./csv.js";
+
+/**
+ * Game stats files for scripts/stats-oracle.js and the replayGameStats scenario action
+ *
+ * CSV: game,athlete,points,assists,rebounds
+ *      one row per athlete per game; game is any positive ID the feed uses,
+ *      athlete an athlete ID. Every row also counts one game played.
+ *
+ * Rows are replayed in file order, so list games in the order they were played.
+ */
+
+const MAX_UINT32 = 2 ** 32 - 1;
+
+// Header of game stats CSV files
+export const CSV_COLUMNS = ["game", "athlete", "points", "assists", "rebounds"];
+
+// Read a game stats CSV into rows with source locations
+export function loadGameStats(file) {
+  const records = parseCsv(fs.readFileSync(file, "utf8"));
+
+  const missing = records.length ? CSV_COLUMNS.filter((column) => !(column in records[0])) : [];
+  if (missing.length) {
+    throw new Error(`Game stats CSV is missing columns: ${missing.join(", ")}`);
+  }
+  return records.map((record) => ({ location: `line ${record._line}`, ...record }));
+}
+
+// Parse an integer field within [min, max]
+function toInteger(value, min, max) {
+  const text = String(value ?? "").trim();
+  if (!/^\d+$/.test(text)) return null;
+
+  const number = Number(text);
+  return number >= min && number <= max ? number : null;
+}
+
+/**
+ * Validate loaded rows against the contract's postGameStats
+ * Returns { games, errors }; games hold numbers and are only usable when
+ * errors is empty.
+ */
+export function validateGameStats(records) {
+  const errors = [];
+  const seen = new Set();
+
+  const games = records.map((record) => {
+    const parse = (column, min, max) => {
+      const value = toInteger(record[column], min, max);
+      if (value === null) {
+        errors.push(`${record.location}: ${column} "${record[column] ?? ""}" must be an integer between ${min} and ${max}`);
+      }
+      return value;
+    };
+
+    const game = {
+      location: record.location,
+      gameId: parse("game", 1, Number.MAX_SAFE_INTEGER),
+      athleteId: parse("athlete", 1, Number.MAX_SAFE_INTEGER),
+      points: parse("points", 0, MAX_UINT32),
+      assists: parse("assists", 0, MAX_UINT32),
+      rebounds: parse("rebounds", 0, MAX_UINT32),
+    };
+
+    const key = `${game.gameId}/${game.athleteId}`;
+    if (game.gameId !== null && game.athleteId !== null && seen.has(key)) {
+      errors.push(`${record.location}: athlete ${game.athleteId} already has a row for game ${game.gameId}`);
+    }
+    seen.add(key);
+    return game;
+  });
+
+  return { games, errors };
+}
+
+/**
+ * Post validated rows as the stats oracle, in order. Rows already on-chain are
+ * skipped, so an interrupted replay can simply be run again; rows of inactive
+ * athletes are skipped as the contract would reject them. onRow is called with
+ * (row, status) where status is "posted", "already posted" or "inactive";
+ * interval pauses that many milliseconds between games.
+ */
+export async function replayGameStats(client, games, { onRow = () => {}, interval = 0 } = {}) {
+  const active = new Map();
+  const counts = { posted: 0, alreadyPosted: 0, inactive: 0 };
+
+  for (const [i, row] of games.entries()) {
+    if (interval > 0 && i > 0 && games[i - 1].gameId !== row.gameId) {
+      await new Promise((resolve) => setTimeout(resolve, interval));
+    }
+    if (!active.has(row.athleteId)) {
+      const { athletes } = await client.getRecordCounts();
+      active.set(
+        row.athleteId,
+        row.athleteId <= athletes && (await client.getAthleteRecord(row.athleteId)).isActive
+      );
+    }
+
+    let status;
+    if (!active.get(row.athleteId)) {
+      status = "inactive";
+      counts.inactive++;
+    } else if (await client.isGameStatsPosted(row.athleteId, row.gameId)) {
+      status = "already posted";
+      counts.alreadyPosted++;
+    } else {
+      await client.postGameStats(row);
+      status = "posted";
+      counts.posted++;
+    }
+    onRow(row, status);
+  }
+  return counts;
+}
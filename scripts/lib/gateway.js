@@ -0,0 +1,40 @@
+/**
+ * Decryption gateway helpers for the Hardhat scripts
+ * On mock networks (Hardhat node) the @fhevm/hardhat-plugin decryption oracle
+ * stands in for the Zama gateway: it picks up FHE.requestDecryption requests,
+ * decrypts them with the mock FHE backend and calls the registered callback
+ * with valid mock KMS signatures. On Sepolia the real gateway does this.
+ */
+
+// Whether decryption requests must be relayed by this process
+export function isLocalGateway(hre) {
+  return hre.fhevm.isMock;
+}
+
+// Deliver every pending decryption request to its callback (mock networks only)
+export async function relayPendingDecryptions(hre) {
+  if (!isLocalGateway(hre)) return false;
+
+  await hre.fhevm.awaitDecryptionOracle();
+  return true;
+}
+
+// Wait until a decryption request has been answered or has timed out
+export async function waitForDecryption(hre, client, requestId, options = {}) {
+  const { timeoutMs = 5 * 60 * 1000, pollMs = 5000 } = options;
+  const deadline = Date.now() + timeoutMs;
+
+  for (;;) {
+    await relayPendingDecryptions(hre);
+
+    const status = await client.getDecryptionStatus(requestId);
+    if (status.completed || status.timedOut) {
+      return status;
+    }
+
+    if (Date.now() >= deadline) {
+      throw new Error(`Decryption request ${requestId} not fulfilled after ${timeoutMs / 1000}s`);
+    }
+    await new Promise((resolve) => setTimeout(resolve, pollMs));
+  }
+}
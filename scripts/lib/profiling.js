@@ -0,0 +1,248 @@
+import { ethers } from "ethers";
+
+/**
+ * Gas and HCU measurement helpers for the profiling scripts
+ * On the mock FHEVM every FHE operation is executed by the FHEVMExecutor
+ * contract, which emits one event per operation and charges Homomorphic
+ * Compute Units (HCU) through the HCULimit contract in transient storage.
+ * Operation counts come from the receipt logs; HCU comes from the
+ * TSTOREs of a debug_traceTransaction of the transaction.
+ */
+
+// Events of FHEEvents.sol (FheType is encoded as uint8)
+const FHE_EVENTS = new ethers.Interface([
+  "event FheAdd(address indexed caller, bytes32 lhs, bytes32 rhs, bytes1 scalarByte, bytes32 result)",
+  "event FheSub(address indexed caller, bytes32 lhs, bytes32 rhs, bytes1 scalarByte, bytes32 result)",
+  "event FheMul(address indexed caller, bytes32 lhs, bytes32 rhs, bytes1 scalarByte, bytes32 result)",
+  "event FheDiv(address indexed caller, bytes32 lhs, bytes32 rhs, bytes1 scalarByte, bytes32 result)",
+  "event FheRem(address indexed caller, bytes32 lhs, bytes32 rhs, bytes1 scalarByte, bytes32 result)",
+  "event FheBitAnd(address indexed caller, bytes32 lhs, bytes32 rhs, bytes1 scalarByte, bytes32 result)",
+  "event FheBitOr(address indexed caller, bytes32 lhs, bytes32 rhs, bytes1 scalarByte, bytes32 result)",
+  "event FheBitXor(address indexed caller, bytes32 lhs, bytes32 rhs, bytes1 scalarByte, bytes32 result)",
+  "event FheShl(address indexed caller, bytes32 lhs, bytes32 rhs, bytes1 scalarByte, bytes32 result)",
+  "event FheShr(address indexed caller, bytes32 lhs, bytes32 rhs, bytes1 scalarByte, bytes32 result)",
+  "event FheRotl(address indexed caller, bytes32 lhs, bytes32 rhs, bytes1 scalarByte, bytes32 result)",
+  "event FheRotr(address indexed caller, bytes32 lhs, bytes32 rhs, bytes1 scalarByte, bytes32 result)",
+  "event FheEq(address indexed caller, bytes32 lhs, bytes32 rhs, bytes1 scalarByte, bytes32 result)",
+  "event FheNe(address indexed caller, bytes32 lhs, bytes32 rhs, bytes1 scalarByte, bytes32 result)",
+  "event FheGe(address indexed caller, bytes32 lhs, bytes32 rhs, bytes1 scalarByte, bytes32 result)",
+  "event FheGt(address indexed caller, bytes32 lhs, bytes32 rhs, bytes1 scalarByte, bytes32 result)",
+  "event FheLe(address indexed caller, bytes32 lhs, bytes32 rhs, bytes1 scalarByte, bytes32 result)",
+  "event FheLt(address indexed caller, bytes32 lhs, bytes32 rhs, bytes1 scalarByte, bytes32 result)",
+  "event FheMin(address indexed caller, bytes32 lhs, bytes32 rhs, bytes1 scalarByte, bytes32 result)",
+  "event FheMax(address indexed caller, bytes32 lhs, bytes32 rhs, bytes1 scalarByte, bytes32 result)",
+  "event FheNeg(address indexed caller, bytes32 ct, bytes32 result)",
+  "event FheNot(address indexed caller, bytes32 ct, bytes32 result)",
+  "event VerifyCiphertext(address indexed caller, bytes32 inputHandle, address userAddress, bytes inputProof, uint8 inputType, bytes32 result)",
+  "event Cast(address indexed caller, bytes32 ct, uint8 toType, bytes32 result)",
+  "event TrivialEncrypt(address indexed caller, uint256 pt, uint8 toType, bytes32 result)",
+  "event FheIfThenElse(address indexed caller, bytes32 control, bytes32 ifTrue, bytes32 ifFalse, bytes32 result)",
+  "event FheRand(address indexed caller, uint8 randType, bytes16 seed, bytes32 result)",
+  "event FheRandBounded(address indexed caller, uint256 upperBound, uint8 randType, bytes16 seed, bytes32 result)",
+]);
+
+// HCULimit.sol transient storage: the transaction total lives in a fixed slot,
+// the depth of each handle in keccak256(HCULimitStorageLocation, handle)
+const HCU_STORAGE_LOCATION = "0xc13af6c514bff8997f30c90003baa82bd02aad978179d1ce58d85c4319ad6500";
+const HCU_TRANSACTION_SLOT = "9fe02aa19e370f46d43dc2b6620733ba9c3b193659e9699f55eefe911af8a4b4";
+
+// HCULimit custom errors raised when a transaction exceeds its HCU budget.
+// Hardhat reports them by name or, when it cannot decode them, by selector.
+const HCU_LIMIT_ERRORS = [
+  { name: "HCUTransactionLimitExceeded", selector: "0x77e3c293", reason: "HCU limit" },
+  { name: "HCUTransactionDepthLimitExceeded", selector: "0xfc344870", reason: "HCU depth limit" },
+];
+
+// Encrypted inputs and handles differ between runs, which moves calldata
+// and hashing costs by a few dozen gas. Smaller relative changes are noise.
+const NOISE = 0.001;
+
+// Why a transaction could not run at all, or null for any other error
+export function limitReason(error) {
+  const details = `${error?.message || ""} ${JSON.stringify(error?.data ?? "")}`;
+  const limit = HCU_LIMIT_ERRORS.find(({ name, selector }) => details.includes(name) || details.includes(selector));
+  if (limit) return limit.reason;
+  return /out of gas|exceeds block gas limit/i.test(details) ? "out of gas" : null;
+}
+
+// FHE operations in a receipt, counted by executor event name
+export function countFheOperations(receipt) {
+  const operations = {};
+  const results = [];
+
+  for (const log of receipt.logs) {
+    let parsed;
+    try {
+      parsed = FHE_EVENTS.parseLog(log);
+    } catch {
+      continue;
+    }
+    if (!parsed) continue;
+    operations[parsed.name] = (operations[parsed.name] || 0) + 1;
+    results.push(parsed.args.result);
+  }
+
+  return { operations, results };
+}
+
+// Transaction HCU and deepest chain of dependent HCU, read from the trace.
+// resultHandles are the handles produced by the transaction's FHE operations.
+export async function traceHcu(hre, transactionHash, resultHandles) {
+  const depthSlots = new Set(
+    resultHandles.map((handle) =>
+      ethers.solidityPackedKeccak256(["bytes32", "bytes32"], [HCU_STORAGE_LOCATION, handle]).slice(2)
+    )
+  );
+
+  const trace = await hre.network.provider.request({
+    method: "debug_traceTransaction",
+    params: [transactionHash, { disableMemory: true, disableStorage: true }],
+  });
+
+  let hcu = 0;
+  let hcuDepth = 0;
+  for (const step of trace.structLogs) {
+    if (step.op !== "TSTORE") continue;
+    // TSTORE pops the slot, then the value
+    const slot = step.stack[step.stack.length - 1].replace(/^0x/, "").padStart(64, "0");
+    const value = Number(BigInt(`0x${step.stack[step.stack.length - 2].replace(/^0x/, "")}`));
+    if (slot === HCU_TRANSACTION_SLOT) {
+      hcu = value;
+    } else if (depthSlots.has(slot)) {
+      hcuDepth = Math.max(hcuDepth, value);
+    }
+  }
+
+  return { hcu, hcuDepth };
+}
+
+// Gas, FHE operations and HCU of a mined transaction
+export async function measureReceipt(hre, receipt) {
+  const { operations, results } = countFheOperations(receipt);
+  const fheOperationCount = Object.values(operations).reduce((total, count) => total + count, 0);
+  const { hcu, hcuDepth } = fheOperationCount ? await traceHcu(hre, receipt.hash, results) : { hcu: 0, hcuDepth: 0 };
+
+  return { gas: Number(receipt.gasUsed), fheOperations: operations, fheOperationCount, hcu, hcuDepth };
+}
+
+// Compare a profile with a baseline: changes beyond `tolerance` (fraction) of
+// gas, HCU or FHE operation count are regressions, as are calls that stopped working
+export function compareProfiles(profile, baseline, tolerance) {
+  const rows = [];
+
+  for (const [name, entry] of Object.entries(profile.functions)) {
+    for (const [size, measurement] of Object.entries(entry.sizes)) {
+      const previous = baseline?.functions[name]?.sizes[size];
+      if (!previous) continue;
+
+      const row = { function: name, rosterSize: Number(size), changes: {}, regression: false };
+      if (measurement.error || previous.error) {
+        if (measurement.error === previous.error) continue;
+        row.regression = Boolean(measurement.error) && !previous.error;
+        row.changes.error = { before: previous.error ?? null, after: measurement.error ?? null };
+      } else {
+        for (const metric of ["gas", "hcu", "fheOperationCount"]) {
+          const before = previous[metric] ?? 0;
+          const after = measurement[metric] ?? 0;
+          const change = before ? (after - before) / before : after ? 1 : 0;
+          if (Math.abs(change) < NOISE) continue;
+          row.changes[metric] = { before, after, change };
+          if (change > tolerance) row.regression = true;
+        }
+      }
+      if (Object.keys(row.changes).length) rows.push(row);
+    }
+  }
+
+  return { tolerance, rows, regressions: rows.filter((row) => row.regression) };
+}
+
+// "1 athlete", "10 athletes"
+export function formatRosterSize(size) {
+  return `${size} athlete${Number(size) === 1 ? "" : "s"}`;
+}
+
+// Signed percentage of a change
+export function formatChange(change) {
+  return `${change > 0 ? "+" : ""}${(change * 100).toFixed(1)}%`;
+}
+
+// Markdown table cell for one measurement
+function formatCell(measurement, metric) {
+  if (!measurement) return "–";
+  if (measurement.error) return `✖ ${measurement.error}`;
+  return measurement[metric].toLocaleString("en-US");
+}
+
+// Markdown report of a profile and its comparison with the baseline
+export function renderProfileMarkdown(profile, comparison) {
+  const { sizes } = profile;
+  const header = `| Function | Kind | ${sizes.map(formatRosterSize).join(" | ")} |`;
+  const divider = `|---|---|${sizes.map(() => "---:").join("|")}|`;
+  const table = (metric, filter = () => true) =>
+    Object.entries(profile.functions)
+      .filter(([, entry]) => filter(entry))
+      .map(([name, entry]) => `| \`${name}\` | ${entry.kind} | ${sizes.map((size) => formatCell(entry.sizes[size], metric)).join(" | ")} |`);
+  const computes = (entry) => Object.values(entry.sizes).some((measurement) => measurement.fheOperationCount || measurement.error);
+
+  const lines = [
+    "# Gas and HCU Profile",
+    "",
+    `Generated ${profile.createdAt} on \`${profile.network}\` by \`scripts/profile-gas.js\`.`,
+    "Roster size is the number of athletes on the profiled team. View functions report `eth_estimateGas`.",
+    "",
+    "## Gas",
+    "",
+    header,
+    divider,
+    ...table("gas"),
+    "",
+    "## HCU",
+    "",
+    "Homomorphic Compute Units charged by the FHEVM executor (transaction limit 20,000,000).",
+    "",
+    header,
+    divider,
+    ...table("hcu", computes),
+    "",
+    "## HCU Depth",
+    "",
+    "Longest chain of dependent FHE operations (limit 5,000,000).",
+    "",
+    header,
+    divider,
+    ...table("hcuDepth", computes),
+    "",
+    "## FHE Operations",
+    "",
+    header,
+    divider,
+    ...table("fheOperationCount", computes),
+    "",
+  ];
+
+  if (profile.notProfiled.length) {
+    lines.push("## Not Profiled", "", ...profile.notProfiled.map((name) => `- \`${name}\``), "");
+  }
+
+  if (comparison) {
+    lines.push("## Compared With Baseline", "");
+    lines.push(`Baseline: ${comparison.baseline}, regression tolerance ${(comparison.tolerance * 100).toFixed(1)}%.`, "");
+    if (!comparison.rows.length) {
+      lines.push("No change beyond run-to-run noise (0.1%).", "");
+    } else {
+      lines.push("| Function | Athletes | Change | |", "|---|---:|---|---|");
+      for (const row of comparison.rows) {
+        const changes = Object.entries(row.changes).map(([metric, { before, after, change }]) =>
+          metric === "error"
+            ? `${before ?? "ok"} → ${after ?? "ok"}`
+            : `${metric} ${before.toLocaleString("en-US")} → ${after.toLocaleString("en-US")} (${formatChange(change)})`
+        );
+        lines.push(`| \`${row.function}\` | ${row.rosterSize} | ${changes.join("<br>")} | ${row.regression ? "❌ regression" : ""} |`);
+      }
+      lines.push("");
+    }
+  }
+
+  return lines.join("\n");
+}
@@ -0,0 +1,254 @@
+import fs from "fs";
+import path from "path";
+import { ethers } from "ethers";
+import { parseCsv } from "./csv.js";
+
+/**
+ * Roster file loading and validation for scripts/import-roster.js
+ *
+ * JSON: { "teams": [{ "name", "league", "manager", "salaryCap",
+ *                     "athletes": [{ "name", "position", "address", "salary", "bonus", "months" }] }] }
+ * CSV:  team,league,manager,salaryCap,athlete,position,address,salary,bonus,months
+ *       one row per athlete; team columns repeat, a row without athlete adds an empty team
+ *
+ * league is the ID of an existing league (created with createLeague).
+ *
+ * Rows are keyed by team name and "<team>/<athlete>" so the import checkpoint
+ * survives reordering the file.
+ */
+
+// Contract limits (ConfidentialSportsContract.registerTeam / registerAthlete)
+export const MAX_NAME_BYTES = 100;
+export const MIN_DURATION_MONTHS = 1;
+export const MAX_DURATION_MONTHS = 120;
+const MAX_UINT32 = 2 ** 32 - 1;
+
+// Header of roster CSV files
+export const CSV_COLUMNS = [
+  "team",
+  "league",
+  "manager",
+  "salaryCap",
+  "athlete",
+  "position",
+  "address",
+  "salary",
+  "bonus",
+  "months",
+];
+
+// Key of an athlete in the roster and in the import checkpoint
+export function athleteKey(teamName, athleteName) {
+  return `${teamName}/${athleteName}`;
+}
+
+// Read a roster file (.json or .csv) into { teams: [...] } with source locations
+export function loadRoster(file) {
+  const text = fs.readFileSync(file, "utf8");
+  const extension = path.extname(file).toLowerCase();
+
+  if (extension === ".json") {
+    return fromJson(JSON.parse(text));
+  }
+  if (extension === ".csv") {
+    return fromCsv(parseCsv(text));
+  }
+  throw new Error(`Unsupported roster format "${extension}" (expected .json or .csv)`);
+}
+
+function fromJson(data) {
+  if (!Array.isArray(data?.teams)) {
+    throw new Error('Roster JSON must have a "teams" array');
+  }
+
+  return {
+    teams: data.teams.map((team, teamIndex) => ({
+      location: `teams[${teamIndex}]`,
+      name: team.name,
+      league: team.league,
+      manager: team.manager,
+      salaryCap: team.salaryCap,
+      athletes: (team.athletes || []).map((athlete, athleteIndex) => ({
+        location: `teams[${teamIndex}].athletes[${athleteIndex}]`,
+        name: athlete.name,
+        position: athlete.position,
+        address: athlete.address,
+        salary: athlete.salary,
+        bonus: athlete.bonus,
+        months: athlete.months,
+      })),
+    })),
+  };
+}
+
+function fromCsv(records) {
+  const teams = new Map();
+
+  const missing = records.length ? CSV_COLUMNS.filter((column) => !(column in records[0])) : [];
+  if (missing.length) {
+    throw new Error(`Roster CSV is missing columns: ${missing.join(", ")}`);
+  }
+
+  for (const record of records) {
+    const location = `line ${record._line}`;
+    let team = teams.get(record.team);
+
+    if (!team) {
+      team = {
+        location,
+        name: record.team,
+        league: record.league,
+        manager: record.manager,
+        salaryCap: record.salaryCap,
+        athletes: [],
+      };
+      teams.set(record.team, team);
+    } else if (
+      team.league !== record.league ||
+      team.manager !== record.manager ||
+      team.salaryCap !== record.salaryCap
+    ) {
+      throw new Error(`${location}: team "${record.team}" repeats with different league, manager or salaryCap`);
+    }
+
+    if (record.athlete) {
+      team.athletes.push({
+        location,
+        name: record.athlete,
+        position: record.position,
+        address: record.address,
+        salary: record.salary,
+        bonus: record.bonus,
+        months: record.months,
+      });
+    }
+  }
+
+  return { teams: [...teams.values()] };
+}
+
+// Parse an integer field (numbers or numeric strings) within [min, max]
+function toInteger(value, min, max) {
+  const text = String(value ?? "").trim();
+  if (!/^\d+$/.test(text)) return null;
+
+  const number = Number(text);
+  return number >= min && number <= max ? number : null;
+}
+
+function validateName(value, label, errors, location) {
+  const bytes = Buffer.byteLength(String(value ?? ""), "utf8");
+  if (typeof value !== "string" || bytes === 0) {
+    errors.push(`${location}: ${label} is required`);
+  } else if (bytes > MAX_NAME_BYTES) {
+    errors.push(`${location}: ${label} "${value}" is ${bytes} bytes (max ${MAX_NAME_BYTES})`);
+  }
+}
+
+/**
+ * Validate a loaded roster against the contract limits
+ * Returns { teams, errors }; teams hold normalized values (checksummed
+ * addresses, numbers) and are only usable when errors is empty.
+ */
+export function validateRoster(roster) {
+  const errors = [];
+  const teamNames = new Set();
+
+  const parseAddress = (value, label, location) => {
+    if (!ethers.isAddress(value) || ethers.getAddress(value) === ethers.ZeroAddress) {
+      errors.push(`${location}: ${label} "${value ?? ""}" is not a valid address`);
+      return null;
+    }
+    return ethers.getAddress(value);
+  };
+
+  const parseAmount = (value, label, location) => {
+    const amount = toInteger(value, 0, MAX_UINT32);
+    if (amount === null) {
+      errors.push(`${location}: ${label} "${value ?? ""}" must be an integer between 0 and ${MAX_UINT32}`);
+    }
+    return amount;
+  };
+
+  const teams = roster.teams.map((team) => {
+    validateName(team.name, "team name", errors, team.location);
+    if (teamNames.has(team.name)) {
+      errors.push(`${team.location}: duplicate team "${team.name}"`);
+    }
+    teamNames.add(team.name);
+
+    const leagueId = toInteger(team.league, 1, MAX_UINT32);
+    if (leagueId === null) {
+      errors.push(`${team.location}: league "${team.league ?? ""}" must be a league ID`);
+    }
+
+    const athleteNames = new Set();
+    const athletes = team.athletes.map((athlete) => {
+      validateName(athlete.name, "athlete name", errors, athlete.location);
+      if (athleteNames.has(athlete.name)) {
+        errors.push(`${athlete.location}: duplicate athlete "${athlete.name}" in team "${team.name}"`);
+      }
+      athleteNames.add(athlete.name);
+
+      const months = toInteger(athlete.months, MIN_DURATION_MONTHS, MAX_DURATION_MONTHS);
+      if (months === null) {
+        errors.push(
+          `${athlete.location}: months "${athlete.months ?? ""}" must be between ${MIN_DURATION_MONTHS} and ${MAX_DURATION_MONTHS}`
+        );
+      }
+
+      return {
+        key: athleteKey(team.name, athlete.name),
+        location: athlete.location,
+        name: athlete.name,
+        position: athlete.position || "",
+        address: parseAddress(athlete.address, "athlete address", athlete.location),
+        salary: parseAmount(athlete.salary, "salary", athlete.location),
+        bonus: parseAmount(athlete.bonus, "bonus", athlete.location),
+        months,
+      };
+    });
+
+    return {
+      key: team.name,
+      location: team.location,
+      name: team.name,
+      leagueId,
+      manager: parseAddress(team.manager, "manager", team.location),
+      salaryCap: parseAmount(team.salaryCap, "salaryCap", team.location),
+      athletes,
+    };
+  });
+
+  return { teams, errors };
+}
+
+/**
+ * Check validated teams against the rules of their leagues, given as
+ * leagueId => { name, rules } (see SportsContractClient.getLeague). Roster size
+ * and contract length would revert registrations halfway through an import;
+ * amounts outside the salary rules are not errors, the contract clamps them.
+ */
+export function checkLeagueRules(teams, leagues) {
+  const errors = [];
+  for (const team of teams) {
+    const league = leagues.get(team.leagueId);
+    if (!league) {
+      errors.push(`${team.location}: league ${team.leagueId} does not exist`);
+      continue;
+    }
+
+    const { maxRosterSize, minContractMonths, maxContractMonths } = league.rules;
+    if (team.athletes.length > maxRosterSize) {
+      errors.push(`${team.location}: ${team.athletes.length} athletes, ${league.name} allows ${maxRosterSize} per team`);
+    }
+    for (const athlete of team.athletes) {
+      if (athlete.months < minContractMonths || athlete.months > maxContractMonths) {
+        errors.push(
+          `${athlete.location}: ${athlete.months} months, ${league.name} allows ${minContractMonths}-${maxContractMonths}`
+        );
+      }
+    }
+  }
+  return errors;
+}
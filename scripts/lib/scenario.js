@@ -0,0 +1,862 @@
+import fs from "fs";
+import { SportsContractClient } from "../../public/lib/sportsContractClient.js";
+import { LEAGUE_RULE_FIELDS, withLeagueRuleDefaults } from "../../public/lib/leagueRules.js";
+import { buildAuditReport, signAuditReport } from "./auditReport.js";
+import { loadGameStats, replayGameStats, validateGameStats } from "./gameStats.js";
+import { getRevertReason } from "./errors.js";
+import { relayPendingDecryptions, waitForDecryption } from "./gateway.js";
+
+/**
+ * Scenario engine behind scripts/simulate.js
+ * A scenario is a JSON file of actors (signer indices) and steps. Steps run in
+ * order; each one may check the revert reason, the emitted events and the
+ * observed state through its "expect" block. Leagues, teams, athletes,
+ * proposals, trades, audits and decryption requests created by a step are
+ * stored under its "ref" name so later steps can refer to them. See
+ * scenarios/README.md for the format.
+ */
+
+const LOCAL_NETWORKS = ["hardhat", "localhost"];
+
+// Expect keys checked by the engine itself rather than against observed state
+const RESERVED_EXPECTATIONS = ["revert", "events"];
+
+const TIME_UNITS = { seconds: 1, minutes: 60, hours: 3600, days: 86400 };
+
+// Error raised for scenario files that cannot run (bad action, unknown actor...)
+export class ScenarioError extends Error {}
+
+// Error raised when a step's expectation is not met
+class ExpectationError extends Error {}
+
+/**
+ * Step actions. `run` performs the step and returns
+ * { receipt?, id?, observed? }: id is stored under the step's ref, observed is
+ * compared to the step's expect block.
+ */
+const ACTIONS = {
+  createLeague: {
+    describe: (step) => `Create league ${step.name}`,
+    async run(ctx, step) {
+      const { leagueId, receipt } = await ctx.client(step).createLeague({
+        name: step.name,
+        commissioner: ctx.address(step.commissioner),
+        rules: withLeagueRuleDefaults(step.rules),
+      });
+      return { receipt, id: leagueId, observed: { leagueId } };
+    },
+  },
+
+  // Rules left out of the step keep their current values
+  updateLeagueRules: {
+    describe: (step) => `Update the rules of league ${step.league}`,
+    async run(ctx, step) {
+      const client = ctx.client(step);
+      const leagueId = ctx.id(step.league);
+      const { rules } = await client.getLeague(leagueId);
+      return { receipt: await client.updateLeagueRules({ leagueId, rules: withLeagueRuleDefaults(step.rules, rules) }) };
+    },
+  },
+
+  registerTeam: {
+    describe: (step) => `Register team ${step.name}`,
+    async run(ctx, step) {
+      const { teamId, receipt } = await ctx.client(step).registerTeam({
+        teamName: step.name,
+        leagueId: ctx.id(step.league),
+        teamManager: ctx.address(step.manager),
+        salaryCap: step.salaryCap,
+      });
+      return { receipt, id: teamId, observed: { teamId } };
+    },
+  },
+
+  registerAthlete: {
+    describe: (step) => `Register athlete ${step.name}`,
+    async run(ctx, step) {
+      const { athleteId, receipt } = await ctx.client(step).registerAthlete({
+        name: step.name,
+        position: step.position,
+        teamId: ctx.id(step.team),
+        athleteAddress: ctx.address(step.address),
+        salary: step.salary,
+        bonus: step.bonus,
+        durationMonths: step.months,
+      });
+      return { receipt, id: athleteId, observed: { athleteId } };
+    },
+  },
+
+  proposeContract: {
+    describe: (step) => `Propose a contract to athlete ${step.athlete}`,
+    async run(ctx, step) {
+      const { proposalId, negotiationId, receipt } = await ctx.client(step).proposeContract({
+        athleteId: ctx.id(step.athlete),
+        teamId: ctx.id(step.team),
+        salary: step.salary,
+        bonus: step.bonus,
+        durationMonths: step.months,
+      });
+      return { receipt, id: proposalId, observed: { proposalId, negotiationId } };
+    },
+  },
+
+  counterProposal: {
+    describe: (step) => `Counter proposal ${step.proposal}`,
+    async run(ctx, step) {
+      const { proposalId, negotiationId, receipt } = await ctx.client(step).counterProposal({
+        proposalId: ctx.id(step.proposal),
+        salary: step.salary,
+        bonus: step.bonus,
+        durationMonths: step.months,
+      });
+      return { receipt, id: proposalId, observed: { proposalId, negotiationId } };
+    },
+  },
+
+  requestProposalDecryption: {
+    describe: (step) => `Request decryption of proposal ${step.proposal}`,
+    async run(ctx, step) {
+      const client = ctx.client(step);
+      const { requestId, receipt } = await client.requestProposalDecryption(ctx.id(step.proposal));
+      return { receipt, id: requestId, observed: await ctx.settle(client, requestId, step) };
+    },
+  },
+
+  approveContract: {
+    describe: (step) => `Approve proposal ${step.proposal}`,
+    run: async (ctx, step) => ({ receipt: await ctx.client(step).approveContract(ctx.id(step.proposal)) }),
+  },
+
+  rejectContract: {
+    describe: (step) => `Reject proposal ${step.proposal}`,
+    run: async (ctx, step) => ({ receipt: await ctx.client(step).rejectContract(ctx.id(step.proposal)) }),
+  },
+
+  withdrawProposal: {
+    describe: (step) => `Withdraw proposal ${step.proposal}`,
+    run: async (ctx, step) => ({
+      receipt: await ctx.client(step).emergencyWithdrawProposal(ctx.id(step.proposal)),
+    }),
+  },
+
+  proposeTrade: {
+    describe: (step) => `Propose a trade of athlete ${step.athlete} to team ${step.team}`,
+    async run(ctx, step) {
+      const { tradeId, receipt } = await ctx.client(step).proposeTrade({
+        athleteId: ctx.id(step.athlete),
+        toTeamId: ctx.id(step.team),
+      });
+      return { receipt, id: tradeId, observed: { tradeId } };
+    },
+  },
+
+  requestTradeCheck: {
+    describe: (step) => `Request the check of trade ${step.trade}`,
+    async run(ctx, step) {
+      const client = ctx.client(step);
+      const { requestId, receipt } = await client.requestTradeCheck(ctx.id(step.trade));
+      return { receipt, id: requestId, observed: await ctx.settle(client, requestId, step) };
+    },
+  },
+
+  acceptTrade: {
+    describe: (step) => `Accept trade ${step.trade}`,
+    run: async (ctx, step) => ({ receipt: await ctx.client(step).acceptTrade(ctx.id(step.trade)) }),
+  },
+
+  consentToTrade: {
+    describe: (step) => `Consent to trade ${step.trade}`,
+    run: async (ctx, step) => ({ receipt: await ctx.client(step).consentToTrade(ctx.id(step.trade)) }),
+  },
+
+  rejectTrade: {
+    describe: (step) => `Reject trade ${step.trade}`,
+    run: async (ctx, step) => ({ receipt: await ctx.client(step).rejectTrade(ctx.id(step.trade)) }),
+  },
+
+  cancelTrade: {
+    describe: (step) => `Cancel trade ${step.trade}`,
+    run: async (ctx, step) => ({ receipt: await ctx.client(step).cancelTrade(ctx.id(step.trade)) }),
+  },
+
+  updateSalary: {
+    describe: (step) => `Update salary of athlete ${step.athlete}`,
+    async run(ctx, step) {
+      const receipt = await ctx.client(step).updateAthleteSalary({
+        athleteId: ctx.id(step.athlete),
+        salary: step.salary,
+        bonus: step.bonus,
+      });
+      return { receipt };
+    },
+  },
+
+  setReservationSalary: {
+    describe: (step) => `Seal the minimum salary of athlete ${step.athlete}`,
+    async run(ctx, step) {
+      const receipt = await ctx.client(step).setReservationSalary({
+        athleteId: ctx.id(step.athlete),
+        minimumSalary: step.salary,
+      });
+      return { receipt };
+    },
+  },
+
+  deactivateAthlete: {
+    describe: (step) => `Deactivate athlete ${step.athlete}`,
+    run: async (ctx, step) => ({ receipt: await ctx.client(step).deactivateAthlete(ctx.id(step.athlete)) }),
+  },
+
+  deactivateTeam: {
+    describe: (step) => `Deactivate team ${step.team}`,
+    run: async (ctx, step) => ({ receipt: await ctx.client(step).deactivateTeam(ctx.id(step.team)) }),
+  },
+
+  checkSalaryCap: {
+    describe: (step) => `Check salary cap of team ${step.team}`,
+    async run(ctx, step) {
+      const client = ctx.client(step);
+      const teamId = ctx.id(step.team);
+      const { checkBlock, receipt } = await client.checkSalaryCap(teamId);
+      const observed = { checkBlock };
+      // The result is only readable by the team manager
+      if (ctx.expects(step, "compliant")) {
+        observed.compliant = (await client.decryptSalaryCapCompliance(teamId)).compliant;
+      }
+      return { receipt, observed };
+    },
+  },
+
+  requestCapAttestation: {
+    describe: (step) => `Request public cap attestation for team ${step.team}`,
+    async run(ctx, step) {
+      const client = ctx.client(step);
+      const { requestId, receipt } = await client.requestSalaryCapAttestation(ctx.id(step.team));
+      return { receipt, id: requestId, observed: await ctx.settle(client, requestId, step) };
+    },
+  },
+
+  handleTimeout: {
+    describe: (step) => `Time out decryption request ${step.request}`,
+    run: async (ctx, step) => ({ receipt: await ctx.client(step).handleDecryptionTimeout(ctx.id(step.request)) }),
+  },
+
+  startSeason: {
+    describe: () => "Start a new season",
+    async run(ctx, step) {
+      const { season, receipt } = await ctx.client(step).startNewSeason();
+      return { receipt, observed: { season } };
+    },
+  },
+
+  // Roles use the client's names (leagueAdmin, auditor, teamDelegate, statsOracle); a delegate's scope is its team
+  grantRole: {
+    describe: (step) => `Grant ${step.role} to ${step.account}${step.team ? ` for team ${step.team}` : ""}`,
+    async run(ctx, step) {
+      const account = ctx.address(step.account);
+      return { receipt: await ctx.client(step).grantRole({ role: step.role, account, scopeId: ctx.scope(step) }) };
+    },
+  },
+
+  revokeRole: {
+    describe: (step) => `Revoke ${step.role} from ${step.account}${step.team ? ` for team ${step.team}` : ""}`,
+    async run(ctx, step) {
+      const account = ctx.address(step.account);
+      return { receipt: await ctx.client(step).revokeRole({ role: step.role, account, scopeId: ctx.scope(step) }) };
+    },
+  },
+
+  renounceRole: {
+    describe: (step) => `Renounce ${step.role}${step.team ? ` for team ${step.team}` : ""}`,
+    run: async (ctx, step) => ({ receipt: await ctx.client(step).renounceRole({ role: step.role, scopeId: ctx.scope(step) }) }),
+  },
+
+  transferOwnership: {
+    describe: (step) => `Propose ${step.newOwner} as owner`,
+    run: async (ctx, step) => ({ receipt: await ctx.client(step).transferOwnership(ctx.address(step.newOwner)) }),
+  },
+
+  acceptOwnership: {
+    describe: () => "Accept ownership",
+    run: async (ctx, step) => ({ receipt: await ctx.client(step).acceptOwnership() }),
+  },
+
+  // The window is given like increaseTime's duration (seconds, minutes, hours, days)
+  openAudit: {
+    describe: (step) => `Open an audit of team ${step.team} by ${step.auditor} for ${formatDuration(step)}`,
+    async run(ctx, step) {
+      const { auditId, receipt } = await ctx.client(step).openAudit({
+        teamId: ctx.id(step.team),
+        auditor: ctx.address(step.auditor),
+        window: durationSeconds(step),
+      });
+      return { receipt, id: auditId, observed: { auditId } };
+    },
+  },
+
+  refreshAudit: {
+    describe: (step) => `Refresh the snapshot of audit ${step.audit}`,
+    run: async (ctx, step) => ({ receipt: await ctx.client(step).refreshAudit(ctx.id(step.audit)) }),
+  },
+
+  // Decrypt the snapshot, sign its report and record the finding, as `audit report --record` does
+  recordAuditResult: {
+    describe: (step) => `Record the result of audit ${step.audit}`,
+    async run(ctx, step) {
+      const client = ctx.client(step);
+      const auditId = ctx.id(step.audit);
+      const snapshot = await client.decryptAuditSnapshot(auditId);
+      const report = buildAuditReport({
+        contract: client.address,
+        chainId: (await ctx.hre.ethers.provider.getNetwork()).chainId,
+        team: await client.getTeamRecord(snapshot.audit.teamId),
+        snapshot,
+      });
+      const { reportHash } = await signAuditReport(report, client.runner);
+      const receipt = await client.recordAuditResult({ auditId, compliant: report.compliant, reportHash });
+      return { receipt, observed: { compliant: report.compliant, reportHash } };
+    },
+  },
+
+  closeAudit: {
+    describe: (step) => `Close audit ${step.audit}`,
+    run: async (ctx, step) => ({ receipt: await ctx.client(step).closeAudit(ctx.id(step.audit)) }),
+  },
+
+  // Deploy the demo payroll token and set it, unless the contract already has a payroll token
+  deployPayrollToken: {
+    describe: (step) => `Set up the ${step.symbol || "LPD"} payroll token`,
+    async run(ctx, step) {
+      const client = ctx.client(step);
+      const existing = await client.getPayrollToken();
+      if (existing) {
+        return { observed: { token: existing.address, deployed: false } };
+      }
+      const factory = await ctx.hre.ethers.getContractFactory("ConfidentialPayrollToken", client.runner);
+      const token = await factory.deploy(step.name || "League Payroll Dollar", step.symbol || "LPD");
+      await token.waitForDeployment();
+      const address = await token.getAddress();
+      const receipt = await client.setPayrollToken(address);
+      return { receipt, observed: { token: address, deployed: true } };
+    },
+  },
+
+  mintPayrollToken: {
+    describe: (step) => `Mint ${step.amount} payroll tokens to ${step.to}`,
+    run: async (ctx, step) => ({
+      receipt: await ctx.client(step).mintPayrollToken({ to: ctx.address(step.to), amount: step.amount }),
+    }),
+  },
+
+  // Makes the contract the depositor's operator on the token first, as `payroll deposit` does
+  depositPayroll: {
+    describe: (step) => `Deposit ${step.amount} into the escrow of team ${step.team}`,
+    async run(ctx, step) {
+      const client = ctx.client(step);
+      if (!(await client.canDepositPayroll())) {
+        const { timestamp } = await ctx.hre.ethers.provider.getBlock("latest");
+        await client.allowPayrollDeposits({ until: timestamp + 3600 });
+      }
+      return { receipt: await client.depositPayroll({ teamId: ctx.id(step.team), amount: step.amount }) };
+    },
+  },
+
+  // Pays the whole period, over as many runPayroll calls as it takes; period defaults to the next one
+  runPayroll: {
+    describe: (step) => `Run payroll period ${step.period ?? "(next)"} of team ${step.team}`,
+    async run(ctx, step) {
+      const client = ctx.client(step);
+      const teamId = ctx.id(step.team);
+      const period = step.period ?? (await client.getPayrollRun(teamId)).nextPeriod;
+      const { paid, receipts } = await client.runPayrollPeriod({ teamId, period });
+      return {
+        receipt: receipts[receipts.length - 1],
+        observed: { period, paidCount: paid.length, calls: receipts.length },
+      };
+    },
+  },
+
+  // stat is one of the client's BONUS_STATS (gamesPlayed, points, assists, rebounds)
+  addBonusClause: {
+    describe: (step) => `Add a bonus clause on ${step.stat} for athlete ${step.athlete}`,
+    async run(ctx, step) {
+      const { clauseIndex, receipt } = await ctx.client(step).addBonusClause({
+        athleteId: ctx.id(step.athlete),
+        stat: step.stat,
+        threshold: step.threshold,
+        amount: step.amount,
+      });
+      return { receipt, observed: { clauseIndex } };
+    },
+  },
+
+  postGameStats: {
+    describe: (step) => `Post game ${step.game} stats of athlete ${step.athlete}`,
+    run: async (ctx, step) => ({
+      receipt: await ctx.client(step).postGameStats({
+        athleteId: ctx.id(step.athlete),
+        gameId: step.game,
+        points: step.points,
+        assists: step.assists,
+        rebounds: step.rebounds,
+      }),
+    }),
+  },
+
+  // Post a game stats CSV (path relative to the working directory), as scripts/stats-oracle.js does
+  replayGameStats: {
+    describe: (step) => `Replay the game stats in ${step.file}`,
+    async run(ctx, step) {
+      const { games, errors } = validateGameStats(loadGameStats(step.file));
+      if (errors.length) {
+        throw new ScenarioError(`Invalid game stats file ${step.file}: ${errors.join("; ")}`);
+      }
+      return { observed: await replayGameStats(ctx.client(step), games) };
+    },
+  },
+
+  increaseTime: {
+    describe: (step) => `Advance time by ${formatDuration(step)}`,
+    async run(ctx, step) {
+      if (!LOCAL_NETWORKS.includes(ctx.hre.network.name)) {
+        throw new ScenarioError("increaseTime only works on local networks (hardhat, localhost)");
+      }
+      await ctx.hre.ethers.provider.send("evm_increaseTime", [durationSeconds(step)]);
+      await ctx.hre.ethers.provider.send("evm_mine", []);
+      return {};
+    },
+  },
+
+  inspectLeague: {
+    describe: (step) => `Inspect league ${step.league}`,
+    async run(ctx, step) {
+      const league = await ctx.client(step).getLeague(ctx.id(step.league));
+      const observed = { name: league.name, commissioner: league.commissioner, teamCount: league.teamCount };
+      for (const { key } of LEAGUE_RULE_FIELDS) {
+        observed[key] = league.rules[key];
+      }
+      return { observed };
+    },
+  },
+
+  inspectTeam: {
+    describe: (step) => `Inspect team ${step.team}`,
+    async run(ctx, step) {
+      const client = ctx.client(step);
+      const teamId = ctx.id(step.team);
+      const record = await client.getTeamRecord(teamId);
+      const observed = {
+        teamName: record.teamName,
+        league: record.league,
+        leagueId: record.leagueId,
+        teamManager: record.teamManager,
+        isActive: record.isActive,
+      };
+      if (ctx.expects(step, "payroll", "salaryCap", "capRoom")) {
+        const [payroll, salaryCap] = await client.decryptValues([record.payrollHandle, record.salaryCapHandle]);
+        Object.assign(observed, { payroll, salaryCap, capRoom: salaryCap - payroll });
+      }
+      return { observed };
+    },
+  },
+
+  inspectAthlete: {
+    describe: (step) => `Inspect athlete ${step.athlete}`,
+    async run(ctx, step) {
+      const client = ctx.client(step);
+      const athleteId = ctx.id(step.athlete);
+      const record = await client.getAthleteRecord(athleteId);
+      const observed = {
+        name: record.name,
+        position: record.position,
+        teamId: record.teamId,
+        athleteAddress: record.athleteAddress,
+        isActive: record.isActive,
+      };
+      if (ctx.expects(step, "salary", "bonus")) {
+        const [salary, bonus] = await client.decryptValues([record.salaryHandle, record.bonusHandle]);
+        Object.assign(observed, { salary, bonus });
+      }
+      return { observed };
+    },
+  },
+
+  inspectProposal: {
+    describe: (step) => `Inspect proposal ${step.proposal}`,
+    async run(ctx, step) {
+      const client = ctx.client(step);
+      const record = await client.getProposalRecord(ctx.id(step.proposal));
+      const observed = {
+        athleteId: record.athleteId,
+        teamId: record.teamId,
+        status: record.status,
+        callbackReceived: record.callbackReceived,
+        contractDuration: record.contractDuration,
+      };
+      if (ctx.expects(step, "salary", "bonus")) {
+        const [salary, bonus] = await client.decryptValues([record.salaryHandle, record.bonusHandle]);
+        Object.assign(observed, { salary, bonus });
+      }
+      if (ctx.expects(step, "meetsReservation")) {
+        const { meetsReservation } = await client.decryptReservationMatch(record.id);
+        observed.meetsReservation = meetsReservation;
+      }
+      // The encrypted check is only readable by the team manager
+      if (ctx.expects(step, "withinCap")) {
+        observed.withinCap = (await client.decryptCapRoomCheck(record.id)).withinCap;
+      }
+      if (ctx.expects(step, "publicWithinCap")) {
+        observed.publicWithinCap = (await client.getCapRoomCheck(record.id)).publicWithinCap;
+      }
+      if (ctx.expects(step, "meetsRules")) {
+        observed.meetsRules = (await client.decryptLeagueRuleCheck(record.id)).meetsRules;
+      }
+      if (ctx.expects(step, "publicMeetsRules")) {
+        observed.publicMeetsRules = (await client.getLeagueRuleCheck(record.id)).publicMeetsRules;
+      }
+      return { observed };
+    },
+  },
+
+  inspectNegotiation: {
+    describe: (step) => `Inspect the negotiation of proposal ${step.proposal}`,
+    async run(ctx, step) {
+      const client = ctx.client(step);
+      const negotiationId = await client.getNegotiationIdFor(ctx.id(step.proposal));
+      const negotiation = await client.getNegotiation(negotiationId);
+      return {
+        observed: {
+          negotiationId,
+          athleteId: negotiation.athleteId,
+          teamId: negotiation.teamId,
+          roundCount: negotiation.roundCount,
+          latestProposalId: negotiation.latestProposalId,
+          status: negotiation.status,
+        },
+      };
+    },
+  },
+
+  inspectTrade: {
+    describe: (step) => `Inspect trade ${step.trade}`,
+    async run(ctx, step) {
+      const client = ctx.client(step);
+      const record = await client.getTrade(ctx.id(step.trade));
+      const check = await client.getTradeCheck(record.id);
+      return {
+        observed: {
+          athleteId: record.athleteId,
+          fromTeamId: record.fromTeamId,
+          toTeamId: record.toTeamId,
+          proposer: record.proposer,
+          releasingTeamApproved: record.releasingTeamApproved,
+          athleteConsented: record.athleteConsented,
+          status: record.status,
+          checkDecrypted: check.decrypted,
+          checkCurrent: check.current,
+          publicWithinCap: check.publicWithinCap,
+          publicMeetsRules: check.publicMeetsRules,
+        },
+      };
+    },
+  },
+
+  inspectAudit: {
+    describe: (step) => `Inspect audit ${step.audit}`,
+    async run(ctx, step) {
+      const client = ctx.client(step);
+      const audit = await client.getAudit(ctx.id(step.audit));
+      const observed = {
+        teamId: audit.teamId,
+        auditor: audit.auditor,
+        status: audit.status,
+        compliant: audit.compliant,
+        athleteCount: (await client.getAuditSnapshot(audit.id)).athletes.length,
+      };
+      // The snapshot is only readable by the auditor
+      if (ctx.expects(step, "payroll", "salaryCap", "capRoom")) {
+        const { payroll, salaryCap, capRoom } = await client.decryptAuditSnapshot(audit.id);
+        Object.assign(observed, { payroll, salaryCap, capRoom });
+      }
+      return { observed };
+    },
+  },
+
+  inspectPayroll: {
+    describe: (step) => `Inspect the payroll of team ${step.team}`,
+    async run(ctx, step) {
+      const client = ctx.client(step);
+      const teamId = ctx.id(step.team);
+      const { period, completed, paidCount, athleteCount } = await client.getPayrollRun(teamId);
+      const observed = { period, completed, paidCount, athleteCount };
+      // The escrow is only readable by the team's manager
+      if (ctx.expects(step, "escrow")) {
+        observed.escrow = await client.decryptPayrollEscrow(teamId);
+      }
+      return { observed };
+    },
+  },
+
+  // Amounts are readable by the athlete and the paying team's manager
+  inspectPayments: {
+    describe: (step) => `Inspect the payments of athlete ${step.athlete}`,
+    async run(ctx, step) {
+      const client = ctx.client(step);
+      const athleteId = ctx.id(step.athlete);
+      const observed = { paymentCount: (await client.getPayments(athleteId)).length };
+      if (ctx.expects(step, "totalPaid", "lastAmount")) {
+        const payments = await client.decryptPaymentHistory(athleteId);
+        observed.totalPaid = payments.reduce((total, payment) => total + payment.amount, 0n);
+        observed.lastAmount = payments.length ? payments[payments.length - 1].amount : 0n;
+      }
+      return { observed };
+    },
+  },
+
+  // Season defaults to the current one; the earned bonus is readable by the athlete and the team's manager
+  inspectBonus: {
+    describe: (step) => `Inspect the bonuses of athlete ${step.athlete}`,
+    async run(ctx, step) {
+      const client = ctx.client(step);
+      const athleteId = ctx.id(step.athlete);
+      const { season, ...stats } = await client.getSeasonStats(athleteId, step.season);
+      const observed = { season, ...stats, clauseCount: (await client.getBonusClauses(athleteId)).length };
+      if (ctx.expects(step, "earned", "reachedCount")) {
+        const bonuses = await client.decryptBonuses(athleteId, season);
+        observed.earned = bonuses.earned;
+        observed.reachedCount = bonuses.clauses.filter((clause) => clause.reached).length;
+      }
+      return { observed };
+    },
+  },
+
+  // The step actor's own token balance
+  inspectTokenBalance: {
+    describe: (step) => `Inspect the payroll token balance of ${step.as || "owner"}`,
+    run: async (ctx, step) => ({ observed: { balance: await ctx.client(step).decryptTokenBalance() } }),
+  },
+
+  // With a role, how many accounts hold it; with an account too, whether it does
+  inspectRoles: {
+    describe: (step) => (step.role ? `Inspect ${step.role} holders` : "Inspect the contract owner"),
+    async run(ctx, step) {
+      const client = ctx.client(step);
+      const observed = { owner: await client.getContractOwner(), pendingOwner: await client.getPendingOwner() };
+      if (step.role) {
+        const members = await client.getRoleMembers(step.role, ctx.scope(step));
+        observed.memberCount = members.length;
+        if (step.account) {
+          observed.hasRole = members.some((member) => sameValue(member, ctx.address(step.account)));
+        }
+      }
+      return { observed };
+    },
+  },
+
+  inspectStats: {
+    describe: () => "Inspect contract statistics",
+    run: async (ctx, step) => ({ observed: await ctx.client(step).getStats() }),
+  },
+};
+
+function durationSeconds(step) {
+  return Object.entries(TIME_UNITS).reduce((total, [unit, seconds]) => total + (step[unit] || 0) * seconds, 0);
+}
+
+function formatDuration(step) {
+  const parts = Object.keys(TIME_UNITS)
+    .filter((unit) => step[unit])
+    .map((unit) => `${step[unit]} ${unit}`);
+  return parts.join(" ") || "0 seconds";
+}
+
+// Values from the chain are numbers, BigInts or strings; scenario files use JSON values
+function sameValue(observed, expected) {
+  if (typeof observed === "string" && typeof expected === "string" && observed.startsWith("0x")) {
+    return observed.toLowerCase() === expected.toLowerCase();
+  }
+  return String(observed) === String(expected);
+}
+
+// Load and statically check a scenario file
+export function loadScenario(file) {
+  const scenario = JSON.parse(fs.readFileSync(file, "utf8"));
+
+  if (!scenario.actors || typeof scenario.actors !== "object") {
+    throw new ScenarioError(`${file}: "actors" must map actor names to signer indices`);
+  }
+  if (!Array.isArray(scenario.steps) || scenario.steps.length === 0) {
+    throw new ScenarioError(`${file}: "steps" must be a non-empty array`);
+  }
+
+  scenario.steps.forEach((step, index) => {
+    const where = `${file}: step ${index + 1}`;
+    if (!ACTIONS[step.action]) {
+      throw new ScenarioError(`${where}: unknown action "${step.action}" (known: ${Object.keys(ACTIONS).join(", ")})`);
+    }
+    if (step.as !== undefined && !(step.as in scenario.actors)) {
+      throw new ScenarioError(`${where}: unknown actor "${step.as}"`);
+    }
+  });
+
+  return { name: scenario.name || file, deploy: false, ...scenario };
+}
+
+/**
+ * Run a loaded scenario and return its report
+ * @returns {Promise<{ name, contractAddress, results: Array<{ index, label, passed, error?, gasUsed? }> }>}
+ */
+export async function runScenario(hre, scenario, { log = console.log } = {}) {
+  const signers = await hre.ethers.getSigners();
+  const actors = {};
+  for (const [name, index] of Object.entries(scenario.actors)) {
+    if (!signers[index]) {
+      throw new ScenarioError(`Actor "${name}" uses signer ${index}, but only ${signers.length} accounts are configured`);
+    }
+    actors[name] = signers[index];
+  }
+  const defaultActor = actors.owner || signers[0];
+
+  await hre.fhevm.initializeCLIApi();
+
+  // A new process's mock oracle replays requests left by earlier runs. One that
+  // was timed out there reverts on replay and would abort relaying this
+  // scenario's requests, so flush that backlog before the first step.
+  await relayPendingDecryptions(hre).catch(() => {});
+
+  let contractAddress;
+  if (scenario.deploy) {
+    const { deploySportsContract } = await import("./deployment.js");
+    const contract = await deploySportsContract(hre, defaultActor);
+    contractAddress = await contract.getAddress();
+    log(`🚀 Deployed a fresh contract for this scenario: ${contractAddress}`);
+  } else {
+    const { loadDeployment } = await import("./deployment.js");
+    contractAddress = loadDeployment(hre).contractAddress;
+  }
+
+  const baseClient = new SportsContractClient(contractAddress, defaultActor, { fhe: hre.fhevm });
+  const refs = {};
+
+  const ctx = {
+    hre,
+    client: (step) => (step.as ? baseClient.connect(actors[step.as]) : baseClient),
+    // Actor name or literal address
+    address(value) {
+      if (actors[value]) return actors[value].address;
+      if (hre.ethers.isAddress(value)) return value;
+      throw new ScenarioError(`"${value}" is neither an actor nor an address`);
+    },
+    // Ref name or literal ID
+    id(value) {
+      if (typeof value === "number") return value;
+      if (typeof value === "string" && value in refs) return refs[value];
+      throw new ScenarioError(`Unknown reference "${value}" (was the step that creates it successful?)`);
+    },
+    // Role scope of a step: its team for team delegates, 0 (contract-wide) otherwise
+    scope: (step) => (step.team === undefined ? 0 : ctx.id(step.team)),
+    expects: (step, ...keys) => keys.some((key) => step.expect && key in step.expect),
+    // Optionally wait for the gateway and report how the request ended
+    async settle(client, requestId, step) {
+      if (step.wait === false) return { requestId };
+      const status = await waitForDecryption(hre, client, requestId);
+      return { requestId, decryption: status.completed ? "completed" : "timedOut" };
+    },
+  };
+
+  const results = [];
+
+  for (const [i, step] of scenario.steps.entries()) {
+    const action = ACTIONS[step.action];
+    const label = step.label || action.describe(step);
+    const actor = step.as ? ` (as ${step.as})` : "";
+    const expect = step.expect || {};
+    const result = { index: i + 1, label, passed: false };
+
+    try {
+      let outcome;
+      try {
+        outcome = await action.run(ctx, step);
+      } catch (error) {
+        if (error instanceof ScenarioError || !expect.revert) throw error;
+
+        const reason = getRevertReason(error);
+        if (!reason || !reason.startsWith(expect.revert)) {
+          throw new ExpectationError(
+            `expected revert "${expect.revert}", got ${reason ? `"${reason}"` : error.shortMessage || error.message}`
+          );
+        }
+        outcome = { reverted: reason };
+      }
+
+      if (!outcome.reverted) {
+        if (expect.revert) {
+          throw new ExpectationError(`expected revert "${expect.revert}", but the step succeeded`);
+        }
+        if (step.ref !== undefined && outcome.id !== undefined) {
+          refs[step.ref] = outcome.id;
+        }
+        if (outcome.receipt) {
+          result.gasUsed = outcome.receipt.gasUsed;
+          checkEvents(baseClient, outcome.receipt, expect.events || []);
+        }
+        checkObserved(outcome.observed || {}, expect, (value) => {
+          if (typeof value !== "string") return value;
+          if (value in refs) return refs[value];
+          return actors[value] ? actors[value].address : value;
+        });
+      }
+
+      result.passed = true;
+      log(`   ✅ ${result.index}. ${label}${actor}${outcome.reverted ? ` → reverted "${outcome.reverted}"` : ""}`);
+    } catch (error) {
+      const reason = getRevertReason(error);
+      if (error instanceof ExpectationError || error instanceof ScenarioError) {
+        result.error = error.message;
+      } else {
+        result.error = reason ? `unexpected revert "${reason}"` : `unexpected error: ${error.shortMessage || error.message}`;
+      }
+      log(`   ❌ ${result.index}. ${label}${actor}`);
+      log(`      ${result.error}`);
+    }
+
+    results.push(result);
+  }
+
+  return { name: scenario.name, contractAddress, results };
+}
+
+// Every expected event name must appear in the receipt
+function checkEvents(client, receipt, expectedEvents) {
+  const emitted = receipt.logs
+    .map((log) => {
+      try {
+        return client.contract.interface.parseLog(log)?.name;
+      } catch {
+        return null;
+      }
+    })
+    .filter(Boolean);
+
+  for (const name of expectedEvents) {
+    if (!emitted.includes(name)) {
+      throw new ExpectationError(`expected event ${name}, emitted: ${emitted.join(", ") || "none"}`);
+    }
+  }
+}
+
+// Compare every expected state field with the observed value
+function checkObserved(observed, expect, resolve) {
+  for (const [key, expected] of Object.entries(expect)) {
+    if (RESERVED_EXPECTATIONS.includes(key)) continue;
+
+    if (!(key in observed)) {
+      throw new ExpectationError(`"${key}" cannot be checked by this action (available: ${Object.keys(observed).join(", ") || "none"})`);
+    }
+    const value = resolve(expected);
+    if (!sameValue(observed[key], value)) {
+      throw new ExpectationError(`expected ${key} = ${value}, got ${observed[key]}`);
+    }
+  }
+}
@@ -0,0 +1,79 @@
+import hre from "hardhat";
+import { getClient, loadDeployment } from "./lib/deployment.js";
+import { isLocalGateway, relayPendingDecryptions } from "./lib/gateway.js";
+
+/**
+ * Local decryption gateway for a Hardhat node
+ * Watches ConfidentialSportsContract for decryption requests and relays them
+ * through the mock decryption oracle so gateway callbacks fire locally.
+ *
+ * Usage: npx hardhat node, then in another terminal
+ *        npx hardhat run scripts/mock-gateway.js --network localhost
+ */
+
+const POLL_INTERVAL_MS = Number(process.env.GATEWAY_POLL_MS || 2000);
+
+// Delay helper
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Log decryption events emitted between two blocks
+async function logDecryptionEvents(client, fromBlock, toBlock) {
+  const { contract } = client;
+
+  const requested = await contract.queryFilter(contract.filters.DecryptionRequested(), fromBlock, toBlock);
+  for (const event of requested) {
+    const { requestId, requestType, targetId } = event.args;
+    console.log(`   📥 Request ${requestId}: ${requestType} #${targetId} (block ${event.blockNumber})`);
+  }
+
+  const completed = await contract.queryFilter(contract.filters.DecryptionCompleted(), fromBlock, toBlock);
+  for (const event of completed) {
+    console.log(`   ✅ Request ${event.args.requestId} answered (block ${event.blockNumber})`);
+  }
+}
+
+async function main() {
+  console.log("╔════════════════════════════════════════════════════════════╗");
+  console.log("║   Confidential Sports Contract - Mock Decryption Gateway  ║");
+  console.log("╚════════════════════════════════════════════════════════════╝");
+  console.log();
+
+  const network = hre.network.name;
+  const deployment = loadDeployment(hre);
+  const client = await getClient(hre);
+
+  if (!isLocalGateway(hre)) {
+    throw new Error(`Network ${network} uses the Zama gateway; the mock gateway only runs against a Hardhat node`);
+  }
+
+  console.log(`📡 Network: ${network}`);
+  console.log(`📍 Contract: ${deployment.contractAddress}`);
+  console.log(`⏱️  Poll interval: ${POLL_INTERVAL_MS}ms`);
+  console.log();
+  console.log("👀 Watching for decryption requests (Ctrl+C to stop)...");
+
+  let lastBlock = await hre.ethers.provider.getBlockNumber();
+
+  for (;;) {
+    await relayPendingDecryptions(hre);
+
+    const currentBlock = await hre.ethers.provider.getBlockNumber();
+    if (currentBlock > lastBlock) {
+      await logDecryptionEvents(client, lastBlock + 1, currentBlock);
+      lastBlock = currentBlock;
+    }
+
+    await delay(POLL_INTERVAL_MS);
+  }
+}
+
+// Execute gateway (runs until interrupted)
+main().catch((error) => {
+  console.error();
+  console.error("❌ Mock Gateway Failed!");
+  console.error();
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,469 @@
+import fs from "fs";
+import path from "path";
+import hre from "hardhat";
+import { BONUS_STATS, ROLES, SportsContractClient } from "../public/lib/sportsContractClient.js";
+import { OPEN_LEAGUE_RULES } from "../public/lib/leagueRules.js";
+import { deploySportsContract, readContractAbi } from "./lib/deployment.js";
+import { relayPendingDecryptions, waitForDecryption } from "./lib/gateway.js";
+import {
+  compareProfiles,
+  formatChange,
+  formatRosterSize,
+  limitReason,
+  measureReceipt,
+  renderProfileMarkdown,
+} from "./lib/profiling.js";
+
+/**
+ * Gas and HCU profile of ConfidentialSportsContract
+ * Deploys a fresh contract per roster size, drives every external function
+ * once on a team of that size and records gas, FHE operations and HCU.
+ * Writes benchmarks/profile-latest.{json,md} and compares it with
+ * benchmarks/profile-baseline.json; exits with code 1 on a regression.
+ *
+ * Usage: npx hardhat run scripts/profile-gas.js --network localhost
+ *        PROFILE_SIZES=1,10,25,50 (roster sizes)
+ *        PROFILE_TOLERANCE=<percent> allowed increase before a change is a regression (default: 2)
+ *        PROFILE_BASELINE=<file> profile to compare with (default: benchmarks/profile-baseline.json)
+ *        PROFILE_UPDATE_BASELINE=true writes the run to the baseline files instead
+ */
+
+const SIZES = (process.env.PROFILE_SIZES || "1,10,25,50").split(",").map(Number);
+const TOLERANCE = Number(process.env.PROFILE_TOLERANCE || 2) / 100;
+const BASELINE_FILE = process.env.PROFILE_BASELINE || path.join("benchmarks", "profile-baseline.json");
+const UPDATE_BASELINE = process.env.PROFILE_UPDATE_BASELINE === "true";
+
+const ONE_HOUR = 60 * 60;
+const THIRTY_DAYS = 30 * 24 * ONE_HOUR;
+
+// Raised when a call hits the HCU or gas limit; later calls depend on it
+class LimitReached extends Error {}
+
+// Display section header
+function displaySection(title) {
+  console.log();
+  console.log("═".repeat(60));
+  console.log(`  ${title}`);
+  console.log("═".repeat(60));
+  console.log();
+}
+
+// Advance the node's clock
+async function increaseTime(seconds) {
+  await hre.network.provider.send("evm_increaseTime", [seconds]);
+  await hre.network.provider.send("evm_mine");
+}
+
+// Receipt of the gateway transaction that answered a decryption request
+async function callbackReceipt(client, requestId) {
+  const [log] = await client.contract.queryFilter(client.contract.filters.DecryptionCompleted(requestId));
+  if (!log) throw new Error(`No callback found for decryption request ${requestId}`);
+  return log.getTransactionReceipt();
+}
+
+// Placeholder arguments for a view function: IDs and indexes as `id`, addresses as `address`
+function placeholderArgs(fragment, id, address) {
+  return fragment.inputs.map((input) => (input.baseType === "address" ? address : id));
+}
+
+// Profile a roster, stopping at the first call that hits a limit
+async function profileRoster(size, signers) {
+  const measurements = {};
+  try {
+    await profileFunctions(size, signers, measurements);
+    return { rosterSize: size, measurements };
+  } catch (error) {
+    if (!(error instanceof LimitReached)) throw error;
+    return { rosterSize: size, measurements, blocked: error.message };
+  }
+}
+
+// Build a team of `size` athletes and profile every external function on it
+async function profileFunctions(size, [owner, manager, athlete, otherManager], measurements) {
+  const instance = await deploySportsContract(hre, owner);
+  const deployed = new hre.ethers.Contract(await instance.getAddress(), await readContractAbi(hre), owner);
+
+  const client = new SportsContractClient(await deployed.getAddress(), owner, { fhe: hre.fhevm });
+  const managerClient = client.connect(manager);
+  const athleteClient = client.connect(athlete);
+  const otherClient = client.connect(otherManager);
+  const views = deployed.connect(manager);
+  let step = "";
+
+  // Measure a transaction; a call stopped by a limit is recorded before stopping the roster
+  const record = async (name, kind, send) => {
+    try {
+      const result = await send();
+      const receipt = result.receipt ?? result;
+      measurements[name] = { kind, ...(await measureReceipt(hre, receipt)) };
+      return result;
+    } catch (error) {
+      const reason = limitReason(error);
+      if (!reason) throw new Error(`${name} failed with ${size} athletes: ${error.shortMessage || error.message}`);
+      measurements[name] = { kind, error: `${reason}${step}` };
+      throw new LimitReached(`${name}: ${reason}${step}`);
+    }
+  };
+
+  // Gas estimate of a view function
+  const view = async (name, args) => {
+    measurements[name] = {
+      kind: "view",
+      gas: Number(await views[name].estimateGas(...args)),
+      fheOperations: {},
+      fheOperationCount: 0,
+      hcu: 0,
+      hcuDepth: 0,
+    };
+  };
+
+  // Open rules so that only the roster size drives the measurements
+  const { leagueId } = await record("createLeague", "transaction", () =>
+    client.createLeague({ name: "PROF", commissioner: owner.address, rules: OPEN_LEAGUE_RULES })
+  );
+  await record("updateLeagueRules", "transaction", () =>
+    client.updateLeagueRules({ leagueId, rules: { ...OPEN_LEAGUE_RULES, maxContractMonths: 60 } })
+  );
+  await record("setLeagueCommissioner", "transaction", () =>
+    client.setLeagueCommissioner({ leagueId, commissioner: owner.address })
+  );
+
+  const { teamId } = await record("registerTeam", "transaction", () =>
+    client.registerTeam({ teamName: "Profile Team", leagueId, teamManager: manager.address, salaryCap: 4_000_000_000 })
+  );
+  const other = await client.registerTeam({
+    teamName: "Other Team",
+    leagueId,
+    teamManager: otherManager.address,
+    salaryCap: 4_000_000_000,
+  });
+
+  // The registration that makes the roster reach `size` is the measured one
+  for (let i = 1; i <= size; i++) {
+    step = ` at athlete ${i}`;
+    await record("registerAthlete", "transaction", () =>
+      managerClient.registerAthlete({
+        name: `Athlete ${i}`,
+        position: "Guard",
+        teamId,
+        athleteAddress: athlete.address,
+        salary: 1_000_000,
+        bonus: 100_000,
+        durationMonths: 12,
+      })
+    );
+  }
+  step = "";
+
+  await record("updateAthleteSalary", "transaction", () =>
+    managerClient.updateAthleteSalary({ athleteId: 1, salary: 1_200_000, bonus: 150_000 })
+  );
+
+  const offer = { athleteId: 1, teamId, salary: 1_500_000, bonus: 200_000, durationMonths: 24 };
+
+  // Approved offer, with the gateway callback
+  const { proposalId } = await record("proposeContract", "transaction", () => managerClient.proposeContract(offer));
+  const { requestId } = await record("requestProposalDecryption", "transaction", () =>
+    athleteClient.requestProposalDecryption(proposalId)
+  );
+  await waitForDecryption(hre, athleteClient, requestId);
+  await record("proposalDecryptionCallback", "callback", () => callbackReceipt(client, requestId));
+  await record("approveContract", "transaction", () => athleteClient.approveContract(proposalId));
+
+  // Rejected offer
+  const rejected = await managerClient.proposeContract(offer);
+  const rejectedRequest = await athleteClient.requestProposalDecryption(rejected.proposalId);
+  await waitForDecryption(hre, athleteClient, rejectedRequest.requestId);
+  await record("rejectContract", "transaction", () => athleteClient.rejectContract(rejected.proposalId));
+
+  // Sealed minimum: the team's counter-offer below is matched against it
+  await record("setReservationSalary", "transaction", () =>
+    athleteClient.setReservationSalary({ athleteId: 1, minimumSalary: 1_600_000 })
+  );
+
+  // Negotiated offer: the athlete counters and the team counters back
+  const negotiated = await managerClient.proposeContract(offer);
+  const counter = await record("counterProposal", "transaction", () =>
+    athleteClient.counterProposal({ ...offer, proposalId: negotiated.proposalId, salary: 1_800_000 })
+  );
+  const matched = await managerClient.counterProposal({ ...offer, proposalId: counter.proposalId, salary: 1_650_000 });
+
+  // Salary cap check and its attestation
+  await record("checkSalaryCap", "transaction", () => managerClient.checkSalaryCap(teamId));
+  const attestation = await record("requestSalaryCapAttestation", "transaction", () =>
+    managerClient.requestSalaryCapAttestation(teamId)
+  );
+  await waitForDecryption(hre, managerClient, attestation.requestId);
+  await record("salaryCapDecryptionCallback", "callback", () => callbackReceipt(client, attestation.requestId));
+
+  await view("getAthleteInfo", [1]);
+  await view("getEncryptedCompensation", [1]);
+  await view("getTeamInfo", [teamId]);
+  await view("getEncryptedPayroll", [teamId]);
+  await view("getSalaryCapCompliance", [teamId]);
+  await view("getProposalInfo", [proposalId]);
+  await view("getProposalOffer", [proposalId]);
+  await view("getDecryptionStatus", [requestId]);
+  await view("getCurrentStats", []);
+  await view("getMyAthletes", [athlete.address]);
+  await view("getMyTeams", [manager.address]);
+  await view("getAthleteProposals", [1]);
+  await view("getNegotiationInfo", [counter.negotiationId]);
+  await view("getNegotiationRounds", [counter.negotiationId]);
+  await view("getTeamNegotiations", [teamId]);
+  await view("getAthleteNegotiations", [1]);
+  await view("getReservationMatch", [matched.proposalId]);
+  await view("getReservationSalary", [1]);
+
+  // Trades of athletes from the other team: one completed, one rejected, one cancelled
+  const transferable = { name: "Trade Target", position: "Guard", teamId: other.teamId, athleteAddress: athlete.address };
+  const compensation = { salary: 1_000_000, bonus: 100_000, durationMonths: 12 };
+  const traded = await otherClient.registerAthlete({ ...transferable, ...compensation });
+  const { tradeId } = await record("proposeTrade", "transaction", () =>
+    managerClient.proposeTrade({ athleteId: traded.athleteId, toTeamId: teamId })
+  );
+  await record("acceptTrade", "transaction", () => otherClient.acceptTrade(tradeId));
+  const tradeCheck = await record("requestTradeCheck", "transaction", () => managerClient.requestTradeCheck(tradeId));
+  await waitForDecryption(hre, managerClient, tradeCheck.requestId);
+  await record("tradeCheckCallback", "callback", () => callbackReceipt(client, tradeCheck.requestId));
+  await record("consentToTrade", "transaction", () => athleteClient.consentToTrade(tradeId));
+
+  const untraded = await otherClient.registerAthlete({ ...transferable, ...compensation });
+  const declined = await managerClient.proposeTrade({ athleteId: untraded.athleteId, toTeamId: teamId });
+  await record("rejectTrade", "transaction", () => athleteClient.rejectTrade(declined.tradeId));
+  const withdrawn = await managerClient.proposeTrade({ athleteId: untraded.athleteId, toTeamId: teamId });
+  await record("cancelTrade", "transaction", () => managerClient.cancelTrade(withdrawn.tradeId));
+
+  await view("getTradeInfo", [tradeId]);
+  await view("getTradeCheck", [tradeId]);
+  await view("getTeamTrades", [teamId]);
+  await view("getAthleteTrades", [traded.athleteId]);
+  await view("tradesByAthlete", [traded.athleteId, 0]);
+
+  // A delegate of the team, an auditor who steps down and a two-step ownership hand-over and back
+  await record("grantRole", "transaction", () =>
+    managerClient.grantRole({ role: "teamDelegate", account: otherManager.address, scopeId: teamId })
+  );
+  await view("hasRole", [ROLES.teamDelegate, teamId, otherManager.address]);
+  await view("getRoleMembers", [ROLES.teamDelegate, teamId]);
+  await record("revokeRole", "transaction", () =>
+    managerClient.revokeRole({ role: "teamDelegate", account: otherManager.address, scopeId: teamId })
+  );
+  await client.grantRole({ role: "auditor", account: athlete.address });
+  await record("renounceRole", "transaction", () => athleteClient.renounceRole({ role: "auditor" }));
+  await record("transferOwnership", "transaction", () => client.transferOwnership(otherManager.address));
+  await record("acceptOwnership", "transaction", () => otherClient.acceptOwnership());
+  await otherClient.transferOwnership(owner.address);
+  await client.acceptOwnership();
+
+  // Audits of the whole roster: one refreshed and completed, one closed by the commissioner
+  await client.grantRole({ role: "auditor", account: otherManager.address });
+  await otherClient.checkSalaryCap(teamId);
+  await view("getRoleComplianceCheck", [teamId, otherManager.address]);
+  const { auditId } = await record("openAudit", "transaction", () =>
+    client.openAudit({ teamId, auditor: otherManager.address, window: THIRTY_DAYS })
+  );
+  await record("refreshAudit", "transaction", () => otherClient.refreshAudit(auditId));
+  await record("recordAuditResult", "transaction", () =>
+    otherClient.recordAuditResult({ auditId, compliant: true, reportHash: hre.ethers.id("profile report") })
+  );
+  const closed = await client.openAudit({ teamId, auditor: otherManager.address, window: THIRTY_DAYS });
+  await record("closeAudit", "transaction", () => client.closeAudit(closed.auditId));
+
+  await view("getAuditInfo", [auditId]);
+  await view("getAuditSnapshot", [auditId]);
+  await view("getTeamAudits", [teamId]);
+  await view("getAuditorAudits", [otherManager.address]);
+
+  // Payroll funded in the demo token; runPayroll's first call pays up to MAX_PAYMENTS_PER_RUN athletes
+  const tokenFactory = await hre.ethers.getContractFactory("ConfidentialPayrollToken", owner);
+  const token = await tokenFactory.deploy("Profile Dollar", "PRD");
+  await token.waitForDeployment();
+  await record("setPayrollToken", "transaction", () => client.setPayrollToken(token.target));
+  await client.mintPayrollToken({ to: manager.address, amount: 1_000_000_000 });
+  await managerClient.allowPayrollDeposits({ until: 2 ** 40 });
+  await record("depositPayroll", "transaction", () => managerClient.depositPayroll({ teamId, amount: 500_000_000 }));
+  const firstRun = await record("runPayroll", "transaction", () => managerClient.runPayroll({ teamId, period: 1 }));
+  if (!firstRun.completed) {
+    await managerClient.runPayrollPeriod({ teamId, period: 1 });
+  }
+
+  await view("getPayrollToken", []);
+  await view("getPayrollEscrow", [teamId]);
+  await view("getPayrollRun", [teamId]);
+  await view("getAthletePayments", [1]);
+  await view("getPaymentCount", [1]);
+
+  // A full set of bonus clauses: the last one added and each posted game re-evaluate all of them
+  const maxClauses = Number(await deployed.MAX_BONUS_CLAUSES());
+  for (let index = 1; index < maxClauses; index++) {
+    const stat = BONUS_STATS[index % BONUS_STATS.length];
+    await managerClient.addBonusClause({ athleteId: 1, stat, threshold: index * 10, amount: 10_000 });
+  }
+  await record("addBonusClause", "transaction", () =>
+    managerClient.addBonusClause({ athleteId: 1, stat: "points", threshold: 20, amount: 50_000 })
+  );
+  await client.grantRole({ role: "statsOracle", account: otherManager.address });
+  await record("postGameStats", "transaction", () =>
+    otherClient.postGameStats({ athleteId: 1, gameId: 1, points: 24, assists: 6, rebounds: 9 })
+  );
+
+  await view("getBonusClauses", [1]);
+  await view("getSeasonStats", [1, 1]);
+  await view("getEarnedBonus", [1, 1]);
+  await view("isGameStatsPosted", [1, 1]);
+
+  // Public state getters and any view added later, on the first record or
+  // array index, for the athlete or the manager. Views that revert for every
+  // combination stay in the report's "Not Profiled" list.
+  const getters = [];
+  deployed.interface.forEachFunction((fragment) => {
+    const placeholders = fragment.inputs.every((input) => input.baseType === "address" || input.baseType === "uint256");
+    if (fragment.constant && placeholders && !measurements[fragment.name]) getters.push(fragment);
+  });
+  for (const fragment of getters) {
+    for (const [id, address] of [[1, athlete.address], [0, athlete.address], [1, manager.address], [0, manager.address]]) {
+      try {
+        await view(fragment.name, placeholderArgs(fragment, id, address));
+        break;
+      } catch {
+        // Out of range for these arguments, try the next ones
+      }
+    }
+  }
+
+  // An offer left to expire and a decryption request left unanswered
+  const expiring = await managerClient.proposeContract(offer);
+  const stuck = await managerClient.proposeContract(offer);
+  const stuckRequest = await athleteClient.requestProposalDecryption(stuck.proposalId);
+  await increaseTime(THIRTY_DAYS + ONE_HOUR);
+  await record("emergencyWithdrawProposal", "transaction", () =>
+    managerClient.emergencyWithdrawProposal(expiring.proposalId)
+  );
+  await record("handleDecryptionTimeout", "transaction", () => client.handleDecryptionTimeout(stuckRequest.requestId));
+  // The oracle would replay the timed-out request into the next relay
+  await relayPendingDecryptions(hre).catch(() => {});
+
+  await record("deactivateAthlete", "transaction", () => managerClient.deactivateAthlete(1));
+  await record("startNewSeason", "transaction", () => client.startNewSeason());
+  await record("deactivateTeam", "transaction", () => client.deactivateTeam(teamId));
+  await record("withdrawPayrollEscrow", "transaction", () => managerClient.withdrawPayrollEscrow(teamId));
+}
+
+// Regroup per-roster measurements by function. Functions a blocked roster
+// never reached carry the limit that stopped it.
+function buildProfile(rosters, abiFunctions) {
+  const functions = {};
+  for (const { measurements } of rosters) {
+    for (const [name, { kind }] of Object.entries(measurements)) {
+      functions[name] ??= { kind, sizes: {} };
+    }
+  }
+  for (const { rosterSize, measurements, blocked } of rosters) {
+    for (const [name, entry] of Object.entries(functions)) {
+      const { kind, ...measurement } = measurements[name] ?? { error: blocked };
+      entry.sizes[rosterSize] = measurement;
+    }
+  }
+
+  return {
+    createdAt: new Date().toISOString(),
+    network: hre.network.name,
+    sizes: rosters.map((roster) => roster.rosterSize),
+    functions,
+    notProfiled: abiFunctions.filter((name) => !functions[name]),
+  };
+}
+
+async function main() {
+  console.log("╔════════════════════════════════════════════════════════════╗");
+  console.log("║   Confidential Sports Contract - Gas & HCU Profile        ║");
+  console.log("╚════════════════════════════════════════════════════════════╝");
+  console.log();
+
+  // Scripts only get the mock FHE backend (and debug traces) on a Hardhat node
+  if (hre.network.name !== "localhost") {
+    throw new Error(`The profiler needs a local Hardhat node (--network localhost), not "${hre.network.name}"`);
+  }
+  await hre.fhevm.initializeCLIApi();
+  await relayPendingDecryptions(hre).catch(() => {});
+
+  const signers = await hre.ethers.getSigners();
+  console.log(`📡 Network: ${hre.network.name}`);
+  console.log(`📏 Roster sizes: ${SIZES.join(", ")}`);
+
+  displaySection("Profiling");
+
+  const rosters = [];
+  for (const size of SIZES) {
+    const roster = await profileRoster(size, signers);
+    rosters.push(roster);
+    const hcu = Object.values(roster.measurements).reduce((total, measurement) => total + (measurement.hcu ?? 0), 0);
+    console.log(
+      roster.blocked
+        ? `   ⚠️  Roster of ${size}: ${roster.blocked}`
+        : `   ✅ Roster of ${size}: ${Object.keys(roster.measurements).length} functions, ${hcu.toLocaleString("en-US")} HCU in total`
+    );
+  }
+
+  const abi = await readContractAbi(hre);
+  const profile = buildProfile(
+    rosters,
+    abi.filter((entry) => entry.type === "function").map((entry) => entry.name)
+  );
+
+  const root = hre.config.paths.root;
+  const baselineFile = path.resolve(root, BASELINE_FILE);
+  const outputFile = UPDATE_BASELINE ? baselineFile : path.join(root, "benchmarks", "profile-latest.json");
+
+  let comparison = null;
+  if (!UPDATE_BASELINE && fs.existsSync(baselineFile)) {
+    const baseline = JSON.parse(fs.readFileSync(baselineFile, "utf8"));
+    comparison = { baseline: path.relative(root, baselineFile), ...compareProfiles(profile, baseline, TOLERANCE) };
+  }
+
+  fs.mkdirSync(path.dirname(outputFile), { recursive: true });
+  fs.writeFileSync(outputFile, JSON.stringify(profile, null, 2) + "\n");
+  const markdownFile = outputFile.replace(/\.json$/, ".md");
+  fs.writeFileSync(markdownFile, renderProfileMarkdown(profile, comparison));
+
+  displaySection("Profile Report");
+
+  console.log(`💾 JSON: ${path.relative(root, outputFile)}`);
+  console.log(`📝 Markdown: ${path.relative(root, markdownFile)}`);
+  if (profile.notProfiled.length) {
+    console.log(`ℹ️  Not profiled: ${profile.notProfiled.join(", ")}`);
+  }
+  console.log();
+
+  if (!comparison) {
+    console.log(UPDATE_BASELINE ? "📌 Baseline updated" : `ℹ️  No baseline at ${BASELINE_FILE}, nothing compared`);
+    return 0;
+  }
+
+  for (const row of comparison.rows) {
+    const changes = Object.entries(row.changes).map(([metric, { before, after, change }]) =>
+      metric === "error" ? `${before ?? "ok"} → ${after ?? "ok"}` : `${metric} ${before} → ${after} (${formatChange(change)})`
+    );
+    console.log(`   ${row.regression ? "❌" : "ℹ️ "} ${row.function} (${formatRosterSize(row.rosterSize)}): ${changes.join(", ")}`);
+  }
+  if (!comparison.rows.length) {
+    console.log("✅ No change from the baseline");
+  } else if (!comparison.regressions.length) {
+    console.log(`✅ No regression beyond ${(TOLERANCE * 100).toFixed(1)}%`);
+  } else {
+    console.log(`❌ ${comparison.regressions.length} regression(s) beyond ${(TOLERANCE * 100).toFixed(1)}% of ${comparison.baseline}`);
+  }
+  return comparison.regressions.length;
+}
+
+// Execute profiler
+main()
+  .then((regressions) => process.exit(regressions ? 1 : 0))
+  .catch((error) => {
+    console.error();
+    console.error("❌ Profiling Failed!");
+    console.error();
+    console.error(error);
+    process.exit(1);
+  });
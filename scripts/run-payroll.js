@@ -0,0 +1,123 @@
+import hre from "hardhat";
+import { getClient, loadDeployment } from "./lib/deployment.js";
+
+/**
+ * Payroll runner for ConfidentialSportsContract
+ * Pays each team's athletes for the next payroll periods: calls runPayroll
+ * until every period is complete, MAX_PAYMENTS_PER_RUN athletes per call.
+ * On a local Hardhat node it advances the clock to the next due date, so a
+ * season's worth of periods runs in one go; elsewhere teams whose next period
+ * is not due yet are skipped. A period left incomplete (e.g. by a failed call)
+ * is finished first. Runs as the first account, which must be an admin or
+ * the teams' manager.
+ *
+ * Usage: npx hardhat run scripts/run-payroll.js --network localhost
+ *        PAYROLL_TEAMS=1,3   teams to pay (default: every active team)
+ *        PAYROLL_PERIODS=12  periods to run per team (default: 1)
+ */
+
+const LOCAL_NETWORKS = ["hardhat", "localhost"];
+const PERIODS = Number(process.env.PAYROLL_PERIODS || 1);
+
+// Team IDs from PAYROLL_TEAMS, or every active team
+async function selectTeams(client) {
+  if (process.env.PAYROLL_TEAMS) {
+    return process.env.PAYROLL_TEAMS.split(",").map((id) => Number(id.trim()));
+  }
+  const { teams } = await client.getRecordCounts();
+  const ids = [];
+  for (let teamId = 1; teamId <= teams; teamId++) {
+    const team = await client.getTeamRecord(teamId);
+    if (team.isActive) ids.push(teamId);
+  }
+  return ids;
+}
+
+function formatDate(timestamp) {
+  return new Date(timestamp * 1000).toISOString().slice(0, 16).replace("T", " ");
+}
+
+// Run the team's next period, or finish the current one; false when it is not due
+async function payTeam(client, teamId, local) {
+  const run = await client.getPayrollRun(teamId);
+  const period = run.nextPeriod;
+  const resuming = period === run.period;
+
+  if (!resuming && run.nextDueAt) {
+    const { timestamp } = await hre.ethers.provider.getBlock("latest");
+    if (timestamp < run.nextDueAt) {
+      if (!local) {
+        console.log(`   ⏳ Team ${teamId}: period ${period} not due until ${formatDate(run.nextDueAt)}`);
+        return false;
+      }
+      await hre.ethers.provider.send("evm_setNextBlockTimestamp", [run.nextDueAt]);
+      await hre.ethers.provider.send("evm_mine", []);
+    }
+  }
+
+  const { paid, receipts } = await client.runPayrollPeriod({ teamId, period });
+  const gas = receipts.reduce((total, receipt) => total + receipt.gasUsed, 0n);
+  console.log(
+    `   💸 Team ${teamId}: period ${period}${resuming ? " (resumed)" : ""} paid ${paid.length} athlete(s) ` +
+      `in ${receipts.length} call(s), ${gas.toLocaleString("en-US")} gas`
+  );
+  return true;
+}
+
+async function main() {
+  console.log("╔════════════════════════════════════════════════════════════╗");
+  console.log("║   Confidential Sports Contract - Payroll Runner           ║");
+  console.log("╚════════════════════════════════════════════════════════════╝");
+  console.log();
+
+  if (!Number.isInteger(PERIODS) || PERIODS < 1) {
+    throw new Error(`PAYROLL_PERIODS must be a positive integer, got "${process.env.PAYROLL_PERIODS}"`);
+  }
+
+  const network = hre.network.name;
+  const local = LOCAL_NETWORKS.includes(network);
+  const deployment = loadDeployment(hre);
+  const client = await getClient(hre);
+  const token = await client.getPayrollToken();
+  if (!token) {
+    throw new Error("No payroll token set on the contract; deploy one or call setPayrollToken first");
+  }
+  const teamIds = await selectTeams(client);
+
+  console.log(`📡 Network: ${network}`);
+  console.log(`📍 Contract: ${deployment.contractAddress}`);
+  console.log(`💵 Token: ${token.name} (${token.symbol}) at ${token.address}`);
+  console.log(`👥 Teams: ${teamIds.length ? teamIds.join(", ") : "none"}`);
+  console.log(`🗓️  Periods: ${PERIODS}${local ? " (advancing the local clock as needed)" : ""}`);
+  console.log();
+
+  let runs = 0;
+  for (let i = 1; i <= PERIODS; i++) {
+    console.log(`📆 Round ${i} of ${PERIODS}`);
+    let due = false;
+    for (const teamId of teamIds) {
+      if (await payTeam(client, teamId, local)) {
+        runs++;
+        due = true;
+      }
+    }
+    console.log();
+    // Off a local node, later rounds could only find the same periods not due
+    if (!due) break;
+  }
+
+  console.log("════════════════════════════════════════════════════════════");
+  console.log(`✨ ${runs} payroll period(s) run`);
+  console.log("════════════════════════════════════════════════════════════");
+}
+
+// Execute runner
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error();
+    console.error("❌ Payroll Run Failed!");
+    console.error();
+    console.error(error);
+    process.exit(1);
+  });
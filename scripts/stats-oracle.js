@@ -0,0 +1,168 @@
+import { parseArgs } from "node:util";
+import path from "path";
+import { loadGameStats, replayGameStats, validateGameStats } from "./lib/gameStats.js";
+import { describeContractError } from "./lib/errors.js";
+
+/**
+ * Local stats oracle for ConfidentialSportsContract
+ * Replays a game stats CSV into the contract with postGameStats, as an account
+ * holding STATS_ORACLE_ROLE, so bonus clauses can be exercised without a live
+ * stats feed. Every post re-evaluates the athlete's encrypted bonus clauses.
+ * Rows already on-chain are skipped, so re-running the same file after an
+ * interruption posts only what is missing.
+ *
+ * Usage: node scripts/stats-oracle.js <stats.csv> --network localhost
+ *        [--account <oracleIndex>] [--interval <ms>] [--dry-run]
+ *
+ * See scripts/lib/gameStats.js for the file format.
+ */
+
+const USAGE = `Usage: node scripts/stats-oracle.js <file> [options]
+
+Options:
+  --network <name>    Hardhat network (default: HARDHAT_NETWORK or hardhat)
+  --account <index>   Signer index of the stats oracle (default: 0)
+  --interval <ms>     Pause between games, to replay at a feed's pace (default: 0)
+  --dry-run           Validate the file and print the plan without sending transactions
+  -h, --help          Show this help
+
+The account must hold the stats oracle role, granted by an admin:
+  node scripts/interact.js role grant stats-oracle --address <oracle>`;
+
+const OPTIONS = {
+  network: { type: "string" },
+  account: { type: "string", default: "0" },
+  interval: { type: "string", default: "0" },
+  "dry-run": { type: "boolean", default: false },
+  help: { type: "boolean", short: "h", default: false },
+};
+
+// Error for invalid command-line usage (printed without a stack trace)
+class UsageError extends Error {}
+
+async function main() {
+  let parsed;
+  try {
+    parsed = parseArgs({ options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  const { values, positionals } = parsed;
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (positionals.length !== 1) {
+    throw new UsageError("Expected exactly one game stats file");
+  }
+  if (!/^\d+$/.test(values.interval)) {
+    throw new UsageError(`--interval must be a number of milliseconds, got "${values.interval}"`);
+  }
+
+  console.log("╔════════════════════════════════════════════════════════════╗");
+  console.log("║   Confidential Sports Contract - Stats Oracle             ║");
+  console.log("╚════════════════════════════════════════════════════════════╝");
+  console.log();
+
+  const statsFile = path.resolve(positionals[0]);
+  const { games, errors } = validateGameStats(loadGameStats(statsFile));
+
+  if (errors.length) {
+    console.error(`❌ ${errors.length} validation error(s) in ${statsFile}:`);
+    errors.forEach((error) => console.error(`   - ${error}`));
+    process.exit(1);
+  }
+  const gameIds = new Set(games.map((row) => row.gameId));
+  const athleteIds = [...new Set(games.map((row) => row.athleteId))];
+  console.log(`📄 File: ${statsFile}`);
+  console.log(`📋 ${games.length} stat lines: ${gameIds.size} games, ${athleteIds.length} athletes`);
+  console.log();
+
+  if (values["dry-run"]) {
+    console.log("✅ Game stats are valid (dry run, nothing was sent)");
+    return;
+  }
+
+  // Hardhat reads the network when it is first imported
+  if (values.network) {
+    process.env.HARDHAT_NETWORK = values.network;
+  }
+  const { default: hre } = await import("hardhat");
+  const { getClient, loadDeployment } = await import("./lib/deployment.js");
+
+  const signers = await hre.ethers.getSigners();
+  const oracle = signers[Number(values.account)];
+  if (!/^\d+$/.test(values.account) || !oracle) {
+    throw new UsageError(`--account ${values.account} is not one of the ${signers.length} configured accounts`);
+  }
+
+  const deployment = loadDeployment(hre);
+  const client = await getClient(hre, oracle);
+  if (!(await client.hasRole("statsOracle", oracle.address))) {
+    console.error(`❌ ${oracle.address} does not hold the stats oracle role`);
+    console.error("   Grant it as an admin: node scripts/interact.js role grant stats-oracle --address <oracle>");
+    process.exit(1);
+  }
+
+  const season = await client.getCurrentSeason();
+  console.log(`📡 Network: ${hre.network.name}`);
+  console.log(`📍 Contract: ${deployment.contractAddress}`);
+  console.log(`👤 Oracle: ${oracle.address}`);
+  console.log(`🗓️  Season: ${season}`);
+  console.log();
+
+  let currentGame = null;
+  const onRow = (row, status) => {
+    if (row.gameId !== currentGame) {
+      currentGame = row.gameId;
+      console.log(`🏀 Game ${row.gameId}`);
+    }
+    const line = `athlete ${row.athleteId}: ${row.points} pts, ${row.assists} ast, ${row.rebounds} reb`;
+    if (status === "posted") {
+      console.log(`   ✅ ${line}`);
+    } else {
+      console.log(`   ⏭️  ${line} (${status}, ${row.location})`);
+    }
+  };
+  const counts = await replayGameStats(client, games, { onRow, interval: Number(values.interval) });
+
+  console.log();
+  console.log("════════════════════════════════════════════════════════════");
+  console.log("✨ Replay Complete!");
+  console.log("════════════════════════════════════════════════════════════");
+  console.log(`   Posted now: ${counts.posted}`);
+  console.log(`   Already posted: ${counts.alreadyPosted}`);
+  console.log(`   Inactive athletes skipped: ${counts.inactive}`);
+  console.log();
+  console.log(`📊 Season ${season} totals:`);
+  for (const athleteId of athleteIds) {
+    const stats = await client.getSeasonStats(athleteId, season);
+    console.log(
+      `   Athlete ${athleteId}: ${stats.gamesPlayed} games, ${stats.points} pts, ` +
+        `${stats.assists} ast, ${stats.rebounds} reb`
+    );
+  }
+  console.log("   Earned bonuses are encrypted: athletes and managers see them with interact.js bonus show --decrypt");
+  console.log();
+}
+
+// Execute replay
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    if (error instanceof UsageError) {
+      console.error(`❌ ${error.message}`);
+      console.error();
+      console.error(USAGE);
+      process.exit(2);
+    }
+
+    const { hint, message } = describeContractError(error);
+    console.error();
+    console.error("❌ Replay Failed!");
+    console.error(`   ${message}`);
+    if (hint) console.error(`   💡 ${hint}`);
+    console.error("   Re-run the same command to post the remaining rows.");
+    process.exit(1);
+  });
@@ -0,0 +1,167 @@
+import hre from "hardhat";
+import { getClient, loadDeployment, loadState, saveState } from "./lib/deployment.js";
+
+/**
+ * Decryption timeout keeper for ConfidentialSportsContract
+ * Follows DecryptionRequested / DecryptionCompleted events, tracks open
+ * requests and calls handleDecryptionTimeout once DECRYPTION_TIMEOUT elapsed.
+ * Progress is saved to deployments/<network>-timeout-keeper.json.
+ *
+ * Usage: npx hardhat run scripts/timeout-keeper.js --network sepolia
+ *        KEEPER_ONCE=true runs a single pass (e.g. from cron)
+ */
+
+const STATE_NAME = "timeout-keeper";
+const POLL_INTERVAL_MS = Number(process.env.KEEPER_POLL_MS || 60000);
+const RUN_ONCE = process.env.KEEPER_ONCE === "true";
+// Public RPCs cap the block range of eth_getLogs
+const MAX_BLOCK_RANGE = 5000;
+
+// Delay helper
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Record newly requested and answered decryptions between two blocks
+async function syncEvents(client, state, toBlock) {
+  const { contract } = client;
+
+  for (let fromBlock = state.lastBlock + 1; fromBlock <= toBlock; fromBlock += MAX_BLOCK_RANGE) {
+    const endBlock = Math.min(fromBlock + MAX_BLOCK_RANGE - 1, toBlock);
+
+    const requested = await contract.queryFilter(contract.filters.DecryptionRequested(), fromBlock, endBlock);
+    for (const event of requested) {
+      const requestId = event.args.requestId.toString();
+      console.log(`   📥 Request ${requestId}: ${event.args.requestType} #${event.args.targetId}`);
+      state.open[requestId] = {
+        requestType: event.args.requestType,
+        targetId: Number(event.args.targetId),
+        blockNumber: event.blockNumber,
+      };
+    }
+
+    const completed = await contract.queryFilter(contract.filters.DecryptionCompleted(), fromBlock, endBlock);
+    for (const event of completed) {
+      closeRequest(state, event.args.requestId.toString(), "completed");
+    }
+
+    const timedOut = await contract.queryFilter(contract.filters.DecryptionTimedOut(), fromBlock, endBlock);
+    for (const event of timedOut) {
+      closeRequest(state, event.args.requestId.toString(), "timedOut");
+    }
+
+    state.lastBlock = endBlock;
+  }
+}
+
+// Move a request out of the open set
+function closeRequest(state, requestId, outcome) {
+  if (!state.open[requestId]) return;
+
+  delete state.open[requestId];
+  state[outcome].push(requestId);
+  console.log(`   ${outcome === "completed" ? "✅" : "⌛"} Request ${requestId} ${outcome === "completed" ? "completed" : "timed out"}`);
+}
+
+// Expire open requests whose timeout has elapsed on-chain
+async function expireStuckRequests(client, state, timeout) {
+  const latestBlock = await hre.ethers.provider.getBlock("latest");
+
+  for (const requestId of Object.keys(state.open)) {
+    // Events can lag behind state on some RPCs; trust the contract
+    const status = await client.getDecryptionStatus(requestId);
+    if (status.completed) {
+      closeRequest(state, requestId, "completed");
+      continue;
+    }
+    if (status.timedOut) {
+      closeRequest(state, requestId, "timedOut");
+      continue;
+    }
+
+    const expiresAt = status.timestamp + timeout;
+    if (latestBlock.timestamp < expiresAt) continue;
+
+    try {
+      console.log(`   ⏰ Request ${requestId} exceeded the ${timeout}s timeout, calling handleDecryptionTimeout...`);
+      const receipt = await client.handleDecryptionTimeout(requestId);
+      console.log(`   Transaction Hash: ${receipt.hash}`);
+      closeRequest(state, requestId, "timedOut");
+      state.handled.push(requestId);
+    } catch (error) {
+      // Another keeper or a late callback may have closed it first
+      console.error(`   ❌ Error: ${error.shortMessage || error.message}`);
+    }
+  }
+}
+
+// Print completed vs timed-out totals
+function displaySummary(state) {
+  console.log("📊 Keeper Summary:");
+  console.log(`   Last Block: ${state.lastBlock}`);
+  console.log(`   Open Requests: ${Object.keys(state.open).length}`);
+  console.log(`   Completed: ${state.completed.length}`);
+  console.log(`   Timed Out: ${state.timedOut.length} (${state.handled.length} by this keeper)`);
+  console.log();
+}
+
+async function main() {
+  console.log("╔════════════════════════════════════════════════════════════╗");
+  console.log("║   Confidential Sports Contract - Timeout Keeper           ║");
+  console.log("╚════════════════════════════════════════════════════════════╝");
+  console.log();
+
+  const network = hre.network.name;
+  const deployment = loadDeployment(hre);
+  const client = await getClient(hre);
+  const timeout = await client.getDecryptionTimeout();
+
+  const state = loadState(hre, STATE_NAME, {
+    contractAddress: deployment.contractAddress,
+    lastBlock: (deployment.blockNumber || 1) - 1,
+    open: {},
+    completed: [],
+    timedOut: [],
+    handled: [],
+  });
+
+  if (state.contractAddress !== deployment.contractAddress) {
+    throw new Error(
+      `Keeper state belongs to ${state.contractAddress}, not ${deployment.contractAddress}. ` +
+        "Delete the state file to start over."
+    );
+  }
+
+  console.log(`📡 Network: ${network}`);
+  console.log(`📍 Contract: ${deployment.contractAddress}`);
+  console.log(`⏱️  Decryption Timeout: ${timeout}s`);
+  console.log(`🔁 Resuming after block ${state.lastBlock}`);
+  console.log();
+
+  for (;;) {
+    const currentBlock = await hre.ethers.provider.getBlockNumber();
+
+    await syncEvents(client, state, currentBlock);
+    await expireStuckRequests(client, state, timeout);
+
+    const stateFile = saveState(hre, STATE_NAME, state);
+    displaySummary(state);
+
+    if (RUN_ONCE) {
+      console.log(`💾 Progress saved to ${stateFile}`);
+      return;
+    }
+    await delay(POLL_INTERVAL_MS);
+  }
+}
+
+// Execute keeper
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error();
+    console.error("❌ Keeper Failed!");
+    console.error();
+    console.error(error);
+    process.exit(1);
+  });
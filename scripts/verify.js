@@ -1,6 +1,5 @@
 import hre from "hardhat";
-import fs from "fs";
-import path from "path";
+import { getDeploymentFile, loadDeployment, saveDeployment } from "./lib/deployment.js";
 
 /**
  * Verify deployed contract on Etherscan
@@ -24,20 +23,14 @@ async function main() {
   }
 
   // Load deployment information
-  const deploymentFile = path.join(
-    __dirname,
-    "..",
-    "deployments",
-    `${network}-deployment.json`
-  );
-
-  if (!fs.existsSync(deploymentFile)) {
-    console.error(`❌ Error: Deployment file not found: ${deploymentFile}`);
-    console.error("   Please deploy the contract first using: npm run deploy");
+  let deployment;
+  try {
+    deployment = loadDeployment(hre);
+  } catch (error) {
+    console.error(`❌ Error: ${error.message}`);
     process.exit(1);
   }
 
-  const deployment = JSON.parse(fs.readFileSync(deploymentFile, "utf8"));
   const contractAddress = deployment.contractAddress;
 
   console.log("📋 Contract Information:");
@@ -59,13 +52,45 @@ async function main() {
   console.log();
 
   try {
+    // The extension is deployed first and passed to the contract's constructor
+    const contract = await hre.ethers.getContractAt("ConfidentialSportsContract", contractAddress);
+    const extensionAddress = await contract.extension();
+
     // Verify the contract
     await hre.run("verify:verify", {
       address: contractAddress,
-      constructorArguments: [],
+      constructorArguments: [extensionAddress],
       contract: "contracts/ConfidentialSportsContract.sol:ConfidentialSportsContract",
     });
 
+    await hre.run("verify:verify", {
+      address: extensionAddress,
+      constructorArguments: [],
+      contract: "contracts/ConfidentialSportsExtension.sol:ConfidentialSportsExtension",
+    });
+    console.log(`   Extension: ${extensionAddress}`);
+
+    // The payroll extension is deployed by the extension's constructor
+    const extension = await hre.ethers.getContractAt("ConfidentialSportsExtension", extensionAddress);
+    const payrollExtensionAddress = await extension.payrollExtension();
+    await hre.run("verify:verify", {
+      address: payrollExtensionAddress,
+      constructorArguments: [],
+      contract: "contracts/ConfidentialSportsPayrollExtension.sol:ConfidentialSportsPayrollExtension",
+    });
+    console.log(`   Payroll Extension: ${payrollExtensionAddress}`);
+
+    // The demo payroll token, when deploy.js deployed it
+    const payrollToken = deployment.payrollToken;
+    if (payrollToken?.deployed) {
+      await hre.run("verify:verify", {
+        address: payrollToken.address,
+        constructorArguments: [payrollToken.name, payrollToken.symbol],
+        contract: "contracts/ConfidentialPayrollToken.sol:ConfidentialPayrollToken",
+      });
+      console.log(`   Payroll Token: ${payrollToken.address}`);
+    }
+
     console.log();
     console.log("✅ Contract verified successfully!");
     console.log();
@@ -88,9 +113,10 @@ async function main() {
     deployment.verified = true;
     deployment.verificationTime = new Date().toISOString();
     deployment.explorerUrl = explorerUrl;
-    fs.writeFileSync(deploymentFile, JSON.stringify(deployment, null, 2));
+    saveDeployment(hre, deployment);
 
     console.log("💾 Deployment file updated with verification status");
+    console.log(`   File: ${getDeploymentFile(hre)}`);
     console.log();
 
     console.log("════════════════════════════════════════════════════════════");
@@ -1,37 +1,16 @@
 import React, { useState, useEffect } from 'react';
-import { BrowserProvider, Contract } from 'ethers';
-import { FhevmProvider, useFhevmClient, useFhevmInit, useEncryptedInput } from '@fhevm-sdk/core';
-
-// Contract ABI
-const CONTRACT_ABI = [
-  "function contractOwner() view returns (address)",
-  "function currentSeason() view returns (uint256)",
-  "function totalTeams() view returns (uint256)",
-  "function registerTeam(string _teamName, string _league, address _teamManager, bytes32, bytes) returns (uint256)",
-  "function registerAthlete(string _name, string _position, uint256 _teamId, address _athleteAddress, bytes32, bytes, uint256 _contractDurationMonths) returns (uint256)",
-  "function proposeContract(uint256 _athleteId, uint256 _teamId, bytes32, bytes, uint256 _contractDuration) returns (uint256)",
-  "function approveContract(uint256 _proposalId)",
-  "function getAthleteInfo(uint256 _athleteId) view returns (string name, string position, uint256 teamId, bool isActive, uint256 contractStart, uint256 contractEnd, address athleteAddress)",
-  "function getTeamInfo(uint256 _teamId) view returns (string teamName, string league, address teamManager, uint256[] athleteIds, bool isActive)",
-  "function getProposalInfo(uint256 _proposalId) view returns (uint256 athleteId, uint256 teamId, uint256 contractDuration, bool isPending, bool isApproved, address proposer, uint256 timestamp)",
-  "function getCurrentStats() view returns (uint256 season, uint256 totalAthletes, uint256 activeTeams, uint256 totalProposals)",
-  "function checkSalaryCap(uint256 _teamId) view returns (bool)"
-];
+import { SportsContractClient } from '../../public/lib/sportsContractClient.js';
+import { initializeFheInstance } from '../../public/lib/fhevm.js';
 
 const CONTRACT_ADDRESS = "0x0A42624B5d5e1400556a3487f2171423c57519e0";
 
 function SportsContractApp() {
-  const [provider, setProvider] = useState(null);
-  const [signer, setSigner] = useState(null);
-  const [contract, setContract] = useState(null);
+  const [client, setClient] = useState(null);
   const [userAddress, setUserAddress] = useState(null);
   const [stats, setStats] = useState({ season: '-', totalAthletes: '-', activeTeams: '-', totalProposals: '-' });
   const [messages, setMessages] = useState([]);
   const [queryResults, setQueryResults] = useState(null);
 
-  const client = useFhevmClient();
-  const { isInitialized } = useFhevmInit(provider);
-
   useEffect(() => {
     checkWalletConnection();
 
@@ -42,10 +21,10 @@ function SportsContractApp() {
   }, []);
 
   useEffect(() => {
-    if (contract) {
+    if (client) {
       loadStats();
     }
-  }, [contract]);
+  }, [client]);
 
   const checkWalletConnection = async () => {
     if (window.ethereum) {
@@ -68,15 +47,12 @@ function SportsContractApp() {
       }
 
       const accounts = await window.ethereum.request({ method: 'eth_requestAccounts' });
-      const web3Provider = new BrowserProvider(window.ethereum);
-      const web3Signer = await web3Provider.getSigner();
+      showMessage('Initializing FHE encryption...', 'info');
+      const fhe = await initializeFheInstance(window.ethereum);
+      const contractClient = await SportsContractClient.fromEip1193(CONTRACT_ADDRESS, window.ethereum, { fhe });
 
-      setProvider(web3Provider);
-      setSigner(web3Signer);
       setUserAddress(accounts[0]);
-
-      const contractInstance = new Contract(CONTRACT_ADDRESS, CONTRACT_ABI, web3Signer);
-      setContract(contractInstance);
+      setClient(contractClient);
 
       showMessage('Wallet connected successfully!', 'success');
     } catch (error) {
@@ -86,16 +62,10 @@ function SportsContractApp() {
   };
 
   const loadStats = async () => {
-    if (!contract) return;
+    if (!client) return;
 
     try {
-      const result = await contract.getCurrentStats();
-      setStats({
-        season: result.season.toString(),
-        totalAthletes: result.totalAthletes.toString(),
-        activeTeams: result.activeTeams.toString(),
-        totalProposals: result.totalProposals.toString()
-      });
+      setStats(await client.getStats());
     } catch (error) {
       console.error('Error loading stats:', error);
       showMessage('Failed to load contract stats', 'error');
@@ -104,39 +74,23 @@ function SportsContractApp() {
 
   const registerTeam = async (e) => {
     e.preventDefault();
-    if (!contract || !isInitialized) {
-      showMessage('Please connect your wallet and wait for FHEVM initialization', 'error');
+    if (!client) {
+      showMessage('Please connect your wallet first', 'error');
       return;
     }
 
     const formData = new FormData(e.target);
     const teamName = formData.get('teamName');
-    const league = formData.get('league');
+    const leagueId = parseInt(formData.get('leagueId'));
     const teamManager = formData.get('teamManager');
     const salaryCap = parseInt(formData.get('salaryCap'));
 
     try {
-      showMessage('Encrypting salary cap...', 'info');
-
-      const instance = client.getInstance();
-      const input = instance.createEncryptedInput(CONTRACT_ADDRESS, userAddress);
-      input.add32(salaryCap);
-      const encryptedData = await input.encrypt();
+      showMessage('Encrypting salary cap and registering team... Please confirm transaction', 'info');
 
-      showMessage('Registering team... Please confirm transaction', 'info');
+      const { teamId } = await client.registerTeam({ teamName, leagueId, teamManager, salaryCap });
 
-      const tx = await contract.registerTeam(
-        teamName,
-        league,
-        teamManager,
-        encryptedData.handles[0],
-        encryptedData.inputProof
-      );
-
-      showMessage('Transaction submitted. Waiting for confirmation...', 'info');
-      await tx.wait();
-
-      showMessage(`Team "${teamName}" registered successfully!`, 'success');
+      showMessage(`Team "${teamName}" registered successfully with ID ${teamId}!`, 'success');
       e.target.reset();
       await loadStats();
     } catch (error) {
@@ -147,8 +101,8 @@ function SportsContractApp() {
 
   const registerAthlete = async (e) => {
     e.preventDefault();
-    if (!contract || !isInitialized) {
-      showMessage('Please connect your wallet and wait for FHEVM initialization', 'error');
+    if (!client) {
+      showMessage('Please connect your wallet first', 'error');
       return;
     }
 
@@ -162,30 +116,19 @@ function SportsContractApp() {
     const duration = parseInt(formData.get('contractDuration'));
 
     try {
-      showMessage('Encrypting salary and bonus...', 'info');
-
-      const instance = client.getInstance();
-      const input = instance.createEncryptedInput(CONTRACT_ADDRESS, userAddress);
-      input.add32(salary);
-      input.add32(bonus);
-      const encryptedData = await input.encrypt();
-
-      showMessage('Registering athlete... Please confirm transaction', 'info');
+      showMessage('Encrypting salary and bonus and registering athlete... Please confirm transaction', 'info');
 
-      const tx = await contract.registerAthlete(
+      const { athleteId } = await client.registerAthlete({
         name,
         position,
         teamId,
         athleteAddress,
-        encryptedData.handles[0],
-        encryptedData.inputProof,
-        duration
-      );
-
-      showMessage('Transaction submitted. Waiting for confirmation...', 'info');
-      await tx.wait();
+        salary,
+        bonus,
+        durationMonths: duration
+      });
 
-      showMessage(`Athlete "${name}" registered successfully!`, 'success');
+      showMessage(`Athlete "${name}" registered successfully with ID ${athleteId}!`, 'success');
       e.target.reset();
       await loadStats();
     } catch (error) {
@@ -196,8 +139,8 @@ function SportsContractApp() {
 
   const proposeContract = async (e) => {
     e.preventDefault();
-    if (!contract || !isInitialized) {
-      showMessage('Please connect your wallet and wait for FHEVM initialization', 'error');
+    if (!client) {
+      showMessage('Please connect your wallet first', 'error');
       return;
     }
 
@@ -209,28 +152,17 @@ function SportsContractApp() {
     const duration = parseInt(formData.get('proposalDuration'));
 
     try {
-      showMessage('Encrypting proposal terms...', 'info');
-
-      const instance = client.getInstance();
-      const input = instance.createEncryptedInput(CONTRACT_ADDRESS, userAddress);
-      input.add32(salary);
-      input.add32(bonus);
-      const encryptedData = await input.encrypt();
-
-      showMessage('Proposing contract... Please confirm transaction', 'info');
+      showMessage('Encrypting proposal terms... Please confirm transaction', 'info');
 
-      const tx = await contract.proposeContract(
+      const { proposalId } = await client.proposeContract({
         athleteId,
         teamId,
-        encryptedData.handles[0],
-        encryptedData.inputProof,
-        duration
-      );
-
-      showMessage('Transaction submitted. Waiting for confirmation...', 'info');
-      await tx.wait();
+        salary,
+        bonus,
+        durationMonths: duration
+      });
 
-      showMessage('Contract proposal submitted successfully!', 'success');
+      showMessage(`Contract proposal #${proposalId} submitted successfully!`, 'success');
       e.target.reset();
       await loadStats();
     } catch (error) {
@@ -241,7 +173,7 @@ function SportsContractApp() {
 
   const executeQuery = async (e) => {
     e.preventDefault();
-    if (!contract) {
+    if (!client) {
       showMessage('Please connect your wallet first', 'error');
       return;
     }
@@ -260,16 +192,16 @@ function SportsContractApp() {
             showMessage('Please enter athlete ID', 'error');
             return;
           }
-          result = await contract.getAthleteInfo(parseInt(queryId));
+          result = await client.getAthlete(parseInt(queryId));
           display = (
             <div className="data-item">
               <h3>Athlete Information (ID: {queryId})</h3>
               <p><strong>Name:</strong> {result.name}</p>
               <p><strong>Position:</strong> {result.position}</p>
-              <p><strong>Team ID:</strong> {result.teamId.toString()}</p>
+              <p><strong>Team ID:</strong> {result.teamId}</p>
               <p><strong>Active:</strong> {result.isActive ? 'Yes' : 'No'}</p>
-              <p><strong>Contract Start:</strong> {new Date(Number(result.contractStart) * 1000).toLocaleDateString()}</p>
-              <p><strong>Contract End:</strong> {new Date(Number(result.contractEnd) * 1000).toLocaleDateString()}</p>
+              <p><strong>Contract Start:</strong> {new Date(result.contractStart * 1000).toLocaleDateString()}</p>
+              <p><strong>Contract End:</strong> {new Date(result.contractEnd * 1000).toLocaleDateString()}</p>
               <p><strong>Address:</strong> {result.athleteAddress}</p>
             </div>
           );
@@ -280,16 +212,16 @@ function SportsContractApp() {
             showMessage('Please enter team ID', 'error');
             return;
           }
-          result = await contract.getTeamInfo(parseInt(queryId));
+          result = await client.getTeam(parseInt(queryId));
           display = (
             <div className="data-item">
               <h3>Team Information (ID: {queryId})</h3>
               <p><strong>Team Name:</strong> {result.teamName}</p>
-              <p><strong>League:</strong> {result.league}</p>
+              <p><strong>League:</strong> {result.league} (ID: {result.leagueId})</p>
               <p><strong>Manager:</strong> {result.teamManager}</p>
               <p><strong>Athletes Count:</strong> {result.athleteIds.length}</p>
               <p><strong>Active:</strong> {result.isActive ? 'Yes' : 'No'}</p>
-              <p><strong>Athlete IDs:</strong> {result.athleteIds.map(id => id.toString()).join(', ')}</p>
+              <p><strong>Athlete IDs:</strong> {result.athleteIds.join(', ')}</p>
             </div>
           );
           break;
@@ -299,29 +231,31 @@ function SportsContractApp() {
             showMessage('Please enter proposal ID', 'error');
             return;
           }
-          result = await contract.getProposalInfo(parseInt(queryId));
+          result = await client.getProposal(parseInt(queryId));
           display = (
             <div className="data-item">
               <h3>Proposal Information (ID: {queryId})</h3>
-              <p><strong>Athlete ID:</strong> {result.athleteId.toString()}</p>
-              <p><strong>Team ID:</strong> {result.teamId.toString()}</p>
-              <p><strong>Contract Duration:</strong> {result.contractDuration.toString()} months</p>
+              <p><strong>Athlete ID:</strong> {result.athleteId}</p>
+              <p><strong>Team ID:</strong> {result.teamId}</p>
+              <p><strong>Contract Duration:</strong> {result.contractDuration} months</p>
               <p><strong>Status:</strong> {result.isPending ? 'Pending' : (result.isApproved ? 'Approved' : 'Rejected')}</p>
               <p><strong>Proposer:</strong> {result.proposer}</p>
-              <p><strong>Timestamp:</strong> {new Date(Number(result.timestamp) * 1000).toLocaleString()}</p>
+              <p><strong>Timestamp:</strong> {new Date(result.timestamp * 1000).toLocaleString()}</p>
+              <p><strong>Expires:</strong> {new Date(result.expiryTime * 1000).toLocaleString()}</p>
+              <p><strong>Decryption Callback:</strong> {result.callbackReceived ? 'Received' : 'Pending'}</p>
             </div>
           );
           break;
 
         case 'stats':
-          result = await contract.getCurrentStats();
+          result = await client.getStats();
           display = (
             <div className="data-item">
               <h3>Contract Statistics</h3>
-              <p><strong>Current Season:</strong> {result.season.toString()}</p>
-              <p><strong>Total Athletes:</strong> {result.totalAthletes.toString()}</p>
-              <p><strong>Active Teams:</strong> {result.activeTeams.toString()}</p>
-              <p><strong>Total Proposals:</strong> {result.totalProposals.toString()}</p>
+              <p><strong>Current Season:</strong> {result.season}</p>
+              <p><strong>Total Athletes:</strong> {result.totalAthletes}</p>
+              <p><strong>Active Teams:</strong> {result.activeTeams}</p>
+              <p><strong>Total Proposals:</strong> {result.totalProposals}</p>
             </div>
           );
           break;
@@ -363,11 +297,6 @@ function SportsContractApp() {
         <button className="btn" onClick={connectWallet} disabled={!!userAddress}>
           {userAddress ? 'Connected' : 'Connect Wallet'}
         </button>
-        {!isInitialized && userAddress && (
-          <div className="status-message info" style={{ marginTop: '1rem' }}>
-            FHEVM Initializing... Please wait
-          </div>
-        )}
       </div>
 
       <div className="stats-grid">
@@ -399,8 +328,8 @@ function SportsContractApp() {
               <input type="text" name="teamName" id="teamName" placeholder="e.g., Barcelona FC" required />
             </div>
             <div className="form-group">
-              <label htmlFor="league">League:</label>
-              <input type="text" name="league" id="league" placeholder="e.g., La Liga" required />
+              <label htmlFor="leagueId">League ID:</label>
+              <input type="number" name="leagueId" id="leagueId" placeholder="1" required />
             </div>
             <div className="form-group">
               <label htmlFor="teamManager">Team Manager Address:</label>
@@ -524,11 +453,7 @@ function SportsContractApp() {
 }
 
 function App() {
-  return (
-    <FhevmProvider config={{ network: { chainId: 11155111 } }}>
-      <SportsContractApp />
-    </FhevmProvider>
-  );
+  return <SportsContractApp />;
 }
 
 export default App;
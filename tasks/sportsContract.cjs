@@ -0,0 +1,276 @@
+const { task, types } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+
+/**
+ * Hardhat tasks for ConfidentialSportsContract
+ * The contract address is resolved from deployments/<network>-deployment.json
+ * (written by scripts/deploy.js). Inputs are encrypted and handles are
+ * user-decrypted through hre.fhevm: the mock backend on localhost, the Zama
+ * relayer on Sepolia.
+ *
+ * Local walkthrough (--network localhost):
+ *
+ *   npx hardhat node
+ *   npx hardhat run scripts/deploy.js --network localhost
+ *   npx hardhat sports:create-league --name NBA --network localhost
+ *   npx hardhat sports:register-team --name Lakers --league 1 --cap 5000000 \
+ *     --manager 0x70997970C51812dc3A010C7d01b50e0d17dc79C8 --network localhost
+ *   npx hardhat sports:register-athlete --team 1 --name Jordan --position PG --salary 250000 \
+ *     --bonus 50000 --months 24 --athlete-address 0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC \
+ *     --account 1 --network localhost
+ *   npx hardhat sports:propose --team 1 --athlete 1 --salary 300000 --bonus 60000 --months 36 \
+ *     --account 1 --network localhost
+ *   npx hardhat sports:decrypt-salary --athlete 1 --account 2 --network localhost
+ *   npx hardhat sports:decrypt-payroll --team 1 --account 1 --network localhost
+ *   npx hardhat sports:check-cap --team 1 --account 1 --network localhost
+ *
+ * The same commands work with --network sepolia once the contract is deployed there.
+ */
+
+const PLUGIN_NAME = "sports";
+
+// Build a SportsContractClient for the --account signer (the helpers are ES modules)
+async function getTaskClient(hre, accountIndex) {
+  const { getClient, loadDeployment } = await import("../scripts/lib/deployment.js");
+
+  const signers = await hre.ethers.getSigners();
+  const signer = signers[accountIndex];
+  if (!signer) {
+    throw new HardhatPluginError(
+      PLUGIN_NAME,
+      `--account ${accountIndex} is out of range (${signers.length} accounts configured)`
+    );
+  }
+
+  const { contractAddress } = loadDeployment(hre);
+  console.log(`ConfidentialSportsContract: ${contractAddress}`);
+  console.log(`Signer: ${signer.address}`);
+
+  return { client: await getClient(hre, signer), signer };
+}
+
+// Run a task action, reporting contract reverts with the CLI's hints
+async function withContractErrors(action) {
+  const { describeContractError } = await import("../scripts/lib/errors.js");
+
+  try {
+    return await action();
+  } catch (error) {
+    if (HardhatPluginError.isHardhatPluginError(error)) throw error;
+
+    const { hint, message } = describeContractError(error);
+    throw new HardhatPluginError(PLUGIN_NAME, hint ? `${message}\n💡 ${hint}` : message, error);
+  }
+}
+
+// Validate an address parameter
+function parseAddress(hre, value, name) {
+  if (!hre.ethers.isAddress(value)) {
+    throw new HardhatPluginError(PLUGIN_NAME, `Argument --${name} is not a valid address: ${value}`);
+  }
+  return hre.ethers.getAddress(value);
+}
+
+/**
+ * Example:
+ *   - npx hardhat sports:create-league --name NBA --network localhost
+ *   - npx hardhat sports:create-league --name "G League" --max-salary 600000 --max-roster 15 --network localhost
+ */
+task("sports:create-league", "Creates a league with its commissioner and rules (admin only)")
+  .addParam("name", "League name")
+  .addOptionalParam("commissioner", "Commissioner address (defaults to the signer)")
+  .addOptionalParam("minSalary", "Minimum salary", undefined, types.int)
+  .addOptionalParam("maxSalary", "Maximum salary", undefined, types.int)
+  .addOptionalParam("maxCapShare", "Maximum salary + bonus of one athlete, in percent of the team's cap", undefined, types.int)
+  .addOptionalParam("maxRoster", "Maximum roster size", undefined, types.int)
+  .addOptionalParam("minMonths", "Minimum contract length in months", undefined, types.int)
+  .addOptionalParam("maxMonths", "Maximum contract length in months", undefined, types.int)
+  .addOptionalParam("account", "Signer index", 0, types.int)
+  .setAction(async function (taskArguments, hre) {
+    const { validateLeagueRules, withLeagueRuleDefaults } = await import("../public/lib/leagueRules.js");
+
+    await withContractErrors(async () => {
+      const { client, signer } = await getTaskClient(hre, taskArguments.account);
+      const commissioner = taskArguments.commissioner
+        ? parseAddress(hre, taskArguments.commissioner, "commissioner")
+        : signer.address;
+
+      // Unset rules are open
+      const rules = withLeagueRuleDefaults({
+        minSalary: taskArguments.minSalary,
+        maxSalary: taskArguments.maxSalary,
+        maxCapSharePercent: taskArguments.maxCapShare,
+        maxRosterSize: taskArguments.maxRoster,
+        minContractMonths: taskArguments.minMonths,
+        maxContractMonths: taskArguments.maxMonths,
+      });
+      const errors = validateLeagueRules(rules);
+      if (errors.length) {
+        throw new HardhatPluginError(PLUGIN_NAME, `Invalid league rules: ${errors.join("; ")}`);
+      }
+
+      const { leagueId, receipt } = await client.createLeague({ name: taskArguments.name, commissioner, rules });
+      console.log(`tx:${receipt.hash} status=${receipt.status}`);
+      console.log(`League ${leagueId} created (commissioner ${commissioner})`);
+    });
+  });
+
+/**
+ * Example:
+ *   - npx hardhat sports:register-team --name Lakers --league 1 --cap 5000000 --network localhost
+ */
+task("sports:register-team", "Registers a team with an encrypted salary cap (admin or league commissioner)")
+  .addParam("name", "Team name")
+  .addParam("league", "League ID", undefined, types.int)
+  .addParam("cap", "Salary cap, encrypted before it is sent", undefined, types.int)
+  .addOptionalParam("manager", "Team manager address (defaults to the signer)")
+  .addOptionalParam("account", "Signer index", 0, types.int)
+  .setAction(async function (taskArguments, hre) {
+    await withContractErrors(async () => {
+      const { client, signer } = await getTaskClient(hre, taskArguments.account);
+      const teamManager = taskArguments.manager
+        ? parseAddress(hre, taskArguments.manager, "manager")
+        : signer.address;
+
+      const { teamId, receipt } = await client.registerTeam({
+        teamName: taskArguments.name,
+        leagueId: taskArguments.league,
+        teamManager,
+        salaryCap: taskArguments.cap,
+      });
+      console.log(`tx:${receipt.hash} status=${receipt.status}`);
+      console.log(`Team ${teamId} registered (manager ${teamManager})`);
+    });
+  });
+
+/**
+ * Example:
+ *   - npx hardhat sports:register-athlete --team 1 --name Jordan --position PG --salary 250000
+ *       --bonus 50000 --months 24 --athlete-address 0x... --account 1 --network localhost
+ */
+task("sports:register-athlete", "Registers an athlete with encrypted salary and bonus (team manager only)")
+  .addParam("team", "Team ID", undefined, types.int)
+  .addParam("name", "Athlete name")
+  .addParam("position", "Playing position")
+  .addParam("salary", "Salary, encrypted before it is sent", undefined, types.int)
+  .addParam("bonus", "Bonus, encrypted before it is sent", undefined, types.int)
+  .addParam("months", "Contract duration in months (1-120)", undefined, types.int)
+  .addOptionalParam("athleteAddress", "Athlete wallet address (defaults to the signer)")
+  .addOptionalParam("account", "Signer index", 0, types.int)
+  .setAction(async function (taskArguments, hre) {
+    await withContractErrors(async () => {
+      const { client, signer } = await getTaskClient(hre, taskArguments.account);
+      const athleteAddress = taskArguments.athleteAddress
+        ? parseAddress(hre, taskArguments.athleteAddress, "athlete-address")
+        : signer.address;
+
+      const { athleteId, receipt } = await client.registerAthlete({
+        name: taskArguments.name,
+        position: taskArguments.position,
+        teamId: taskArguments.team,
+        athleteAddress,
+        salary: taskArguments.salary,
+        bonus: taskArguments.bonus,
+        durationMonths: taskArguments.months,
+      });
+      console.log(`tx:${receipt.hash} status=${receipt.status}`);
+      console.log(`Athlete ${athleteId} registered to team ${taskArguments.team}`);
+    });
+  });
+
+/**
+ * Example:
+ *   - npx hardhat sports:propose --team 1 --athlete 1 --salary 300000 --bonus 60000 --months 36
+ *       --account 1 --network localhost
+ */
+task("sports:propose", "Proposes a contract with an encrypted offer (team manager only)")
+  .addParam("team", "Team ID", undefined, types.int)
+  .addParam("athlete", "Athlete ID", undefined, types.int)
+  .addParam("salary", "Offered salary, encrypted before it is sent", undefined, types.int)
+  .addParam("bonus", "Offered bonus, encrypted before it is sent", undefined, types.int)
+  .addParam("months", "Contract duration in months (1-120)", undefined, types.int)
+  .addOptionalParam("account", "Signer index", 0, types.int)
+  .setAction(async function (taskArguments, hre) {
+    await withContractErrors(async () => {
+      const { client } = await getTaskClient(hre, taskArguments.account);
+
+      const { proposalId, receipt } = await client.proposeContract({
+        athleteId: taskArguments.athlete,
+        teamId: taskArguments.team,
+        salary: taskArguments.salary,
+        bonus: taskArguments.bonus,
+        durationMonths: taskArguments.months,
+      });
+      console.log(`tx:${receipt.hash} status=${receipt.status}`);
+      console.log(`Proposal ${proposalId} created for athlete ${taskArguments.athlete}`);
+    });
+  });
+
+/**
+ * Example:
+ *   - npx hardhat sports:decrypt-salary --athlete 1 --account 2 --network localhost
+ */
+task("sports:decrypt-salary", "Decrypts an athlete's salary and bonus (athlete or team manager)")
+  .addParam("athlete", "Athlete ID", undefined, types.int)
+  .addOptionalParam("account", "Signer index", 0, types.int)
+  .setAction(async function (taskArguments, hre) {
+    await withContractErrors(async () => {
+      const { client } = await getTaskClient(hre, taskArguments.account);
+
+      const handles = await client.getEncryptedCompensation(taskArguments.athlete);
+      console.log(`Encrypted salary: ${handles.salaryHandle}`);
+      console.log(`Encrypted bonus : ${handles.bonusHandle}`);
+
+      const { salary, bonus } = await client.decryptCompensation(taskArguments.athlete);
+      console.log(`Clear salary    : ${salary}`);
+      console.log(`Clear bonus     : ${bonus}`);
+    });
+  });
+
+/**
+ * Example:
+ *   - npx hardhat sports:decrypt-payroll --team 1 --account 1 --network localhost
+ */
+task("sports:decrypt-payroll", "Decrypts a team's payroll, salary cap and roster salaries (team manager)")
+  .addParam("team", "Team ID", undefined, types.int)
+  .addOptionalParam("account", "Signer index", 0, types.int)
+  .setAction(async function (taskArguments, hre) {
+    await withContractErrors(async () => {
+      const { client } = await getTaskClient(hre, taskArguments.account);
+
+      const payroll = await client.decryptTeamPayroll(taskArguments.team);
+      console.log(`Team ${payroll.teamId}: ${payroll.teamName} (${payroll.league})`);
+      console.log(`Payroll   : ${payroll.payroll}`);
+      console.log(`Salary cap: ${payroll.salaryCap}`);
+      console.log(`Cap room  : ${payroll.capRoom}`);
+      for (const athlete of payroll.athletes) {
+        console.log(`  #${athlete.id} ${athlete.name} (${athlete.position}): ${athlete.salary} + ${athlete.bonus} bonus`);
+      }
+    });
+  });
+
+/**
+ * Example:
+ *   - npx hardhat sports:check-cap --team 1 --account 1 --network localhost
+ *   - npx hardhat sports:check-cap --team 1 --attest --account 1 --network sepolia
+ */
+task("sports:check-cap", "Runs an encrypted salary cap check and decrypts the result (team manager)")
+  .addParam("team", "Team ID", undefined, types.int)
+  .addFlag("attest", "Also request a public attestation of the result from the gateway")
+  .addOptionalParam("account", "Signer index", 0, types.int)
+  .setAction(async function (taskArguments, hre) {
+    await withContractErrors(async () => {
+      const { client } = await getTaskClient(hre, taskArguments.account);
+
+      const { checkBlock, receipt } = await client.checkSalaryCap(taskArguments.team);
+      console.log(`tx:${receipt.hash} status=${receipt.status}`);
+
+      const { compliant } = await client.decryptSalaryCapCompliance(taskArguments.team);
+      console.log(`Team ${taskArguments.team} at block ${checkBlock}: ${compliant ? "compliant" : "over the cap"} (private)`);
+
+      if (taskArguments.attest) {
+        const { requestId } = await client.requestSalaryCapAttestation(taskArguments.team);
+        console.log(`Public attestation requested (request ${requestId})`);
+      }
+    });
+  });
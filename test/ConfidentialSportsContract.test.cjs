@@ -0,0 +1,2189 @@
+const { expect } = require("chai");
+const { ethers, fhevm } = require("hardhat");
+const { FhevmType } = require("@fhevm/hardhat-plugin");
+
+describe("ConfidentialSportsContract", function () {
+  let contract;
+  let contractAddress;
+  let owner;
+  let teamManager1;
+  let teamManager2;
+  let athlete1;
+  let athlete2;
+  let leagueId;
+
+  // Rules loose enough to leave the other tests' amounts and rosters alone
+  const OPEN_RULES = {
+    minSalary: 0,
+    maxSalary: 4294967295,
+    maxCapSharePercent: 100,
+    maxRosterSize: 50,
+    minContractMonths: 1,
+    maxContractMonths: 120,
+  };
+
+  // Encrypt uint32 values for the contract, bound to the sending signer
+  async function encrypt(signer, ...values) {
+    const input = fhevm.createEncryptedInput(contractAddress, await signer.getAddress());
+    for (const value of values) {
+      input.add32(value);
+    }
+    return input.encrypt();
+  }
+
+  async function registerTeam(name, teamLeagueId, manager, salaryCap, signer = owner) {
+    const enc = await encrypt(signer, salaryCap);
+    return contract
+      .connect(signer)
+      .registerTeam(name, teamLeagueId, manager, enc.handles[0], enc.inputProof);
+  }
+
+  async function registerAthlete(manager, name, position, teamId, athleteAddress, salary, bonus, duration) {
+    const enc = await encrypt(manager, salary, bonus);
+    return contract
+      .connect(manager)
+      .registerAthlete(name, position, teamId, athleteAddress, enc.handles[0], enc.handles[1], enc.inputProof, duration);
+  }
+
+  async function proposeContract(manager, athleteId, teamId, salary, bonus, duration) {
+    const enc = await encrypt(manager, salary, bonus);
+    return contract
+      .connect(manager)
+      .proposeContract(athleteId, teamId, enc.handles[0], enc.handles[1], enc.inputProof, duration);
+  }
+
+  async function updateAthleteSalary(signer, athleteId, salary, bonus) {
+    const enc = await encrypt(signer, salary, bonus);
+    return contract
+      .connect(signer)
+      .updateAthleteSalary(athleteId, enc.handles[0], enc.handles[1], enc.inputProof);
+  }
+
+  before(async function () {
+    if (!fhevm.isMock) {
+      throw new Error("This test must run in FHEVM mock environment");
+    }
+    await fhevm.initializeCLIApi();
+  });
+
+  beforeEach(async function () {
+    // Get signers
+    [owner, teamManager1, teamManager2, athlete1, athlete2] =
+      await ethers.getSigners();
+
+    // Deploy the extension, then the contract that forwards to it
+    const ConfidentialSportsExtension = await ethers.getContractFactory("ConfidentialSportsExtension");
+    const extension = await ConfidentialSportsExtension.deploy();
+    await extension.waitForDeployment();
+    const ConfidentialSportsContract = await ethers.getContractFactory(
+      "ConfidentialSportsContract"
+    );
+    const deployed = await ConfidentialSportsContract.deploy(await extension.getAddress());
+    await deployed.waitForDeployment();
+    contractAddress = await deployed.getAddress();
+
+    // Everything else runs in the extensions behind the fallbacks, so add their ABIs
+    const payrollExtension = await ethers.getContractFactory("ConfidentialSportsPayrollExtension");
+    const known = new Set(deployed.interface.fragments.map((fragment) => fragment.format("full")));
+    const forwarded = [...extension.interface.fragments, ...payrollExtension.interface.fragments].filter(
+      (fragment) => {
+        const format = fragment.format("full");
+        if (fragment.type === "constructor" || known.has(format)) return false;
+        known.add(format);
+        return true;
+      }
+    );
+    contract = new ethers.Contract(contractAddress, [...deployed.interface.fragments, ...forwarded], owner);
+
+    await contract.createLeague("NBA", await owner.getAddress(), OPEN_RULES);
+    leagueId = 1;
+  });
+
+  describe("Deployment", function () {
+    it("Should set the correct owner", async function () {
+      expect(await contract.contractOwner()).to.equal(await owner.getAddress());
+    });
+
+    it("Should initialize with season 1", async function () {
+      expect(await contract.currentSeason()).to.equal(1);
+    });
+
+    it("Should initialize with zero teams", async function () {
+      expect(await contract.totalTeams()).to.equal(0);
+    });
+
+    it("Should initialize counters at zero", async function () {
+      expect(await contract.athleteCounter()).to.equal(0);
+      expect(await contract.teamCounter()).to.equal(0);
+      expect(await contract.proposalCounter()).to.equal(0);
+    });
+
+    it("Should refuse an extension address without code", async function () {
+      const ConfidentialSportsContract = await ethers.getContractFactory("ConfidentialSportsContract");
+      await expect(
+        ConfidentialSportsContract.deploy(await athlete1.getAddress())
+      ).to.be.revertedWith("Invalid extension");
+    });
+  });
+
+  describe("Team Registration", function () {
+    it("Should allow owner to register a team", async function () {
+      const teamName = "Golden State Warriors";
+      const managerAddress = await teamManager1.getAddress();
+      const salaryCap = 150000000;
+
+      await expect(
+        registerTeam(teamName, leagueId, managerAddress, salaryCap)
+      )
+        .to.emit(contract, "TeamRegistered")
+        .withArgs(1, teamName, managerAddress);
+
+      expect(await contract.totalTeams()).to.equal(1);
+      expect(await contract.teamCounter()).to.equal(1);
+    });
+
+    it("Should not allow non-owner to register team", async function () {
+      const enc = await encrypt(teamManager1, 150000000);
+      await expect(
+        contract
+          .connect(teamManager1)
+          .registerTeam(
+            "Lakers",
+            leagueId,
+            await teamManager1.getAddress(),
+            enc.handles[0],
+            enc.inputProof
+          )
+      ).to.be.revertedWith("Not authorized");
+    });
+
+    it("Should store team information correctly", async function () {
+      const teamName = "Miami Heat";
+      const managerAddress = await teamManager1.getAddress();
+      const salaryCap = 145000000;
+
+      await registerTeam(teamName, leagueId, managerAddress, salaryCap);
+
+      const teamInfo = await contract.getTeamInfo(1);
+      expect(teamInfo[0]).to.equal(teamName);
+      expect(teamInfo[1]).to.equal("NBA");
+      expect(teamInfo[2]).to.equal(managerAddress);
+      expect(teamInfo[4]).to.equal(true); // isActive
+      expect(teamInfo[5]).to.equal(leagueId);
+      expect(await contract.getLeagueTeams(leagueId)).to.deep.equal([1n]);
+    });
+  });
+
+  describe("Athlete Registration", function () {
+    beforeEach(async function () {
+      // Register a team first
+      await registerTeam(
+        "Lakers",
+        leagueId,
+        await teamManager1.getAddress(),
+        150000000
+      );
+    });
+
+    it("Should allow team manager to register athlete", async function () {
+      const athleteName = "LeBron James";
+      const position = "Forward";
+      const athleteAddress = await athlete1.getAddress();
+      const salary = 45000000;
+      const bonus = 5000000;
+      const duration = 12;
+
+      await expect(
+        registerAthlete(
+          teamManager1,
+          athleteName,
+          position,
+          1,
+          athleteAddress,
+          salary,
+          bonus,
+          duration
+        )
+      )
+        .to.emit(contract, "AthleteRegistered")
+        .withArgs(1, athleteName, 1);
+
+      expect(await contract.athleteCounter()).to.equal(1);
+    });
+
+    it("Should not allow non-manager to register athlete", async function () {
+      await expect(
+        registerAthlete(
+          athlete1,
+          "Player",
+          "Guard",
+          1,
+          await athlete1.getAddress(),
+          40000000,
+          4000000,
+          12
+        )
+      ).to.be.revertedWith("Not authorized: team manager only");
+    });
+
+    it("Should store athlete information correctly", async function () {
+      const athleteName = "Stephen Curry";
+      const position = "Point Guard";
+      const athleteAddress = await athlete1.getAddress();
+
+      await registerAthlete(
+        teamManager1,
+        athleteName, position, 1, athleteAddress, 45000000, 5000000, 24
+      );
+
+      const athleteInfo = await contract.getAthleteInfo(1);
+      expect(athleteInfo[0]).to.equal(athleteName);
+      expect(athleteInfo[1]).to.equal(position);
+      expect(athleteInfo[2]).to.equal(1); // teamId
+      expect(athleteInfo[3]).to.equal(true); // isActive
+      expect(athleteInfo[6]).to.equal(athleteAddress);
+    });
+
+    it("Should emit PayrollUpdated event when athlete registered", async function () {
+      await expect(
+        registerAthlete(
+          teamManager1,
+          "Player",
+          "Guard",
+          1,
+          await athlete1.getAddress(),
+          40000000,
+          4000000,
+          12
+        )
+      ).to.emit(contract, "PayrollUpdated");
+    });
+  });
+
+  describe("Contract Proposals", function () {
+    beforeEach(async function () {
+      // Setup: Register team and athlete
+      await registerTeam(
+        "Lakers",
+        leagueId,
+        await teamManager1.getAddress(),
+        150000000
+      );
+
+      await registerAthlete(
+        teamManager1,
+        "Athlete",
+        "Forward",
+        1,
+        await athlete1.getAddress(),
+        40000000,
+        4000000,
+        12
+      );
+    });
+
+    it("Should allow team manager to propose contract", async function () {
+      await expect(
+        proposeContract(teamManager1, 1, 1, 50000000, 7000000, 24)
+      )
+        .to.emit(contract, "ContractProposed")
+        .withArgs(1, 1, 1);
+
+      expect(await contract.proposalCounter()).to.equal(1);
+    });
+
+    it("Should not allow non-manager to propose contract", async function () {
+      await expect(
+        proposeContract(athlete2, 1, 1, 50000000, 7000000, 24)
+      ).to.be.revertedWith("Not authorized: team manager only");
+    });
+
+    it("Should store proposal information correctly", async function () {
+      await proposeContract(teamManager1, 1, 1, 50000000, 7000000, 36);
+
+      const proposal = await contract.getProposalInfo(1);
+      expect(proposal[0]).to.equal(1); // athleteId
+      expect(proposal[1]).to.equal(1); // teamId
+      expect(proposal[2]).to.equal(36); // contractDuration
+      expect(proposal[3]).to.equal(true); // isPending
+      expect(proposal[4]).to.equal(false); // isApproved
+    });
+
+    it("Should index proposals by athlete", async function () {
+      await proposeContract(teamManager1, 1, 1, 50000000, 7000000, 36);
+      await proposeContract(teamManager1, 1, 1, 52000000, 7000000, 24);
+
+      const proposalIds = await contract.getAthleteProposals(1);
+      expect(proposalIds.map(Number)).to.deep.equal([1, 2]);
+    });
+
+    it("Should let the athlete decrypt the offer", async function () {
+      await proposeContract(teamManager1, 1, 1, 50000000, 7000000, 36);
+
+      const { proposedSalary, proposedBonus } = await contract.getProposalOffer(1);
+      const salary = await fhevm.userDecryptEuint(
+        FhevmType.euint32,
+        proposedSalary,
+        contractAddress,
+        athlete1
+      );
+      const bonus = await fhevm.userDecryptEuint(
+        FhevmType.euint32,
+        proposedBonus,
+        contractAddress,
+        athlete1
+      );
+
+      expect(salary).to.equal(50000000n);
+      expect(bonus).to.equal(7000000n);
+    });
+  });
+
+  describe("Contract Approval", function () {
+    beforeEach(async function () {
+      // Setup: Register team, athlete, and create proposal
+      await registerTeam(
+        "Lakers",
+        leagueId,
+        await teamManager1.getAddress(),
+        150000000
+      );
+
+      await registerAthlete(
+        teamManager1,
+        "Athlete",
+        "Forward",
+        1,
+        await athlete1.getAddress(),
+        40000000,
+        4000000,
+        12
+      );
+
+      await proposeContract(teamManager1, 1, 1, 50000000, 7000000, 24);
+    });
+
+    // Athlete requests decryption and the mock oracle delivers the gateway callback
+    async function completeDecryption(proposalId) {
+      await contract.connect(athlete1).requestProposalDecryption(proposalId);
+      await fhevm.awaitDecryptionOracle();
+    }
+
+    it("Should receive the gateway callback for a decryption request", async function () {
+      await contract.connect(athlete1).requestProposalDecryption(1);
+      const [request] = await contract.queryFilter(contract.filters.DecryptionRequested());
+      const requestId = request.args.requestId;
+
+      expect((await contract.getDecryptionStatus(requestId)).completed).to.equal(false);
+
+      await fhevm.awaitDecryptionOracle();
+
+      const status = await contract.getDecryptionStatus(requestId);
+      expect(status.completed).to.equal(true);
+      expect(status.requestType).to.equal("proposal");
+      expect((await contract.getProposalInfo(1)).callbackReceived).to.equal(true);
+    });
+
+    it("Should not allow approval before decryption completes", async function () {
+      await expect(
+        contract.connect(athlete1).approveContract(1)
+      ).to.be.revertedWith("Decryption not completed");
+    });
+
+    it("Should allow athlete to approve their contract", async function () {
+      await completeDecryption(1);
+
+
+      await expect(contract.connect(athlete1).approveContract(1))
+        .to.emit(contract, "ContractApproved")
+        .withArgs(1, 1, 1);
+
+      const proposal = await contract.getProposalInfo(1);
+      expect(proposal[3]).to.equal(false); // isPending
+      expect(proposal[4]).to.equal(true); // isApproved
+    });
+
+    it("Should not allow non-athlete to approve contract", async function () {
+      await completeDecryption(1);
+
+      await expect(
+        contract.connect(athlete2).approveContract(1)
+      ).to.be.revertedWith("Not authorized");
+    });
+
+    it("Should update athlete info after approval", async function () {
+      await completeDecryption(1);
+      await contract.connect(athlete1).approveContract(1);
+
+      const athleteInfo = await contract.getAthleteInfo(1);
+      expect(athleteInfo[2]).to.equal(1); // teamId should remain the same
+      expect(athleteInfo[3]).to.equal(true); // isActive
+    });
+
+    it("Should let the team manager decrypt the approved salary", async function () {
+      await completeDecryption(1);
+      await contract.connect(athlete1).approveContract(1);
+
+      const { encryptedSalary } = await contract.getEncryptedCompensation(1);
+      const salary = await fhevm.userDecryptEuint(
+        FhevmType.euint32,
+        encryptedSalary,
+        contractAddress,
+        teamManager1
+      );
+      expect(salary).to.equal(50000000n);
+    });
+  });
+
+  describe("Negotiations", function () {
+    beforeEach(async function () {
+      await registerTeam("Lakers", leagueId, await teamManager1.getAddress(), 150000000);
+      await registerAthlete(
+        teamManager1,
+        "Athlete",
+        "Forward",
+        1,
+        await athlete1.getAddress(),
+        40000000,
+        4000000,
+        12
+      );
+
+      await proposeContract(teamManager1, 1, 1, 50000000, 7000000, 24);
+    });
+
+    async function counterProposal(signer, proposalId, salary, bonus, duration) {
+      const enc = await encrypt(signer, salary, bonus);
+      return contract
+        .connect(signer)
+        .counterProposal(proposalId, enc.handles[0], enc.handles[1], enc.inputProof, duration);
+    }
+
+    async function decryptOffer(proposalId, signer) {
+      const { proposedSalary, proposedBonus } = await contract.getProposalOffer(proposalId);
+      return [
+        await fhevm.userDecryptEuint(FhevmType.euint32, proposedSalary, contractAddress, signer),
+        await fhevm.userDecryptEuint(FhevmType.euint32, proposedBonus, contractAddress, signer),
+      ];
+    }
+
+    it("Should open a negotiation with the first proposal", async function () {
+      const negotiation = await contract.getNegotiationInfo(1);
+      expect(negotiation.athleteId).to.equal(1);
+      expect(negotiation.teamId).to.equal(1);
+      expect(negotiation.roundCount).to.equal(1);
+      expect(negotiation.latestProposalId).to.equal(1);
+      expect(negotiation.isOpen).to.equal(true);
+      expect(negotiation.expiryTime).to.equal(negotiation.openedAt + 30n * 86400n);
+
+      expect(await contract.proposalNegotiation(1)).to.equal(1);
+      expect((await contract.getTeamNegotiations(1)).map(Number)).to.deep.equal([1]);
+      expect((await contract.getAthleteNegotiations(1)).map(Number)).to.deep.equal([1]);
+    });
+
+    it("Should let the athlete counter and close the countered round", async function () {
+      await expect(counterProposal(athlete1, 1, 60000000, 9000000, 36))
+        .to.emit(contract, "CounterProposed")
+        .withArgs(1, 2, 1, await athlete1.getAddress(), 2)
+        .and.to.emit(contract, "ContractRejected")
+        .withArgs(1, 1, 1);
+
+      const countered = await contract.getProposalInfo(1);
+      expect(countered.isPending).to.equal(false);
+
+      const counter = await contract.getProposalInfo(2);
+      expect(counter.isPending).to.equal(true);
+      expect(counter.contractDuration).to.equal(36);
+      expect(counter.proposer).to.equal(await athlete1.getAddress());
+
+      expect((await contract.getNegotiationRounds(1)).map(Number)).to.deep.equal([1, 2]);
+      expect((await contract.getNegotiationInfo(1)).latestProposalId).to.equal(2);
+    });
+
+    it("Should let both parties decrypt every round", async function () {
+      await counterProposal(athlete1, 1, 60000000, 9000000, 36);
+      await counterProposal(teamManager1, 2, 55000000, 8000000, 30);
+
+      for (const signer of [athlete1, teamManager1]) {
+        expect(await decryptOffer(1, signer)).to.deep.equal([50000000n, 7000000n]);
+        expect(await decryptOffer(2, signer)).to.deep.equal([60000000n, 9000000n]);
+        expect(await decryptOffer(3, signer)).to.deep.equal([55000000n, 8000000n]);
+      }
+    });
+
+    it("Should only let the counterparty answer a round", async function () {
+      await expect(counterProposal(teamManager1, 1, 55000000, 8000000, 24)).to.be.revertedWith("Not authorized");
+      await expect(counterProposal(athlete2, 1, 55000000, 8000000, 24)).to.be.revertedWith("Not authorized");
+
+      await counterProposal(athlete1, 1, 60000000, 9000000, 36);
+
+      await expect(counterProposal(athlete1, 2, 65000000, 9000000, 36)).to.be.revertedWith("Not authorized");
+      await expect(contract.connect(athlete1).rejectContract(2)).to.be.revertedWith("Not authorized");
+      await expect(counterProposal(athlete1, 1, 65000000, 9000000, 36)).to.be.revertedWith("Proposal not pending");
+    });
+
+    it("Should sign the athlete's counter-offer once the team manager approves it", async function () {
+      await counterProposal(athlete1, 1, 60000000, 9000000, 36);
+
+      await contract.connect(teamManager1).requestProposalDecryption(2);
+      await fhevm.awaitDecryptionOracle();
+      await expect(contract.connect(teamManager1).approveContract(2))
+        .to.emit(contract, "ContractApproved")
+        .withArgs(2, 1, 1);
+
+      const negotiation = await contract.getNegotiationInfo(1);
+      expect(negotiation.isOpen).to.equal(false);
+      expect(negotiation.isAgreed).to.equal(true);
+
+      const { encryptedSalary } = await contract.getEncryptedCompensation(1);
+      expect(
+        await fhevm.userDecryptEuint(FhevmType.euint32, encryptedSalary, contractAddress, athlete1)
+      ).to.equal(60000000n);
+    });
+
+    it("Should end the negotiation when a round is rejected", async function () {
+      await counterProposal(athlete1, 1, 60000000, 9000000, 36);
+
+      await expect(contract.connect(teamManager1).rejectContract(2))
+        .to.emit(contract, "ContractRejected")
+        .withArgs(2, 1, 0);
+
+      const negotiation = await contract.getNegotiationInfo(1);
+      expect(negotiation.isOpen).to.equal(false);
+      expect(negotiation.isAgreed).to.equal(false);
+    });
+
+    it("Should expire every round with the negotiation", async function () {
+      await counterProposal(athlete1, 1, 60000000, 9000000, 36);
+      const { expiryTime } = await contract.getNegotiationInfo(1);
+      expect((await contract.getProposalInfo(2)).expiryTime).to.equal(expiryTime);
+
+      await ethers.provider.send("evm_increaseTime", [30 * 86400]);
+      await ethers.provider.send("evm_mine", []);
+
+      expect((await contract.getNegotiationInfo(1)).isOpen).to.equal(false);
+      await expect(counterProposal(teamManager1, 2, 55000000, 8000000, 30)).to.be.revertedWith("Proposal expired");
+    });
+
+    it("Should cap the number of rounds", async function () {
+      const maxRounds = Number(await contract.MAX_NEGOTIATION_ROUNDS());
+      for (let round = 1; round < maxRounds; round++) {
+        const signer = round % 2 === 1 ? athlete1 : teamManager1;
+        await counterProposal(signer, round, 50000000 + round, 7000000, 24);
+      }
+
+      const signer = maxRounds % 2 === 1 ? athlete1 : teamManager1;
+      await expect(counterProposal(signer, maxRounds, 60000000, 7000000, 24)).to.be.revertedWith(
+        "Round limit reached"
+      );
+    });
+  });
+
+  describe("Reservation Salary", function () {
+    beforeEach(async function () {
+      await registerTeam("Lakers", leagueId, await teamManager1.getAddress(), 150000000);
+      await registerAthlete(
+        teamManager1,
+        "Athlete",
+        "Forward",
+        1,
+        await athlete1.getAddress(),
+        40000000,
+        4000000,
+        12
+      );
+    });
+
+    async function setReservationSalary(signer, athleteId, minimum) {
+      const enc = await encrypt(signer, minimum);
+      return contract.connect(signer).setReservationSalary(athleteId, enc.handles[0], enc.inputProof);
+    }
+
+    async function decryptMatch(proposalId, signer) {
+      const { meetsReservation } = await contract.getReservationMatch(proposalId);
+      return fhevm.userDecryptEbool(meetsReservation, contractAddress, signer);
+    }
+
+    it("Should only let the athlete seal and decrypt their minimum", async function () {
+      await expect(setReservationSalary(teamManager1, 1, 55000000)).to.be.revertedWith(
+        "Not authorized: athlete only"
+      );
+      await expect(setReservationSalary(athlete1, 1, 55000000)).to.emit(contract, "ReservationSalarySet");
+
+      const { isSet, encryptedMinimum } = await contract.getReservationSalary(1);
+      expect(isSet).to.equal(true);
+      expect(
+        await fhevm.userDecryptEuint(FhevmType.euint32, encryptedMinimum, contractAddress, athlete1)
+      ).to.equal(55000000n);
+      await expect(
+        fhevm.userDecryptEuint(FhevmType.euint32, encryptedMinimum, contractAddress, teamManager1)
+      ).to.be.rejected;
+    });
+
+    it("Should tell the athlete at once and the team once the athlete answers", async function () {
+      await setReservationSalary(athlete1, 1, 55000000);
+      await proposeContract(teamManager1, 1, 1, 50000000, 9000000, 24);
+      await proposeContract(teamManager1, 1, 1, 55000000, 1000000, 24);
+
+      expect(await decryptMatch(1, athlete1)).to.equal(false);
+      expect(await decryptMatch(2, athlete1)).to.equal(true);
+      // Otherwise the team could search for the minimum with offers the athlete never saw
+      await expect(decryptMatch(1, teamManager1)).to.be.rejected;
+
+      await contract.connect(athlete1).rejectContract(1);
+      const enc = await encrypt(athlete1, 60000000, 0);
+      await contract.connect(athlete1).counterProposal(2, enc.handles[0], enc.handles[1], enc.inputProof, 24);
+      expect(await decryptMatch(1, teamManager1)).to.equal(false);
+      expect(await decryptMatch(2, teamManager1)).to.equal(true);
+      await expect(decryptMatch(2, athlete2)).to.be.rejected;
+
+      // Approving answers the round too
+      const counter = await encrypt(teamManager1, 58000000, 0);
+      await contract.connect(teamManager1).counterProposal(3, counter.handles[0], counter.handles[1], counter.inputProof, 24);
+      await expect(decryptMatch(4, teamManager1)).to.be.rejected;
+      await contract.connect(athlete1).requestProposalDecryption(4);
+      await fhevm.awaitDecryptionOracle();
+      await contract.connect(athlete1).approveContract(4);
+      expect(await decryptMatch(4, teamManager1)).to.equal(true);
+    });
+
+    it("Should only match team rounds proposed after the minimum was sealed", async function () {
+      await proposeContract(teamManager1, 1, 1, 50000000, 7000000, 24);
+      expect((await contract.getReservationMatch(1)).hasMatch).to.equal(false);
+
+      await setReservationSalary(athlete1, 1, 45000000);
+      const enc = await encrypt(athlete1, 60000000, 9000000);
+      await contract.connect(athlete1).counterProposal(1, enc.handles[0], enc.handles[1], enc.inputProof, 36);
+      expect((await contract.getReservationMatch(2)).hasMatch).to.equal(false);
+
+      const counter = await encrypt(teamManager1, 45000000, 8000000);
+      await contract
+        .connect(teamManager1)
+        .counterProposal(2, counter.handles[0], counter.handles[1], counter.inputProof, 30);
+      expect((await contract.getReservationMatch(3)).hasMatch).to.equal(true);
+      expect(await decryptMatch(3, athlete1)).to.equal(true);
+    });
+  });
+
+  describe("Cap Room", function () {
+    // Cap 100M with one athlete on 40M + 4M: 56M of room
+    beforeEach(async function () {
+      await registerTeam("Lakers", leagueId, await teamManager1.getAddress(), 100000000);
+      await registerAthlete(
+        teamManager1,
+        "Athlete",
+        "Forward",
+        1,
+        await athlete1.getAddress(),
+        40000000,
+        4000000,
+        12
+      );
+      await registerAthlete(
+        teamManager1,
+        "Second Athlete",
+        "Guard",
+        1,
+        await athlete2.getAddress(),
+        30000000,
+        0,
+        12
+      );
+    });
+
+    async function decryptCapRoom(proposalId, signer = teamManager1) {
+      const { withinCap } = await contract.getCapRoomCheck(proposalId);
+      return fhevm.userDecryptEbool(withinCap, contractAddress, signer);
+    }
+
+    it("Should check an offer against the payroll it replaces", async function () {
+      // 26M of room; re-signing frees the athlete's current 44M
+      await proposeContract(teamManager1, 1, 1, 60000000, 10000000, 24);
+      await proposeContract(teamManager1, 1, 1, 60000000, 11000000, 24);
+
+      expect(await decryptCapRoom(1)).to.equal(true);
+      expect(await decryptCapRoom(2)).to.equal(false);
+      await expect(
+        fhevm.userDecryptEbool((await contract.getCapRoomCheck(1)).withinCap, contractAddress, athlete1)
+      ).to.be.rejected;
+    });
+
+    it("Should refuse to approve an offer over the cap", async function () {
+      await proposeContract(teamManager1, 1, 1, 60000000, 11000000, 24);
+      await contract.connect(athlete1).requestProposalDecryption(1);
+      await fhevm.awaitDecryptionOracle();
+
+      const { decrypted, publicWithinCap } = await contract.getCapRoomCheck(1);
+      expect(decrypted).to.equal(true);
+      expect(publicWithinCap).to.equal(false);
+      await expect(contract.connect(athlete1).approveContract(1)).to.be.revertedWith("Over salary cap");
+    });
+
+    it("Should publicly decrypt the check results only, never the offer", async function () {
+      await proposeContract(teamManager1, 1, 1, 60000000, 10000000, 24);
+      const receipt = await (await contract.connect(athlete1).requestProposalDecryption(1)).wait();
+
+      const oracle = new ethers.Interface([
+        "event DecryptionRequest(uint256 indexed counter, uint256 requestID, bytes32[] cts, address contractCaller, bytes4 callbackSelector)",
+      ]);
+      const request = receipt.logs.map((log) => oracle.parseLog(log)).find(Boolean);
+      expect(request.args.cts).to.deep.equal([
+        (await contract.getCapRoomCheck(1)).withinCap,
+        (await contract.getLeagueRuleCheck(1)).meetsRules,
+      ]);
+
+      await fhevm.awaitDecryptionOracle();
+      await expect(contract.connect(athlete1).approveContract(1)).to.emit(contract, "ContractApproved");
+    });
+
+    it("Should refuse an offer whose salary and bonus add up past 32 bits", async function () {
+      // In euint32 the sum would wrap around to 1
+      await proposeContract(teamManager1, 1, 1, 50000000, 2 ** 32 - 50000000 + 1, 24);
+      expect(await decryptCapRoom(1)).to.equal(false);
+
+      await contract.connect(athlete1).requestProposalDecryption(1);
+      await fhevm.awaitDecryptionOracle();
+      expect((await contract.getCapRoomCheck(1)).publicWithinCap).to.equal(false);
+      await expect(contract.connect(athlete1).approveContract(1)).to.be.revertedWith("Over salary cap");
+    });
+
+    it("Should recheck cap room against the payroll at decryption time", async function () {
+      await proposeContract(teamManager1, 1, 1, 60000000, 10000000, 24);
+      expect(await decryptCapRoom(1)).to.equal(true);
+
+      // A raise for the other athlete uses up the room before the offer is decrypted
+      await updateAthleteSalary(teamManager1, 2, 35000000, 0);
+      await contract.connect(athlete1).requestProposalDecryption(1);
+      await fhevm.awaitDecryptionOracle();
+
+      expect(await decryptCapRoom(1)).to.equal(false);
+      expect((await contract.getCapRoomCheck(1)).publicWithinCap).to.equal(false);
+      await expect(contract.connect(athlete1).approveContract(1)).to.be.revertedWith("Over salary cap");
+    });
+
+    it("Should not approve two concurrent offers that only fit the cap one at a time", async function () {
+      // 26M of room: +26M for the first athlete, +20M for the second
+      await proposeContract(teamManager1, 1, 1, 60000000, 10000000, 24);
+      await proposeContract(teamManager1, 2, 1, 50000000, 0, 24);
+      await contract.connect(athlete1).requestProposalDecryption(1);
+      await contract.connect(athlete2).requestProposalDecryption(2);
+      await fhevm.awaitDecryptionOracle();
+      expect((await contract.getCapRoomCheck(1)).publicWithinCap).to.equal(true);
+      expect((await contract.getCapRoomCheck(2)).publicWithinCap).to.equal(true);
+      await expect(contract.connect(athlete2).requestProposalDecryption(2)).to.be.revertedWith(
+        "Decryption already requested"
+      );
+
+      await contract.connect(athlete1).approveContract(1);
+      await expect(contract.connect(athlete2).approveContract(2)).to.be.revertedWith(
+        "Payroll changed since decryption"
+      );
+
+      // Decrypted again against the full payroll, the second offer no longer fits
+      await contract.connect(athlete2).requestProposalDecryption(2);
+      await fhevm.awaitDecryptionOracle();
+      expect((await contract.getCapRoomCheck(2)).publicWithinCap).to.equal(false);
+      await expect(contract.connect(athlete2).approveContract(2)).to.be.revertedWith("Over salary cap");
+    });
+
+    it("Should not approve an offer after a raise changed the payroll it was decrypted against", async function () {
+      await proposeContract(teamManager1, 2, 1, 50000000, 0, 24);
+      await contract.connect(athlete2).requestProposalDecryption(1);
+      await fhevm.awaitDecryptionOracle();
+      expect((await contract.getCapRoomCheck(1)).publicWithinCap).to.equal(true);
+
+      await updateAthleteSalary(teamManager1, 1, 50000000, 4000000);
+      await expect(contract.connect(athlete2).approveContract(1)).to.be.revertedWith(
+        "Payroll changed since decryption"
+      );
+
+      await contract.connect(athlete2).requestProposalDecryption(1);
+      await fhevm.awaitDecryptionOracle();
+      expect((await contract.getCapRoomCheck(1)).publicWithinCap).to.equal(false);
+      await expect(contract.connect(athlete2).approveContract(1)).to.be.revertedWith("Over salary cap");
+    });
+  });
+
+  describe("League Rules", function () {
+    // Salaries 1M-30M, at most 25% of the cap per athlete, two athletes, 6-48 months
+    const RULES = {
+      minSalary: 1000000,
+      maxSalary: 30000000,
+      maxCapSharePercent: 25,
+      maxRosterSize: 2,
+      minContractMonths: 6,
+      maxContractMonths: 48,
+    };
+
+    beforeEach(async function () {
+      await contract.createLeague("G League", await teamManager2.getAddress(), RULES);
+      await registerTeam("Lakers", 2, await teamManager1.getAddress(), 100000000, teamManager2);
+    });
+
+    async function decryptRuleCheck(proposalId, signer = teamManager1) {
+      const { meetsRules } = await contract.getLeagueRuleCheck(proposalId);
+      return fhevm.userDecryptEbool(meetsRules, contractAddress, signer);
+    }
+
+    it("Should let only the commissioner update rules, and only to valid ones", async function () {
+      const tighter = { ...RULES, maxSalary: 20000000 };
+      await expect(contract.connect(teamManager1).updateLeagueRules(2, tighter)).to.be.revertedWith(
+        "Not authorized: commissioner only"
+      );
+      await expect(
+        contract.connect(teamManager2).updateLeagueRules(2, { ...RULES, minSalary: 40000000 })
+      ).to.be.revertedWith("Invalid league rules");
+
+      await expect(contract.connect(teamManager2).updateLeagueRules(2, tighter))
+        .to.emit(contract, "LeagueRulesUpdated")
+        .withArgs(2, await teamManager2.getAddress());
+      expect((await contract.getLeagueRules(2)).maxSalary).to.equal(20000000);
+
+      const info = await contract.getLeagueInfo(2);
+      expect(info.name).to.equal("G League");
+      expect(info.teamCount).to.equal(1);
+    });
+
+    it("Should only register teams for the owner or the league commissioner", async function () {
+      await expect(
+        registerTeam("Celtics", 2, await teamManager1.getAddress(), 100000000, teamManager1)
+      ).to.be.revertedWith("Not authorized");
+      await expect(
+        registerTeam("Celtics", 3, await teamManager1.getAddress(), 100000000)
+      ).to.be.revertedWith("Invalid league ID");
+    });
+
+    it("Should enforce roster size and contract length on registration", async function () {
+      await expect(
+        registerAthlete(teamManager1, "Rookie", "Guard", 1, await athlete1.getAddress(), 5000000, 0, 60)
+      ).to.be.revertedWith("Contract length outside league rules");
+
+      await registerAthlete(teamManager1, "First", "Guard", 1, await athlete1.getAddress(), 5000000, 0, 12);
+      await registerAthlete(teamManager1, "Second", "Forward", 1, await athlete2.getAddress(), 5000000, 0, 12);
+      await expect(
+        registerAthlete(teamManager1, "Third", "Center", 1, await owner.getAddress(), 5000000, 0, 12)
+      ).to.be.revertedWith("Roster full");
+    });
+
+    it("Should clamp registered compensation to the league's limits", async function () {
+      // 40M is over the max salary; with a 25M cap share the bonus gives way
+      await registerAthlete(teamManager1, "Star", "Forward", 1, await athlete1.getAddress(), 40000000, 5000000, 12);
+      await registerAthlete(teamManager1, "Walk-on", "Guard", 1, await athlete2.getAddress(), 500000, 0, 12);
+
+      const decryptCompensation = async (athleteId, signer) => {
+        const athlete = await contract.athletes(athleteId);
+        return [
+          await fhevm.userDecryptEuint(FhevmType.euint32, athlete.encryptedSalary, contractAddress, signer),
+          await fhevm.userDecryptEuint(FhevmType.euint32, athlete.encryptedBonus, contractAddress, signer),
+        ];
+      };
+      expect(await decryptCompensation(1, athlete1)).to.deep.equal([25000000n, 0n]);
+      expect(await decryptCompensation(2, athlete2)).to.deep.equal([1000000n, 0n]);
+    });
+
+    it("Should clamp salary updates to the league's limits", async function () {
+      await registerAthlete(teamManager1, "Athlete", "Forward", 1, await athlete1.getAddress(), 10000000, 0, 12);
+
+      // An athlete raising their own pay is held to the 25M cap share, the bonus giving way first
+      await updateAthleteSalary(athlete1, 1, 50000000, 2 ** 32 - 1);
+      const athlete = await contract.athletes(1);
+      expect(
+        await fhevm.userDecryptEuint(FhevmType.euint32, athlete.encryptedSalary, contractAddress, athlete1)
+      ).to.equal(25000000n);
+      expect(
+        await fhevm.userDecryptEuint(FhevmType.euint32, athlete.encryptedBonus, contractAddress, athlete1)
+      ).to.equal(0n);
+    });
+
+    it("Should refuse to approve an offer outside the rules", async function () {
+      await registerAthlete(teamManager1, "Athlete", "Forward", 1, await athlete1.getAddress(), 10000000, 0, 12);
+
+      // 20M + 6M is over the 25M cap share; 20M + 5M is not
+      await proposeContract(teamManager1, 1, 1, 20000000, 6000000, 24);
+      await proposeContract(teamManager1, 1, 1, 20000000, 5000000, 24);
+      expect(await decryptRuleCheck(1)).to.equal(false);
+      expect(await decryptRuleCheck(2, athlete1)).to.equal(true);
+      await expect(proposeContract(teamManager1, 1, 1, 20000000, 0, 60)).to.be.revertedWith(
+        "Contract length outside league rules"
+      );
+
+      await contract.connect(athlete1).requestProposalDecryption(1);
+      await fhevm.awaitDecryptionOracle();
+
+      const { decrypted, publicMeetsRules } = await contract.getLeagueRuleCheck(1);
+      expect(decrypted).to.equal(true);
+      expect(publicMeetsRules).to.equal(false);
+      await expect(contract.connect(athlete1).approveContract(1)).to.be.revertedWith("Outside league rules");
+    });
+
+    it("Should refuse a bonus that wraps salary + bonus under the cap share", async function () {
+      await registerAthlete(teamManager1, "Athlete", "Forward", 1, await athlete1.getAddress(), 10000000, 0, 12);
+
+      // 20M + (2^32 - 15M) is 5M in euint32, well under the 25M cap share
+      await proposeContract(teamManager1, 1, 1, 20000000, 2 ** 32 - 15000000, 24);
+      expect(await decryptRuleCheck(1)).to.equal(false);
+
+      await contract.connect(athlete1).requestProposalDecryption(1);
+      await fhevm.awaitDecryptionOracle();
+      expect((await contract.getLeagueRuleCheck(1)).publicMeetsRules).to.equal(false);
+    });
+  });
+
+  describe("Salary Updates", function () {
+    beforeEach(async function () {
+      await registerTeam(
+        "Lakers",
+        leagueId,
+        await teamManager1.getAddress(),
+        150000000
+      );
+
+      await registerAthlete(
+        teamManager1,
+        "Athlete",
+        "Forward",
+        1,
+        await athlete1.getAddress(),
+        40000000,
+        4000000,
+        12
+      );
+    });
+
+    it("Should allow team manager to update athlete salary", async function () {
+      await expect(
+        updateAthleteSalary(teamManager1, 1, 45000000, 5000000)
+      ).to.emit(contract, "SalaryUpdated");
+    });
+
+    it("Should allow athlete to update their own salary", async function () {
+      await expect(
+        updateAthleteSalary(athlete1, 1, 45000000, 5000000)
+      ).to.emit(contract, "SalaryUpdated");
+    });
+
+    it("Should not allow unauthorized users to update salary", async function () {
+      await expect(
+        updateAthleteSalary(athlete2, 1, 45000000, 5000000)
+      ).to.be.revertedWith("Not authorized");
+    });
+  });
+
+  describe("Encrypted Inputs", function () {
+    beforeEach(async function () {
+      await registerTeam(
+        "Lakers",
+        leagueId,
+        await teamManager1.getAddress(),
+        150000000
+      );
+
+      await registerAthlete(
+        teamManager1,
+        "Athlete",
+        "Forward",
+        1,
+        await athlete1.getAddress(),
+        40000000,
+        4000000,
+        12
+      );
+    });
+
+    it("Should store the encrypted salary and bonus submitted by the manager", async function () {
+      const athlete = await contract.athletes(1);
+
+      const salary = await fhevm.userDecryptEuint(
+        FhevmType.euint32,
+        athlete.encryptedSalary,
+        contractAddress,
+        athlete1
+      );
+      const bonus = await fhevm.userDecryptEuint(
+        FhevmType.euint32,
+        athlete.encryptedBonus,
+        contractAddress,
+        athlete1
+      );
+
+      expect(salary).to.equal(40000000n);
+      expect(bonus).to.equal(4000000n);
+    });
+
+    it("Should expose compensation handles the team manager can decrypt", async function () {
+      const { encryptedSalary, encryptedBonus } = await contract.getEncryptedCompensation(1);
+
+      const salary = await fhevm.userDecryptEuint(
+        FhevmType.euint32,
+        encryptedSalary,
+        contractAddress,
+        teamManager1
+      );
+      const bonus = await fhevm.userDecryptEuint(
+        FhevmType.euint32,
+        encryptedBonus,
+        contractAddress,
+        teamManager1
+      );
+
+      expect(salary).to.equal(40000000n);
+      expect(bonus).to.equal(4000000n);
+    });
+
+    it("Should not let unrelated accounts decrypt compensation", async function () {
+      const { encryptedSalary } = await contract.getEncryptedCompensation(1);
+
+      let decrypted = false;
+      try {
+        await fhevm.userDecryptEuint(
+          FhevmType.euint32,
+          encryptedSalary,
+          contractAddress,
+          teamManager2
+        );
+        decrypted = true;
+      } catch {
+        // ACL rejects the user decryption request
+      }
+      expect(decrypted).to.equal(false);
+    });
+
+    it("Should reject an input proof bound to another sender", async function () {
+      const enc = await encrypt(teamManager2, 45000000, 5000000);
+
+      await expect(
+        contract
+          .connect(teamManager1)
+          .updateAthleteSalary(1, enc.handles[0], enc.handles[1], enc.inputProof)
+      ).to.be.reverted;
+    });
+  });
+
+  describe("Payroll", function () {
+    beforeEach(async function () {
+      await registerTeam(
+        "Lakers",
+        leagueId,
+        await teamManager1.getAddress(),
+        150000000
+      );
+    });
+
+    async function decryptPayroll(teamId) {
+      const { encryptedTotalPayroll, encryptedSalaryCap } = await contract.getEncryptedPayroll(teamId);
+      const payroll = await fhevm.userDecryptEuint(
+        FhevmType.euint64,
+        encryptedTotalPayroll,
+        contractAddress,
+        teamManager1
+      );
+      const salaryCap = await fhevm.userDecryptEuint(
+        FhevmType.euint32,
+        encryptedSalaryCap,
+        contractAddress,
+        teamManager1
+      );
+      return { payroll, salaryCap };
+    }
+
+    it("Should let the manager decrypt an empty payroll", async function () {
+      const { payroll, salaryCap } = await decryptPayroll(1);
+
+      expect(payroll).to.equal(0n);
+      expect(salaryCap).to.equal(150000000n);
+    });
+
+    it("Should total salary and bonus of active athletes", async function () {
+      await registerAthlete(
+        teamManager1,
+        "Athlete One",
+        "Forward",
+        1,
+        await athlete1.getAddress(),
+        40000000,
+        4000000,
+        12
+      );
+      await registerAthlete(
+        teamManager1,
+        "Athlete Two",
+        "Guard",
+        1,
+        await athlete2.getAddress(),
+        30000000,
+        3000000,
+        12
+      );
+
+      expect((await decryptPayroll(1)).payroll).to.equal(77000000n);
+
+      await contract.connect(teamManager1).deactivateAthlete(2);
+
+      expect((await decryptPayroll(1)).payroll).to.equal(44000000n);
+    });
+
+    it("Should replace the previous compensation on salary updates and approvals", async function () {
+      await registerAthlete(
+        teamManager1,
+        "Athlete One",
+        "Forward",
+        1,
+        await athlete1.getAddress(),
+        40000000,
+        4000000,
+        12
+      );
+
+      await updateAthleteSalary(teamManager1, 1, 45000000, 5000000);
+      expect((await decryptPayroll(1)).payroll).to.equal(50000000n);
+
+      await proposeContract(teamManager1, 1, 1, 60000000, 6000000, 24);
+      await contract.connect(athlete1).requestProposalDecryption(1);
+      await fhevm.awaitDecryptionOracle();
+      await contract.connect(athlete1).approveContract(1);
+
+      expect((await decryptPayroll(1)).payroll).to.equal(66000000n);
+    });
+
+    it("Should total payrolls past the euint32 range without wrapping", async function () {
+      await registerTeam("Giants", leagueId, await teamManager1.getAddress(), 4294967295);
+      await registerAthlete(
+        teamManager1, "Athlete One", "Forward", 2, await athlete1.getAddress(), 3000000000, 0, 12
+      );
+      await registerAthlete(
+        teamManager1, "Athlete Two", "Guard", 2, await athlete2.getAddress(), 2000000000, 1000000000, 12
+      );
+
+      // In euint32 the total would wrap around to 1705032704, under the cap
+      expect((await decryptPayroll(2)).payroll).to.equal(6000000000n);
+
+      await contract.connect(teamManager1).checkSalaryCap(2);
+      const { isCompliant } = await contract.getSalaryCapCompliance(2);
+      expect(await fhevm.userDecryptEbool(isCompliant, contractAddress, teamManager1)).to.equal(false);
+    });
+  });
+
+  describe("Salary Cap Compliance", function () {
+    beforeEach(async function () {
+      await registerTeam(
+        "Lakers",
+        leagueId,
+        await teamManager1.getAddress(),
+        50000000
+      );
+
+      await registerAthlete(
+        teamManager1,
+        "Athlete",
+        "Forward",
+        1,
+        await athlete1.getAddress(),
+        40000000,
+        4000000,
+        12
+      );
+    });
+
+    async function decryptCompliance(teamId) {
+      const { isCompliant } = await contract.getSalaryCapCompliance(teamId);
+      return fhevm.userDecryptEbool(isCompliant, contractAddress, teamManager1);
+    }
+
+    it("Should persist the compliance result for the manager", async function () {
+      await expect(contract.connect(teamManager1).checkSalaryCap(1))
+        .to.emit(contract, "SalaryCapChecked");
+
+      const check = await contract.getSalaryCapCompliance(1);
+      expect(check.checkedAt).to.be.gt(0);
+      expect(check.attested).to.equal(false);
+      expect(await decryptCompliance(1)).to.equal(true);
+    });
+
+    it("Should report teams over the cap as non-compliant", async function () {
+      // Each athlete's compensation is clamped to the cap; together they are over it
+      await registerAthlete(teamManager1, "Second", "Guard", 1, await athlete2.getAddress(), 8000000, 0, 12);
+      await contract.connect(teamManager1).checkSalaryCap(1);
+
+      expect(await decryptCompliance(1)).to.equal(false);
+    });
+
+    it("Should not allow other accounts to run the check", async function () {
+      await expect(
+        contract.connect(teamManager2).checkSalaryCap(1)
+      ).to.be.revertedWith("Not authorized");
+    });
+
+    it("Should publish the result through the gateway", async function () {
+      await contract.connect(teamManager1).checkSalaryCap(1);
+      const { checkBlock } = await contract.getSalaryCapCompliance(1);
+
+      await contract.connect(teamManager1).requestSalaryCapAttestation(1);
+      await fhevm.awaitDecryptionOracle();
+
+      const [attestation] = await contract.queryFilter(contract.filters.SalaryCapAttested(1));
+      expect(attestation.args.compliant).to.equal(true);
+      expect(attestation.args.checkBlock).to.equal(checkBlock);
+
+      const check = await contract.getSalaryCapCompliance(1);
+      expect(check.attested).to.equal(true);
+      expect(check.publicResult).to.equal(true);
+      expect(check.pendingAttestation).to.equal(false);
+
+      await expect(
+        contract.connect(teamManager1).requestSalaryCapAttestation(1)
+      ).to.be.revertedWith("Already attested");
+    });
+
+    it("Should require a check before attestation", async function () {
+      await expect(
+        contract.connect(teamManager1).requestSalaryCapAttestation(1)
+      ).to.be.revertedWith("No compliance check");
+    });
+  });
+
+  describe("Trades", function () {
+    beforeEach(async function () {
+      await registerTeam("Lakers", leagueId, await teamManager1.getAddress(), 150000000);
+      await registerTeam("Celtics", leagueId, await teamManager2.getAddress(), 150000000);
+
+      await registerAthlete(
+        teamManager1,
+        "Athlete One",
+        "Forward",
+        1,
+        await athlete1.getAddress(),
+        40000000,
+        4000000,
+        12
+      );
+      await registerAthlete(
+        teamManager1,
+        "Athlete Two",
+        "Guard",
+        1,
+        await athlete2.getAddress(),
+        30000000,
+        3000000,
+        12
+      );
+
+      // Celtics want Athlete One
+      await contract.connect(teamManager2).proposeTrade(1, 2);
+    });
+
+    async function decryptPayroll(teamId, manager) {
+      const { encryptedTotalPayroll } = await contract.getEncryptedPayroll(teamId);
+      return fhevm.userDecryptEuint(FhevmType.euint64, encryptedTotalPayroll, contractAddress, manager);
+    }
+
+    // Publish the acquiring team's cap room and league rule check for a trade
+    async function checkTrade(tradeId, signer = teamManager2) {
+      await contract.connect(signer).requestTradeCheck(tradeId);
+      await fhevm.awaitDecryptionOracle();
+      return contract.getTradeCheck(tradeId);
+    }
+
+    it("Should transfer the athlete once the releasing manager and the athlete approve", async function () {
+      await checkTrade(1);
+      await expect(contract.connect(teamManager1).acceptTrade(1))
+        .to.emit(contract, "TradeApproved")
+        .withArgs(1, await teamManager1.getAddress());
+      expect((await contract.getAthleteInfo(1)).teamId).to.equal(1);
+
+      await expect(contract.connect(athlete1).consentToTrade(1))
+        .to.emit(contract, "AthleteTransferred")
+        .withArgs(1, 1, 2, 1);
+
+      expect((await contract.getAthleteInfo(1)).teamId).to.equal(2);
+      expect((await contract.getTeamInfo(1)).athleteIds).to.deep.equal([2n]);
+      expect((await contract.getTeamInfo(2)).athleteIds).to.deep.equal([1n]);
+
+      const trade = await contract.getTradeInfo(1);
+      expect(trade.isPending).to.equal(false);
+      expect(trade.isCompleted).to.equal(true);
+
+      expect(await decryptPayroll(1, teamManager1)).to.equal(33000000n);
+      expect(await decryptPayroll(2, teamManager2)).to.equal(44000000n);
+    });
+
+    it("Should let the new manager decrypt the transferred contract", async function () {
+      // A games-played clause with a zero threshold is earned right away
+      const clause = await fhevm
+        .createEncryptedInput(contractAddress, await teamManager1.getAddress())
+        .add32(0)
+        .add32(250000)
+        .encrypt();
+      await contract.connect(teamManager1).addBonusClause(1, 0, clause.handles[0], clause.handles[1], clause.inputProof);
+
+      const delegate = (await ethers.getSigners())[7];
+      await contract.connect(teamManager2).grantRole(ethers.id("TEAM_DELEGATE_ROLE"), 2, delegate.address);
+
+      await checkTrade(1);
+      await contract.connect(athlete1).consentToTrade(1);
+      await contract.connect(teamManager1).acceptTrade(1);
+
+      const decrypt = (handle, signer = teamManager2) =>
+        fhevm.userDecryptEuint(FhevmType.euint32, handle, contractAddress, signer);
+      const { encryptedSalary, encryptedBonus } = await contract.getEncryptedCompensation(1);
+      expect(await decrypt(encryptedSalary)).to.equal(40000000n);
+      expect(await decrypt(encryptedBonus)).to.equal(4000000n);
+
+      const [{ amount }] = await contract.getBonusClauses(1);
+      expect(await decrypt(amount)).to.equal(250000n);
+      const earned = await contract.getEarnedBonus(1, 1);
+      expect(await fhevm.userDecryptEuint(FhevmType.euint64, earned, contractAddress, teamManager2)).to.equal(250000n);
+
+      // Delegates act for the manager but never decrypt
+      await expect(decrypt(encryptedSalary, delegate)).to.be.rejected;
+    });
+
+    it("Should only execute a trade on a published check of the current payrolls", async function () {
+      await contract.connect(teamManager1).acceptTrade(1);
+      await expect(contract.connect(athlete1).consentToTrade(1)).to.be.revertedWith("Trade check not completed");
+      await expect(contract.connect(athlete2).requestTradeCheck(1)).to.be.revertedWith("Not authorized");
+
+      const check = await checkTrade(1, athlete1);
+      expect(check.decrypted).to.equal(true);
+      expect(check.current).to.equal(true);
+      expect(check.publicWithinCap).to.equal(true);
+      expect(check.publicMeetsRules).to.equal(true);
+      await expect(contract.connect(teamManager2).requestTradeCheck(1)).to.be.revertedWith(
+        "Decryption already requested"
+      );
+
+      // A raise on the releasing team changes what the acquiring team takes on
+      await updateAthleteSalary(teamManager1, 1, 45000000, 4000000);
+      expect((await contract.getTradeCheck(1)).current).to.equal(false);
+      await expect(contract.connect(athlete1).consentToTrade(1)).to.be.revertedWith(
+        "Payroll changed since decryption"
+      );
+
+      await checkTrade(1);
+      await expect(contract.connect(athlete1).consentToTrade(1)).to.emit(contract, "AthleteTransferred");
+      expect(await decryptPayroll(2, teamManager2)).to.equal(49000000n);
+    });
+
+    it("Should not trade an athlete the acquiring team has no cap room for", async function () {
+      // 44M on a 50M cap already holding 10M
+      const manager = (await ethers.getSigners())[5];
+      await registerTeam("Nets", leagueId, manager.address, 50000000);
+      await registerAthlete(manager, "Nets Guard", "Guard", 3, manager.address, 10000000, 0, 12);
+      await contract.connect(manager).proposeTrade(1, 3);
+
+      const check = await checkTrade(2, manager);
+      expect(check.publicWithinCap).to.equal(false);
+      expect(check.publicMeetsRules).to.equal(true);
+      expect(await fhevm.userDecryptEbool(check.withinCap, contractAddress, manager)).to.equal(false);
+
+      await contract.connect(athlete1).consentToTrade(2);
+      await expect(contract.connect(teamManager1).acceptTrade(2)).to.be.revertedWith("Over salary cap");
+      expect((await contract.getAthleteInfo(1)).teamId).to.equal(1);
+    });
+
+    it("Should apply the acquiring team's league rules to a cross-league trade", async function () {
+      // The athlete's 40M salary is over this league's 30M maximum
+      const manager = (await ethers.getSigners())[5];
+      await contract.createLeague("G League", await owner.getAddress(), { ...OPEN_RULES, maxSalary: 30000000 });
+      await registerTeam("Stars", 2, manager.address, 150000000);
+      await contract.connect(manager).proposeTrade(1, 3);
+
+      const check = await checkTrade(2, manager);
+      expect(check.publicWithinCap).to.equal(true);
+      expect(check.publicMeetsRules).to.equal(false);
+      expect(await fhevm.userDecryptEbool(check.meetsRules, contractAddress, athlete1)).to.equal(false);
+
+      await contract.connect(teamManager1).acceptTrade(2);
+      await expect(contract.connect(athlete1).consentToTrade(2)).to.be.revertedWith("Outside league rules");
+      expect((await contract.getTeamInfo(3)).athleteIds).to.deep.equal([]);
+    });
+
+    it("Should only let the releasing manager accept and the athlete consent", async function () {
+      await expect(
+        contract.connect(teamManager2).acceptTrade(1)
+      ).to.be.revertedWith("Not authorized: team manager only");
+      await expect(
+        contract.connect(athlete2).consentToTrade(1)
+      ).to.be.revertedWith("Not authorized: athlete only");
+      await expect(
+        contract.connect(teamManager1).proposeTrade(2, 1)
+      ).to.be.revertedWith("Athlete already on team");
+    });
+
+    it("Should not execute rejected or cancelled trades", async function () {
+      await contract.connect(athlete1).rejectTrade(1);
+      await expect(
+        contract.connect(teamManager1).acceptTrade(1)
+      ).to.be.revertedWith("Trade not pending");
+
+      await contract.connect(teamManager2).proposeTrade(2, 2);
+      await expect(
+        contract.connect(teamManager1).cancelTrade(2)
+      ).to.be.revertedWith("Not authorized");
+      await expect(contract.connect(teamManager2).cancelTrade(2))
+        .to.emit(contract, "TradeCancelled")
+        .withArgs(2);
+
+      expect((await contract.getTeamInfo(1)).athleteIds).to.deep.equal([1n, 2n]);
+      expect(await contract.getTeamTrades(1)).to.deep.equal([1n, 2n]);
+    });
+
+    it("Should move the roster when an athlete signs with another team", async function () {
+      await proposeContract(teamManager2, 2, 2, 35000000, 5000000, 24);
+      await contract.connect(athlete2).requestProposalDecryption(1);
+      await fhevm.awaitDecryptionOracle();
+
+      await expect(contract.connect(athlete2).approveContract(1))
+        .to.emit(contract, "AthleteTransferred")
+        .withArgs(2, 1, 2, 0);
+
+      expect((await contract.getTeamInfo(1)).athleteIds).to.deep.equal([1n]);
+      expect((await contract.getTeamInfo(2)).athleteIds).to.deep.equal([2n]);
+      expect(await decryptPayroll(1, teamManager1)).to.equal(44000000n);
+      expect(await decryptPayroll(2, teamManager2)).to.equal(40000000n);
+    });
+  });
+
+  describe("Season Management", function () {
+    it("Should allow owner to start new season", async function () {
+      const initialSeason = await contract.currentSeason();
+
+      await expect(contract.startNewSeason()).to.emit(contract, "SeasonStarted");
+
+      const newSeason = await contract.currentSeason();
+      expect(newSeason).to.equal(initialSeason + 1n);
+    });
+
+    it("Should not allow non-owner to start new season", async function () {
+      await expect(
+        contract.connect(teamManager1).startNewSeason()
+      ).to.be.revertedWith("Not authorized: admin only");
+    });
+  });
+
+  describe("Deactivation", function () {
+    beforeEach(async function () {
+      await registerTeam(
+        "Lakers",
+        leagueId,
+        await teamManager1.getAddress(),
+        150000000
+      );
+
+      await registerAthlete(
+        teamManager1,
+        "Athlete",
+        "Forward",
+        1,
+        await athlete1.getAddress(),
+        40000000,
+        4000000,
+        12
+      );
+    });
+
+    it("Should allow team manager to deactivate athlete", async function () {
+      await contract.connect(teamManager1).deactivateAthlete(1);
+
+      // getAthleteInfo only serves active athletes, read the storage getter
+      const athlete = await contract.athletes(1);
+      expect(athlete.isActive).to.equal(false);
+    });
+
+    it("Should deactivate athletes of a deactivated team without touching its payroll", async function () {
+      await contract.deactivateTeam(1);
+      const { encryptedTotalPayroll } = await contract.teams(1);
+
+      await expect(contract.connect(teamManager1).deactivateAthlete(1)).to.not.emit(contract, "PayrollUpdated");
+      expect((await contract.athletes(1)).isActive).to.equal(false);
+      expect((await contract.teams(1)).encryptedTotalPayroll).to.equal(encryptedTotalPayroll);
+    });
+
+    it("Should allow owner to deactivate team", async function () {
+      await contract.deactivateTeam(1);
+
+      const team = await contract.teams(1);
+      expect(team.isActive).to.equal(false);
+      expect(await contract.totalTeams()).to.equal(0);
+    });
+
+    it("Should not allow non-owner to deactivate team", async function () {
+      await expect(
+        contract.connect(teamManager1).deactivateTeam(1)
+      ).to.be.revertedWith("Not authorized: admin only");
+    });
+  });
+
+  describe("Roles", function () {
+    const LEAGUE_ADMIN_ROLE = ethers.id("LEAGUE_ADMIN_ROLE");
+    const AUDITOR_ROLE = ethers.id("AUDITOR_ROLE");
+    const TEAM_DELEGATE_ROLE = ethers.id("TEAM_DELEGATE_ROLE");
+    let admin;
+    let auditor;
+    let delegate;
+
+    beforeEach(async function () {
+      [, , , , , admin, auditor, delegate] = await ethers.getSigners();
+      await registerTeam("Lakers", leagueId, await teamManager1.getAddress(), 150000000);
+    });
+
+    it("Should let league admins run the league but only the owner appoint them", async function () {
+      await expect(contract.connect(admin).startNewSeason()).to.be.revertedWith("Not authorized: admin only");
+
+      await expect(contract.grantRole(LEAGUE_ADMIN_ROLE, 0, admin.address))
+        .to.emit(contract, "RoleGranted")
+        .withArgs(LEAGUE_ADMIN_ROLE, 0, admin.address, owner.address);
+      expect(await contract.hasRole(LEAGUE_ADMIN_ROLE, 0, admin.address)).to.equal(true);
+
+      await expect(contract.connect(admin).startNewSeason()).to.emit(contract, "SeasonStarted");
+      await contract.connect(admin).createLeague("WNBA", admin.address, OPEN_RULES);
+      await registerTeam("Sparks", 2, await teamManager2.getAddress(), 100000000, admin);
+      await contract.connect(admin).deactivateTeam(2);
+      await expect(
+        contract.connect(admin).grantRole(LEAGUE_ADMIN_ROLE, 0, auditor.address)
+      ).to.be.revertedWith("Not authorized: owner only");
+
+      await expect(contract.revokeRole(LEAGUE_ADMIN_ROLE, 0, admin.address))
+        .to.emit(contract, "RoleRevoked")
+        .withArgs(LEAGUE_ADMIN_ROLE, 0, admin.address, owner.address);
+      await expect(contract.connect(admin).startNewSeason()).to.be.revertedWith("Not authorized: admin only");
+    });
+
+    it("Should let admins appoint auditors who can run cap checks", async function () {
+      await expect(contract.connect(auditor).checkSalaryCap(1)).to.be.revertedWith("Not authorized");
+
+      await contract.grantRole(LEAGUE_ADMIN_ROLE, 0, admin.address);
+      await contract.connect(admin).grantRole(AUDITOR_ROLE, 0, auditor.address);
+      await expect(contract.connect(auditor).checkSalaryCap(1)).to.emit(contract, "SalaryCapChecked");
+
+      // Auditing gates no plaintext action beyond the check
+      await expect(contract.connect(auditor).startNewSeason()).to.be.revertedWith("Not authorized: admin only");
+      await expect(
+        contract.connect(auditor).grantRole(AUDITOR_ROLE, 0, delegate.address)
+      ).to.be.revertedWith("Not authorized: admin only");
+      await expect(contract.grantRole(AUDITOR_ROLE, 1, delegate.address)).to.be.revertedWith("Invalid role scope");
+      await expect(contract.grantRole(ethers.id("COACH_ROLE"), 0, delegate.address)).to.be.revertedWith("Invalid role");
+      await expect(contract.grantRole(AUDITOR_ROLE, 0, auditor.address)).to.be.revertedWith("Role already granted");
+    });
+
+    it("Should keep role holders' cap checks apart from the manager's attested check", async function () {
+      await contract.grantRole(AUDITOR_ROLE, 0, auditor.address);
+      await contract.connect(teamManager1).grantRole(TEAM_DELEGATE_ROLE, 1, delegate.address);
+
+      await contract.connect(teamManager1).checkSalaryCap(1);
+      const managerCheck = await contract.getSalaryCapCompliance(1);
+      await contract.connect(teamManager1).requestSalaryCapAttestation(1);
+
+      // Neither waits for the attestation nor touches the manager's check
+      await expect(contract.connect(auditor).checkSalaryCap(1)).to.emit(contract, "SalaryCapChecked");
+      await expect(contract.connect(delegate).checkSalaryCap(1)).to.emit(contract, "SalaryCapChecked");
+      await expect(contract.connect(teamManager1).checkSalaryCap(1)).to.be.revertedWith("Attestation pending");
+      await fhevm.awaitDecryptionOracle();
+
+      const check = await contract.getSalaryCapCompliance(1);
+      expect(check.isCompliant).to.equal(managerCheck.isCompliant);
+      expect(check.checkBlock).to.equal(managerCheck.checkBlock);
+      expect(check.attested).to.equal(true);
+      expect(check.publicResult).to.equal(true);
+
+      // Role holders' results are recorded per caller, for the manager to decrypt
+      const auditorCheck = await contract.getRoleComplianceCheck(1, auditor.address);
+      expect(auditorCheck.checkedAt).to.be.gt(0);
+      expect(auditorCheck.checkBlock).to.be.gt(managerCheck.checkBlock);
+      expect(await fhevm.userDecryptEbool(auditorCheck.isCompliant, contractAddress, teamManager1)).to.equal(true);
+      await expect(fhevm.userDecryptEbool(auditorCheck.isCompliant, contractAddress, auditor)).to.be.rejected;
+      expect((await contract.getRoleComplianceCheck(1, delegate.address)).checkedAt).to.be.gt(0);
+      expect((await contract.getRoleComplianceCheck(1, admin.address)).checkedAt).to.equal(0n);
+
+      // A delegate still publishes the manager's check, never its own
+      await contract.connect(teamManager1).checkSalaryCap(1);
+      const { checkBlock } = await contract.getSalaryCapCompliance(1);
+      await contract.connect(delegate).checkSalaryCap(1);
+      await contract.connect(delegate).requestSalaryCapAttestation(1);
+      await fhevm.awaitDecryptionOracle();
+      const attestations = await contract.queryFilter(contract.filters.SalaryCapAttested(1));
+      expect(attestations[attestations.length - 1].args.checkBlock).to.equal(checkBlock);
+    });
+
+    it("Should let team managers appoint delegates who act for the team without decryption access", async function () {
+      await expect(
+        contract.grantRole(TEAM_DELEGATE_ROLE, 1, delegate.address)
+      ).to.be.revertedWith("Not authorized: team manager only");
+      await contract.connect(teamManager1).grantRole(TEAM_DELEGATE_ROLE, 1, delegate.address);
+
+      await expect(
+        registerAthlete(delegate, "Athlete", "Forward", 1, await athlete1.getAddress(), 40000000, 4000000, 12)
+      ).to.emit(contract, "AthleteRegistered");
+      await expect(proposeContract(delegate, 1, 1, 45000000, 5000000, 24)).to.emit(contract, "ContractProposed");
+      await expect(
+        contract.connect(delegate).grantRole(TEAM_DELEGATE_ROLE, 1, auditor.address)
+      ).to.be.revertedWith("Not authorized: team manager only");
+
+      // The payroll stays readable by the manager only
+      const { encryptedTotalPayroll } = await contract.getEncryptedPayroll(1);
+      await expect(fhevm.userDecryptEuint(FhevmType.euint64, encryptedTotalPayroll, contractAddress, delegate)).to.be
+        .rejected;
+
+      await contract.connect(delegate).renounceRole(TEAM_DELEGATE_ROLE, 1);
+      await expect(proposeContract(delegate, 1, 1, 45000000, 5000000, 24)).to.be.revertedWith(
+        "Not authorized: team manager only"
+      );
+    });
+
+    it("Should let delegates answer the athlete's counter-offers", async function () {
+      await registerAthlete(teamManager1, "Athlete", "Forward", 1, await athlete1.getAddress(), 40000000, 4000000, 12);
+      await proposeContract(teamManager1, 1, 1, 45000000, 5000000, 24);
+      const enc = await encrypt(athlete1, 50000000, 5000000);
+      await contract.connect(athlete1).counterProposal(1, enc.handles[0], enc.handles[1], enc.inputProof, 24);
+
+      await expect(contract.connect(delegate).requestProposalDecryption(2)).to.be.revertedWith("Not authorized");
+
+      await contract.connect(teamManager1).grantRole(TEAM_DELEGATE_ROLE, 1, delegate.address);
+      await contract.connect(delegate).requestProposalDecryption(2);
+      await fhevm.awaitDecryptionOracle();
+      await expect(contract.connect(delegate).approveContract(2)).to.emit(contract, "ContractApproved");
+    });
+
+    it("Should stop revoked delegates from withdrawing the offers and trades they proposed", async function () {
+      await registerTeam("Celtics", leagueId, await teamManager2.getAddress(), 150000000);
+      await registerAthlete(teamManager1, "Athlete", "Forward", 1, await athlete1.getAddress(), 40000000, 4000000, 12);
+      await registerAthlete(teamManager2, "Guard", "Guard", 2, await athlete2.getAddress(), 30000000, 3000000, 12);
+
+      await contract.connect(teamManager1).grantRole(TEAM_DELEGATE_ROLE, 1, delegate.address);
+      await proposeContract(delegate, 1, 1, 45000000, 5000000, 24);
+      await contract.connect(delegate).proposeTrade(2, 1);
+      await contract.connect(teamManager1).revokeRole(TEAM_DELEGATE_ROLE, 1, delegate.address);
+
+      await expect(contract.connect(delegate).cancelTrade(1)).to.be.revertedWith("Not authorized");
+
+      await ethers.provider.send("evm_increaseTime", [30 * 86400]);
+      await ethers.provider.send("evm_mine", []);
+      await expect(contract.connect(delegate).emergencyWithdrawProposal(1)).to.be.revertedWith("Not authorized");
+      await expect(contract.connect(teamManager1).emergencyWithdrawProposal(1)).to.emit(contract, "EmergencyWithdrawal");
+    });
+
+    it("Should list role holders after grants and revocations", async function () {
+      const accounts = [admin.address, auditor.address, delegate.address];
+      for (const account of accounts) {
+        await contract.grantRole(AUDITOR_ROLE, 0, account);
+      }
+      await contract.revokeRole(AUDITOR_ROLE, 0, admin.address);
+
+      expect([...(await contract.getRoleMembers(AUDITOR_ROLE, 0))].sort()).to.deep.equal(
+        [auditor.address, delegate.address].sort()
+      );
+      expect(await contract.hasRole(AUDITOR_ROLE, 0, admin.address)).to.equal(false);
+      await expect(contract.revokeRole(AUDITOR_ROLE, 0, admin.address)).to.be.revertedWith("Role not granted");
+
+      // Revoking the last entry leaves the index of the others intact
+      await contract.revokeRole(AUDITOR_ROLE, 0, delegate.address);
+      await contract.revokeRole(AUDITOR_ROLE, 0, auditor.address);
+      expect(await contract.getRoleMembers(AUDITOR_ROLE, 0)).to.deep.equal([]);
+    });
+
+    it("Should transfer ownership in two steps", async function () {
+      await expect(contract.transferOwnership(admin.address))
+        .to.emit(contract, "OwnershipTransferStarted")
+        .withArgs(owner.address, admin.address);
+      expect(await contract.pendingOwner()).to.equal(admin.address);
+      expect(await contract.contractOwner()).to.equal(owner.address);
+
+      await expect(contract.connect(auditor).acceptOwnership()).to.be.revertedWith(
+        "Not authorized: pending owner only"
+      );
+      await expect(contract.connect(admin).acceptOwnership())
+        .to.emit(contract, "OwnershipTransferred")
+        .withArgs(owner.address, admin.address);
+
+      expect(await contract.contractOwner()).to.equal(admin.address);
+      expect(await contract.pendingOwner()).to.equal(ethers.ZeroAddress);
+      await expect(contract.startNewSeason()).to.be.revertedWith("Not authorized: admin only");
+      await expect(contract.grantRole(LEAGUE_ADMIN_ROLE, 0, owner.address)).to.be.revertedWith(
+        "Not authorized: owner only"
+      );
+    });
+  });
+
+  describe("Audits", function () {
+    const AUDITOR_ROLE = ethers.id("AUDITOR_ROLE");
+    const WEEK = 7 * 86400;
+    let auditor;
+    let outsider;
+
+    beforeEach(async function () {
+      [, , , , , auditor, outsider] = await ethers.getSigners();
+      await registerTeam("Lakers", leagueId, await teamManager1.getAddress(), 150000000);
+      await registerAthlete(
+        teamManager1, "Athlete One", "Forward", 1, await athlete1.getAddress(), 40000000, 4000000, 12
+      );
+      await registerAthlete(
+        teamManager1, "Athlete Two", "Guard", 1, await athlete2.getAddress(), 30000000, 3000000, 12
+      );
+      await contract.grantRole(AUDITOR_ROLE, 0, auditor.address);
+    });
+
+    async function decryptAs(signer, handle, fhevmType = FhevmType.euint32) {
+      return fhevm.userDecryptEuint(fhevmType, handle, contractAddress, signer);
+    }
+
+    it("Should let the auditor decrypt the team's payroll snapshot", async function () {
+      await expect(contract.openAudit(1, auditor.address, WEEK))
+        .to.emit(contract, "AuditOpened")
+        .and.to.emit(contract, "AuditSnapshotTaken");
+
+      const info = await contract.getAuditInfo(1);
+      expect(info.teamId).to.equal(1n);
+      expect(info.auditor).to.equal(auditor.address);
+      expect(info.openedBy).to.equal(owner.address);
+      expect(info.expiresAt - info.openedAt).to.equal(BigInt(WEEK));
+
+      const snapshot = await contract.getAuditSnapshot(1);
+      expect(snapshot.athleteIds).to.deep.equal([1n, 2n]);
+      expect(await decryptAs(auditor, snapshot.payroll, FhevmType.euint64)).to.equal(77000000n);
+      expect(await decryptAs(auditor, snapshot.salaryCap)).to.equal(150000000n);
+      expect(await decryptAs(auditor, snapshot.salaries[0])).to.equal(40000000n);
+      expect(await decryptAs(auditor, snapshot.bonuses[1])).to.equal(3000000n);
+      await expect(decryptAs(outsider, snapshot.payroll, FhevmType.euint64)).to.be.rejected;
+    });
+
+    it("Should only reveal changes made after the snapshot once refreshed", async function () {
+      await contract.openAudit(1, auditor.address, WEEK);
+      await updateAthleteSalary(teamManager1, 1, 50000000, 5000000);
+
+      const { encryptedTotalPayroll } = await contract.getEncryptedPayroll(1);
+      await expect(decryptAs(auditor, encryptedTotalPayroll, FhevmType.euint64)).to.be.rejected;
+      expect(await decryptAs(auditor, (await contract.getAuditSnapshot(1)).payroll, FhevmType.euint64)).to.equal(77000000n);
+
+      await expect(contract.connect(outsider).refreshAudit(1)).to.be.revertedWith("Not authorized: auditor only");
+      await expect(contract.connect(auditor).refreshAudit(1)).to.emit(contract, "AuditSnapshotTaken");
+      expect(await decryptAs(auditor, (await contract.getAuditSnapshot(1)).payroll, FhevmType.euint64)).to.equal(88000000n);
+    });
+
+    it("Should end the audit when its window passes or the auditor loses the role", async function () {
+      await contract.openAudit(1, auditor.address, WEEK);
+      await ethers.provider.send("evm_increaseTime", [WEEK]);
+      await ethers.provider.send("evm_mine", []);
+      await expect(contract.connect(auditor).refreshAudit(1)).to.be.revertedWith("Audit not open");
+      await expect(contract.closeAudit(1)).to.be.revertedWith("Audit not open");
+
+      await contract.openAudit(1, auditor.address, WEEK);
+      await contract.revokeRole(AUDITOR_ROLE, 0, auditor.address);
+      await expect(contract.connect(auditor).refreshAudit(2)).to.be.revertedWith("Not authorized: auditor only");
+      await expect(contract.openAudit(1, auditor.address, WEEK)).to.be.revertedWith("Auditor role required");
+    });
+
+    it("Should only let the league commissioner open and close audits", async function () {
+      await expect(
+        contract.connect(teamManager1).openAudit(1, auditor.address, WEEK)
+      ).to.be.revertedWith("Not authorized: commissioner only");
+      await expect(contract.openAudit(1, auditor.address, 3599)).to.be.revertedWith("Invalid audit window");
+      await expect(contract.openAudit(1, auditor.address, 91 * 86400)).to.be.revertedWith("Invalid audit window");
+
+      await contract.openAudit(1, auditor.address, WEEK);
+      await expect(contract.connect(auditor).closeAudit(1)).to.be.revertedWith("Not authorized: commissioner only");
+      await expect(contract.closeAudit(1)).to.emit(contract, "AuditClosed").withArgs(1, owner.address);
+      await expect(contract.connect(auditor).refreshAudit(1)).to.be.revertedWith("Audit not open");
+      await expect(contract.closeAudit(1)).to.be.revertedWith("Audit not open");
+      await expect(contract.closeAudit(2)).to.be.revertedWith("Invalid audit ID");
+    });
+
+    it("Should record the auditor's finding once", async function () {
+      await contract.openAudit(1, auditor.address, WEEK);
+      const reportHash = ethers.id("audit report");
+
+      await expect(
+        contract.connect(outsider).recordAuditResult(1, true, reportHash)
+      ).to.be.revertedWith("Not authorized: auditor only");
+      await expect(contract.connect(auditor).recordAuditResult(1, true, reportHash))
+        .to.emit(contract, "AuditCompleted")
+        .withArgs(1, 1, true, reportHash);
+
+      const info = await contract.getAuditInfo(1);
+      expect(info.completed).to.equal(true);
+      expect(info.compliant).to.equal(true);
+      expect(info.reportHash).to.equal(reportHash);
+      await expect(
+        contract.connect(auditor).recordAuditResult(1, false, reportHash)
+      ).to.be.revertedWith("Audit not open");
+
+      expect(await contract.getAuditCount()).to.equal(1n);
+      expect(await contract.getTeamAudits(1)).to.deep.equal([1n]);
+      expect(await contract.getAuditorAudits(auditor.address)).to.deep.equal([1n]);
+      await expect(contract.getAuditInfo(2)).to.be.revertedWith("Invalid audit ID");
+    });
+  });
+
+  describe("Salary Disbursement", function () {
+    const MONTH = 30 * 86400;
+    let token;
+    let tokenAddress;
+    let outsider;
+
+    beforeEach(async function () {
+      [, , , , , , outsider] = await ethers.getSigners();
+      const ConfidentialPayrollToken = await ethers.getContractFactory("ConfidentialPayrollToken");
+      token = await ConfidentialPayrollToken.deploy("League Payroll Dollar", "LPD");
+      await token.waitForDeployment();
+      tokenAddress = await token.getAddress();
+
+      await registerTeam("Lakers", leagueId, await teamManager1.getAddress(), 150000000);
+      await registerAthlete(
+        teamManager1, "Athlete One", "Forward", 1, await athlete1.getAddress(), 40000000, 4000000, 12
+      );
+      await registerAthlete(
+        teamManager1, "Athlete Two", "Guard", 1, await athlete2.getAddress(), 30000000, 3000000, 12
+      );
+      await contract.setPayrollToken(tokenAddress);
+      await token.mint(await teamManager1.getAddress(), 20000000);
+      await token.connect(teamManager1).setOperator(contractAddress, 2 ** 40);
+    });
+
+    async function deposit(signer, amount) {
+      const enc = await fhevm
+        .createEncryptedInput(contractAddress, await signer.getAddress())
+        .add64(amount)
+        .encrypt();
+      return contract.connect(signer).depositPayroll(1, enc.handles[0], enc.inputProof);
+    }
+
+    async function tokenBalance(signer) {
+      const handle = await token.confidentialBalanceOf(await signer.getAddress());
+      return fhevm.userDecryptEuint(FhevmType.euint64, handle, tokenAddress, signer);
+    }
+
+    async function decrypt64(signer, handle) {
+      return fhevm.userDecryptEuint(FhevmType.euint64, handle, contractAddress, signer);
+    }
+
+    it("Should pay each active athlete a twelfth of their salary from the escrow", async function () {
+      await expect(deposit(teamManager1, 10000000)).to.emit(contract, "PayrollDeposited");
+      expect(await tokenBalance(teamManager1)).to.equal(10000000n);
+
+      await expect(contract.connect(teamManager1).runPayroll(1, 1))
+        .to.emit(contract, "PayrollRunStarted")
+        .withArgs(1, 1, 2)
+        .and.to.emit(contract, "SalaryPaid")
+        .withArgs(1, 1, 2)
+        .and.to.emit(contract, "PayrollRunCompleted")
+        .withArgs(1, 1, 2);
+
+      expect(await tokenBalance(athlete1)).to.equal(3333333n);
+      expect(await tokenBalance(athlete2)).to.equal(2500000n);
+      expect(await decrypt64(teamManager1, await contract.getPayrollEscrow(1))).to.equal(4166667n);
+
+      const [payment] = await contract.getAthletePayments(1);
+      expect(payment.teamId).to.equal(1n);
+      expect(payment.period).to.equal(1n);
+      expect(await decrypt64(athlete1, payment.amount)).to.equal(3333333n);
+      expect(await decrypt64(teamManager1, payment.amount)).to.equal(3333333n);
+      await expect(decrypt64(outsider, payment.amount)).to.be.rejected;
+
+      const run = await contract.getPayrollRun(1);
+      expect(run.period).to.equal(1n);
+      expect(run.paidCount).to.equal(2n);
+      expect(run.completed).to.equal(true);
+    });
+
+    it("Should pay nothing the escrow cannot cover", async function () {
+      // More than the manager holds: the token moves, and the escrow credits, nothing
+      await deposit(teamManager1, 50000000);
+      expect(await decrypt64(teamManager1, await contract.getPayrollEscrow(1))).to.equal(0n);
+
+      await deposit(teamManager1, 3000000);
+      await contract.runPayroll(1, 1);
+
+      // Too little for athlete one, enough for athlete two
+      expect(await tokenBalance(athlete1)).to.equal(0n);
+      expect(await tokenBalance(athlete2)).to.equal(2500000n);
+      expect(await decrypt64(teamManager1, await contract.getPayrollEscrow(1))).to.equal(500000n);
+      expect(await contract.getPaymentCount(1)).to.equal(1n);
+      expect(await decrypt64(athlete1, (await contract.getAthletePayments(1))[0].amount)).to.equal(0n);
+    });
+
+    it("Should run periods in order, at most one per pay period", async function () {
+      await deposit(teamManager1, 20000000);
+      await expect(contract.runPayroll(1, 2)).to.be.revertedWith("Invalid payroll period");
+      await contract.runPayroll(1, 1);
+      await expect(contract.runPayroll(1, 1)).to.be.revertedWith("Invalid payroll period");
+      await expect(contract.runPayroll(1, 2)).to.be.revertedWith("Payroll period not due");
+
+      await ethers.provider.send("evm_increaseTime", [MONTH]);
+      await ethers.provider.send("evm_mine", []);
+      await contract.deactivateAthlete(2);
+      await expect(contract.runPayroll(1, 2)).to.emit(contract, "PayrollRunCompleted").withArgs(1, 2, 1);
+
+      expect(await tokenBalance(athlete1)).to.equal(6666666n);
+      expect(await contract.getPaymentCount(1)).to.equal(2n);
+      expect(await contract.getPaymentCount(2)).to.equal(1n);
+    });
+
+    it("Should pay large rosters over several calls", async function () {
+      const maxPayments = Number(await contract.MAX_PAYMENTS_PER_RUN());
+      for (let i = 3; i <= maxPayments + 1; i++) {
+        await registerAthlete(
+          teamManager1, `Athlete ${i}`, "Center", 1, await athlete1.getAddress(), 1200000, 0, 12
+        );
+      }
+      await deposit(teamManager1, 20000000);
+
+      const receipt = await (await contract.runPayroll(1, 1)).wait();
+      const paid = receipt.logs.filter((log) => contract.interface.parseLog(log)?.name === "SalaryPaid");
+      expect(paid.length).to.equal(maxPayments);
+      expect((await contract.getPayrollRun(1)).completed).to.equal(false);
+      await expect(contract.runPayroll(1, 2)).to.be.revertedWith("Invalid payroll period");
+
+      await expect(contract.runPayroll(1, 1))
+        .to.emit(contract, "PayrollRunCompleted")
+        .withArgs(1, 1, maxPayments + 1);
+      expect(await contract.getPaymentCount(maxPayments + 1)).to.equal(1n);
+    });
+
+    it("Should pay athletes traded in during a period once, after the rest", async function () {
+      const maxPayments = Number(await contract.MAX_PAYMENTS_PER_RUN());
+      for (let i = 3; i <= maxPayments + 1; i++) {
+        await registerAthlete(
+          teamManager1, `Athlete ${i}`, "Center", 1, await athlete1.getAddress(), 1200000, 0, 12
+        );
+      }
+      const [, , , , , mover] = await ethers.getSigners();
+      await registerTeam("Celtics", leagueId, await teamManager2.getAddress(), 150000000);
+      await registerAthlete(teamManager2, "Newcomer", "Guard", 2, await mover.getAddress(), 24000000, 0, 12);
+      const newcomerId = maxPayments + 2;
+      await deposit(teamManager1, 20000000);
+
+      async function trade(athleteId, toManager, fromManager, athlete, toTeamId) {
+        const tradeId = (await contract.tradeCounter()) + 1n;
+        await contract.connect(toManager).proposeTrade(athleteId, toTeamId);
+        await contract.connect(fromManager).acceptTrade(tradeId);
+        await contract.connect(toManager).requestTradeCheck(tradeId);
+        await fhevm.awaitDecryptionOracle();
+        await contract.connect(athlete).consentToTrade(tradeId);
+      }
+
+      // The first call pays athletes 1 to MAX_PAYMENTS_PER_RUN of the snapshot
+      await contract.runPayroll(1, 1);
+      expect(await tokenBalance(athlete2)).to.equal(2500000n);
+
+      // Traded in mid-period: paid with the rest of the period
+      await trade(newcomerId, teamManager1, teamManager2, mover, 1);
+      expect((await contract.getPayrollRun(1)).athleteCount).to.equal(BigInt(maxPayments + 2));
+
+      // Already paid, traded away and back: listed twice, paid once
+      await trade(2, teamManager2, teamManager1, athlete2, 2);
+      await trade(2, teamManager1, teamManager2, athlete2, 1);
+      expect((await contract.getPayrollRun(1)).athleteCount).to.equal(BigInt(maxPayments + 3));
+
+      await expect(contract.runPayroll(1, 1))
+        .to.emit(contract, "PayrollRunCompleted")
+        .withArgs(1, 1, maxPayments + 2);
+      expect(await tokenBalance(mover)).to.equal(2000000n);
+      expect(await tokenBalance(athlete2)).to.equal(2500000n);
+      expect(await contract.getPaymentCount(2)).to.equal(1n);
+
+      // Moving in after the period completed waits for the next one
+      await trade(newcomerId, teamManager2, teamManager1, mover, 2);
+      await trade(newcomerId, teamManager1, teamManager2, mover, 1);
+      expect((await contract.getPayrollRun(1)).athleteCount).to.equal(BigInt(maxPayments + 3));
+      expect(await contract.getPaymentCount(newcomerId)).to.equal(1n);
+    });
+
+    it("Should return a deactivated team's escrow to its manager", async function () {
+      await deposit(teamManager1, 10000000);
+      await contract.runPayroll(1, 1);
+      await expect(contract.connect(teamManager1).withdrawPayrollEscrow(1)).to.be.revertedWith("Team is active");
+
+      await contract.deactivateTeam(1);
+      await expect(contract.connect(outsider).withdrawPayrollEscrow(1)).to.be.revertedWith(
+        "Not authorized: team manager only"
+      );
+      await expect(contract.withdrawPayrollEscrow(1))
+        .to.emit(contract, "PayrollWithdrawn")
+        .withArgs(1, await teamManager1.getAddress());
+
+      // 20M minted, 10M deposited, 5,833,333 paid out
+      expect(await tokenBalance(teamManager1)).to.equal(14166667n);
+      expect(await decrypt64(teamManager1, await contract.getPayrollEscrow(1))).to.equal(0n);
+      await expect(contract.withdrawPayrollEscrow(2)).to.be.revertedWith("Invalid team ID");
+    });
+
+    it("Should restrict the payroll token and payroll runs", async function () {
+      await expect(contract.setPayrollToken(outsider.address)).to.be.revertedWith("Payroll token already set");
+      await expect(
+        contract.connect(outsider).setPayrollToken(outsider.address)
+      ).to.be.revertedWith("Not authorized: admin only");
+      expect(await contract.getPayrollToken()).to.equal(tokenAddress);
+
+      await expect(deposit(outsider, 1000)).to.be.revertedWith("Not authorized: team manager only");
+      await expect(
+        contract.connect(outsider).runPayroll(1, 1)
+      ).to.be.revertedWith("Not authorized: team manager only");
+      await expect(contract.connect(teamManager1).runPayroll(1, 1)).to.emit(contract, "PayrollRunCompleted");
+      await expect(token.connect(outsider).mint(outsider.address, 1)).to.be.revertedWith("Not authorized: owner only");
+    });
+  });
+
+  describe("Performance Bonuses", function () {
+    const STATS_ORACLE_ROLE = ethers.id("STATS_ORACLE_ROLE");
+    const GAMES_PLAYED = 0;
+    const POINTS = 1;
+    let oracle;
+
+    beforeEach(async function () {
+      [, , , , , , oracle] = await ethers.getSigners();
+      await registerTeam("Lakers", leagueId, await teamManager1.getAddress(), 5000000);
+      await registerAthlete(
+        teamManager1, "Athlete One", "Forward", 1, await athlete1.getAddress(), 400000, 40000, 12
+      );
+      await contract.grantRole(STATS_ORACLE_ROLE, 0, oracle.address);
+    });
+
+    async function addClause(signer, stat, threshold, amount) {
+      const enc = await fhevm
+        .createEncryptedInput(contractAddress, await signer.getAddress())
+        .add32(threshold)
+        .add32(amount)
+        .encrypt();
+      return contract.connect(signer).addBonusClause(1, stat, enc.handles[0], enc.handles[1], enc.inputProof);
+    }
+
+    async function earnedBonus(signer, season = 1) {
+      const handle = await contract.getEarnedBonus(1, season);
+      return fhevm.userDecryptEuint(FhevmType.euint64, handle, contractAddress, signer);
+    }
+
+    it("Should earn a clause's amount once the season stat reaches its threshold", async function () {
+      await expect(addClause(teamManager1, GAMES_PLAYED, 2, 50000))
+        .to.emit(contract, "BonusClauseAdded")
+        .withArgs(1, 0, GAMES_PLAYED);
+      await addClause(teamManager1, POINTS, 50, 25000);
+      expect(await earnedBonus(athlete1)).to.equal(0n);
+
+      await expect(contract.connect(oracle).postGameStats(1, 101, 30, 5, 8))
+        .to.emit(contract, "GameStatsPosted")
+        .withArgs(1, 101, 1);
+      expect(await earnedBonus(athlete1)).to.equal(0n);
+
+      await contract.connect(oracle).postGameStats(1, 102, 25, 3, 6);
+      expect(await contract.getSeasonStats(1, 1)).to.deep.equal([2n, 55n, 8n, 14n]);
+      expect(await earnedBonus(athlete1)).to.equal(75000n);
+      expect(await earnedBonus(teamManager1)).to.equal(75000n);
+
+      const [clause] = await contract.getBonusClauses(1);
+      expect(clause.stat).to.equal(BigInt(GAMES_PLAYED));
+      expect(await fhevm.userDecryptEuint(FhevmType.euint32, clause.threshold, contractAddress, athlete1)).to.equal(2n);
+      await expect(earnedBonus(oracle)).to.be.rejected;
+    });
+
+    it("Should count the season so far for new clauses and start over each season", async function () {
+      await contract.connect(oracle).postGameStats(1, 101, 40, 2, 3);
+      await contract.connect(oracle).postGameStats(1, 102, 12, 7, 1);
+      await addClause(teamManager1, POINTS, 50, 25000);
+      expect(await earnedBonus(athlete1)).to.equal(25000n);
+
+      await contract.startNewSeason();
+      expect(await contract.getEarnedBonus(1, 2)).to.equal(ethers.ZeroHash);
+      await contract.connect(oracle).postGameStats(1, 201, 30, 0, 0);
+      expect(await contract.getSeasonStats(1, 2)).to.deep.equal([1n, 30n, 0n, 0n]);
+      expect(await earnedBonus(athlete1, 2)).to.equal(0n);
+      expect(await earnedBonus(athlete1, 1)).to.equal(25000n);
+    });
+
+    it("Should not wrap clause amounts that add up past the euint32 range", async function () {
+      const maxClauses = Number(await contract.MAX_BONUS_CLAUSES());
+      for (let i = 0; i < maxClauses; i++) {
+        await addClause(teamManager1, POINTS, 10, 4000000000);
+      }
+      await contract.connect(oracle).postGameStats(1, 101, 12, 0, 0);
+      expect(await earnedBonus(athlete1)).to.equal(BigInt(maxClauses) * 4000000000n);
+    });
+
+    it("Should only accept each game's stats once, from a stats oracle", async function () {
+      await expect(
+        contract.connect(teamManager1).postGameStats(1, 101, 30, 5, 8)
+      ).to.be.revertedWith("Not authorized: stats oracle only");
+      await expect(
+        contract.connect(teamManager1).grantRole(STATS_ORACLE_ROLE, 0, teamManager1.address)
+      ).to.be.revertedWith("Not authorized: admin only");
+
+      await contract.connect(oracle).postGameStats(1, 101, 30, 5, 8);
+      expect(await contract.isGameStatsPosted(1, 101)).to.equal(true);
+      await expect(
+        contract.connect(oracle).postGameStats(1, 101, 30, 5, 8)
+      ).to.be.revertedWith("Game stats already posted");
+
+      await contract.connect(oracle).renounceRole(STATS_ORACLE_ROLE, 0);
+      await expect(
+        contract.connect(oracle).postGameStats(1, 102, 30, 5, 8)
+      ).to.be.revertedWith("Not authorized: stats oracle only");
+    });
+
+    it("Should restrict bonus clauses to the team and a few valid stats", async function () {
+      await expect(addClause(athlete1, POINTS, 50, 25000)).to.be.revertedWith("Not authorized: team manager only");
+      await expect(addClause(teamManager1, 4, 50, 25000)).to.be.revertedWith("Invalid stat");
+
+      const maxClauses = Number(await contract.MAX_BONUS_CLAUSES());
+      for (let i = 0; i < maxClauses; i++) {
+        await addClause(teamManager1, GAMES_PLAYED, i + 1, 1000);
+      }
+      await expect(addClause(teamManager1, POINTS, 50, 25000)).to.be.revertedWith("Too many bonus clauses");
+      expect((await contract.getBonusClauses(1)).length).to.equal(maxClauses);
+    });
+  });
+
+  describe("Statistics", function () {
+    it("Should return correct current stats", async function () {
+      const stats = await contract.getCurrentStats();
+      expect(stats[0]).to.equal(1); // season
+      expect(stats[1]).to.equal(0); // totalAthletes
+      expect(stats[2]).to.equal(0); // activeTeams
+      expect(stats[3]).to.equal(0); // totalProposals
+    });
+
+    it("Should update stats after operations", async function () {
+      await registerTeam(
+        "Lakers",
+        leagueId,
+        await teamManager1.getAddress(),
+        150000000
+      );
+
+      const stats = await contract.getCurrentStats();
+      expect(stats[2]).to.equal(1); // activeTeams
+    });
+  });
+
+  describe("Query Functions", function () {
+    beforeEach(async function () {
+      await registerTeam(
+        "Lakers",
+        leagueId,
+        await teamManager1.getAddress(),
+        150000000
+      );
+
+      await registerAthlete(
+        teamManager1,
+        "Athlete",
+        "Forward",
+        1,
+        await athlete1.getAddress(),
+        40000000,
+        4000000,
+        12
+      );
+    });
+
+    it("Should return athlete addresses", async function () {
+      const athletes = await contract.getMyAthletes(
+        await athlete1.getAddress()
+      );
+      expect(athletes.length).to.equal(1);
+      expect(athletes[0]).to.equal(1);
+    });
+
+    it("Should return team manager's teams", async function () {
+      const teams = await contract.getMyTeams(await teamManager1.getAddress());
+      expect(teams.length).to.equal(1);
+      expect(teams[0]).to.equal(1);
+    });
+  });
+});